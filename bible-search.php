@@ -0,0 +1,187 @@
+<?php
+	require 'inc/bootstrap.php';
+
+	if (!$config['bible_search']['enable']) {
+		die(_("Bible search is disabled"));
+	}
+
+	$queries_per_minutes = $config['search']['queries_per_minutes'];
+	$queries_per_minutes_all = $config['search']['queries_per_minutes_all'];
+	$search_limit = $config['bible_search']['search_limit'];
+
+	// Every hosted book, in canonical order, with its testament (old, apo or new)
+	$books = getBibleCanon(listBoards(false, 'bible'), $config['bible']['path_index']);
+
+	$testaments = Array(
+		'old' => _('Old Testament'),
+		'apo' => _('Apocrypha/Deuterocanon'),
+		'new' => _('New Testament'),
+	);
+
+	$testament = isset($_GET['testament']) && isset($testaments[$_GET['testament']]) ? $_GET['testament'] : 'all';
+	$book = isset($_GET['book']) && in_array($_GET['book'], array_column($books, 'osisID')) ? $_GET['book'] : false;
+
+	$body = Element('h2o/bible_search_form.html', Array(
+		'books' => $books,
+		'testaments' => $testaments,
+		'testament' => $testament,
+		'book' => $book,
+		'search' => isset($_GET['search']) ? str_replace('"', '&quot;', utf8tohtml($_GET['search'])) : false
+	));
+
+	/**
+	 * Wrap search terms in <mark> within the text of a verse, leaving tags alone. All terms go in one
+	 * pass, so a later term can't match inside the <mark> of an earlier one.
+	 *
+	 * @param string $html
+	 * @param array $patterns One regex fragment per term, without delimiters
+	 */
+	function bible_search_highlight($html, $patterns) {
+		// Longest first, so a term that contains another wins where both match
+		usort($patterns, function($a, $b) {
+			return strlen($b) - strlen($a);
+		});
+		$pattern = '/' . implode('|', $patterns) . '/iu';
+
+		$parts = preg_split('/(<[^>]*>)/', $html, -1, PREG_SPLIT_DELIM_CAPTURE);
+		foreach ($parts as $i => &$part) {
+			if ($i % 2 == 1 || $part === '')
+				continue;
+			$part = preg_replace($pattern, '<mark>$0</mark>', $part);
+		}
+		return implode('', $parts);
+	}
+
+	if (isset($_GET['search']) && !empty($_GET['search'])) {
+
+		$phrase = $_GET['search'];
+		$_body = '';
+
+		$query = prepare("SELECT COUNT(*) FROM ``search_queries`` WHERE `ip` = :ip AND `time` > :time");
+		$query->bindValue(':ip', $_SERVER['REMOTE_ADDR']);
+		$query->bindValue(':time', time() - ($queries_per_minutes[1] * 60));
+		$query->execute() or error(db_error($query));
+		if ($query->fetchColumn() > $queries_per_minutes[0])
+			error(_('Wait a while before searching again, please.'));
+
+		$query = prepare("SELECT COUNT(*) FROM ``search_queries`` WHERE `time` > :time");
+		$query->bindValue(':time', time() - ($queries_per_minutes_all[1] * 60));
+		$query->execute() or error(db_error($query));
+		if ($query->fetchColumn() > $queries_per_minutes_all[0])
+			error(_('Wait a while before searching again, please.'));
+
+		$query = prepare("INSERT INTO ``search_queries`` VALUES (:ip, :time, :query)");
+		$query->bindValue(':ip', $_SERVER['REMOTE_ADDR']);
+		$query->bindValue(':time', time());
+		$query->bindValue(':query', $phrase);
+		$query->execute() or error(db_error($query));
+
+		_syslog(LOG_NOTICE, 'Searched the Bible (' . ($book ? $book : $testament) . ') for "' . $phrase . '"');
+
+		// Cleanup search queries table
+		$query = prepare("DELETE FROM ``search_queries`` WHERE `time` <= :time");
+		$query->bindValue(':time', time() - ($queries_per_minutes_all[1] * 60));
+		$query->execute() or error(db_error($query));
+
+		// Split into "exact phrases" and single words
+		$terms = Array();
+		if (preg_match_all('/"(.+?)"/', $phrase, $m)) {
+			foreach ($m[1] as $quote) {
+				$phrase = str_replace("\"{$quote}\"", '', $phrase);
+				$terms[] = $quote;
+			}
+		}
+		foreach (explode(' ', $phrase) as $word) {
+			if ($word !== '')
+				$terms[] = $word;
+		}
+
+		// Require at least one term with something other than wildcards
+		$too_broad = true;
+		foreach ($terms as $term) {
+			if (preg_match('/[^*\s]/', $term))
+				$too_broad = false;
+		}
+
+		if ($too_broad) {
+			_syslog(LOG_WARNING, 'Query too broad.');
+			$body .= '<p class="unimportant" style="text-align:center">(' . _('Query too broad.') . ')</p>';
+			echo Element($config['file_page_template'], Array(
+				'config'=>$config,
+				'title'=>_('Bible Search'),
+				'boardlist'=>createBoardlist(),
+				'body'=>$body,
+			));
+			exit;
+		}
+
+		$like = '';
+		$highlight = Array();
+		foreach ($terms as $term) {
+			// Escape escape character, SQL wildcard and table prefix magic; asterisk is our wildcard
+			$sql = str_replace(Array('!', '%', '_', '`'), Array('!!', '!%', '!_', '!`'), $term);
+			$sql = str_replace('*', '%', $sql);
+
+			if (!empty($like))
+				$like .= ' AND ';
+			$like .= '`body_nomarkup` LIKE ' . $pdo->quote('%' . $sql . '%') . ' ESCAPE \'!\'';
+
+			// Verse bodies are stored HTML-escaped
+			$pattern = preg_quote(utf8tohtml($term), '/');
+			$pattern = str_replace('\*', '\S*', $pattern);
+			$highlight[] = $pattern;
+		}
+		$like = str_replace('%', '%%', $like);
+
+		$results = 0;
+		$truncated = false;
+
+		foreach ($books as $b) {
+			if ($book && $b['osisID'] !== $book)
+				continue;
+			if (!$book && $testament !== 'all' && $b['testament'] !== $testament)
+				continue;
+
+			$query = prepare(sprintf("SELECT `id`, `thread`, `verse`, `body` FROM ``posts_%s`` WHERE `verse` > 0 AND " . $like . " ORDER BY `thread`, `verse` LIMIT :limit", $b['osisID']));
+			$query->bindValue(':limit', $search_limit - $results + 1, PDO::PARAM_INT);
+			$query->execute() or error(db_error($query));
+
+			$verses = Array();
+			while ($post = $query->fetch(PDO::FETCH_ASSOC)) {
+				if ($results >= $search_limit) {
+					$truncated = true;
+					break;
+				}
+				$results++;
+
+				// Drop the verse number link; the reference is shown above the verse instead
+				$post['body'] = preg_replace('/^<a class="post_no (chapter|verse)"[^>]*>.*?<\/a>/', '', $post['body']);
+				$post['body'] = bible_search_highlight($post['body'], $highlight);
+				$verses[] = $post;
+			}
+
+			if (!empty($verses))
+				$_body .= Element('h2o/bible_search_results.html', Array(
+					'book' => $b,
+					'verses' => $verses
+				));
+
+			if ($truncated)
+				break;
+		}
+
+		$body .= '<hr/>';
+		if ($truncated)
+			$body .= '<p class="unimportant" style="text-align:center">(' . sprintf(_('Showing the first %d verses. Narrow your search to see the rest.'), $search_limit) . ')</p>';
+		if (!empty($_body))
+			$body .= '<p class="unimportant" style="text-align:center">' . sprintf(ngettext('%d verse found', '%d verses found', $results), $results) . '</p>' . $_body;
+		else
+			$body .= '<p style="text-align:center" class="unimportant">(' . _('No results.') . ')</p>';
+	}
+
+	echo Element($config['file_page_template'], Array(
+		'config'=>$config,
+		'title'=>_('Bible Search'),
+		'boardlist'=>createBoardlist(),
+		'body'=>'' . $body
+	));
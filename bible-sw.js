@@ -0,0 +1,83 @@
+/**
+ * Bible offline service worker
+ *
+ * Serves Bible chapter pages (and the styles/scripts they need) from the
+ * cache filled by js/bible-offline.js, so infinite scroll and verse previews
+ * keep working without a connection. Chapters come from the cache first; the
+ * rest of what is saved (board indexes, books.json, styles and scripts) can
+ * change, so it comes from the network while there is one. Anything not in
+ * the cache goes to the network as usual.
+ *
+ * Must live at the site root so its scope covers every board.
+ */
+
+'use strict';
+
+const CACHE_NAME = 'bible-offline';
+
+self.addEventListener('install', () => {
+    self.skipWaiting();
+});
+
+self.addEventListener('activate', event => {
+    event.waitUntil(self.clients.claim());
+});
+
+/**
+ * Answer short verse URLs (/Gen/1/4) from the cached chapter page,
+ * since the redirect normally comes from the web server
+ */
+async function shortLinkResponse(cache, url) {
+    const match = url.pathname.match(/^\/([A-Za-z0-9]+)\/(\d+)\/(\d+)$/);
+    if (!match) return null;
+
+    const chapterUrl = `/${match[1]}/res/${match[2]}.html`;
+    if (!await cache.match(chapterUrl)) return null;
+
+    return Response.redirect(`${chapterUrl}#v${match[3]}`, 302);
+}
+
+/**
+ * Chapter threads and their json, which only change with the resource version
+ * (and js/bible-offline.js downloads them again then)
+ */
+function isChapter(url) {
+    return /^\/[A-Za-z0-9]+\/(res\/\d+\.html|\d+\.json)$/.test(url.pathname);
+}
+
+/**
+ * Cache first for saved chapters; network first, keeping the saved copy up to date, for
+ * everything else that was saved; network only otherwise
+ */
+async function respond(request) {
+    const cache = await caches.open(CACHE_NAME);
+    const url = new URL(request.url);
+    const options = { ignoreSearch: url.pathname.endsWith('.html') || url.pathname.endsWith('/') };
+
+    const cached = await cache.match(request, options);
+    if (cached && isChapter(url)) return cached;
+
+    try {
+        const response = await fetch(request);
+        // Only over the saved copy itself, not as a new entry for another query string
+        if (cached && response.ok && await cache.match(request)) {
+            await cache.put(request, response.clone());
+        }
+        return response;
+    } catch (error) {
+        if (cached) return cached;
+        const redirect = await shortLinkResponse(cache, url);
+        if (redirect) return redirect;
+        throw error;
+    }
+}
+
+self.addEventListener('fetch', event => {
+    const request = event.request;
+    if (request.method !== 'GET') return;
+
+    const url = new URL(request.url);
+    if (url.origin !== self.location.origin) return;
+
+    event.respondWith(respond(request));
+});
@@ -208,4 +208,72 @@ class Api {
 
 		return $apiCatalog;
 	}
+
+	/**
+	 * Verse-aware json for one chapter thread of a Bible board ({osisID}/{chapter}.json)
+	 *
+	 * @param Thread $thread The chapter thread with all of its verse replies
+	 * @param string $osisID The book's osisID (board uri)
+	 * @return array|null Null for threads that aren't chapters
+	 */
+	public function translateBibleChapter(Thread $thread, string $osisID) {
+		$chapter = bibleChapterOfThread($thread->time);
+		if ($chapter === false) {
+			return null;
+		}
+
+		$verses = [];
+		foreach ($thread->posts as $post) {
+			$number = (int)$post->verse;
+			if ($number < 1) {
+				continue;
+			}
+
+			// Drop the verse number link prepended on import; clients draw their own
+			$html = preg_replace('/^<a class="post_no (?:chapter|verse)"[^>]*>\d+<\/a>/', '', $post->body);
+
+			$verses[] = [
+				'osisID' => $osisID . '.' . $chapter . '.' . $number,
+				'number' => $number,
+				'id' => (int)$post->id,
+				'text' => trim(html_entity_decode(strip_tags($html), ENT_QUOTES, 'UTF-8')),
+				'html' => $html
+			];
+		}
+
+		return [
+			'osisID' => $osisID . '.' . $chapter,
+			'book' => $osisID,
+			'chapter' => $chapter,
+			'thread' => (int)$thread->id,
+			'op' => $thread->body,
+			'verses' => $verses
+		];
+	}
+
+	/**
+	 * Book metadata json for a Bible board ({osisID}/bible.json)
+	 *
+	 * @param array $board The board, as set up by openBoard()
+	 * @param array $navigation getBibleBookMetadata() for the book
+	 * @param array $bookInfo The book's entry in buildBibleBookLookup()['verseCounts']
+	 * @return array
+	 */
+	public function translateBibleBook(array $board, array $navigation, array $bookInfo) {
+		$neighbour = function ($book) {
+			return $book ? ['osisID' => $book['osisID'], 'short' => $book['short']] : null;
+		};
+
+		return [
+			'osisID' => $board['uri'],
+			'short' => $navigation['current']['short'],
+			'url' => $board['url'],
+			'title' => $board['title'],
+			'subtitle' => (string)$board['subtitle'],
+			'chapters' => (int)$bookInfo['chapters'],
+			'previous' => $neighbour($navigation['previous']),
+			'next' => $neighbour($navigation['next']),
+			'verses' => $bookInfo['verses']
+		];
+	}
 }
@@ -286,6 +286,176 @@ class Bans {
 		}
 	}
 
+	/**
+	 * A ban as the ban list shows it, with what the moderator may not see masked out
+	 */
+	static private function json_ban(array $ban, $filter_ips, $filter_staff, $board_access) {
+		$ban['mask'] = self::range_to_string([$ban['ipstart'], $ban['ipend']]);
+
+		if ($ban['post']) {
+			$post = json_decode($ban['post']);
+			$ban['message'] = isset($post->body) ? $post->body : 0;
+		}
+		unset($ban['ipstart'], $ban['ipend'], $ban['post'], $ban['creator']);
+
+		if ($board_access === false || in_array ($ban['board'], $board_access)) {
+			$ban['access'] = true;
+		}
+
+		if (filter_var($uncloaked_mask, FILTER_VALIDATE_IP) !== false) {
+			$ban['single_addr'] = true;
+		}
+		if ($filter_staff || ($board_access !== false && !in_array($ban['board'], $board_access))) {
+			$ban['username'] = '?';
+		}
+		if ($filter_ips || ($board_access !== false && !in_array($ban['board'], $board_access))) {
+			@list($ban['mask'], $subnet) = explode("/", $ban['mask']);
+			$ban['mask'] = preg_split("/[\.:]/", $ban['mask']);
+			$ban['mask'] = array_slice($ban['mask'], 0, 2);
+			$ban['mask'] = implode(".", $ban['mask']);
+			$ban['mask'] .= ".x.x";
+			if (isset ($subnet)) {
+				$ban['mask'] .= "/$subnet";
+			}
+			$ban['masked'] = true;
+		}
+
+		return $ban;
+	}
+
+	/**
+	 * A page of the ban list, filtered and sorted by the database
+	 *
+	 * @param array $filters Any of:
+	 *   board         a board, or * for bans on all boards
+	 *   mine          only bans on the moderator's boards
+	 *   staff         who made the ban
+	 *   reason        text in the reason
+	 *   ip            an address or range; bans that cover any of it
+	 *   status        active or expired
+	 *   created_from, created_to, expires_from, expires_to   anything strtotime() reads
+	 * @param string $sort id, mask, reason, board, created, expires or username
+	 * @param bool $reverse Descending
+	 * @param int $offset
+	 * @param int $limit
+	 * @param bool $filter_staff Hide who made the bans, and don't search by it
+	 * @param array|false $board_access The moderator's boards; other boards' bans show masked IPs
+	 * @return array ['total' => how many bans match, 'bans' => the page, as in stream_json()]
+	 */
+	static public function search(array $filters, $sort, $reverse, $offset, $limit, $filter_staff = false, $board_access = false) {
+		global $config;
+
+		if ($board_access && $board_access[0] == '*') $board_access = false;
+
+		$where = [];
+		$params = [];
+
+		$in_boards = function($boards) use (&$params) {
+			$names = [];
+			foreach (array_values($boards) as $i => $board) {
+				$names[] = ":access{$i}";
+				$params[":access{$i}"] = $board;
+			}
+			return $names ? '`board` IN (' . implode(', ', $names) . ')' : '0';
+		};
+
+		if (!empty($filters['board'])) {
+			if ($filters['board'] == '*') {
+				$where[] = '`board` IS NULL';
+			} else {
+				$where[] = '`board` = :board';
+				$params[':board'] = $filters['board'];
+			}
+		}
+		if (!empty($filters['mine']) && $board_access !== false) {
+			$where[] = $in_boards($board_access);
+		}
+		if (!empty($filters['staff']) && !$filter_staff) {
+			$where[] = '`username` = :staff';
+			$params[':staff'] = $filters['staff'];
+		}
+		if (!empty($filters['reason'])) {
+			$where[] = '`reason` LIKE :reason';
+			$params[':reason'] = '%' . addcslashes($filters['reason'], '\\%_') . '%';
+		}
+		if (!empty($filters['ip'])) {
+			if (!$range = self::parse_range(uncloak_mask($filters['ip'])))
+				error(sprintf($config['error']['invalidfield'], 'IP'));
+
+			$where[] = 'LENGTH(`ipstart`) = LENGTH(:ipstart) AND `ipstart` <= :ipend AND COALESCE(`ipend`, `ipstart`) >= :ipstart';
+			$params[':ipstart'] = $range[0];
+			$params[':ipend'] = $range[1] !== false ? $range[1] : $range[0];
+
+			// Otherwise the masked IPs of other boards' bans could be found out
+			if ($board_access !== false && empty($filters['mine']))
+				$where[] = $in_boards($board_access);
+		}
+
+		$status = isset($filters['status']) ? $filters['status'] : '';
+		if (!$config['mod']['view_banexpired'])
+			$status = 'active';
+		if ($status == 'active') {
+			$where[] = '(`expires` IS NULL OR `expires` >= :now)';
+			$params[':now'] = time();
+		} elseif ($status == 'expired') {
+			$where[] = '`expires` IS NOT NULL AND `expires` < :now';
+			$params[':now'] = time();
+		}
+
+		foreach (['created', 'expires'] as $column) {
+			foreach (['from' => '>=', 'to' => '<='] as $end => $op) {
+				$key = "{$column}_{$end}";
+				if (empty($filters[$key]) || ($time = strtotime($filters[$key])) === false)
+					continue;
+				// A date on its own takes in the whole day
+				if ($end == 'to' && preg_match('/^\d{4}-\d{2}-\d{2}$/', $filters[$key]))
+					$time += 86399;
+
+				$where[] = "`$column` $op :$key";
+				$params[":$key"] = $time;
+			}
+		}
+
+		$columns = [
+			'id' => '``bans``.`id`',
+			'mask' => '`ipstart`',
+			'reason' => '`reason`',
+			'board' => '`board`',
+			'created' => '`created`',
+			'expires' => '`expires`',
+			'username' => '`username`'
+		];
+		if (!isset($columns[$sort]) || ($sort == 'username' && $filter_staff))
+			$sort = 'created';
+		$dir = $reverse ? 'DESC' : 'ASC';
+		// Permanent bans expire last
+		$order = ($sort == 'expires' ? "`expires` IS NULL $dir, " : '') . "{$columns[$sort]} $dir, ``bans``.`id` $dir";
+
+		$from = 'FROM ``bans`` LEFT JOIN ``mods`` ON ``mods``.`id` = `creator`' . ($where ? ' WHERE ' . implode(' AND ', $where) : '');
+
+		$query = prepare("SELECT COUNT(*) $from");
+		foreach ($params as $name => $value) {
+			$query->bindValue($name, $value, is_int($value) ? PDO::PARAM_INT : PDO::PARAM_STR);
+		}
+		$query->execute() or error(db_error($query));
+		$total = (int)$query->fetchColumn();
+
+		$query = prepare("SELECT ``bans``.*, `username` $from ORDER BY $order LIMIT :limit OFFSET :offset");
+		foreach ($params as $name => $value) {
+			$query->bindValue($name, $value, is_int($value) ? PDO::PARAM_INT : PDO::PARAM_STR);
+		}
+		$query->bindValue(':limit', (int)$limit, PDO::PARAM_INT);
+		$query->bindValue(':offset', (int)$offset, PDO::PARAM_INT);
+		$query->execute() or error(db_error($query));
+
+		$bans = [];
+		while ($ban = $query->fetch(PDO::FETCH_ASSOC)) {
+			$bans[] = self::json_ban($ban, false, $filter_staff, $board_access);
+		}
+
+		return ['total' => $total, 'bans' => $bans];
+	}
+
 	static public function stream_json($out = false, $filter_ips = false, $filter_staff = false, $board_access = false) {
 		$query = query("SELECT ``bans``.*, `username` FROM ``bans``
 			LEFT JOIN ``mods`` ON ``mods``.`id` = `creator`
@@ -299,35 +469,7 @@ class Bans {
 		$end = end($bans);
 
 		foreach ($bans as &$ban) {
-			$ban['mask'] = self::range_to_string([$ban['ipstart'], $ban['ipend']]);
-
-			if ($ban['post']) {
-				$post = json_decode($ban['post']);
-				$ban['message'] = isset($post->body) ? $post->body : 0;
-			}
-			unset($ban['ipstart'], $ban['ipend'], $ban['post'], $ban['creator']);
-
-			if ($board_access === false || in_array ($ban['board'], $board_access)) {
-				$ban['access'] = true;
-			}
-
-			if (filter_var($uncloaked_mask, FILTER_VALIDATE_IP) !== false) {
-				$ban['single_addr'] = true;
-			}
-			if ($filter_staff || ($board_access !== false && !in_array($ban['board'], $board_access))) {
-				$ban['username'] = '?';
-			}
-			if ($filter_ips || ($board_access !== false && !in_array($ban['board'], $board_access))) {
-				@list($ban['mask'], $subnet) = explode("/", $ban['mask']);
-				$ban['mask'] = preg_split("/[\.:]/", $ban['mask']);
-				$ban['mask'] = array_slice($ban['mask'], 0, 2);
-				$ban['mask'] = implode(".", $ban['mask']);
-				$ban['mask'] .= ".x.x";
-				if (isset ($subnet)) {
-					$ban['mask'] .= "/$subnet";
-				}
-				$ban['masked'] = true;
-			}
+			$ban = self::json_ban($ban, $filter_ips, $filter_staff, $board_access);
 
 			$json = json_encode($ban);
 			$out ? fputs($out, $json) : print($json);
@@ -391,6 +533,105 @@ class Bans {
 		return true;
 	}
 
+	/**
+	 * A ban that a moderator limited to some boards is about to change
+	 */
+	static private function find_for_change($ban_id, $boards) {
+		global $config;
+
+		$query = query("SELECT * FROM ``bans`` WHERE `id` = " . (int)$ban_id) or error(db_error());
+		if (!$ban = $query->fetch(PDO::FETCH_ASSOC))
+			return false;
+
+		if ($boards && $boards[0] != '*' && !in_array($ban['board'], $boards))
+			error($config['error']['noaccess']);
+
+		return $ban;
+	}
+
+	/**
+	 * A ban's address or range for the moderation log
+	 */
+	static private function log_mask(array $ban) {
+		$mask = self::range_to_string([$ban['ipstart'], $ban['ipend']]);
+		$cloaked_mask = cloak_mask($mask);
+		return filter_var($mask, FILTER_VALIDATE_IP) !== false ? "<a href=\"?/IP/$cloaked_mask\">$cloaked_mask</a>" : $cloaked_mask;
+	}
+
+	/**
+	 * Push a ban's expiry back. Permanent bans stay permanent, and expired ones run again from now.
+	 *
+	 * @return bool False if there is no such ban
+	 */
+	static public function extend($ban_id, $seconds, $boards = false, $dont_rebuild = false) {
+		if (!$ban = self::find_for_change($ban_id, $boards))
+			return false;
+
+		if ($ban['expires']) {
+			$expires = max((int)$ban['expires'], time()) + $seconds;
+			query("UPDATE ``bans`` SET `expires` = " . (int)$expires . " WHERE `id` = " . (int)$ban_id) or error(db_error());
+
+			modLog("Extended ban #{$ban_id} for " . self::log_mask($ban) . " by " . Format\until(time() + $seconds));
+		}
+
+		if (!$dont_rebuild) Vichan\Functions\Theme\rebuild_themes('bans');
+
+		return true;
+	}
+
+	/**
+	 * Give a ban a new reason, with markup as new_ban() does
+	 *
+	 * @return bool False if there is no such ban
+	 */
+	static public function set_reason($ban_id, $reason, $boards = false, $dont_rebuild = false) {
+		if (!$ban = self::find_for_change($ban_id, $boards))
+			return false;
+
+		$query = prepare("UPDATE ``bans`` SET `reason` = :reason WHERE `id` = :id");
+		if ($reason !== '') {
+			$reason = escape_markup_modifiers($reason);
+			markup($reason);
+			$query->bindValue(':reason', $reason);
+		} else
+			$query->bindValue(':reason', null, PDO::PARAM_NULL);
+		$query->bindValue(':id', (int)$ban_id, PDO::PARAM_INT);
+		$query->execute() or error(db_error($query));
+
+		modLog("Changed the reason of ban #{$ban_id} for " . self::log_mask($ban) . " to " . ($reason ? utf8tohtml($reason) : 'no reason'));
+
+		if (!$dont_rebuild) Vichan\Functions\Theme\rebuild_themes('bans');
+
+		return true;
+	}
+
+	/**
+	 * Turn a ban on one address into a ban on its network: the /$ipv4_bits or /$ipv6_bits around it
+	 *
+	 * @return bool False if there is no such ban, or it is a range ban already
+	 */
+	static public function widen($ban_id, $ipv4_bits, $ipv6_bits, $boards = false, $dont_rebuild = false) {
+		if (!$ban = self::find_for_change($ban_id, $boards))
+			return false;
+		if ($ban['ipend'] !== null)
+			return false;
+
+		$ip = inet_ntop($ban['ipstart']);
+		$range = self::calc_cidr($ip . '/' . (strpos($ip, ':') !== false ? (int)$ipv6_bits : (int)$ipv4_bits));
+
+		$query = prepare("UPDATE ``bans`` SET `ipstart` = :ipstart, `ipend` = :ipend WHERE `id` = :id");
+		$query->bindValue(':ipstart', $range[0]);
+		$query->bindValue(':ipend', $range[1]);
+		$query->bindValue(':id', (int)$ban_id, PDO::PARAM_INT);
+		$query->execute() or error(db_error($query));
+
+		modLog("Widened ban #{$ban_id} for " . self::log_mask($ban) . " to " . cloak_mask(self::range_to_string($range)));
+
+		if (!$dont_rebuild) Vichan\Functions\Theme\rebuild_themes('bans');
+
+		return true;
+	}
+
 	static public function new_ban($cloaked_mask, $reason, $length = false, $ban_board = false, $mod_id = false, $post = false) {
 		$mask = uncloak_mask($cloaked_mask);
 
@@ -0,0 +1,1346 @@
+<?php
+
+/*
+ *  Copyright (c) 2010-2013 Tinyboard Development Group
+ */
+
+defined('TINYBOARD') or exit;
+
+/**
+ * Bible book imports: a book's chapters become threads on its board and its verses become replies.
+ *
+ * The mod pages queue an import job; tools/worker.php runs it a few seconds at a time
+ * ($config['bible']['import_step_time']), so it carries on when the page is closed. A job goes
+ * through phases:
+ *
+ *   create   books without a board yet (canon runs): make the board
+ *   delete   fresh imports only: empty the board first
+ *   threads  one OP per chapter, all in one transaction so thread ids follow chapter order
+ *   verses   the replies, one chapter per transaction
+ *   rebuild  the board index and every chapter thread
+ *
+ * Each phase keeps what is already on the board, so a failed or cancelled job can just be run again.
+ * Job statuses: waiting, queued, running, paused, cancelled, failed and done.
+ *
+ * A run imports many books, such as the whole canon, from the dashboard wizard. Its jobs wait
+ * until the one before them has finished, so only one book is worked on at a time.
+ *
+ * bible_verify_book() checks a board against the source afterwards, and bible_repair_chapter()
+ * posts a chapter again.
+ */
+
+// Parse Bible book text from OSIS XML
+// Handles both <p> tags (most books) and <lg>/<l> tags (Psalms)
+// Handles books that start at non-1 chapters (e.g., EsthGr starts at chapter 10)
+function parseBibleBookText(string $bookURI, string $biblePath): array {
+    if (!file_exists($biblePath)) throw new Exception("Bible XML not found at $biblePath");
+
+    $xmlString = file_get_contents($biblePath);
+    // Remove namespaces to simplify XPath
+    $xmlString = preg_replace('/xmlns="[^"]+"/', '', $xmlString);
+
+    $dom = new DOMDocument();
+    $dom->preserveWhiteSpace = false;
+    $dom->formatOutput = false;
+    if (!$dom->loadXML($xmlString)) {
+        throw new Exception("Failed to parse XML");
+    }
+
+    $xpath = new DOMXPath($dom);
+
+    // Find the book node
+    $bookNodes = $xpath->query('//div[@type="book"][@osisID="'.$bookURI.'"]');
+    if ($bookNodes->length === 0) throw new Exception("Book $bookURI not found!");
+    $bookNode = $bookNodes->item(0);
+
+    $chapters = [];
+
+    // Query for both <p> and <lg> (line group) and <l> (line) tags
+    // Psalms use <lg>/<l> structure, most others use <p>
+    $containers = $xpath->query('.//p | .//lg | .//l', $bookNode);
+
+    foreach ($containers as $container) {
+        $currentChapter = null;
+        $currentVerse = null;
+        $currentText = '';
+        $collecting = false;
+
+        // Skip <p type="x-ms"> tags (these are titles/headers in Psalms)
+        if ($container->nodeName === 'p' && $container->getAttribute('type') === 'x-ms') {
+            continue;
+        }
+
+        foreach ($container->childNodes as $node) {
+            if ($node->nodeType === XML_ELEMENT_NODE) {
+                $tag = $node->nodeName;
+
+                switch ($tag) {
+                    case 'verse':
+                        $osisID = $node->getAttribute('osisID');
+                        $eID = $node->getAttribute('eID');
+
+                        if ($osisID) {
+                            // Save previous verse
+                            if ($currentChapter !== null && $currentVerse !== null && trim($currentText) !== '') {
+                                $chapters[$currentChapter][$currentVerse] = trim($currentText);
+                            }
+                            $currentText = '';
+
+                            [$book, $currentChapter, $currentVerse] = explode('.', $osisID);
+                            $currentChapter = (int)$currentChapter;
+                            $currentVerse = (int)$currentVerse;
+                            $collecting = true;
+
+                        } elseif ($eID) {
+                            // End of verse
+                            if ($currentChapter !== null && $currentVerse !== null && trim($currentText) !== '') {
+                                $chapters[$currentChapter][$currentVerse] = trim($currentText);
+                            }
+                            $currentText = '';
+                            $collecting = false;
+                            $currentChapter = null;
+                            $currentVerse = null;
+                        }
+                        break;
+
+                    case 'transChange':
+                        if ($collecting) {
+                            // Normalize whitespace inside <i> tags
+                            $text = preg_replace('/\s+/', ' ', $node->textContent);
+                            if ($currentText !== '') $currentText .= ' ';
+                            $currentText .= '<b><i>' . trim($text) . '</i></b>';
+                        }
+                        break;
+
+                    case 'l':
+                    case 'p':
+                        // Line and paragraph tags - just containers, process their children
+                        break;
+
+                    default:
+                        // Silently ignore unknown tags instead of echoing
+                        break;
+                }
+
+            } elseif ($node->nodeType === XML_TEXT_NODE && $collecting) {
+                // Normalize whitespace for text nodes
+                $text = preg_replace('/\s+/', ' ', $node->nodeValue);
+                if (trim($text) !== '') {
+                    if ($currentText !== '') $currentText .= ' ';
+                    $currentText .= trim($text);
+                }
+            }
+        }
+
+        // Store last verse in paragraph
+        if ($currentChapter !== null && $currentVerse !== null && trim($currentText) !== '') {
+            $chapters[$currentChapter][$currentVerse] = trim($currentText);
+        }
+    }
+
+    return $chapters;
+}
+
+/**
+ * The verses of a chapter that get posted: 1, 2, 3... up to the first gap
+ *
+ * @param array $verses [verse => html] from parseBibleBookText()
+ * @return array
+ */
+function bible_chapter_verses(array $verses) {
+    $posted = [];
+    for ($verse = 1; $verse <= count($verses); $verse++) {
+        if (isset($verses[$verse])) {
+            $posted[$verse] = $verses[$verse];
+        }
+    }
+    return $posted;
+}
+
+/**
+ * Post the OP of a chapter thread. Its time is 1000 - chapter, which is how chapters are told
+ * apart afterwards.
+ *
+ * @param string $bookURI
+ * @param int $chapter
+ * @param int $firstChapter The book's first chapter, whose OP carries the book title
+ * @param string $fullName
+ * @throws Exception
+ */
+function bible_insert_chapter_thread($bookURI, $chapter, $firstChapter, $fullName) {
+    if ($chapter === $firstChapter) {
+        // First chapter (could be 1, 6, 11, etc.) gets the book title as OP
+        $body = '<h2 style="text-align: center;">' . htmlspecialchars($fullName) . '</h2>';
+    } else {
+        // Subsequent chapters get a hidden placeholder OP
+        $body = '<p class="chapter-placeholder" style="display: none;">[Chapter ' . $chapter . ']</p>';
+    }
+
+    $body_nomarkup = strip_tags($body);
+    $slug = preg_replace('/[^a-zA-Z0-9]/', '', $body_nomarkup);
+    $slug = substr($slug, 0, 256); // db char limit
+
+    $query = prepare('INSERT INTO ``posts_' . $bookURI . '``
+        (thread, subject, email, name, trip, capcode, body, body_nomarkup, time, bump,
+            files, num_files, filehash, password, ip, sticky, locked, cycle, sage, embed, slug, verse)
+        VALUES
+        (NULL, NULL, NULL, NULL, NULL, NULL, :body, :body_nomarkup, :faketime, :faketime,
+            NULL, 0, NULL, SUBSTRING(MD5(RAND()),1,12), :ip, 0, 0, 0, 0, NULL, :slug, 0)');
+
+    $query->bindValue(':body', $body);
+    $query->bindValue(':body_nomarkup', $body_nomarkup);
+    $query->bindValue(':faketime', 1000 - $chapter);
+    $query->bindValue(':ip', '127.0.0.1');
+    $query->bindValue(':slug', $slug);
+
+    if (!$query->execute())
+        throw new Exception(db_error($query));
+}
+
+/**
+ * The body of a verse's post: a link with its number, then its text
+ *
+ * @param string $bookURI
+ * @param int $chapter
+ * @param int $verse
+ * @param string $text Verse html from parseBibleBookText()
+ * @return string
+ */
+function bible_verse_body($bookURI, $chapter, $verse, $text) {
+    // Add verse number link with chapter:verse format; verse 1 gets the chapter number instead
+    $prepend = '<a class="post_no ' . ($verse == 1 ? 'chapter' : 'verse') . '" id="v' . $verse . '" onclick="citeVerse(' . $chapter . ', ' . $verse . ', event)" ' .
+        'href="/' . $bookURI . '/res/' . $chapter . '.html#v' . $verse . '">' . ($verse == 1 ? $chapter : $verse) . '</a>';
+
+    return $prepend . $text;
+}
+
+/**
+ * Post one verse as a reply in its chapter thread
+ *
+ * @param string $bookURI
+ * @param int $threadId
+ * @param int $chapter
+ * @param int $verse
+ * @param string $text Verse html from parseBibleBookText()
+ * @throws Exception
+ */
+function bible_insert_verse($bookURI, $threadId, $chapter, $verse, $text) {
+    $body = bible_verse_body($bookURI, $chapter, $verse, $text);
+    $body_nomarkup = preg_replace('/<[^>]+>/', '', $body);
+    $slug = preg_replace('/[^a-zA-Z0-9]/', '', $body_nomarkup);
+    $slug = substr($slug, 0, 256); // db char limit
+
+    $query = prepare("
+        INSERT INTO ``posts_{$bookURI}``
+        (thread, subject, email, name, trip, capcode, body, body_nomarkup, time, bump,
+         files, num_files, filehash, password, ip, sticky, locked, cycle, sage, embed, slug, verse)
+        VALUES
+        (:thread, NULL, NULL, NULL, NULL, NULL, :body, :body_nomarkup, :faketime, :faketime,
+         NULL, 0, NULL, SUBSTRING(MD5(RAND()),1,12), :ip, 0, 0, 0, 0, NULL, :slug, :verse)
+    ");
+
+    $query->bindValue(':thread', $threadId);
+    $query->bindValue(':body', $body);
+    $query->bindValue(':body_nomarkup', $body_nomarkup);
+    $query->bindValue(':faketime', 1000 - $chapter - ($verse / 1000)); // Order by chapter then verse
+    $query->bindValue(':ip', '127.0.0.1');
+    $query->bindValue(':slug', $slug);
+    $query->bindValue(':verse', $verse);
+
+    if (!$query->execute())
+        throw new Exception(db_error($query));
+}
+
+/**
+ * Chapter thread ids of a book board, from the OPs' times
+ *
+ * @param string $bookURI
+ * @return array [chapter => thread id], in chapter order
+ */
+function bible_chapter_threads($bookURI) {
+    $threads = [];
+    $query = query(sprintf(
+        "SELECT `id`, `time` FROM ``posts_%s`` WHERE `thread` IS NULL ORDER BY `time` DESC",
+        $bookURI
+    )) or error(db_error());
+    while ($row = $query->fetch(PDO::FETCH_ASSOC)) {
+        $threads[1000 - (int)$row['time']] = (int)$row['id'];  // Reverse the faketime calculation
+    }
+    return $threads;
+}
+
+/**
+ * Stop the board's config.php from posting the book again on its next visit
+ *
+ * @param string $bookURI
+ */
+function bible_clear_create_all($bookURI) {
+    global $config;
+
+    $configFile = sprintf($config['board_path'], $bookURI) . 'config.php';
+    if (file_exists($configFile)) {
+        $content = file_get_contents($configFile);
+        // Replace true or 1 with false for bible_create_all
+        $content = preg_replace(
+            '/\$config\[\'bible_create_all\'\]\s*=\s*(true|1);/',
+            '$config[\'bible_create_all\'] = false;',
+            $content
+        );
+        file_put_contents($configFile, $content);
+    }
+}
+
+/**
+ * Write a Bible board's config.php
+ *
+ * @param string $bookURI
+ * @param string $title
+ * @param bool $createAll Post the book when the edit page is next opened
+ */
+function bible_write_board_config($bookURI, $title, $createAll) {
+    global $config;
+
+    // It ends up in a comment
+    $title = str_replace(["\r", "\n", '?>'], ' ', $title);
+    $createAll = $createAll ? 'true' : 'false';
+
+    $init_config = <<<INIT_PHP
+    <?php
+    // Board created for Bible chapter {$title}
+    \$config['isbible'] = true;
+    // Creation-time tmp variable. TRUE from new-board.html -> edit-board.html. FALSE after book written.
+    \$config['bible_create_all'] = $createAll;
+    // No catalog (looks ugly with "deleted" image per chapter)
+    \$config['catalog_link'] = false;
+    // 1 bible chapter per page
+    \$config['threads_per_page'] = 1;
+    // Allow all chapters of Psalms to be shown 1 per page
+    \$config['max_pages'] = 151;
+    // Allow all verses in largest chapter of Psalms to display on 1 page
+    \$config['threads_preview'] = 176;
+    INIT_PHP;
+    file_put_contents(sprintf($config['board_path'], $bookURI) . 'config.php', $init_config);
+}
+
+/**
+ * Create an empty Bible board for a book: its row in ``boards``, its posts table and its config.php
+ *
+ * @param string $bookURI
+ * @param string $title
+ * @param string $subtitle
+ * @throws Exception
+ */
+function bible_create_board($bookURI, $title, $subtitle) {
+    global $config;
+
+    $query = prepare('INSERT INTO ``boards`` VALUES (:uri, :title, :subtitle)');
+    $query->bindValue(':uri', $bookURI);
+    $query->bindValue(':title', $title);
+    $query->bindValue(':subtitle', $subtitle);
+    if (!$query->execute())
+        throw new Exception(db_error($query));
+
+    $sql = Element('posts.sql', [ 'board' => $bookURI ]);
+    if (mysql_version() < 50503)
+        $sql = preg_replace('/(CHARSET=|CHARACTER SET )utf8mb4/', '$1utf8', $sql);
+    if (!query($sql))
+        throw new Exception(db_error());
+
+    // Before openBoard(), so the board opens as a Bible board
+    $dir = sprintf($config['board_path'], $bookURI);
+    if (!file_exists($dir) && !@mkdir($dir, 0777))
+        throw new Exception(sprintf(_("Couldn't create %s. Check permissions."), $dir));
+    bible_write_board_config($bookURI, $title, false);
+
+    if ($config['cache']['enabled']) {
+        // Every variant listBoards() caches
+        foreach (['', '_uri'] as $uri) {
+            foreach (['', '_bible', '_nonbible'] as $type) {
+                Cache::delete('all_boards' . $uri . $type);
+            }
+        }
+    }
+
+    if (!openBoard($bookURI))
+        throw new Exception(_("Couldn't open board after creation."));
+
+    buildIndex();
+    Vichan\Functions\Theme\rebuild_themes('boards');
+}
+
+/**
+ * The books of the Bible index, in canonical order
+ *
+ * @return array [osisID => ['osisID', 'short', 'fullName', 'testament', 'chapters', 'verses']], where
+ *   testament is old, apo or new and verses lists each chapter's verse count, first chapter first
+ */
+function bible_index_books() {
+    global $config;
+
+    $books = [];
+    if (!file_exists($config['bible']['path_index']) || !($xml = simplexml_load_file($config['bible']['path_index'])))
+        return $books;
+
+    foreach ($xml->title as $title) {
+        $verses = (string)$title->verses;
+        $books[(string)$title['osisID']] = [
+            'osisID' => (string)$title['osisID'],
+            'short' => (string)$title['short'],
+            'fullName' => (string)$title->fullName,
+            'testament' => (string)$title['testament'],
+            'chapters' => (int)$title['chapters'],
+            'verses' => $verses === '' ? [] : array_map('intval', explode(',', $verses))
+        ];
+    }
+    return $books;
+}
+
+/**
+ * How much of a book is on its board, against the index's verse counts
+ *
+ *   missing   no board, or nothing posted on it
+ *   partial   some chapters are missing or have no verses yet
+ *   mismatch  every chapter is there but some verse counts differ, there are chapters the index
+ *             doesn't have, or the board isn't a Bible board
+ *   complete  every chapter has as many verses as the index says
+ *
+ * @param array $book An entry of bible_index_books()
+ * @return array ['status', 'board' => whether it exists, 'isbible', 'threads', 'replies', 'verses' => expected, 'note']
+ */
+function bible_book_status(array $book) {
+    $status = [
+        'status' => 'missing',
+        'board' => false,
+        'isbible' => false,
+        'threads' => 0,
+        'replies' => 0,
+        'verses' => array_sum($book['verses']),
+        'note' => ''
+    ];
+
+    if (!getBoardInfo($book['osisID']))
+        return $status;
+    $status['board'] = true;
+
+    $boardConfig = loadBoardConfig($book['osisID']);
+    if (empty($boardConfig['isbible'])) {
+        $status['status'] = 'mismatch';
+        $status['note'] = _('Not a Bible board');
+        return $status;
+    }
+    $status['isbible'] = true;
+
+    // Verses in each chapter thread, in chapter order
+    $query = query(sprintf(
+        'SELECT `op`.`time`, COUNT(`reply`.`id`) AS `replies` FROM ``posts_%1$s`` AS `op`
+            LEFT JOIN ``posts_%1$s`` AS `reply` ON `reply`.`thread` = `op`.`id`
+            WHERE `op`.`thread` IS NULL GROUP BY `op`.`id`, `op`.`time` ORDER BY `op`.`time` DESC',
+        $book['osisID']
+    )) or error(db_error());
+    $counts = [];
+    while ($row = $query->fetch(PDO::FETCH_ASSOC)) {
+        $counts[1000 - (int)$row['time']] = (int)$row['replies'];
+    }
+
+    $status['threads'] = count($counts);
+    $status['replies'] = array_sum($counts);
+
+    if (!$counts) {
+        $status['note'] = _('Nothing posted');
+        return $status;
+    }
+
+    if (count($counts) > count($book['verses'])) {
+        $status['status'] = 'mismatch';
+        $status['note'] = sprintf(_('%d chapter threads, the index has %d chapters'), count($counts), count($book['verses']));
+        return $status;
+    }
+
+    $posted = count(array_filter($counts));
+    if ($posted < count($book['verses'])) {
+        $status['status'] = 'partial';
+        $status['note'] = sprintf(_('%d of %d chapters posted'), $posted, count($book['verses']));
+        return $status;
+    }
+
+    // The index counts chapters from the book's first, which isn't always chapter 1
+    $wrong = [];
+    foreach (array_values($counts) as $i => $count) {
+        if ($count !== $book['verses'][$i])
+            $wrong[] = array_keys($counts)[$i];
+    }
+    if ($wrong) {
+        $status['status'] = 'mismatch';
+        $status['note'] = sprintf(_('Verse counts differ in chapter %s'), implode(', ', $wrong));
+        return $status;
+    }
+
+    $status['status'] = 'complete';
+    return $status;
+}
+
+/**
+ * Every book of the index with its status and latest import job, for the canon wizard
+ *
+ * @return array
+ */
+function bible_canon_status() {
+    $books = [];
+    foreach (bible_index_books() as $book) {
+        $jobs = bible_import_jobs($book['osisID'], 1);
+        $books[] = [
+            'osisID' => $book['osisID'],
+            'short' => $book['short'],
+            'testament' => $book['testament'],
+            'chapters' => $book['chapters']
+        ] + bible_book_status($book) + [
+            'job' => $jobs ? $jobs[0] : null
+        ];
+    }
+    return $books;
+}
+
+/*
+ * Import jobs
+ */
+
+/**
+ * Run a callback in a database transaction, rolling back if it throws
+ */
+function bible_import_transaction(callable $callback) {
+    global $pdo;
+
+    sql_open();
+    $pdo->beginTransaction();
+    try {
+        $callback();
+        $pdo->commit();
+    } catch (Exception $e) {
+        $pdo->rollBack();
+        throw $e;
+    }
+}
+
+/**
+ * A job as an array, or false
+ *
+ * @param int $id
+ * @return array|false
+ */
+function bible_import_job($id) {
+    $query = prepare('SELECT * FROM ``bible_import_jobs`` WHERE `id` = :id');
+    $query->bindValue(':id', (int)$id, PDO::PARAM_INT);
+    $query->execute() or error(db_error($query));
+    $job = $query->fetch(PDO::FETCH_ASSOC);
+    if (!$job)
+        return false;
+
+    foreach (['id', 'fresh', 'chapters_total', 'chapters_done', 'position', 'created', 'updated'] as $key) {
+        $job[$key] = (int)$job[$key];
+    }
+    foreach (['chapter', 'run'] as $key) {
+        $job[$key] = $job[$key] === null ? null : (int)$job[$key];
+    }
+    return $job;
+}
+
+/**
+ * The latest jobs, newest first
+ *
+ * @param string|null $board Only this board's jobs
+ * @param int $limit
+ * @return array
+ */
+function bible_import_jobs($board = null, $limit = 20) {
+    $query = prepare('SELECT `id` FROM ``bible_import_jobs``' . ($board === null ? '' : ' WHERE `board` = :board') . ' ORDER BY `id` DESC LIMIT :limit');
+    if ($board !== null)
+        $query->bindValue(':board', $board);
+    $query->bindValue(':limit', (int)$limit, PDO::PARAM_INT);
+    $query->execute() or error(db_error($query));
+
+    $jobs = [];
+    while ($id = $query->fetchColumn()) {
+        $jobs[] = bible_import_job($id);
+    }
+    return $jobs;
+}
+
+/**
+ * Whether a job still has work ahead of it
+ */
+function bible_import_active(array $job) {
+    return in_array($job['status'], ['waiting', 'queued', 'running', 'paused']);
+}
+
+/**
+ * Whether a job that is meant to be running hasn't moved for a while, most likely because
+ * tools/worker.php isn't running
+ */
+function bible_import_stalled(array $job) {
+    global $config;
+    return in_array($job['status'], ['queued', 'running']) &&
+        $job['updated'] < time() - max(60, 6 * $config['bible']['import_step_time']);
+}
+
+/**
+ * Change some of a job's columns, returning the job as it now is
+ *
+ * @param int $id
+ * @param array $changes [column => value]
+ * @return array|false
+ */
+function bible_import_update($id, array $changes) {
+    $changes['updated'] = time();
+
+    $set = [];
+    foreach (array_keys($changes) as $column) {
+        $set[] = "`$column` = :$column";
+    }
+    $query = prepare('UPDATE ``bible_import_jobs`` SET ' . implode(', ', $set) . ' WHERE `id` = :id');
+    foreach ($changes as $column => $value) {
+        $query->bindValue(":$column", $value, is_int($value) ? PDO::PARAM_INT : PDO::PARAM_STR);
+    }
+    $query->bindValue(':id', (int)$id, PDO::PARAM_INT);
+    $query->execute() or error(db_error($query));
+
+    return bible_import_job($id);
+}
+
+/**
+ * Hand a job to tools/worker.php
+ *
+ * @param int $id
+ * @return bool False if there is no queue to push to
+ */
+function bible_import_push($id) {
+    global $config;
+
+    // Without a queue driver get_queue() hands back a no-op queue that accepts everything
+    if (empty($config['queue']['enabled']))
+        return false;
+
+    $queue = Queues::get_queue($config, 'bible-import');
+    return $queue !== false && $queue->push((string)(int)$id);
+}
+
+/**
+ * The board's unfinished job, if it has one
+ *
+ * @param string $bookURI
+ * @return array|false
+ */
+function bible_import_unfinished($bookURI) {
+    foreach (bible_import_jobs($bookURI, 5) as $job) {
+        if (bible_import_active($job))
+            return $job;
+    }
+    return false;
+}
+
+/**
+ * Add a job to the table
+ *
+ * @return int Its id
+ */
+function bible_import_insert($bookURI, $status, $phase, $fresh, $username, $run = null) {
+    global $pdo;
+
+    $query = prepare('INSERT INTO ``bible_import_jobs`` (`board`, `run`, `status`, `phase`, `fresh`, `username`, `created`, `updated`)
+        VALUES (:board, :run, :status, :phase, :fresh, :username, :time, :time)');
+    $query->bindValue(':board', $bookURI);
+    $query->bindValue(':run', $run, $run === null ? PDO::PARAM_NULL : PDO::PARAM_INT);
+    $query->bindValue(':status', $status);
+    $query->bindValue(':phase', $phase);
+    $query->bindValue(':fresh', $fresh ? 1 : 0, PDO::PARAM_INT);
+    $query->bindValue(':username', $username);
+    $query->bindValue(':time', time(), PDO::PARAM_INT);
+    $query->execute() or error(db_error($query));
+
+    return (int)$pdo->lastInsertId();
+}
+
+/**
+ * Queue an import of a book onto its board. If the board already has an unfinished job, that
+ * job is returned instead.
+ *
+ * @param string $bookURI
+ * @param bool $fresh Delete the board's posts first instead of keeping what is there
+ * @param string $username The moderator who started it
+ * @return array The job
+ */
+function bible_import_start($bookURI, $fresh, $username) {
+    if ($job = bible_import_unfinished($bookURI))
+        return $job;
+
+    $id = bible_import_insert($bookURI, 'queued', $fresh ? 'delete' : 'threads', $fresh, $username);
+    if (!bible_import_push($id))
+        return bible_import_update($id, ['status' => 'failed', 'message' => _('No job queue; set $config[\'queue\'][\'enabled\']')]);
+    return bible_import_job($id);
+}
+
+/**
+ * Pause, resume, cancel or retry a job
+ *
+ * @param int $id
+ * @param string $action pause, resume, cancel or retry
+ * @return array|false The job, or false if the action doesn't apply to it now
+ */
+function bible_import_control($id, $action) {
+    $job = bible_import_job($id);
+    if (!$job)
+        return false;
+
+    switch ($action) {
+        case 'pause':
+            if (!in_array($job['status'], ['queued', 'running']))
+                return false;
+            return bible_import_update($id, ['status' => 'paused', 'message' => _('Paused')]);
+        case 'cancel':
+            if (!bible_import_active($job))
+                return false;
+            $job = bible_import_update($id, ['status' => 'cancelled', 'message' => _('Cancelled; posted chapters are kept')]);
+            // The rest of its run carries on
+            if ($job['run'])
+                bible_import_run_next($job['run']);
+            return $job;
+        case 'resume':
+            if ($job['status'] !== 'paused')
+                return false;
+            break;
+        case 'retry':
+            // Done jobs too: running it again checks every chapter and fills in what's missing
+            if (bible_import_active($job) && !bible_import_stalled($job))
+                return false;
+            // Start over from the threads; chapters already posted are skipped
+            if (!in_array($job['phase'], ['create', 'delete']))
+                $job = bible_import_update($id, ['phase' => 'threads', 'position' => 0, 'chapters_done' => 0]);
+            break;
+        default:
+            return false;
+    }
+
+    $job = bible_import_update($id, ['status' => 'queued', 'message' => '']);
+    if (!bible_import_push($id))
+        return bible_import_update($id, ['status' => 'failed', 'message' => _('No job queue; set $config[\'queue\'][\'enabled\']')]);
+    return $job;
+}
+
+/**
+ * The job's status as it is in the database right now, to notice pause and cancel requests
+ */
+function bible_import_status($id) {
+    $query = prepare('SELECT `status` FROM ``bible_import_jobs`` WHERE `id` = :id');
+    $query->bindValue(':id', (int)$id, PDO::PARAM_INT);
+    $query->execute() or error(db_error($query));
+    return $query->fetchColumn();
+}
+
+/**
+ * The book's chapters, kept between steps while the worker stays on the same book
+ */
+function bible_import_chapters($bookURI) {
+    global $config;
+    static $cached = [null, null];
+
+    if ($cached[0] !== $bookURI) {
+        $chapters = parseBibleBookText($bookURI, $config['bible']['path_full']);
+        ksort($chapters);
+        $cached = [$bookURI, $chapters];
+    }
+    return $cached[1];
+}
+
+/**
+ * Phase "create": make the board, unless it has been made meanwhile
+ */
+function bible_import_phase_create(array &$job) {
+    global $config;
+
+    if (getBoardInfo($job['board']))
+        return true;
+
+    $books = bible_index_books();
+    if (!isset($books[$job['board']]))
+        throw new Exception(sprintf(_('%s is not in the Bible index'), $job['board']));
+
+    $book = $books[$job['board']];
+    bible_create_board($job['board'], $book['short'], $book['fullName']);
+    $job = bible_import_update($job['id'], ['message' => sprintf(_('Created %s'), sprintf($config['board_abbreviation'], $job['board']))]);
+    return true;
+}
+
+/**
+ * Phase "delete": empty the board
+ */
+function bible_import_phase_delete(array &$job, array $chapters, $deadline) {
+    query(sprintf('TRUNCATE TABLE ``posts_%s``', $job['board'])) or error(db_error());
+    $job = bible_import_update($job['id'], ['message' => _('Deleted the existing posts')]);
+    return true;
+}
+
+/**
+ * Phase "threads": post every chapter's OP, unless they are all there already
+ */
+function bible_import_phase_threads(array &$job, array $chapters, $deadline) {
+    global $config;
+
+    $numbers = array_keys($chapters);
+    $existing = count(bible_chapter_threads($job['board']));
+    if ($existing == count($numbers))
+        return true;
+
+    // Thread ids have to follow chapter order, which can't be patched up afterwards
+    if ($existing > 0) {
+        throw new Exception(sprintf(_('The board has %d of the %d chapter threads; run a fresh import to replace them'),
+            $existing, count($numbers)));
+    }
+
+    $fullName = getBibleBookFullName($job['board'], $config['bible']['path_index']);
+    if (empty($fullName)) {
+        $fullName = "THE BOOK OF " . strtoupper($job['board']);
+    }
+
+    // Thread ids are the chapter numbers, so they have to start again from 1 even if the board
+    // had posts once
+    query(sprintf('TRUNCATE TABLE ``posts_%s``', $job['board'])) or error(db_error());
+
+    $firstChapter = min($numbers);
+    bible_import_transaction(function() use ($job, $numbers, $firstChapter, $fullName) {
+        foreach ($numbers as $chapter) {
+            bible_insert_chapter_thread($job['board'], $chapter, $firstChapter, $fullName);
+        }
+    });
+    $job = bible_import_update($job['id'], ['message' => sprintf(_('Posted %d chapter threads'), count($numbers))]);
+    return true;
+}
+
+/**
+ * Phase "verses": post each chapter's verses, skipping chapters that already have all of them.
+ * A chapter with some missing is posted again from scratch.
+ */
+function bible_import_phase_verses(array &$job, array $chapters, $deadline) {
+    $numbers = array_keys($chapters);
+    $threads = bible_chapter_threads($job['board']);
+
+    for ($i = $job['position']; $i < count($numbers); $i++) {
+        if (microtime(true) >= $deadline || bible_import_status($job['id']) !== 'running')
+            return false;
+
+        $chapter = $numbers[$i];
+        if (!isset($threads[$chapter]))
+            throw new Exception(sprintf(_('Thread not found for chapter %d'), $chapter));
+
+        $threadId = $threads[$chapter];
+        $verses = bible_chapter_verses($chapters[$chapter]);
+
+        $query = prepare(sprintf('SELECT COUNT(*) FROM ``posts_%s`` WHERE `thread` = :thread', $job['board']));
+        $query->bindValue(':thread', $threadId, PDO::PARAM_INT);
+        $query->execute() or error(db_error($query));
+
+        if ((int)$query->fetchColumn() !== count($verses)) {
+            bible_import_transaction(function() use ($job, $threadId, $chapter, $verses) {
+                $query = prepare(sprintf('DELETE FROM ``posts_%s`` WHERE `thread` = :thread', $job['board']));
+                $query->bindValue(':thread', $threadId, PDO::PARAM_INT);
+                if (!$query->execute())
+                    throw new Exception(db_error($query));
+
+                foreach ($verses as $verse => $text) {
+                    bible_insert_verse($job['board'], $threadId, $chapter, $verse, $text);
+                }
+            });
+        }
+
+        $job = bible_import_update($job['id'], [
+            'position' => $i + 1,
+            'chapters_done' => $i + 1,
+            'chapter' => $chapter,
+            'message' => sprintf(_('Posted chapter %d'), $chapter)
+        ]);
+    }
+    return true;
+}
+
+/**
+ * Phase "rebuild": the board index, then each chapter thread
+ */
+function bible_import_phase_rebuild(array &$job, array $chapters, $deadline) {
+    global $board;
+
+    if ($job['position'] == 0) {
+        bible_clear_create_all($job['board']);
+        buildIndex();
+    }
+
+    $threads = array_values(bible_chapter_threads($job['board']));
+    for ($i = $job['position']; $i < count($threads); $i++) {
+        if (microtime(true) >= $deadline || bible_import_status($job['id']) !== 'running')
+            return false;
+
+        buildThread($threads[$i]);
+        $job = bible_import_update($job['id'], [
+            'position' => $i + 1,
+            'message' => sprintf(_('Rebuilt %d of %d chapter pages'), $i + 1, count($threads))
+        ]);
+    }
+
+    Vichan\Functions\Theme\rebuild_themes('post-thread', $board['uri']);
+    return true;
+}
+
+/**
+ * Do a few seconds of a job. Called by tools/worker.php.
+ *
+ * @param int $id
+ * @return bool Whether the job has work left and should be queued again
+ */
+function bible_import_step($id) {
+    global $config;
+
+    $phases = ['create' => 'threads', 'delete' => 'threads', 'threads' => 'verses', 'verses' => 'rebuild', 'rebuild' => false];
+
+    // Only queued jobs start; a pause or cancel since it was queued wins. So does another worker
+    // (or a second queue entry for the same job) that got here first.
+    $query = prepare('UPDATE ``bible_import_jobs`` SET `status` = \'running\' WHERE `id` = :id AND `status` = \'queued\'');
+    $query->bindValue(':id', (int)$id, PDO::PARAM_INT);
+    $query->execute() or error(db_error($query));
+    if ($query->rowCount() !== 1)
+        return false;
+
+    $job = bible_import_job($id);
+    if (!$job)
+        return false;
+
+    $deadline = microtime(true) + $config['bible']['import_step_time'];
+
+    try {
+        // There is no board to open until this is done
+        if ($job['phase'] === 'create') {
+            bible_import_phase_create($job);
+            $job = bible_import_update($id, ['phase' => 'threads', 'position' => 0]);
+        }
+
+        if (!openBoard($job['board']) || empty($config['isbible']))
+            throw new Exception(sprintf(_('/%s/ is not a Bible board'), $job['board']));
+
+        $chapters = bible_import_chapters($job['board']);
+        if (!$chapters)
+            throw new Exception(sprintf(_('No chapters found for %s'), $job['board']));
+        if ($job['chapters_total'] != count($chapters))
+            $job = bible_import_update($id, ['chapters_total' => count($chapters)]);
+
+        while (call_user_func_array('bible_import_phase_' . $job['phase'], [&$job, $chapters, $deadline])) {
+            $next = $phases[$job['phase']];
+            if ($next === false) {
+                bible_import_update($id, [
+                    'status' => 'done',
+                    'chapter' => null,
+                    'message' => sprintf(_('Posted %d chapters'), count($chapters))
+                ]);
+                if ($job['run'])
+                    bible_import_run_next($job['run']);
+                return false;
+            }
+            $job = bible_import_update($id, ['phase' => $next, 'position' => 0]);
+            if (microtime(true) >= $deadline)
+                break;
+        }
+    } catch (Exception $e) {
+        bible_import_update($id, ['status' => 'failed', 'message' => $e->getMessage()]);
+        // One book failing doesn't hold up the rest of the run
+        if ($job['run'])
+            bible_import_run_next($job['run']);
+        return false;
+    }
+
+    // Out of time: back in the queue, unless it was paused or cancelled meanwhile
+    $query = prepare('UPDATE ``bible_import_jobs`` SET `status` = \'queued\' WHERE `id` = :id AND `status` = \'running\'');
+    $query->bindValue(':id', (int)$id, PDO::PARAM_INT);
+    $query->execute() or error(db_error($query));
+    return $query->rowCount() === 1;
+}
+
+
+/*
+ * Runs
+ */
+
+/**
+ * Import several books, one after another. Books without a board get one; complete books and
+ * boards that already have an unfinished job are left alone.
+ *
+ * @param array $bookURIs
+ * @param string $username The moderator who started it
+ * @return array|false The run, or false if none of the books needed importing
+ */
+function bible_import_start_run(array $bookURIs, $username) {
+    global $pdo;
+
+    $query = prepare('INSERT INTO ``bible_import_runs`` (`username`, `created`) VALUES (:username, :time)');
+    $query->bindValue(':username', $username);
+    $query->bindValue(':time', time(), PDO::PARAM_INT);
+    $query->execute() or error(db_error($query));
+    $run = (int)$pdo->lastInsertId();
+
+    // In canonical order, whatever order they were picked in
+    $added = 0;
+    foreach (bible_index_books() as $bookURI => $book) {
+        if (!in_array($bookURI, $bookURIs, true))
+            continue;
+
+        $status = bible_book_status($book);
+        if ($status['status'] === 'complete' || ($status['board'] && !$status['isbible']) || bible_import_unfinished($bookURI))
+            continue;
+
+        bible_import_insert($bookURI, 'waiting', $status['board'] ? 'threads' : 'create', false, $username, $run);
+        $added++;
+    }
+
+    if (!$added) {
+        $query = prepare('DELETE FROM ``bible_import_runs`` WHERE `id` = :id');
+        $query->bindValue(':id', $run, PDO::PARAM_INT);
+        $query->execute() or error(db_error($query));
+        return false;
+    }
+
+    bible_import_run_next($run);
+    return bible_import_run($run);
+}
+
+/**
+ * A run and its jobs, or false
+ *
+ * @param int $id
+ * @return array|false ['id', 'username', 'created', 'jobs', 'counts' => [status => jobs]]
+ */
+function bible_import_run($id) {
+    $query = prepare('SELECT * FROM ``bible_import_runs`` WHERE `id` = :id');
+    $query->bindValue(':id', (int)$id, PDO::PARAM_INT);
+    $query->execute() or error(db_error($query));
+    $run = $query->fetch(PDO::FETCH_ASSOC);
+    if (!$run)
+        return false;
+
+    $run['id'] = (int)$run['id'];
+    $run['created'] = (int)$run['created'];
+
+    $query = prepare('SELECT `id` FROM ``bible_import_jobs`` WHERE `run` = :run ORDER BY `id`');
+    $query->bindValue(':run', $run['id'], PDO::PARAM_INT);
+    $query->execute() or error(db_error($query));
+
+    $run['jobs'] = [];
+    while ($jobId = $query->fetchColumn()) {
+        $run['jobs'][] = bible_import_job($jobId);
+    }
+    $run['counts'] = array_count_values(array_column($run['jobs'], 'status'));
+    return $run;
+}
+
+/**
+ * The most recent run, or false
+ */
+function bible_import_latest_run() {
+    $query = query('SELECT `id` FROM ``bible_import_runs`` ORDER BY `id` DESC LIMIT 1') or error(db_error());
+    $id = $query->fetchColumn();
+    return $id ? bible_import_run($id) : false;
+}
+
+/**
+ * Queue a run's next waiting job, unless one of its jobs is queued or running already
+ *
+ * @param int $run
+ */
+function bible_import_run_next($run) {
+    $query = prepare('SELECT `id`, `status` FROM ``bible_import_jobs`` WHERE `run` = :run AND `status` IN (\'waiting\', \'queued\', \'running\') ORDER BY `id`');
+    $query->bindValue(':run', (int)$run, PDO::PARAM_INT);
+    $query->execute() or error(db_error($query));
+    $jobs = $query->fetchAll(PDO::FETCH_ASSOC);
+
+    foreach ($jobs as $job) {
+        if ($job['status'] !== 'waiting')
+            return;
+    }
+    if (!$jobs)
+        return;
+
+    $id = (int)$jobs[0]['id'];
+    bible_import_update($id, ['status' => 'queued']);
+    if (!bible_import_push($id)) {
+        bible_import_update($id, ['status' => 'failed', 'message' => _('No job queue; set $config[\'queue\'][\'enabled\']')]);
+        bible_import_run_next($run);
+    }
+}
+
+/**
+ * Pause, resume, cancel or retry a whole run
+ *
+ *   pause    its current job; the waiting ones stay waiting
+ *   resume   its paused jobs
+ *   cancel   every unfinished job
+ *   retry    its failed and cancelled jobs, back in line
+ *
+ * @param int $id
+ * @param string $action
+ * @return array|false The run, or false if the action doesn't apply to any of its jobs
+ */
+function bible_import_run_control($id, $action) {
+    $run = bible_import_run($id);
+    if (!$run)
+        return false;
+
+    $changed = false;
+    // Last first, so cancelling the current job doesn't start the next
+    foreach (array_reverse($run['jobs']) as $job) {
+        switch ($action) {
+            case 'pause':
+                $applies = in_array($job['status'], ['queued', 'running']);
+                break;
+            case 'resume':
+                $applies = $job['status'] === 'paused';
+                break;
+            case 'cancel':
+                $applies = bible_import_active($job);
+                break;
+            case 'retry':
+                if (in_array($job['status'], ['failed', 'cancelled'])) {
+                    bible_import_update($job['id'], [
+                        'status' => 'waiting',
+                        'phase' => in_array($job['phase'], ['create', 'delete']) ? $job['phase'] : 'threads',
+                        'position' => 0,
+                        'chapters_done' => 0,
+                        'message' => ''
+                    ]);
+                    $changed = true;
+                }
+                continue 2;
+            default:
+                return false;
+        }
+
+        if ($applies && bible_import_control($job['id'], $action))
+            $changed = true;
+    }
+
+    if (!$changed)
+        return false;
+
+    if ($action === 'retry')
+        bible_import_run_next($id);
+    return bible_import_run($id);
+}
+
+
+/*
+ * Integrity checks
+ */
+
+/**
+ * Compare every post on a Bible board with the OSIS source. Issues, by chapter:
+ *
+ *   no_thread  the chapter has no thread
+ *   thread_id  its thread's id isn't the chapter number, so /book/res/N.html links miss it
+ *   missing    a verse isn't posted
+ *   extra      a verse the source doesn't have is posted
+ *   duplicate  a verse is posted more than once; the first post is the one checked
+ *   drift      a verse's text isn't the source's
+ *   order      a verse's post id is lower than the verse's before it
+ *
+ * Threads for chapters the source doesn't have, and second threads for a chapter, are listed apart.
+ *
+ * @param string $bookURI
+ * @return array ['board', 'chapters' => [['chapter', 'thread', 'verses', 'issues']], 'extra_threads', 'verses', 'issues']
+ * @throws Exception If the source can't be read or doesn't have the book
+ */
+function bible_verify_book($bookURI) {
+    global $config;
+
+    $source = parseBibleBookText($bookURI, $config['bible']['path_full']);
+    ksort($source);
+
+    $threads = [];
+    $extraThreads = [];
+    $replies = [];
+    $query = query(sprintf(
+        'SELECT `id`, `thread`, `time`, `verse`, `body`, `body_nomarkup` FROM ``posts_%s`` ORDER BY `id`',
+        $bookURI
+    )) or error(db_error());
+    while ($post = $query->fetch(PDO::FETCH_ASSOC)) {
+        $post['id'] = (int)$post['id'];
+        if ($post['thread'] !== null) {
+            $replies[(int)$post['thread']][] = $post;
+            continue;
+        }
+
+        $chapter = 1000 - (int)$post['time'];
+        if (!isset($source[$chapter])) {
+            $extraThreads[] = ['chapter' => $chapter, 'thread' => $post['id'], 'reason' => _('Not a chapter of the source')];
+        } elseif (isset($threads[$chapter])) {
+            $extraThreads[] = ['chapter' => $chapter, 'thread' => $post['id'], 'reason' => sprintf(_('Second thread for chapter %d'), $chapter)];
+        } else {
+            $threads[$chapter] = $post['id'];
+        }
+    }
+
+    $report = ['board' => $bookURI, 'chapters' => [], 'extra_threads' => $extraThreads, 'verses' => 0, 'issues' => count($extraThreads)];
+    foreach ($source as $chapter => $verses) {
+        $verses = bible_chapter_verses($verses);
+        $result = bible_verify_chapter($bookURI, $chapter, $verses,
+            isset($threads[$chapter]) ? $threads[$chapter] : null,
+            isset($threads[$chapter], $replies[$threads[$chapter]]) ? $replies[$threads[$chapter]] : []);
+
+        $report['chapters'][] = $result;
+        $report['verses'] += count($verses);
+        $report['issues'] += count($result['issues']);
+    }
+    return $report;
+}
+
+/**
+ * Compare one chapter's posts with its verses
+ *
+ * @param string $bookURI
+ * @param int $chapter
+ * @param array $verses [verse => html] from bible_chapter_verses()
+ * @param int|null $threadId
+ * @param array $posts The thread's replies, by id
+ * @return array ['chapter', 'thread', 'verses', 'issues'], as in bible_verify_book()
+ */
+function bible_verify_chapter($bookURI, $chapter, array $verses, $threadId, array $posts) {
+    $result = ['chapter' => $chapter, 'thread' => $threadId, 'verses' => count($verses), 'issues' => []];
+
+    if ($threadId === null) {
+        $result['issues'][] = ['type' => 'no_thread'];
+        return $result;
+    }
+    if ($threadId !== $chapter)
+        $result['issues'][] = ['type' => 'thread_id', 'thread' => $threadId];
+
+    $posted = [];
+    $duplicates = [];
+    foreach ($posts as $post) {
+        $verse = (int)$post['verse'];
+        if (isset($posted[$verse])) {
+            $duplicates[$verse][] = $post['id'];
+        } else {
+            $posted[$verse] = $post;
+        }
+    }
+
+    $previous = 0;
+    foreach ($verses as $verse => $text) {
+        if (!isset($posted[$verse])) {
+            $result['issues'][] = ['type' => 'missing', 'verse' => $verse, 'expected' => strip_tags($text)];
+            continue;
+        }
+
+        $post = $posted[$verse];
+        $expected = bible_verse_body($bookURI, $chapter, $verse, $text);
+        if ($post['body'] !== $expected) {
+            $result['issues'][] = [
+                'type' => 'drift',
+                'verse' => $verse,
+                'post' => $post['id'],
+                'posted' => $post['body_nomarkup'],
+                'expected' => preg_replace('/<[^>]+>/', '', $expected)
+            ];
+        }
+        if ($post['id'] < $previous)
+            $result['issues'][] = ['type' => 'order', 'verse' => $verse, 'post' => $post['id'], 'after' => $previous];
+        $previous = $post['id'];
+
+        if (isset($duplicates[$verse]))
+            $result['issues'][] = ['type' => 'duplicate', 'verse' => $verse, 'post' => $post['id'], 'posts' => $duplicates[$verse]];
+    }
+
+    foreach ($posted as $verse => $post) {
+        if (!isset($verses[$verse]))
+            $result['issues'][] = ['type' => 'extra', 'verse' => $verse, 'post' => $post['id'], 'posted' => $post['body_nomarkup']];
+    }
+
+    return $result;
+}
+
+/**
+ * Post a chapter again from the source. Its thread is posted if it's missing and moved to the
+ * chapter's number if nothing else has that id; its replies are deleted and the verses posted
+ * in order. The board has to be open and have no unfinished import.
+ *
+ * @param string $bookURI
+ * @param int $chapter
+ * @return array What was done, one sentence each
+ * @throws Exception
+ */
+function bible_repair_chapter($bookURI, $chapter) {
+    global $config, $board, $pdo;
+
+    // The import would post over the repair, or trip over the thread it moved
+    if ($job = bible_import_unfinished($bookURI))
+        throw new Exception(sprintf(_('/%s/ has an import that is %s; let it finish or cancel it first'), $bookURI, $job['status']));
+
+    $source = parseBibleBookText($bookURI, $config['bible']['path_full']);
+    ksort($source);
+    if (!isset($source[$chapter]))
+        throw new Exception(sprintf(_('Chapter %d is not in the source'), $chapter));
+    $verses = bible_chapter_verses($source[$chapter]);
+
+    $query = prepare(sprintf('SELECT `id` FROM ``posts_%s`` WHERE `thread` IS NULL AND `time` = :time ORDER BY `id` LIMIT 1', $bookURI));
+    $query->bindValue(':time', 1000 - $chapter, PDO::PARAM_INT);
+    $query->execute() or error(db_error($query));
+    $threadId = $query->fetchColumn();
+    $threadId = $threadId === false ? null : (int)$threadId;
+
+    $done = [];
+    $movedFrom = null;
+    bible_import_transaction(function() use ($bookURI, $chapter, $verses, $source, &$threadId, &$movedFrom, &$done, $pdo, $config) {
+        if ($threadId === null) {
+            $fullName = getBibleBookFullName($bookURI, $config['bible']['path_index']);
+            if (empty($fullName)) {
+                $fullName = "THE BOOK OF " . strtoupper($bookURI);
+            }
+            bible_insert_chapter_thread($bookURI, $chapter, min(array_keys($source)), $fullName);
+            $threadId = (int)$pdo->lastInsertId();
+            $done[] = sprintf(_('Posted the missing thread as %d'), $threadId);
+        }
+
+        if ($threadId !== $chapter) {
+            $query = prepare(sprintf('SELECT COUNT(*) FROM ``posts_%s`` WHERE `id` = :id', $bookURI));
+            $query->bindValue(':id', $chapter, PDO::PARAM_INT);
+            if (!$query->execute())
+                throw new Exception(db_error($query));
+
+            if ($query->fetchColumn()) {
+                $done[] = sprintf(_('Post %d is in the way of moving thread %d to its chapter number; a fresh import of the book fixes that'), $chapter, $threadId);
+            } else {
+                foreach (['UPDATE ``posts_%s`` SET `id` = :to WHERE `id` = :from', 'UPDATE ``posts_%s`` SET `thread` = :to WHERE `thread` = :from'] as $sql) {
+                    $query = prepare(sprintf($sql, $bookURI));
+                    $query->bindValue(':to', $chapter, PDO::PARAM_INT);
+                    $query->bindValue(':from', $threadId, PDO::PARAM_INT);
+                    if (!$query->execute())
+                        throw new Exception(db_error($query));
+                }
+                $done[] = sprintf(_('Moved thread %d to %d'), $threadId, $chapter);
+                $movedFrom = $threadId;
+                $threadId = $chapter;
+            }
+        }
+
+        $query = prepare(sprintf('DELETE FROM ``posts_%s`` WHERE `thread` = :thread', $bookURI));
+        $query->bindValue(':thread', $threadId, PDO::PARAM_INT);
+        if (!$query->execute())
+            throw new Exception(db_error($query));
+
+        foreach ($verses as $verse => $text) {
+            bible_insert_verse($bookURI, $threadId, $chapter, $verse, $text);
+        }
+        $done[] = sprintf(_('Posted %d verses'), count($verses));
+    });
+
+    if ($movedFrom !== null) {
+        file_unlink($board['dir'] . $config['dir']['res'] . sprintf($config['file_page'], $movedFrom));
+        file_unlink($board['dir'] . $config['dir']['res'] . sprintf($config['file_page50'], $movedFrom));
+        file_unlink($board['dir'] . $config['dir']['res'] . sprintf('%d.json', $movedFrom));
+    }
+    buildThread($threadId);
+    buildIndex();
+
+    return $done;
+}
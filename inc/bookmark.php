@@ -1,28 +1,150 @@
 <?php
+/*
+ * bookmark.php - named bookmarks stored in the vichan_bookmarks cookie
+ *
+ * Actions (POST):
+ *   set     post_id, post_link[, name]  add a bookmark (or rename it if the link is already bookmarked)
+ *   rename  post_link, name             rename an existing bookmark
+ *   delete  post_link                   remove one bookmark (all of them if post_link is empty)
+ *   migrate                             rewrite the cookie, converting the old single vichan_bookmark
+ */
 if ($_SERVER['REQUEST_METHOD'] !== 'POST') {
     http_response_code(405);
     exit;
 }
 
+// Cookies are capped at 4KB, so keep the list short and the names brief
+$maxBookmarks = 20;
+$maxNameLength = 40;
+// Bytes the encoded list may take, leaving room for the cookie's name and attributes within 4KB.
+// Long links can reach this before $maxBookmarks; the oldest bookmarks make way then.
+$maxCookieBytes = 3800;
+
 $postId = isset($_POST['post_id']) ? $_POST['post_id'] : null;
 $postLink = isset($_POST['post_link']) ? $_POST['post_link'] : null;
+$name = isset($_POST['name']) ? trim($_POST['name']) : '';
 $action = isset($_POST['action']) ? $_POST['action'] : 'set';
 
 $domain = $_SERVER['HTTP_HOST'];
 
+function bookmarkDefaultName($link, $id) {
+    if (preg_match('/\/([^\/]+)\/res\/(\d+)\.html/', $link, $m))
+        return $m[1] . ' ' . $m[2] . ' #' . $id;
+    return '#' . $id;
+}
+
+function bookmarkCookieBytes($bookmarks) {
+    return strlen(rawurlencode(json_encode($bookmarks)));
+}
+
+function bookmarkSetCookie($name, $value, $maxAge) {
+    global $domain;
+    header('Set-Cookie: ' . $name . '=' . rawurlencode($value) . '; Domain=' . $domain . '; Path=/; Max-Age=' . $maxAge . '; Secure; SameSite=Lax', false);
+}
+
+// Load the current list, migrating the legacy single bookmark if that is all there is
+$bookmarks = [];
+if (isset($_COOKIE['vichan_bookmarks'])) {
+    $decoded = json_decode($_COOKIE['vichan_bookmarks'], true);
+    if (is_array($decoded))
+        $bookmarks = array_values(array_filter($decoded, function($b) {
+            return is_array($b) && isset($b['link'], $b['id']);
+        }));
+} elseif (isset($_COOKIE['vichan_bookmark'])) {
+    $legacy = json_decode($_COOKIE['vichan_bookmark'], true);
+    if (is_array($legacy) && isset($legacy['link'], $legacy['id'])) {
+        $bookmarks[] = [
+            'name' => bookmarkDefaultName($legacy['link'], $legacy['id']),
+            'link' => $legacy['link'],
+            'id' => $legacy['id'],
+            'timestamp' => isset($legacy['timestamp']) ? $legacy['timestamp'] : time() * 1000
+        ];
+    }
+}
+$legacyPresent = isset($_COOKIE['vichan_bookmark']);
+
+$index = null;
+foreach ($bookmarks as $i => $b) {
+    if ($postLink !== null && $b['link'] === $postLink) {
+        $index = $i;
+        break;
+    }
+}
+
+if ($name !== '')
+    $name = mb_substr($name, 0, $maxNameLength);
+
 if ($action === 'delete') {
-    header('Set-Cookie: vichan_bookmark=; Domain=' . $domain . '; Path=/; Max-Age=0; Secure; SameSite=Lax', false);
-    echo json_encode(['success' => true, 'action' => 'deleted']);
-} else if ($postId && $postLink) {
-    $bookmarkData = [
-        'link' => $postLink,
-        'id' => $postId,
-        'timestamp' => time() * 1000
-    ];
-    $encoded = json_encode($bookmarkData);
-    header('Set-Cookie: vichan_bookmark=' . urlencode($encoded) . '; Domain=' . $domain . '; Path=/; Max-Age=31536000; Secure; SameSite=Lax', false);
-    echo json_encode(['success' => true, 'action' => 'set', 'bookmark' => $bookmarkData]);
-} else {
+    if ($postLink) {
+        if ($index !== null)
+            array_splice($bookmarks, $index, 1);
+    } else {
+        $bookmarks = [];
+    }
+} elseif ($action === 'rename') {
+    if ($index === null || $name === '') {
+        http_response_code(400);
+        echo json_encode(['error' => $index === null ? 'No such bookmark' : 'Missing name']);
+        exit;
+    }
+    $bookmarks[$index]['name'] = $name;
+} elseif ($action === 'set') {
+    if (!$postId || !$postLink) {
+        http_response_code(400);
+        echo json_encode(['error' => 'Missing parameters']);
+        exit;
+    }
+    if ($index !== null) {
+        if ($name !== '')
+            $bookmarks[$index]['name'] = $name;
+    } else {
+        if (count($bookmarks) >= $maxBookmarks) {
+            http_response_code(400);
+            echo json_encode(['error' => 'You can keep at most ' . $maxBookmarks . ' bookmarks. Delete one first.']);
+            exit;
+        }
+        $bookmarks[] = [
+            'name' => $name !== '' ? $name : bookmarkDefaultName($postLink, $postId),
+            'link' => $postLink,
+            'id' => $postId,
+            'timestamp' => time() * 1000
+        ];
+    }
+} elseif ($action !== 'migrate') {
     http_response_code(400);
-    echo json_encode(['error' => 'Missing parameters']);
+    echo json_encode(['error' => 'Unknown action']);
+    exit;
 }
+
+// Over budget: drop the oldest, never the one just set or renamed
+$dropped = [];
+while (!empty($bookmarks) && bookmarkCookieBytes($bookmarks) > $maxCookieBytes) {
+    $oldest = null;
+    $oldestTime = 0;
+    foreach ($bookmarks as $i => $b) {
+        if ($b['link'] === $postLink)
+            continue;
+        $time = isset($b['timestamp']) ? $b['timestamp'] : 0;
+        if ($oldest === null || $time < $oldestTime) {
+            $oldest = $i;
+            $oldestTime = $time;
+        }
+    }
+    if ($oldest === null) {
+        http_response_code(400);
+        echo json_encode(['error' => 'This bookmark is too long to keep in a cookie.']);
+        exit;
+    }
+    $dropped[] = isset($bookmarks[$oldest]['name']) ? $bookmarks[$oldest]['name'] : $bookmarks[$oldest]['link'];
+    array_splice($bookmarks, $oldest, 1);
+}
+
+if (empty($bookmarks))
+    bookmarkSetCookie('vichan_bookmarks', '', 0);
+else
+    bookmarkSetCookie('vichan_bookmarks', json_encode($bookmarks), 31536000);
+
+if ($legacyPresent)
+    bookmarkSetCookie('vichan_bookmark', '', 0);
+
+echo json_encode(['success' => true, 'action' => $action, 'bookmarks' => $bookmarks, 'dropped' => $dropped]);
@@ -752,6 +752,14 @@
 	// will significantly impact performance when enabled.
 	$config['always_regenerate_markup'] = false;
 
+	// Let js/markup-preview.js fetch the rules above (the plain pattern => replacement ones; callbacks
+	// like the dice roll can't run in a browser) and ask markup-preview.php for an exact render of a
+	// post body, cites and wordfilters included. Without it the preview only knows the default rules.
+	$config['markup_preview']['enabled'] = false;
+
+	// Most server renders one IP address may ask markup-preview.php for: [ requests, minutes ].
+	$config['markup_preview']['requests_per_minutes'] = [ 15, 2 ];
+
 /*
  * ====================
  *  Image settings
@@ -1274,6 +1282,7 @@
 
 		// Moderator errors
 		'toomanyunban'	=> _('You are only allowed to unban %s users at a time. You tried to unban %u users.'),
+		'toomanybulkban'	=> _('You are only allowed to change %s bans at a time. You tried to change %u bans.'),
 		'invalid'		=> _('Invalid username and/or password.'),
 		'insecure'		=> _('Login on insecure connections is disabled.'),
 		'notamod'		=> _('You are not a mod…'),
@@ -1348,6 +1357,9 @@
 	$config['file_mod_confim'] = 'mod/confirm.html';
 	$config['file_mod_board'] = 'mod/board.html';
 	$config['file_mod_board_bible'] = 'mod/board-bible.html'; // h2ochan custom
+	$config['file_mod_bible_translations'] = 'mod/bible-translations.html'; // h2ochan custom
+	$config['file_mod_bible_canon'] = 'mod/bible-canon.html'; // h2ochan custom
+	$config['file_mod_bible_verify'] = 'mod/bible-verify.html'; // h2ochan custom
 	$config['file_mod_news'] = 'mod/news.html';
 	$config['file_mod_log'] = 'mod/log.html';
 
@@ -1374,6 +1386,7 @@
 	$config['file_mod_rebuild'] = 'mod/rebuild.html';
 	$config['file_mod_report'] = 'mod/report.html';
 	$config['file_mod_reports'] = 'mod/reports.html';
+	$config['file_mod_report_item'] = 'mod/report_item.html';
 	$config['file_mod_recent_posts'] = 'mod/recent_posts.html';
 
 	$config['file_mod_config_editor'] = 'mod/config-editor.html';
@@ -1523,6 +1536,8 @@
 	$config['mod'] = [
 		// Limit how many bans can be removed via the ban list. Set to false (or zero) for no limit.
 		'unban_limit' => false,
+		// Limit how many bans can be extended, given a new reason or widened at once from the ban list.
+		'bulk_ban_limit' => false,
 		// Whether or not to lock moderator sessions to IP addresses. This makes cookie theft less effective.
 		'lock_ip' => true,
 		// The page that is first shown when a moderator logs in. Defaults to the dashboard (?/).
@@ -1533,6 +1548,12 @@
 		'ip_recentposts' => 5,
 		// Number of posts to display on the reports page.
 		'recent_reports' => 10,
+		// How many replies before a reported reply to show with it, after the OP. Set to zero to show none.
+		'report_context' => 2,
+		// How often the reports page checks for new reports, in seconds.
+		'report_poll' => 10,
+		// How long the reports page waits before acting, so that a dismissal or deletion can be undone (seconds).
+		'report_undo' => 5,
 		// Number of actions to show per page in the moderation log.
 		'modlog_page' => 350,
 		// Number of bans to show per page in the ban list.
@@ -1863,6 +1884,14 @@
 		'search_limit' => 100,
 	];
 
+	// Bible verse search (bible-search.php). Shares the rate limits above.
+	$config['bible_search'] = [
+		// Enable the verse search form
+		'enable' => true,
+		// Limit of verses shown per search
+		'search_limit' => 500,
+	];
+
 	// Enable search in the board index.
 	$config['board_search'] = false;
 
@@ -1902,6 +1931,10 @@
 
 	// Whether or not to enable the 4chan-compatible API, disabled by default. See
 	// https://github.com/4chan/4chan-API for API specification.
+	//
+	// Bible boards ($config['isbible']) write no board page json: {board}/N.json is chapter N with its
+	// verses there, and {board}/bible.json describes the book. Read their pages from catalog.json or
+	// threads.json instead.
 	$config['api']['enabled'] = true;
 
 	// Extra fields in to be shown in the array that are not in the 4chan-API. You can get these by taking a
@@ -1909,6 +1942,68 @@
 	// Example: Adding the pre-markup post body to the API as "com_nomarkup".
 	// $config['api']['extra_fields'] = array('body_nomarkup' => 'com_nomarkup');
 
+/*
+ * ====================
+ *  Live updates
+ * ====================
+ */
+
+	// Push new posts, edits, deletions and thread state changes to open threads and the watch list through
+	// live.php (Server-Sent Events, with a long-poll fallback) instead of refetching whole pages.
+	// Clients need js/live-updates.js in $config['additional_javascript'].
+	//
+	// Every open thread holds one PHP worker (php-fpm child, Apache process) for up to
+	// $config['live']['timeout'] seconds at a time, so size your worker pool for your concurrent
+	// readers before turning this on. While it is off, posting doesn't record events either.
+	$config['live']['enabled'] = false;
+	// $config['additional_javascript'][] = 'js/live-updates.js';
+
+	// How long, in seconds, one live.php request (SSE stream or long-poll) is held open. Keep this
+	// below your web server's and PHP's request timeouts.
+	$config['live']['timeout'] = 30;
+
+	// How often, in seconds, an open live.php request checks for new events.
+	$config['live']['poll_interval'] = 1;
+
+	// How long, in seconds, events are kept. Clients that were away for longer are told to reload.
+	$config['live']['event_lifetime'] = 3600;
+
+/*
+ * ====================
+ *  Profile sync
+ * ====================
+ */
+
+	// Let users keep their settings, watched threads and filters in step across devices with
+	// js/profile-sync.js. The browser encrypts everything with a passphrase the user picks before
+	// sending it to profile-sync.php; the server only keeps the encrypted blob, under an id derived
+	// from that passphrase. There are no accounts.
+	$config['profile_sync']['enabled'] = false;
+
+	// Most requests one IP address may make to profile-sync.php: [ requests, minutes ].
+	$config['profile_sync']['requests_per_minutes'] = [ 30, 2 ];
+
+	// Most profiles one IP address may create and keep. Further new ids are refused until some
+	// expire or are deleted.
+	$config['profile_sync']['max_per_ip'] = 5;
+
+	// Largest encrypted profile accepted, in bytes.
+	$config['profile_sync']['max_size'] = 512 * 1024;
+
+	// Profiles not synced for this many seconds are deleted.
+	$config['profile_sync']['lifetime'] = 180 * 86400;
+
+/*
+ * ====================
+ *  Bible import
+ * ====================
+ */
+
+	// Books are posted onto their boards by tools/worker.php, which needs $config['queue']['enabled'].
+	// It works on an import a few seconds at a time so other queued work keeps moving; this is how
+	// many seconds one go may take.
+	$config['bible']['import_step_time'] = 5;
+
 /*
  * ==================
  *  NNTPChan settings
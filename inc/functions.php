@@ -79,6 +79,9 @@ function loadConfig() {
 			'cache',
 			'lock',
 			'queue',
+			'live',
+			'profile_sync',
+			'markup_preview',
 			'cookies',
 			'error',
 			'dir',
@@ -247,6 +250,10 @@ function loadConfig() {
 		if (in_array('webm', $config['allowed_ext_files']) || in_array('mp4',  $config['allowed_ext_files'])) {
 			event_handler('post', 'postHandler');
 		}
+
+		if ($config['live']['enabled']) {
+			live_register_handlers();
+		}
 	}
 	// Effectful config processing below:
 
@@ -897,6 +904,161 @@ function buildBibleBookLookup($bible_path_index) {
     return $cached;
 }
 
+/**
+ * Parse and validate the chapter:verse part of a Bible reference
+ * Supports: whole chapters (53), verses (3:16), ranges (8:28-39),
+ * cross-chapter ranges (1:1-2:3) and comma lists (23:1,4,6 or 23:1-3,5)
+ *
+ * @param string $osisID The OSIS ID of the book
+ * @param int $chapter The chapter number
+ * @param string|null $verseSpec Everything after the colon, or null for a whole chapter
+ * @param array $bookInfo The book's entry in buildBibleBookLookup()['verseCounts']
+ * @return array|null ['link' => URL of the first verse or chapter, 'ref' => space-separated osisRefs], or null if invalid
+ */
+function parseBibleReference($osisID, $chapter, $verseSpec, $bookInfo) {
+    $chapter = (int)$chapter;
+    if ($chapter < 1 || $chapter > $bookInfo['chapters'] || !isset($bookInfo['verses'][$chapter])) {
+        return null;
+    }
+
+    // Whole chapter (e.g., "Isaiah 53")
+    if ($verseSpec === null || $verseSpec === '') {
+        return [
+            'link' => '/' . $osisID . '/res/' . $chapter . '.html',
+            'ref' => $osisID . '.' . $chapter
+        ];
+    }
+
+    $refs = array();
+    $link = null;
+
+    foreach (explode(',', $verseSpec) as $segment) {
+        if (!preg_match('/^(\d+)(?:[-\x{2013}](?:(\d+):)?(\d+))?$/u', trim($segment), $m)) {
+            return null;
+        }
+
+        $startVerse = (int)$m[1];
+        $endChapter = isset($m[2]) && $m[2] !== '' ? (int)$m[2] : $chapter;
+        $endVerse = isset($m[3]) ? (int)$m[3] : $startVerse;
+
+        if ($startVerse < 1 || $startVerse > $bookInfo['verses'][$chapter]) {
+            return null;
+        }
+        if ($endChapter < $chapter || !isset($bookInfo['verses'][$endChapter])) {
+            return null;
+        }
+        if ($endVerse < 1 || $endVerse > $bookInfo['verses'][$endChapter]) {
+            return null;
+        }
+        if ($endChapter === $chapter && $endVerse < $startVerse) {
+            return null;
+        }
+
+        $start = $osisID . '.' . $chapter . '.' . $startVerse;
+        if ($endChapter === $chapter && $endVerse === $startVerse) {
+            $refs[] = $start;
+        } else {
+            $refs[] = $start . '-' . $osisID . '.' . $endChapter . '.' . $endVerse;
+        }
+
+        if ($link === null) {
+            $link = '/' . $osisID . '/' . $chapter . '/' . $startVerse;
+        }
+
+        // Later list items continue in the chapter the previous range ended in
+        $chapter = $endChapter;
+    }
+
+    return ['link' => $link, 'ref' => implode(' ', $refs)];
+}
+
+/**
+ * Find the Bible references in a post body, as markup() links them
+ * A book number only goes with the word after it: in "see 1 John 4:8" the reference is
+ * "1 John 4:8", not "John 4:8". A reference without a verse ("Isaiah 53") needs a capitalised
+ * book name, so prose such as "a job 2 weeks ago" is left alone.
+ *
+ * @param string $body
+ * @param array $lookup buildBibleBookLookup()['lookup']
+ * @param array $verseCounts buildBibleBookLookup()['verseCounts']
+ * @return array Each reference, in order: ['offset' => byte offset of the match, 'match' => the
+ *   matched text, 'prefix' => the character before it, 'leading' => words before the book name,
+ *   'text' => the reference as written, 'reference' => parseBibleReference()'s result]
+ */
+function findBibleReferences($body, array $lookup, array $verseCounts) {
+    // Fixed regex: use [ \t] instead of \s in book name to prevent matching across newlines
+    $pattern = '/(^|[\s(])((?:[1-3][ \t]?)?[A-Za-z]+(?:[ \t]+[A-Za-z]+(?:[ \t]+[A-Za-z]+)?)?)\\.?[ \t]+(\d+)(?::(\d+(?:[-\x{2013}](?:\d+:)?\d+)?(?:,\d+(?:[-\x{2013}](?:\d+:)?\d+)?)*))?(?=[\s,.;)?!\r\n]|$)/um';
+
+    $found = array();
+    $offset = 0;
+    while ($offset < strlen($body) && preg_match($pattern, $body, $matches, PREG_OFFSET_CAPTURE, $offset)) {
+        $prefix = $matches[1][0];
+        $bookName = $matches[2][0];
+        $chapter = (int)$matches[3][0];
+        $verseSpec = isset($matches[4]) && $matches[4][1] !== -1 ? $matches[4][0] : null;
+
+        // The book name may have picked up words before it ("read Isaiah 53"),
+        // so try the longest run of trailing words that names a book
+        $words = preg_split('/([ \t]+)/', $bookName, -1, PREG_SPLIT_DELIM_CAPTURE);
+        $osisID = null;
+        $leading = '';
+        for ($i = 0; $i < count($words); $i += 2) {
+            $candidate = implode('', array_slice($words, $i));
+
+            // Normalize book name and look up osisID (strip periods and normalize spaces)
+            $bookNameNormalized = strtolower(preg_replace('/\s+/', ' ', rtrim($candidate, '.')));
+            $bookNameNoSpace = strtolower(str_replace([' ', "\t", '.'], '', $candidate));
+
+            if (isset($lookup[$bookNameNormalized])) {
+                $osisID = $lookup[$bookNameNormalized];
+            } elseif (isset($lookup[$bookNameNoSpace])) {
+                $osisID = $lookup[$bookNameNoSpace];
+            }
+
+            if ($osisID) {
+                $leading = implode('', array_slice($words, 0, $i));
+                if ($verseSpec === null && !preg_match('/^(?:[1-3][ \t]?)?[A-Z]/', $candidate))
+                    $osisID = null;
+                break;
+            }
+        }
+
+        // Validate chapter and verse numbers before creating link
+        $reference = $osisID && isset($verseCounts[$osisID]) ? parseBibleReference($osisID, $chapter, $verseSpec, $verseCounts[$osisID]) : null;
+
+        if (!$reference) {
+            // Start again at the next word, which may be a numbered book ("see 1 John 4:8")
+            $firstWord = preg_match('/^(?:[1-3][ \t]?)?[A-Za-z]+/', $bookName, $m) ? strlen($m[0]) : 1;
+            $offset = $matches[2][1] + $firstWord;
+            continue;
+        }
+
+        $found[] = array(
+            'offset' => $matches[0][1],
+            'match' => $matches[0][0],
+            'prefix' => $prefix,
+            'leading' => $leading,
+            'text' => substr($matches[0][0], strlen($prefix . $leading)),
+            'reference' => $reference
+        );
+        $offset = $matches[0][1] + strlen($matches[0][0]);
+    }
+
+    return $found;
+}
+
+/**
+ * The chapter a Bible board thread holds. Chapter threads are posted with time = 1000 - chapter;
+ * anything else on the board was posted at a real time.
+ *
+ * @param int $time The OP's time
+ * @return int|false False if the thread isn't a chapter
+ */
+function bibleChapterOfThread($time) {
+    $chapter = 1000 - (int)$time;
+    return $chapter >= 1 && $chapter < 1000 ? $chapter : false;
+}
+
 /**
  * Get the full name of a Bible book from the index
  *
@@ -970,6 +1132,43 @@ function getBibleBookMetadata($currentOsisID, $bible_path_index) {
 }
 
 
+/**
+ * Get the hosted Bible books in canonical order for client-side scripts
+ *
+ * @param array $boards Bible boards, as returned by listBoards(false, 'bible')
+ * @param string $bible_path_index Path to the Bible index XML file
+ * @return array List of books with osisID, short name, testament and chapter count
+ */
+function getBibleCanon($boards, $bible_path_index) {
+    if (!file_exists($bible_path_index)) {
+        return [];
+    }
+
+    $xml = simplexml_load_file($bible_path_index);
+    if (!$xml) {
+        return [];
+    }
+
+    $hosted = array_column($boards, 'uri');
+
+    $books = [];
+    foreach ($xml->title as $title) {
+        $osisID = (string)$title['osisID'];
+        if (!in_array($osisID, $hosted)) {
+            continue;
+        }
+        $books[] = [
+            'osisID' => $osisID,
+            'short' => (string)$title['short'],
+            'testament' => (string)$title['testament'],
+            'chapters' => (int)$title['chapters']
+        ];
+    }
+
+    return $books;
+}
+
+
 /**
  * Return board-specific overrides only.
  *
@@ -1329,6 +1528,8 @@ function deleteFile($id, $remove_entirely_if_already=true, $file=null) {
 	$query->bindValue(':id', $id, PDO::PARAM_INT);
 	$query->execute() or error(db_error($query));
 
+	event('post-update', $id, $post['thread']);
+
 	if ($post['thread'])
 		buildThread($post['thread']);
 	else
@@ -1366,7 +1567,7 @@ function deletePost($id, $error_if_doesnt_exist=true, $rebuild_after=true) {
 	global $board, $config;
 
 	// Select post and replies (if thread) in one query
-	$query = prepare(sprintf("SELECT `id`,`thread`,`files`,`slug` FROM ``posts_%s`` WHERE `id` = :id OR `thread` = :id", $board['uri']));
+	$query = prepare(sprintf("SELECT `id`,`thread`,`files`,`slug`,`time` FROM ``posts_%s`` WHERE `id` = :id OR `thread` = :id", $board['uri']));
 	$query->bindValue(':id', $id, PDO::PARAM_INT);
 	$query->execute() or error(db_error($query));
 
@@ -1388,6 +1589,9 @@ function deletePost($id, $error_if_doesnt_exist=true, $rebuild_after=true) {
 			file_unlink($board['dir'] . $config['dir']['res'] . link_for($post) );
 			file_unlink($board['dir'] . $config['dir']['res'] . link_for($post, true) ); // noko50
 			file_unlink($board['dir'] . $config['dir']['res'] . sprintf('%d.json', $post['id']));
+			// Bible chapters are published as {chapter}.json too
+			if (isset($config['isbible']) && $config['isbible'] && ($chapter = bibleChapterOfThread($post['time'])))
+				file_unlink($board['dir'] . $chapter . '.json');
 
 			$antispam_query = prepare('DELETE FROM ``antispam`` WHERE `board` = :board AND `thread` = :thread');
 			$antispam_query->bindValue(':board', $board['uri']);
@@ -1891,6 +2095,9 @@ function buildIndex($global_api = "yes") {
 
 	$catalog_api_action = generation_strategy('sb_api', array($board['uri']));
 
+	// Bible boards publish verse-aware {chapter}.json instead of page json, see buildThread()
+	$isbible = isset($config['isbible']) && $config['isbible'];
+
 	$pages = null;
 
 	if ($config['api']['enabled']) {
@@ -1935,8 +2142,10 @@ function buildIndex($global_api = "yes") {
 			// json api
 			if ($config['api']['enabled']) {
 				$threads = $content['threads'];
-				$json = json_encode($api->translatePage($threads));
-				file_write($jsonFilename, $json);
+				if (!$isbible) {
+					$json = json_encode($api->translatePage($threads));
+					file_write($jsonFilename, $json);
+				}
 
 				$catalog[$page-1] = $threads;
 
@@ -1974,7 +2183,9 @@ function buildIndex($global_api = "yes") {
 		}
 		elseif ($action == 'delete' || $catalog_api_action == 'delete') {
 			file_unlink($filename);
-			file_unlink($jsonFilename);
+			if (!$isbible) {
+				file_unlink($jsonFilename);
+			}
 		}
 	}
 
@@ -1984,7 +2195,7 @@ function buildIndex($global_api = "yes") {
 			$filename = $board['dir'] . ($page==1 ? $config['file_index'] : sprintf($config['file_page'], $page));
 			file_unlink($filename);
 
-			if ($config['api']['enabled']) {
+			if ($config['api']['enabled'] && !$isbible) {
 				$jsonFilename = $board['dir'] . ($page - 1) . '.json';
 				file_unlink($jsonFilename);
 			}
@@ -1998,6 +2209,9 @@ function buildIndex($global_api = "yes") {
 			file_unlink($jsonFilename);
 			$jsonFilename = $board['dir'] . 'threads.json';
 			file_unlink($jsonFilename);
+			if ($isbible) {
+				file_unlink($board['dir'] . 'bible.json');
+			}
 		}
 		elseif ($catalog_api_action == 'rebuild') {
 			$json = json_encode($api->translateCatalog($catalog));
@@ -2007,6 +2221,15 @@ function buildIndex($global_api = "yes") {
 			$json = json_encode($api->translateCatalog($catalog, true));
 			$jsonFilename = $board['dir'] . 'threads.json';
 			file_write($jsonFilename, $json);
+
+			if ($isbible && isset($config['bible']['path_index'])) {
+				$navigation = getBibleBookMetadata($board['uri'], $config['bible']['path_index']);
+				$bookLookup = buildBibleBookLookup($config['bible']['path_index']);
+				if ($navigation && isset($bookLookup['verseCounts'][$board['uri']])) {
+					$json = json_encode($api->translateBibleBook($board, $navigation, $bookLookup['verseCounts'][$board['uri']]));
+					file_write($board['dir'] . 'bible.json', $json);
+				}
+			}
 		}
 	}
 
@@ -2412,59 +2635,29 @@ function markup(&$body, $track_cites = false, $op = false) {
 		}
 	}
 
-	// Bible reference linking (e.g., "Genesis 1:4" or "Matt. 4:10" or "1 John 2:3")
+	// Bible reference linking (e.g., "Genesis 1:4", "Matt. 4:10", "Rom 8:28-39", "Gen 1:1-2:3", "Ps 23:1,4,6" or "Isaiah 53")
 	if (isset($config['bible']['path_index']) && file_exists($config['bible']['path_index'])) {
 		$bibleData = buildBibleBookLookup($config['bible']['path_index']);
 		$bibleLookup = $bibleData['lookup'];
 		$verseCounts = $bibleData['verseCounts'];
 
-		// Fixed regex: use [ \t] instead of \s in book name to prevent matching across newlines
-		if (!empty($bibleLookup) && preg_match_all('/(^|[\s(])([1-3]?[A-Za-z]+(?:[ \t]+[A-Za-z]+(?:[ \t]+[A-Za-z]+)?)?)\\.?[ \t]+(\d+):(\d+)(?=[\s,.)?!\r\n]|$)/um', $body, $bibleRefs, PREG_SET_ORDER | PREG_OFFSET_CAPTURE)) {
+		if (!empty($bibleLookup)) {
 			$skip_chars = 0;
 			$body_tmp = $body;
 
-			foreach ($bibleRefs as $matches) {
-				$prefix = $matches[1][0];
-				$bookName = trim($matches[2][0]);
-				$chapter = (int)$matches[3][0];
-				$verse = (int)$matches[4][0];
-
-				// Normalize book name and look up osisID (strip periods and normalize spaces)
-				$bookNameNormalized = strtolower(preg_replace('/\s+/', ' ', rtrim($bookName, '.')));
-				$bookNameNoSpace = strtolower(str_replace([' ', '.'], '', $bookName));
-
-				$osisID = null;
-				if (isset($bibleLookup[$bookNameNormalized])) {
-					$osisID = $bibleLookup[$bookNameNormalized];
-				} elseif (isset($bibleLookup[$bookNameNoSpace])) {
-					$osisID = $bibleLookup[$bookNameNoSpace];
-				}
-
-				// Validate chapter and verse numbers before creating link
-				if ($osisID && isset($verseCounts[$osisID])) {
-					$bookInfo = $verseCounts[$osisID];
+			foreach (findBibleReferences($body, $bibleLookup, $verseCounts) as $found) {
+				$reference = $found['reference'];
 
-					// Check if chapter exists
-					if ($chapter < 1 || $chapter > $bookInfo['chapters']) {
-						continue; // Skip invalid chapter
-					}
-
-					// Check if verse exists in this chapter
-					if (!isset($bookInfo['verses'][$chapter]) || $verse < 1 || $verse > $bookInfo['verses'][$chapter]) {
-						continue; // Skip invalid verse
-					}
-
-					// Valid reference - create absolute link (starting with /) for .htaccess redirect
-					// Use absolute path instead of $config['root'] to work from both normal and mod pages
-					$link = '/' . $osisID . '/' . $chapter . '/' . $verse;
-					$replacement = '<a href="' . $link . '">' . htmlspecialchars($bookName . ' ' . $chapter . ':' . $verse) . '</a>';
+				// Valid reference - create absolute link (starting with /) for .htaccess redirect
+				// Use absolute path instead of $config['root'] to work from both normal and mod pages
+				// data-bible-ref lets post-preview.js show every verse in the reference
+				$replacement = $found['leading'] . '<a class="bible-ref" href="' . $reference['link'] . '" data-bible-ref="' . $reference['ref'] . '">' . htmlspecialchars($found['text']) . '</a>';
 
-					// Calculate position (preg_match_all is not multibyte-safe)
-					$pos = mb_strlen(substr($body_tmp, 0, $matches[0][1]));
+				// Calculate position (preg_match is not multibyte-safe)
+				$pos = mb_strlen(substr($body_tmp, 0, $found['offset']));
 
-					$body = mb_substr_replace($body, $prefix . $replacement, $pos + $skip_chars, mb_strlen($matches[0][0]));
-					$skip_chars += mb_strlen($prefix . $replacement) - mb_strlen($matches[0][0]);
-				}
+				$body = mb_substr_replace($body, $found['prefix'] . $replacement, $pos + $skip_chars, mb_strlen($found['match']));
+				$skip_chars += mb_strlen($found['prefix'] . $replacement) - mb_strlen($found['match']);
 			}
 		}
 	}
@@ -2649,11 +2842,28 @@ function buildThread($id, $return = false, $mod = false) {
 			$json = json_encode($api->translateThread($thread));
 			$jsonFilename = $board['dir'] . $config['dir']['res'] . $id . '.json';
 			file_write($jsonFilename, $json);
+
+			// Verse-aware json for Bible chapters, used by infinite scroll and verse previews
+			if (isset($config['isbible']) && $config['isbible']) {
+				$chapter = $api->translateBibleChapter($thread, $board['uri']);
+				if ($chapter) {
+					file_write($board['dir'] . $chapter['chapter'] . '.json', json_encode($chapter));
+				}
+			}
 		}
 	}
 	elseif($action == 'delete') {
 		$jsonFilename = $board['dir'] . $config['dir']['res'] . $id . '.json';
 		file_unlink($jsonFilename);
+
+		if (isset($config['isbible']) && $config['isbible']) {
+			$query = prepare(sprintf("SELECT `time` FROM ``posts_%s`` WHERE `id` = :id AND `thread` IS NULL", $board['uri']));
+			$query->bindValue(':id', $id, PDO::PARAM_INT);
+			$query->execute() or error(db_error($query));
+			if (($time = $query->fetchColumn()) !== false && ($chapter = bibleChapterOfThread($time))) {
+				file_unlink($board['dir'] . $chapter . '.json');
+			}
+		}
 	}
 
 	if ($action == 'delete' && !$return && !$mod) {
@@ -3413,4 +3623,77 @@ function buildKingJamesBible() {
 	// Write to /KJB/index.html
 	$output_path = $kjb_dir . '/index.html';
 	file_write($output_path, $html);
+
+	// Write /KJB/books.json for client-side scripts (reading plans etc.)
+	$canon = getBibleCanon($boards, $config['bible']['path_index']);
+	file_write($kjb_dir . '/books.json', json_encode(['books' => $canon]));
+
+	// Write /KJB/lookup.json so scripts resolve references ("1 Cor 13:4") exactly like markup(),
+	// plus the hosted books for suggesting names
+	$lookup = buildBibleBookLookup($config['bible']['path_index']);
+	$lookup['books'] = $canon;
+	file_write($kjb_dir . '/lookup.json', json_encode($lookup));
+}
+
+/**
+ * Write one book of a parallel translation as static JSON, one file per chapter
+ * at /bible/{code}/{osisID}/{chapter}.json ({"verses": {"1": "In the beginning...", ...}})
+ *
+ * @param string $code Translation code, a key of $config['bible']['translations']
+ * @param string $osisID The OSIS ID of the book
+ * @param array $chapters Parsed chapters from parseBibleBookText() [chapter => [verse => html]]
+ * @return int Number of verses written
+ */
+function writeBibleTranslationBook($code, $osisID, $chapters) {
+	global $config;
+
+	$book_dir = $config['dir']['home'] . 'bible/' . $code . '/' . $osisID;
+	if (!file_exists($book_dir)) {
+		@mkdir($book_dir, 0755, true) or error("Could not create directory: $book_dir");
+	}
+
+	$verses = 0;
+	foreach ($chapters as $chapter => $chapter_verses) {
+		$verses += count($chapter_verses);
+		file_write($book_dir . '/' . $chapter . '.json', json_encode([
+			'translation' => $code,
+			'book' => $osisID,
+			'chapter' => $chapter,
+			'verses' => $chapter_verses
+		]));
+	}
+
+	return $verses;
+}
+
+/**
+ * Build /bible/translations.json listing each imported parallel translation and its books
+ */
+function buildBibleTranslationManifest() {
+	global $config;
+
+	$translations_dir = $config['dir']['home'] . 'bible/';
+	$translations = [];
+
+	if (!empty($config['bible']['translations'])) {
+		foreach ($config['bible']['translations'] as $code => $translation) {
+			$books = [];
+			foreach (glob($translations_dir . $code . '/*', GLOB_ONLYDIR) ?: [] as $book_dir) {
+				$books[] = basename($book_dir);
+			}
+			if (empty($books))
+				continue;
+
+			$translations[] = [
+				'code' => $code,
+				'name' => $translation['name'],
+				'books' => $books
+			];
+		}
+	}
+
+	if (!file_exists($translations_dir)) {
+		@mkdir($translations_dir, 0755, true) or error("Could not create directory: $translations_dir");
+	}
+	file_write($translations_dir . 'translations.json', json_encode(['translations' => $translations]));
 }
@@ -19,6 +19,9 @@
 	// bible hosting
 	$config['bible']['path_full'] = 'static/bible/eng-kjv.osis.xml';
 	$config['bible']['path_index'] = 'tmp/index-eng-kjv.osis.xml';
+	// parallel translations, imported from the dashboard into /bible/{code}/
+	$config['bible']['translations'] = [];
+	// $config['bible']['translations']['WEB'] = ['name' => 'World English Bible', 'path_full' => 'static/bible/eng-web.osis.xml'];
 
 	// Database stuff
 	$config['db']['type']		= 'mysql';
@@ -27,12 +30,39 @@
 	$config['db']['password']	= '';
 	$config['db']['database']	= '';
 	
+	// options panel (reading plans, offline reading)
+	$config['additional_javascript'][] = 'js/options.js';
+
+	// filter rules shared by post hiding, thread/image hiding and the ukko theme
+	$config['additional_javascript'][] = 'js/filter-engine.js';
+
 	// save post to cookie
 	$config['additional_javascript'][] = 'js/bookmark.js';
 
+	// bible reference lookup ("1 Cor 13:4"), used by scrolling and goto
+	$config['additional_javascript'][] = 'js/bible-reference.js';
+
+	// go-to-reference box in the board list
+	$config['additional_javascript'][] = 'js/bible-goto.js';
+
 	// bible scrolling
 	$config['additional_javascript'][] = 'js/bible-infinite-scroll.js';
 
+	// daily bible reading plans
+	$config['additional_javascript'][] = 'js/reading-plan.js';
+
+	// offline bible reading (service worker at /bible-sw.js)
+	$config['additional_javascript'][] = 'js/bible-offline.js';
+
+	// post menu (▶ next to posts)
+	$config['additional_javascript'][] = 'js/post-menu.js';
+
+	// verse highlights and private notes, from the post menu
+	$config['additional_javascript'][] = 'js/bible-annotations.js';
+
+	// settings export/import and passphrase-encrypted sync between devices (Options > Profile)
+	$config['additional_javascript'][] = 'js/profile-sync.js';
+
 	// post preview on hover/tap
 	$config['additional_javascript'][] = 'js/post-preview.js';
 
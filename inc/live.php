@@ -0,0 +1,153 @@
+<?php
+
+/*
+ *  Copyright (c) 2010-2013 Tinyboard Development Group
+ */
+
+defined('TINYBOARD') or exit;
+
+/**
+ * Live updates: a short-lived log of thread changes that live.php streams to open pages.
+ *
+ * Each row is one event on one board: "thread" (new thread), "post" (new reply), "update"
+ * (edited body or changed files), "delete", "lock", "sticky" or "cycle". Clients subscribe to "board" or "board/thread" keys and remember the
+ * last event id they saw.
+ */
+
+/**
+ * Record an event for the currently open board.
+ *
+ * @param string $type One of thread, post, update, delete, lock, sticky, cycle
+ * @param int $thread The thread the event belongs to (the post itself for OPs)
+ * @param int $post The post the event is about
+ * @param array|null $data Extra state sent along with the event
+ */
+function live_event($type, $thread, $post, $data = null) {
+	global $board, $config;
+
+	$query = prepare('INSERT INTO ``live_events`` (`board`, `thread`, `post`, `type`, `data`, `time`) VALUES (:board, :thread, :post, :type, :data, :time)');
+	$query->bindValue(':board', $board['uri']);
+	$query->bindValue(':thread', (int)$thread, PDO::PARAM_INT);
+	$query->bindValue(':post', (int)$post, PDO::PARAM_INT);
+	$query->bindValue(':type', $type);
+	$query->bindValue(':data', $data === null ? null : json_encode($data));
+	$query->bindValue(':time', time(), PDO::PARAM_INT);
+	$query->execute() or error(db_error($query));
+
+	// Prune now and then rather than on every post
+	if (mt_rand(0, 49) == 0) {
+		$query = prepare('DELETE FROM ``live_events`` WHERE `time` < :time');
+		$query->bindValue(':time', time() - $config['live']['event_lifetime'], PDO::PARAM_INT);
+		$query->execute() or error(db_error($query));
+	}
+}
+
+/**
+ * Id of the newest event, or 0 if there are none.
+ *
+ * @return int
+ */
+function live_last_event_id() {
+	$query = query('SELECT MAX(`id`) FROM ``live_events``') or error(db_error());
+	return (int)$query->fetchColumn();
+}
+
+/**
+ * Id of the oldest event still kept, or 0 if there are none.
+ *
+ * @return int
+ */
+function live_first_event_id() {
+	global $config;
+
+	$query = prepare('SELECT MIN(`id`) FROM ``live_events`` WHERE `time` >= :time');
+	$query->bindValue(':time', time() - $config['live']['event_lifetime'], PDO::PARAM_INT);
+	$query->execute() or error(db_error($query));
+	return (int)$query->fetchColumn();
+}
+
+/**
+ * Events after $since that match any of the watched keys.
+ *
+ * @param int $since Last event id the client has seen
+ * @param array $watch Keys like "b" (whole board) or "b/12" (one thread)
+ * @param int $last Set to the id of the last event looked at, matched or not
+ * @return array Events as [id, board, thread, post, type, data]
+ */
+function live_events_since($since, array $watch, &$last = null) {
+	$last = (int)$since;
+
+	$boards = [];
+	foreach ($watch as $key) {
+		$boards[explode('/', $key)[0]] = true;
+	}
+	if (empty($boards)) {
+		return [];
+	}
+
+	$in = implode(', ', array_fill(0, count($boards), '?'));
+	$query = prepare('SELECT * FROM ``live_events`` WHERE `id` > ? AND `board` IN (' . $in . ') ORDER BY `id` LIMIT 500');
+	$query->execute(array_merge([(int)$since], array_keys($boards))) or error(db_error($query));
+
+	$events = [];
+	while ($event = $query->fetch(PDO::FETCH_ASSOC)) {
+		$last = (int)$event['id'];
+		if (!in_array($event['board'], $watch) && !in_array($event['board'] . '/' . $event['thread'], $watch)) {
+			continue;
+		}
+
+		$events[] = [
+			'id' => (int)$event['id'],
+			'board' => $event['board'],
+			'thread' => (int)$event['thread'],
+			'post' => (int)$event['post'],
+			'type' => $event['type'],
+			'data' => $event['data'] === null ? null : json_decode($event['data'], true)
+		];
+	}
+
+	return $events;
+}
+
+/**
+ * Register the event handlers that feed the log. Called from loadConfig().
+ */
+function live_register_handlers() {
+	event_handler('post-after', function($post) {
+		if ($post['op']) {
+			live_event('thread', $post['id'], $post['id']);
+		} else {
+			live_event('post', $post['thread'], $post['id']);
+		}
+	});
+
+	// Edits, public ban messages, deleted and spoilered files
+	event_handler('post-update', function($id, $thread) {
+		live_event('update', $thread ? $thread : $id, $id);
+	});
+
+	event_handler('delete', function($post) {
+		live_event('delete', $post['thread'] ? $post['thread'] : $post['id'], $post['id']);
+	});
+
+	event_handler('lock', function($id) {
+		live_event('lock', $id, $id, ['locked' => true]);
+	});
+	event_handler('unlock', function($id) {
+		live_event('lock', $id, $id, ['locked' => false]);
+	});
+
+	event_handler('sticky', function($id) {
+		live_event('sticky', $id, $id, ['sticky' => true]);
+	});
+	event_handler('unsticky', function($id) {
+		live_event('sticky', $id, $id, ['sticky' => false]);
+	});
+
+	event_handler('cycle', function($id) {
+		live_event('cycle', $id, $id, ['cyclical' => true]);
+	});
+	event_handler('uncycle', function($id) {
+		live_event('cycle', $id, $id, ['cyclical' => false]);
+	});
+}
@@ -598,6 +598,9 @@ function mod_edit_board_bible(Context $ctx, $boardName) {
 	                  ];
 	              }
 	          }
+
+		// The board's latest import, to pick up its progress
+		$import_jobs = bible_import_jobs($board['uri'], 1);
 		
 		mod_page(
 			sprintf('%s: ' . $config['board_abbreviation'], _('Edit board'), $board['uri']),
@@ -611,6 +614,8 @@ function mod_edit_board_bible(Context $ctx, $boardName) {
 				'token_post_replies' => make_secure_link_token('bible-post-replies'),
 				'token_post_book' => make_secure_link_token('bible-post-book'),
 				'token_delete_book' => make_secure_link_token('bible-delete-book'),
+				'token_bible_import' => make_secure_link_token('bible-import'),
+				'import_job' => $import_jobs ? mod_bible_import_json($import_jobs[0]) : null,
 	                        'bible_path_full' => $bible_path_full,
                                 'bible_path_index' => $bible_path_index,
                                 'bible_index' => $bible_index,
@@ -826,24 +831,7 @@ function buildBibleBoard(Context $ctx, bool $bibleCreateAll)
 		error($config['error']['noaccess']);
 
 	// Add php comment and config file
-	$configFile = $board['dir'] . 'config.php';
-	$bibleCreateAllStr = $bibleCreateAll ? 'true' : 'false';
-	$init_config = <<<INIT_PHP
-	<?php
-	// Board created for Bible chapter {$_POST['title']}
-	\$config['isbible'] = true;
-	// Creation-time tmp variable. TRUE from new-board.html -> edit-board.html. FALSE after book written.
-	\$config['bible_create_all'] = $bibleCreateAllStr;
-	// No catalog (looks ugly with "deleted" image per chapter)
-	\$config['catalog_link'] = false;
-	// 1 bible chapter per page
-	\$config['threads_per_page'] = 1;
-	// Allow all chapters of Psalms to be shown 1 per page
-	\$config['max_pages'] = 151;
-	// Allow all verses in largest chapter of Psalms to display on 1 page
-	\$config['threads_preview'] = 176;
-	INIT_PHP;
-	file_put_contents($configFile, $init_config);
+	bible_write_board_config($board['uri'], $_POST['title'], $bibleCreateAll);
 }
 function mod_board_status(Context $ctx)
 {
@@ -1017,19 +1005,7 @@ function mod_bible_post_book(Context $ctx) {
   echo nl2br($statusMsg) . "<br/>";
 
   // CLEAR fast mode from config.....
-  $config = $ctx->get('config');
-  $boardDir = sprintf($config['board_path'], $bookURI);
-  $configFile = $boardDir . 'config.php';
-  if (file_exists($configFile)) {
-    $content = file_get_contents($configFile);
-    // Replace true or 1 with false for bible_create_all
-    $content = preg_replace(
-  	'/\$config\[\'bible_create_all\'\]\s*=\s*(true|1);/',
-  	'$config[\'bible_create_all\'] = false;',
-  	$content
-    );
-    file_put_contents($configFile, $content);
-  }
+  bible_clear_create_all($bookURI);
 
   // Rebuild the board so users can see posts
   openBoard($bookURI);
@@ -1043,6 +1019,194 @@ function mod_bible_post_book(Context $ctx) {
 
   modLog("Posted book of " . $bookURI);
 }
+
+/**
+ * A job for the mod page, with whether it looks stuck
+ */
+function mod_bible_import_json(array $job) {
+    $job['stalled'] = bible_import_stalled($job);
+    return $job;
+}
+
+// Queue a book import for tools/worker.php (action=start, uri, fresh), or pause, resume, cancel
+// or retry one (action, job). Answers with the job as JSON.
+function mod_bible_import(Context $ctx) {
+    global $mod;
+    $config = $ctx->get('config');
+
+    if (!hasPermission($config['mod']['manageboards']))
+        error($config['error']['noaccess']);
+
+    header('Content-Type: application/json; charset=utf-8');
+
+    $action = isset($_POST['action']) ? $_POST['action'] : 'start';
+
+    if ($action === 'start') {
+        $bookURI = isset($_POST['uri']) ? preg_replace('/[^a-zA-Z0-9]/', '', $_POST['uri']) : '';
+        if (!$bookURI || !openBoard($bookURI)) {
+            echo json_encode(['error' => "Board not found: $bookURI"]);
+            return;
+        }
+
+        // Re-get global config after openBoard() has loaded board-specific settings
+        global $config;
+        if (empty($config['isbible'])) {
+            echo json_encode(['error' => "Refusing to import into non-bible board '$bookURI'"]);
+            return;
+        }
+
+        $fresh = !empty($_POST['fresh']);
+        $job = bible_import_start($bookURI, $fresh, $mod['username']);
+        modLog("Queued " . ($fresh ? "fresh " : "") . "import of book " . $bookURI . " (job #" . $job['id'] . ")");
+    } else {
+        $id = isset($_POST['job']) ? (int)$_POST['job'] : 0;
+        if (!$job = bible_import_control($id, $action)) {
+            echo json_encode(['error' => "Can't $action import job #$id now"]);
+            return;
+        }
+        modLog(ucfirst($action) . " import of book " . $job['board'] . " (job #" . $job['id'] . ")");
+    }
+
+    echo json_encode(mod_bible_import_json($job));
+}
+
+function mod_bible_import_status(Context $ctx, $id) {
+    $config = $ctx->get('config');
+
+    if (!hasPermission($config['mod']['manageboards']))
+        error($config['error']['noaccess']);
+
+    header('Content-Type: application/json; charset=utf-8');
+    header('Cache-Control: no-cache');
+
+    $job = bible_import_job($id);
+    echo json_encode($job ? mod_bible_import_json($job) : ['error' => "No import job #$id"]);
+}
+function mod_bible_canon_json() {
+    $books = bible_canon_status();
+    foreach ($books as &$book) {
+        if ($book['job'])
+            $book['job'] = mod_bible_import_json($book['job']);
+    }
+
+    $run = bible_import_latest_run();
+    if ($run)
+        $run['jobs'] = array_map('mod_bible_import_json', $run['jobs']);
+
+    return ['books' => $books, 'run' => $run];
+}
+
+// The "import entire canon" wizard: every book of the index with how much of it is posted. POSTed
+// action=start and books[], it creates and imports those books in one run; pause, resume, cancel
+// or retry (run) control that run. Actions answer with the wizard's data as JSON.
+function mod_bible_canon(Context $ctx) {
+    global $mod;
+    $config = $ctx->get('config');
+
+    if (!hasPermission($config['mod']['newboard']))
+        error($config['error']['noaccess']);
+
+    if (isset($_POST['action'])) {
+        header('Content-Type: application/json; charset=utf-8');
+
+        $action = $_POST['action'];
+        if ($action === 'start') {
+            $books = isset($_POST['books']) && is_array($_POST['books']) ? array_map('strval', $_POST['books']) : [];
+            if (!$run = bible_import_start_run($books, $mod['username'])) {
+                echo json_encode(['error' => 'Nothing to import: the selected books are complete, already being imported or not Bible boards']);
+                return;
+            }
+            modLog("Started importing " . count($run['jobs']) . " Bible books (run #" . $run['id'] . ")");
+        } else {
+            $id = isset($_POST['run']) ? (int)$_POST['run'] : 0;
+            if (!bible_import_run_control($id, $action)) {
+                echo json_encode(['error' => "Can't $action import run #$id now"]);
+                return;
+            }
+            modLog(ucfirst($action) . " Bible import run #" . $id);
+        }
+
+        echo json_encode(mod_bible_canon_json());
+        return;
+    }
+
+    mod_page(
+        _('Import entire canon'),
+        $config['file_mod_bible_canon'],
+        [
+            'canon' => mod_bible_canon_json(),
+            'bible_path_index' => $config['bible']['path_index'],
+            'token' => make_secure_link_token('bible-canon')
+        ],
+        $mod
+    );
+}
+
+function mod_bible_canon_status(Context $ctx) {
+    $config = $ctx->get('config');
+
+    if (!hasPermission($config['mod']['newboard']))
+        error($config['error']['noaccess']);
+
+    header('Content-Type: application/json; charset=utf-8');
+    header('Cache-Control: no-cache');
+
+    echo json_encode(mod_bible_canon_json());
+}
+
+// Compare a Bible board with the OSIS source and show what differs, chapter by chapter. POSTed
+// action=repair and chapter, it posts that chapter again and answers with the new report as JSON.
+function mod_bible_verify(Context $ctx, $boardName) {
+    global $board, $mod;
+    $config = $ctx->get('config');
+
+    if (!openBoard($boardName))
+        error($config['error']['noboard']);
+
+    if (!hasPermission($config['mod']['manageboards'], $board['uri']))
+        error($config['error']['noaccess']);
+
+    // Re-get global config after openBoard() has loaded board-specific settings
+    global $config;
+    if (empty($config['isbible']))
+        error("Not a Bible board: {$board['uri']}");
+
+    if (isset($_POST['action']) && $_POST['action'] === 'repair') {
+        header('Content-Type: application/json; charset=utf-8');
+
+        $chapter = isset($_POST['chapter']) ? (int)$_POST['chapter'] : 0;
+        try {
+            $done = bible_repair_chapter($board['uri'], $chapter);
+            $report = bible_verify_book($board['uri']);
+        } catch (Exception $e) {
+            echo json_encode(['error' => $e->getMessage()]);
+            modLog("Repair of chapter $chapter of book " . $board['uri'] . " FAILED: " . $e->getMessage());
+            return;
+        }
+
+        modLog("Repaired chapter $chapter of book " . $board['uri'] . ": " . implode('; ', $done));
+        echo json_encode(['done' => $done, 'report' => $report]);
+        return;
+    }
+
+    try {
+        $report = bible_verify_book($board['uri']);
+    } catch (Exception $e) {
+        error($e->getMessage());
+    }
+
+    mod_page(
+        sprintf('%s: ' . $config['board_abbreviation'], _('Verify board'), $board['uri']),
+        $config['file_mod_bible_verify'],
+        [
+            'board' => $board,
+            'report' => $report,
+            'token' => make_secure_link_token('bible-verify/' . $board['uri'])
+        ],
+        $mod
+    );
+}
+
 function mod_bible_post_threads(Context $ctx, bool $log=true) {
     global $board, $mod;
     $config = $ctx->get('config');
@@ -1088,36 +1252,9 @@ function mod_bible_post_threads(Context $ctx, bool $log=true) {
             continue;
         }
 
-        // Determine the OP body based on chapter number
-        if ($chapter === $firstChapter) {
-            // First chapter (could be 1, 6, 11, etc.) gets the book title as OP
-            $body = '<h2 style="text-align: center;">' . htmlspecialchars($fullName) . '</h2>';
-        } else {
-            // Subsequent chapters get a hidden placeholder OP
-            $body = '<p class="chapter-placeholder" style="display: none;">[Chapter ' . $chapter . ']</p>';
-        }
-
-        $body_nomarkup = strip_tags($body);
-        $slug = preg_replace('/[^a-zA-Z0-9]/', '', $body_nomarkup);
-        $slug = substr($slug, 0, 256); // db char limit
-
         try {
-            $query = prepare('INSERT INTO ``posts_' . $bookURI . '``
-                (thread, subject, email, name, trip, capcode, body, body_nomarkup, time, bump,
-                    files, num_files, filehash, password, ip, sticky, locked, cycle, sage, embed, slug, verse)
-                VALUES
-                (NULL, NULL, NULL, NULL, NULL, NULL, :body, :body_nomarkup, :faketime, :faketime,
-                    NULL, 0, NULL, SUBSTRING(MD5(RAND()),1,12), :ip, 0, 0, 0, 0, NULL, :slug, 0)');
-
-            $query->bindValue(':body', $body);
-            $query->bindValue(':body_nomarkup', $body_nomarkup);
-            $query->bindValue(':faketime', 1000 - $chapter);
-            $query->bindValue(':ip', '127.0.0.1');
-            $query->bindValue(':slug', $slug);
-
-            $query->execute();
-
-        } catch (PDOException $e) {
+            bible_insert_chapter_thread($bookURI, $chapter, $firstChapter, $fullName);
+        } catch (Exception $e) {
             $errors[] = [
                 'chapter' => $chapter,
                 'message' => $e->getMessage()
@@ -1157,16 +1294,7 @@ function mod_bible_post_replies(Context $ctx, bool $log=true) {
     $errors = [];  // Array to collate all DB errors
 
     // Build mapping of chapter numbers to thread IDs
-    // All threads have verse = 0 (they are thread OPs)
-    $chapterToThreadId = [];
-    $query = query(sprintf(
-        "SELECT `id`, `time` FROM ``posts_%s`` WHERE `thread` IS NULL ORDER BY `time` DESC",
-        $bookURI
-    ));
-    while ($row = $query->fetch(PDO::FETCH_ASSOC)) {
-        $chapterNum = 1000 - (int)$row['time'];  // Reverse the faketime calculation
-        $chapterToThreadId[$chapterNum] = (int)$row['id'];
-    }
+    $chapterToThreadId = bible_chapter_threads($bookURI);
 
     // Iterate chapters in ascending order
     $chapterNumbers = array_keys($chapters);
@@ -1192,47 +1320,10 @@ function mod_bible_post_replies(Context $ctx, bool $log=true) {
         $threadId = $chapterToThreadId[$chapter];
 
         // Post ALL verses (including verse 1) as replies
-        for ($verse = 1; $verse <= count($verses); $verse++) {
-            if (!isset($verses[$verse])) {
-                continue; // Skip if this verse doesn't exist
-            }
-
-            // Add verse number link with chapter:verse format
-            if ($verse == 1) {
-                // Verse 1 gets the chapter number as well
-                $prepend = '<a class="post_no chapter" id="v' . $verse . '" onclick="citeVerse(' . $chapter . ', ' . $verse . ', event)" ' .
-                    'href="/' . $bookURI . '/res/' . $chapter . '.html#v' . $verse . '">' . $chapter . '</a>';
-            } else {
-                $prepend = '<a class="post_no verse" id="v' . $verse . '" onclick="citeVerse(' . $chapter . ', ' . $verse . ', event)" ' .
-                    'href="/' . $bookURI . '/res/' . $chapter . '.html#v' . $verse . '">' . $verse . '</a>';
-            }
-
-            $body = $prepend . $verses[$verse];
-            $body_nomarkup = preg_replace('/<[^>]+>/', '', $body);
-            $slug = preg_replace('/[^a-zA-Z0-9]/', '', $body_nomarkup);
-            $slug = substr($slug, 0, 256); // db char limit
-
+        foreach (bible_chapter_verses($verses) as $verse => $text) {
             try {
-                $query = prepare("
-                    INSERT INTO ``posts_{$bookURI}``
-                    (thread, subject, email, name, trip, capcode, body, body_nomarkup, time, bump,
-                     files, num_files, filehash, password, ip, sticky, locked, cycle, sage, embed, slug, verse)
-                    VALUES
-                    (:thread, NULL, NULL, NULL, NULL, NULL, :body, :body_nomarkup, :faketime, :faketime,
-                     NULL, 0, NULL, SUBSTRING(MD5(RAND()),1,12), :ip, 0, 0, 0, 0, NULL, :slug, :verse)
-                ");
-
-                $query->bindValue(':thread', $threadId);
-                $query->bindValue(':body', $body);
-                $query->bindValue(':body_nomarkup', $body_nomarkup);
-                $query->bindValue(':faketime', 1000 - $chapter - ($verse / 1000)); // Order by chapter then verse
-                $query->bindValue(':ip', '127.0.0.1');
-                $query->bindValue(':slug', $slug);
-                $query->bindValue(':verse', $verse);
-
-                $query->execute();
-
-            } catch (PDOException $e) {
+                bible_insert_verse($bookURI, $threadId, $chapter, $verse, $text);
+            } catch (Exception $e) {
                 // Collect error details
                 $errors[] = [
                     'chapter' => $chapter,
@@ -1304,116 +1395,111 @@ function mod_bible_parse_test(Context $ctx) {
     }
 }
 
-// Parse Bible book text from OSIS XML
-// Handles both <p> tags (most books) and <lg>/<l> tags (Psalms)
-// Handles books that start at non-1 chapters (e.g., EsthGr starts at chapter 10)
-function parseBibleBookText(string $bookURI, string $biblePath): array {
-    if (!file_exists($biblePath)) throw new Exception("Bible XML not found at $biblePath");
-
-    $xmlString = file_get_contents($biblePath);
-    // Remove namespaces to simplify XPath
-    $xmlString = preg_replace('/xmlns="[^"]+"/', '', $xmlString);
-
-    $dom = new DOMDocument();
-    $dom->preserveWhiteSpace = false;
-    $dom->formatOutput = false;
-    if (!$dom->loadXML($xmlString)) {
-        throw new Exception("Failed to parse XML");
+// Parallel translations: list configured OSIS translations and import them book by book
+function mod_bible_translations(Context $ctx) {
+    global $mod;
+    $config = $ctx->get('config');
+
+    if (!hasPermission($config['mod']['manageboards']))
+        error($config['error']['noaccess']);
+
+    // Books hosted in the primary translation, in canonical order
+    $books = getBibleCanon(listBoards(false, 'bible'), $config['bible']['path_index']);
+
+    $translations = [];
+    if (!empty($config['bible']['translations'])) {
+        foreach ($config['bible']['translations'] as $code => $translation) {
+            $imported = [];
+            foreach (glob($config['dir']['home'] . 'bible/' . $code . '/*', GLOB_ONLYDIR) ?: [] as $bookDir) {
+                $imported[] = basename($bookDir);
+            }
+
+            $translations[] = [
+                'code' => $code,
+                'name' => $translation['name'],
+                'path_full' => $translation['path_full'],
+                'exists' => file_exists($translation['path_full']),
+                'imported' => $imported
+            ];
+        }
     }
 
-    $xpath = new DOMXPath($dom);
+    mod_page(
+        _('Parallel translations'),
+        $config['file_mod_bible_translations'],
+        [
+            'translations' => $translations,
+            'books' => $books,
+            'token_import' => make_secure_link_token('bible-translation-import'),
+            'token_delete' => make_secure_link_token('bible-translation-delete')
+        ],
+        $mod
+    );
+}
 
-    // Find the book node
-    $bookNodes = $xpath->query('//div[@type="book"][@osisID="'.$bookURI.'"]');
-    if ($bookNodes->length === 0) throw new Exception("Book $bookURI not found!");
-    $bookNode = $bookNodes->item(0);
+function mod_bible_translation_import(Context $ctx) {
+    $config = $ctx->get('config');
 
-    $chapters = [];
+    if (!hasPermission($config['mod']['manageboards']))
+        error($config['error']['noaccess']);
 
-    // Query for both <p> and <lg> (line group) and <l> (line) tags
-    // Psalms use <lg>/<l> structure, most others use <p>
-    $containers = $xpath->query('.//p | .//lg | .//l', $bookNode);
+    header('Content-Type: text/plain; charset=utf-8');
 
-    foreach ($containers as $container) {
-        $currentChapter = null;
-        $currentVerse = null;
-        $currentText = '';
-        $collecting = false;
+    $code = isset($_POST['code']) ? $_POST['code'] : '';
+    $bookURI = isset($_POST['uri']) ? preg_replace('/[^a-zA-Z0-9]/', '', $_POST['uri']) : '';
 
-        // Skip <p type="x-ms"> tags (these are titles/headers in Psalms)
-        if ($container->nodeName === 'p' && $container->getAttribute('type') === 'x-ms') {
-            continue;
-        }
+    if (!isset($config['bible']['translations'][$code]) || !preg_match('/^[a-zA-Z0-9]+$/', $code)) {
+        echo "ERROR: Unknown translation '$code'";
+        return;
+    }
+    if (!$bookURI) {
+        echo "ERROR: Missing or invalid book URI.";
+        return;
+    }
 
-        foreach ($container->childNodes as $node) {
-            if ($node->nodeType === XML_ELEMENT_NODE) {
-                $tag = $node->nodeName;
-
-                switch ($tag) {
-                    case 'verse':
-                        $osisID = $node->getAttribute('osisID');
-                        $eID = $node->getAttribute('eID');
-
-                        if ($osisID) {
-                            // Save previous verse
-                            if ($currentChapter !== null && $currentVerse !== null && trim($currentText) !== '') {
-                                $chapters[$currentChapter][$currentVerse] = trim($currentText);
-                            }
-                            $currentText = '';
-
-                            [$book, $currentChapter, $currentVerse] = explode('.', $osisID);
-                            $currentChapter = (int)$currentChapter;
-                            $currentVerse = (int)$currentVerse;
-                            $collecting = true;
-
-                        } elseif ($eID) {
-                            // End of verse
-                            if ($currentChapter !== null && $currentVerse !== null && trim($currentText) !== '') {
-                                $chapters[$currentChapter][$currentVerse] = trim($currentText);
-                            }
-                            $currentText = '';
-                            $collecting = false;
-                            $currentChapter = null;
-                            $currentVerse = null;
-                        }
-                        break;
-
-                    case 'transChange':
-                        if ($collecting) {
-                            // Normalize whitespace inside <i> tags
-                            $text = preg_replace('/\s+/', ' ', $node->textContent);
-                            if ($currentText !== '') $currentText .= ' ';
-                            $currentText .= '<b><i>' . trim($text) . '</i></b>';
-                        }
-                        break;
-
-                    case 'l':
-                    case 'p':
-                        // Line and paragraph tags - just containers, process their children
-                        break;
-
-                    default:
-                        // Silently ignore unknown tags instead of echoing
-                        break;
-                }
+    try {
+        $chapters = parseBibleBookText($bookURI, $config['bible']['translations'][$code]['path_full']);
+    } catch (Exception $e) {
+        // Translations without the Apocrypha simply skip those books
+        echo "SKIPPED: $code $bookURI: " . $e->getMessage();
+        return;
+    }
 
-            } elseif ($node->nodeType === XML_TEXT_NODE && $collecting) {
-                // Normalize whitespace for text nodes
-                $text = preg_replace('/\s+/', ' ', $node->nodeValue);
-                if (trim($text) !== '') {
-                    if ($currentText !== '') $currentText .= ' ';
-                    $currentText .= trim($text);
-                }
-            }
-        }
+    $verses = writeBibleTranslationBook($code, $bookURI, $chapters);
+    buildBibleTranslationManifest();
+
+    echo "Imported $code $bookURI: " . count($chapters) . " chapters, $verses verses";
+    modLog("Imported parallel translation $code for $bookURI");
+}
+
+function mod_bible_translation_delete(Context $ctx) {
+    $config = $ctx->get('config');
+
+    if (!hasPermission($config['mod']['manageboards']))
+        error($config['error']['noaccess']);
 
-        // Store last verse in paragraph
-        if ($currentChapter !== null && $currentVerse !== null && trim($currentText) !== '') {
-            $chapters[$currentChapter][$currentVerse] = trim($currentText);
+    header('Content-Type: text/plain; charset=utf-8');
+
+    $code = isset($_POST['code']) ? $_POST['code'] : '';
+    if (!isset($config['bible']['translations'][$code]) || !preg_match('/^[a-zA-Z0-9]+$/', $code)) {
+        echo "ERROR: Unknown translation '$code'";
+        return;
+    }
+
+    $translationDir = $config['dir']['home'] . 'bible/' . $code;
+    foreach (glob($translationDir . '/*', GLOB_ONLYDIR) ?: [] as $bookDir) {
+        foreach (glob($bookDir . '/*.json*') as $file) {
+            unlink($file);
         }
+        rmdir($bookDir);
+    }
+    if (is_dir($translationDir)) {
+        rmdir($translationDir);
     }
+    buildBibleTranslationManifest();
 
-    return $chapters;
+    echo "Deleted parallel translation $code";
+    modLog("Deleted parallel translation $code");
 }
 
 function mod_noticeboard(Context $ctx, $page_no = 1) {
@@ -1939,19 +2025,20 @@ function mod_bans(Context $ctx) {
 	if (!hasPermission($config['mod']['view_banlist']))
 		error($config['error']['noaccess']);
 
+	$selected = [];
+	foreach ($_POST as $name => $unused) {
+		if (preg_match('/^ban_(\d+)$/', $name, $match))
+			$selected[] = $match[1];
+	}
+
 	if (isset($_POST['unban'])) {
 		if (!hasPermission($config['mod']['unban']))
 			error($config['error']['noaccess']);
 
-		$unban = [];
-		foreach ($_POST as $name => $unused) {
-			if (preg_match('/^ban_(\d+)$/', $name, $match))
-				$unban[] = $match[1];
-		}
-		if (isset($config['mod']['unban_limit']) && $config['mod']['unban_limit'] && count($unban) > $config['mod']['unban_limit'])
-			error(sprintf($config['error']['toomanyunban'], $config['mod']['unban_limit'], count($unban)));
+		if (isset($config['mod']['unban_limit']) && $config['mod']['unban_limit'] && count($selected) > $config['mod']['unban_limit'])
+			error(sprintf($config['error']['toomanyunban'], $config['mod']['unban_limit'], count($selected)));
 
-		foreach ($unban as $id) {
+		foreach ($selected as $id) {
 			Bans::delete($id, true, $mod['boards'], true);
 		}
 		Vichan\Functions\Theme\rebuild_themes('bans');
@@ -1959,6 +2046,50 @@ function mod_bans(Context $ctx) {
 		return;
 	}
 
+	if (isset($_POST['bulk'])) {
+		if (!hasPermission($config['mod']['edit_ban']))
+			error($config['error']['noaccess']);
+
+		if (isset($config['mod']['bulk_ban_limit']) && $config['mod']['bulk_ban_limit'] && count($selected) > $config['mod']['bulk_ban_limit'])
+			error(sprintf($config['error']['toomanybulkban'], $config['mod']['bulk_ban_limit'], count($selected)));
+
+		switch ($_POST['bulk']) {
+			case 'extend':
+				$time = isset($_POST['bulk_length']) ? Bans::parse_time($_POST['bulk_length']) : false;
+				if (!$time || $time <= time())
+					error(sprintf($config['error']['invalidfield'], _('Extend by')));
+
+				foreach ($selected as $id) {
+					Bans::extend($id, $time - time(), $mod['boards'], true);
+				}
+				break;
+			case 'reason':
+				$reason = isset($_POST['bulk_reason']) ? trim($_POST['bulk_reason']) : '';
+				foreach ($selected as $id) {
+					Bans::set_reason($id, $reason, $mod['boards'], true);
+				}
+				break;
+			case 'range':
+				$ipv4_bits = isset($_POST['bulk_bits4']) ? (int)$_POST['bulk_bits4'] : 0;
+				$ipv6_bits = isset($_POST['bulk_bits6']) ? (int)$_POST['bulk_bits6'] : 0;
+				if ($ipv4_bits < 1 || $ipv4_bits > 32)
+					error(sprintf($config['error']['invalidfield'], _('IPv4 range')));
+				if ($ipv6_bits < 1 || $ipv6_bits > 128)
+					error(sprintf($config['error']['invalidfield'], _('IPv6 range')));
+
+				foreach ($selected as $id) {
+					Bans::widen($id, $ipv4_bits, $ipv6_bits, $mod['boards'], true);
+				}
+				break;
+			default:
+				error(sprintf($config['error']['invalidfield'], 'bulk'));
+		}
+
+		Vichan\Functions\Theme\rebuild_themes('bans');
+		header('Location: ?/bans', true, $config['redirect_http']);
+		return;
+	}
+
 	mod_page(
 		_('Ban list'),
 		$config['file_mod_ban_list'],
@@ -1982,6 +2113,29 @@ function mod_bans_json(Context $ctx) {
 	// Compress the json for faster loads
 	if (substr_count($_SERVER['HTTP_ACCEPT_ENCODING'], 'gzip')) ob_start("ob_gzhandler");
 
+	// A page at a time, filtered and sorted by the database
+	if (isset($_GET['limit'])) {
+		$filters = [];
+		foreach (['board', 'mine', 'staff', 'reason', 'ip', 'status', 'created_from', 'created_to', 'expires_from', 'expires_to'] as $name) {
+			if (isset($_GET[$name]) && is_string($_GET[$name]))
+				$filters[$name] = trim($_GET[$name]);
+		}
+
+		$result = Bans::search(
+			$filters,
+			isset($_GET['sort']) && is_string($_GET['sort']) ? $_GET['sort'] : 'created',
+			!isset($_GET['reverse']) || $_GET['reverse'] !== '0',
+			isset($_GET['offset']) ? max(0, (int)$_GET['offset']) : 0,
+			min(1000, max(1, (int)$_GET['limit'])),
+			!hasPermission($config['mod']['view_banstaff']),
+			$mod['boards']
+		);
+
+		header('Content-Type: application/json');
+		echo json_encode($result);
+		return;
+	}
+
 	Bans::stream_json(false, false, !hasPermission($config['mod']['view_banstaff']), $mod['boards']);
 }
 
@@ -2121,6 +2275,11 @@ function mod_sticky(Context $ctx, $board, $unsticky, $post) {
 	}
 
 	header('Location: ?/' . sprintf($config['board_path'], $board) . $config['file_index'], true, $config['redirect_http']);
+
+	if ($unsticky)
+		event('unsticky', $post);
+	else
+		event('sticky', $post);
 }
 
 function mod_cycle(Context $ctx, $board, $uncycle, $post) {
@@ -2143,6 +2302,11 @@ function mod_cycle(Context $ctx, $board, $uncycle, $post) {
 	}
 
 	header('Location: ?/' . sprintf($config['board_path'], $board) . $config['file_index'], true, $config['redirect_http']);
+
+	if ($uncycle)
+		event('uncycle', $post);
+	else
+		event('cycle', $post);
 }
 
 function mod_bumplock(Context $ctx, $board, $unbumplock, $post) {
@@ -2536,6 +2700,7 @@ function mod_ban_post(Context $ctx, $board, $delete, $post, $token = false) {
 			$query->bindValue(':body_nomarkup', sprintf("\n<tinyboard ban message>%s</tinyboard>", utf8tohtml($_POST['message'])));
 			$query->execute() or error(db_error($query));
 			rebuildPost($post);
+			event('post-update', $post, $thread);
 
 			modLog("Attached a public ban message to post #{$post}: " . utf8tohtml($_POST['message']));
 			buildThread($thread ? $thread : $post);
@@ -2621,6 +2786,8 @@ function mod_edit_post(Context $ctx, $board, $edit_raw_html, $postID) {
 			rebuildPost($postID);
 		}
 
+		event('post-update', $postID, $post['thread']);
+
 		buildIndex();
 
 		Vichan\Functions\Theme\rebuild_themes('post', $board);
@@ -2728,6 +2895,8 @@ function mod_spoiler_image(Context $ctx, $board, $post, $file) {
 	$query->bindValue(':id', $post, PDO::PARAM_INT);
 	$query->execute() or error(db_error($query));
 
+	event('post-update', $post, $result['thread']);
+
 	// Record the action
 	modLog("Spoilered file from post #{$post}");
 
@@ -3398,17 +3567,36 @@ function mod_rebuild(Context $ctx) {
 	);
 }
 
-function mod_reports(Context $ctx) {
-	global $mod;
-	$config = $ctx->get('config');
+// The OP and the replies just before a reported reply, built for the report queue
+function mod_report_context($board, array $post) {
+	global $config, $mod;
 
-	if (!hasPermission($config['mod']['reports']))
-		error($config['error']['noaccess']);
+	if (!$post['thread'] || !$config['mod']['report_context'])
+		return '';
 
-	$query = prepare("SELECT * FROM ``reports`` ORDER BY `time` DESC LIMIT :limit");
-	$query->bindValue(':limit', $config['mod']['recent_reports'], PDO::PARAM_INT);
+	$query = prepare(sprintf('SELECT * FROM ``posts_%s`` WHERE `id` = :thread', $board));
+	$query->bindValue(':thread', $post['thread'], PDO::PARAM_INT);
+	$query->execute() or error(db_error($query));
+	if (!$op = $query->fetch(PDO::FETCH_ASSOC))
+		return '';
+
+	$query = prepare(sprintf('SELECT * FROM ``posts_%s`` WHERE `thread` = :thread AND `id` < :id ORDER BY `id` DESC LIMIT :limit', $board));
+	$query->bindValue(':thread', $post['thread'], PDO::PARAM_INT);
+	$query->bindValue(':id', $post['id'], PDO::PARAM_INT);
+	$query->bindValue(':limit', (int)$config['mod']['report_context'], PDO::PARAM_INT);
 	$query->execute() or error(db_error($query));
-	$reports = $query->fetchAll(PDO::FETCH_ASSOC);
+
+	$html = (new Thread($op, '?/', $mod, false))->build(true);
+	foreach (array_reverse($query->fetchAll(PDO::FETCH_ASSOC)) as $reply) {
+		$html .= (new Post($reply, '?/', $mod))->build(true);
+	}
+	return $html;
+}
+
+// The report queue's items: each reported post with its report, thread context and what the
+// moderator may do about it. Reports of posts that have since been deleted are dropped.
+function mod_report_items(array $reports) {
+	global $config, $mod;
 
 	$report_queries = [];
 	foreach ($reports as $report) {
@@ -3427,8 +3615,7 @@ function mod_reports(Context $ctx) {
 		}
 	}
 
-	$count = 0;
-	$body = '';
+	$items = [];
 	foreach ($reports as $report) {
 		if (!isset($report_posts[$report['board']][$report['post']])) {
 			// // Invalid report (post has since been deleted)
@@ -3472,67 +3659,203 @@ function mod_reports(Context $ctx) {
 
 		$po->body .= $append_html;
 
-		$body .= $po->build(true) . '<hr>';
+		$actions = [];
+		foreach (['report_dismiss' => 'dismiss', 'report_dismiss_ip' => 'dismiss_ip', 'report_dismiss_post' => 'dismiss_post', 'delete' => 'delete'] as $permission => $action) {
+			if (hasPermission($config['mod'][$permission], $report['board']))
+				$actions[] = $action;
+		}
+		if (hasPermission($config['mod']['delete'], $report['board']) && hasPermission($config['mod']['ban'], $report['board']))
+			$actions[] = 'ban_delete';
 
-		if (isset($__old_body_truncate_char))
-			$config['body_truncate_char'] = $__old_body_truncate_char;
+		$items[] = Element($config['file_mod_report_item'], [
+			'report' => $report,
+			'post' => $po->build(true),
+			'link' => $po->link(),
+			'thread' => $post['thread'] ? $post['thread'] : $post['id'],
+			'context' => mod_report_context($report['board'], $post),
+			// Groups the reports of one reporter without giving their IP away
+			'reporter' => substr(sha1($config['cookies']['salt'] . $report['ip']), 0, 16),
+			'actions' => implode(' ', $actions),
+			'config' => $config,
+			'mod' => $mod
+		]);
 
-		$count++;
+		if (isset($__old_body_truncate_char)) {
+			$config['body_truncate_char'] = $__old_body_truncate_char;
+			unset($__old_body_truncate_char);
+		}
 	}
 
-	mod_page(
-		sprintf('%s (%d)', _('Report queue'), $count),
-		$config['file_mod_reports'],
-		[
-			'reports' => $body,
-			'count' => $count
-		],
-		$mod
-	);
+	return $items;
 }
 
-function mod_report_dismiss(Context $ctx, $id, $action) {
-	$config = $ctx->get('config');
+// Every open report's id, newest first
+function mod_report_ids() {
+	$query = query("SELECT `id` FROM ``reports`` ORDER BY `id` DESC") or error(db_error());
+	return array_map('intval', $query->fetchAll(PDO::FETCH_COLUMN));
+}
 
-	$query = prepare("SELECT `post`, `board`, `ip` FROM ``reports`` WHERE `id` = :id");
-	$query->bindValue(':id', $id);
-	$query->execute() or error(db_error($query));
-	if ($report = $query->fetch(PDO::FETCH_ASSOC)) {
-		$ip = $report['ip'];
-		$board = $report['board'];
-		$post = $report['post'];
-	} else
-		error($config['error']['404']);
+// Dismiss a report, every report by its reporter ('&all') or every report of its post ('&post')
+function mod_dismiss_report(array $report, $action) {
+	global $config;
 
 	switch($action){
 		case '&post':
-			if (!hasPermission($config['mod']['report_dismiss_post'], $board))
+			if (!hasPermission($config['mod']['report_dismiss_post'], $report['board']))
 				error($config['error']['noaccess']);
 
-			$query = prepare("DELETE FROM ``reports`` WHERE `post` = :post");
-			$query->bindValue(':post', $post);
-			modLog("Dismissed all reports for post #{$id}", $board);
+			$query = prepare("DELETE FROM ``reports`` WHERE `post` = :post AND `board` = :board");
+			$query->bindValue(':post', $report['post']);
+			$query->bindValue(':board', $report['board']);
+			modLog("Dismissed all reports for post #{$report['post']}", $report['board']);
 			break;
 		case '&all':
-			if (!hasPermission($config['mod']['report_dismiss_ip'], $board))
+			if (!hasPermission($config['mod']['report_dismiss_ip'], $report['board']))
 				error($config['error']['noaccess']);
 
 			$query = prepare("DELETE FROM ``reports`` WHERE `ip` = :ip");
-			$query->bindValue(':ip', $ip);
-			$cip = cloak_ip($ip);
+			$query->bindValue(':ip', $report['ip']);
+			$cip = cloak_ip($report['ip']);
 			modLog("Dismissed all reports by <a href=\"?/IP/$cip\">$cip</a>");
 			break;
 		case '':
 		default:
-			if (!hasPermission($config['mod']['report_dismiss'], $board))
+			if (!hasPermission($config['mod']['report_dismiss'], $report['board']))
 				error($config['error']['noaccess']);
 
 			$query = prepare("DELETE FROM ``reports`` WHERE `id` = :id");
-			$query->bindValue(':id', $id);
-			modLog("Dismissed a report for post #{$id}", $board);
+			$query->bindValue(':id', $report['id']);
+			modLog("Dismissed a report for post #{$report['post']}", $report['board']);
 			break;
 	}
 	$query->execute() or error(db_error($query));
+}
+
+// The report queue. The page keeps itself up to date from reports.json, and POSTed an action and
+// a report it acts on that report, answering with the reports that are still open as JSON:
+//   dismiss, dismiss_ip, dismiss_post   as the Dismiss links do
+//   delete                               delete the reported post
+//   ban_delete                           ban its poster (reason, length, and global to ban from
+//                                        every board), then delete it
+function mod_reports(Context $ctx) {
+	global $mod;
+	$config = $ctx->get('config');
+
+	if (!hasPermission($config['mod']['reports']))
+		error($config['error']['noaccess']);
+
+	if (isset($_POST['action'], $_POST['report'])) {
+		$_POST['json_response'] = true;
+
+		$query = prepare("SELECT * FROM ``reports`` WHERE `id` = :id");
+		$query->bindValue(':id', (int)$_POST['report'], PDO::PARAM_INT);
+		$query->execute() or error(db_error($query));
+
+		// Someone else got to it first
+		if ($report = $query->fetch(PDO::FETCH_ASSOC)) {
+			switch ($_POST['action']) {
+				case 'dismiss':
+					mod_dismiss_report($report, '');
+					break;
+				case 'dismiss_ip':
+					mod_dismiss_report($report, '&all');
+					break;
+				case 'dismiss_post':
+					mod_dismiss_report($report, '&post');
+					break;
+				case 'delete':
+				case 'ban_delete':
+					$board = $report['board'];
+					if (!openBoard($board))
+						error($config['error']['noboard']);
+					if (!hasPermission($config['mod']['delete'], $board))
+						error($config['error']['noaccess']);
+
+					$query = prepare(sprintf('SELECT * FROM ``posts_%s`` WHERE `id` = :id', $board));
+					$query->bindValue(':id', $report['post'], PDO::PARAM_INT);
+					$query->execute() or error(db_error($query));
+					if (!$post = $query->fetch(PDO::FETCH_ASSOC))
+						break;
+
+					if ($_POST['action'] == 'ban_delete') {
+						if (!hasPermission($config['mod']['ban'], $board))
+							error($config['error']['noaccess']);
+
+						Bans::new_ban($post['ip'], isset($_POST['reason']) ? $_POST['reason'] : '', isset($_POST['length']) ? $_POST['length'] : false,
+							!empty($_POST['global']) ? false : $board, false, $config['ban_show_post'] ? $post : false);
+					}
+
+					deletePost($post['id']);
+					modLog("Deleted post #{$post['id']}");
+					buildIndex();
+					Vichan\Functions\Theme\rebuild_themes('post-delete', $board);
+
+					// Its reports, and the reports of its replies if it was a thread
+					$query = prepare(sprintf("DELETE FROM ``reports`` WHERE `board` = :board AND `post` NOT IN (SELECT `id` FROM ``posts_%s``)", $board));
+					$query->bindValue(':board', $board);
+					$query->execute() or error(db_error($query));
+					break;
+				default:
+					error(sprintf($config['error']['invalidfield'], 'action'));
+			}
+		}
+
+		header('Content-Type: application/json; charset=utf-8');
+		echo json_encode(['open' => mod_report_ids()]);
+		return;
+	}
+
+	$query = prepare("SELECT * FROM ``reports`` ORDER BY `id` DESC LIMIT :limit");
+	$query->bindValue(':limit', $config['mod']['recent_reports'], PDO::PARAM_INT);
+	$query->execute() or error(db_error($query));
+	$items = mod_report_items($query->fetchAll(PDO::FETCH_ASSOC));
+
+	mod_page(
+		sprintf('%s (%d)', _('Report queue'), count($items)),
+		$config['file_mod_reports'],
+		[
+			'reports' => implode('', $items),
+			'count' => count($items),
+			'reasons' => $config['premade_ban_reasons'],
+			'token' => make_secure_link_token('reports')
+		],
+		$mod
+	);
+}
+
+// Report queue items as JSON: the reports newer than after=, or else older than before=, and the
+// ids of every open report
+function mod_reports_json(Context $ctx) {
+	$config = $ctx->get('config');
+
+	if (!hasPermission($config['mod']['reports']))
+		error($config['error']['noaccess']);
+
+	if (isset($_GET['after'])) {
+		$query = prepare("SELECT * FROM (SELECT * FROM ``reports`` WHERE `id` > :id ORDER BY `id` ASC LIMIT :limit) AS `new` ORDER BY `id` DESC");
+		$query->bindValue(':id', (int)$_GET['after'], PDO::PARAM_INT);
+	} else {
+		$query = prepare("SELECT * FROM ``reports`` WHERE `id` < :id ORDER BY `id` DESC LIMIT :limit");
+		$query->bindValue(':id', isset($_GET['before']) ? (int)$_GET['before'] : PHP_INT_MAX, PDO::PARAM_INT);
+	}
+	$query->bindValue(':limit', $config['mod']['recent_reports'], PDO::PARAM_INT);
+	$query->execute() or error(db_error($query));
+	$items = mod_report_items($query->fetchAll(PDO::FETCH_ASSOC));
+
+	header('Content-Type: application/json; charset=utf-8');
+	echo json_encode(['items' => $items, 'open' => mod_report_ids()]);
+}
+
+function mod_report_dismiss(Context $ctx, $id, $action) {
+	$config = $ctx->get('config');
+
+	$query = prepare("SELECT * FROM ``reports`` WHERE `id` = :id");
+	$query->bindValue(':id', $id);
+	$query->execute() or error(db_error($query));
+	if (!$report = $query->fetch(PDO::FETCH_ASSOC))
+		error($config['error']['404']);
+
+	mod_dismiss_report($report, $action);
 
 	header('Location: ?/reports', true, $config['redirect_http']);
 }
@@ -1,7 +1,7 @@
 <?php
 
 // Installation/upgrade file
-define('VERSION', '5.2.1');
+define('VERSION', '5.2.7');
 require 'inc/bootstrap.php';
 loadConfig();
 
@@ -635,6 +635,68 @@ if (file_exists($config['has_installed'])) {
 			  	`created_at` int(11),
 			  	PRIMARY KEY (`cookie`,`extra`)
 				) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4;') or error(db_error());
+		case '5.2.1':
+			query('CREATE TABLE IF NOT EXISTS ``live_events`` (
+				`id` int(11) unsigned NOT NULL AUTO_INCREMENT,
+				`board` varchar(58) CHARACTER SET utf8 NOT NULL,
+				`thread` int(11) NOT NULL,
+				`post` int(11) NOT NULL,
+				`type` varchar(16) NOT NULL,
+				`data` text,
+				`time` int(11) NOT NULL,
+				PRIMARY KEY (`id`),
+				KEY `time` (`time`)
+				) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4;') or error(db_error());
+		case '5.2.2':
+			query('CREATE TABLE IF NOT EXISTS ``profile_sync`` (
+				`id` char(64) CHARACTER SET ascii NOT NULL,
+				`data` mediumtext NOT NULL,
+				`revision` int(11) unsigned NOT NULL,
+				`time` int(11) NOT NULL,
+				PRIMARY KEY (`id`),
+				KEY `time` (`time`)
+				) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4;') or error(db_error());
+		case '5.2.3':
+			query('CREATE TABLE IF NOT EXISTS ``bible_import_jobs`` (
+				`id` int(11) unsigned NOT NULL AUTO_INCREMENT,
+				`board` varchar(58) CHARACTER SET utf8 NOT NULL,
+				`status` varchar(16) NOT NULL,
+				`phase` varchar(16) NOT NULL,
+				`fresh` tinyint(1) NOT NULL DEFAULT \'0\',
+				`chapters_total` int(11) unsigned NOT NULL DEFAULT \'0\',
+				`chapters_done` int(11) unsigned NOT NULL DEFAULT \'0\',
+				`chapter` int(11) unsigned DEFAULT NULL,
+				`position` int(11) unsigned NOT NULL DEFAULT \'0\',
+				`message` text,
+				`username` varchar(30) DEFAULT NULL,
+				`created` int(11) NOT NULL,
+				`updated` int(11) NOT NULL,
+				PRIMARY KEY (`id`),
+				KEY `board` (`board`)
+				) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4;') or error(db_error());
+		case '5.2.4':
+			query('CREATE TABLE IF NOT EXISTS ``bible_import_runs`` (
+				`id` int(11) unsigned NOT NULL AUTO_INCREMENT,
+				`username` varchar(30) DEFAULT NULL,
+				`created` int(11) NOT NULL,
+				PRIMARY KEY (`id`)
+				) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4;') or error(db_error());
+			query('ALTER TABLE ``bible_import_jobs`` ADD `run` int(11) unsigned DEFAULT NULL AFTER `board`, ADD KEY `run` (`run`)') or error(db_error());
+		case '5.2.5':
+			query('CREATE TABLE IF NOT EXISTS ``profile_sync_requests`` (
+				`ip` varchar(39) NOT NULL,
+				`time` int(11) NOT NULL,
+				KEY `ip` (`ip`),
+				KEY `time` (`time`)
+				) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4;') or error(db_error());
+			query('ALTER TABLE ``profile_sync`` ADD `ip` varchar(39) DEFAULT NULL AFTER `id`, ADD KEY `ip` (`ip`)') or error(db_error());
+		case '5.2.6':
+			query('CREATE TABLE IF NOT EXISTS ``markup_preview_requests`` (
+				`ip` varchar(39) NOT NULL,
+				`time` int(11) NOT NULL,
+				KEY `ip` (`ip`),
+				KEY `time` (`time`)
+				) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4;') or error(db_error());
 		case false:
 			// TODO: enhance Tinyboard -> vichan upgrade path.
 			query("CREATE TABLE IF NOT EXISTS ``search_queries`` (  `ip` varchar(39) NOT NULL,  `time` int(11) NOT NULL,  `query` text NOT NULL) ENGINE=InnoDB DEFAULT CHARSET=utf8;") or error(db_error());
@@ -348,6 +348,106 @@ CREATE TABLE IF NOT EXISTS `captchas` (
 ) ENGINE=InnoDB  DEFAULT CHARSET=utf8mb4;
 
 
+-- --------------------------------------------------------
+
+--
+-- Table structure for table `live_events`
+--
+
+CREATE TABLE IF NOT EXISTS `live_events` (
+  `id` int(11) unsigned NOT NULL AUTO_INCREMENT,
+  `board` varchar(58) CHARACTER SET utf8 NOT NULL,
+  `thread` int(11) NOT NULL,
+  `post` int(11) NOT NULL,
+  `type` varchar(16) NOT NULL,
+  `data` text,
+  `time` int(11) NOT NULL,
+  PRIMARY KEY (`id`),
+  KEY `time` (`time`)
+) ENGINE=InnoDB  DEFAULT CHARSET=utf8mb4 AUTO_INCREMENT=1 ;
+
+-- --------------------------------------------------------
+
+--
+-- Table structure for table `profile_sync`
+--
+
+CREATE TABLE IF NOT EXISTS `profile_sync` (
+  `id` char(64) CHARACTER SET ascii NOT NULL,
+  `ip` varchar(39) DEFAULT NULL,
+  `data` mediumtext NOT NULL,
+  `revision` int(11) unsigned NOT NULL,
+  `time` int(11) NOT NULL,
+  PRIMARY KEY (`id`),
+  KEY `ip` (`ip`),
+  KEY `time` (`time`)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4;
+
+-- --------------------------------------------------------
+
+--
+-- Table structure for table `profile_sync_requests`
+--
+
+CREATE TABLE IF NOT EXISTS `profile_sync_requests` (
+  `ip` varchar(39) NOT NULL,
+  `time` int(11) NOT NULL,
+  KEY `ip` (`ip`),
+  KEY `time` (`time`)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4;
+
+-- --------------------------------------------------------
+
+--
+-- Table structure for table `markup_preview_requests`
+--
+
+CREATE TABLE IF NOT EXISTS `markup_preview_requests` (
+  `ip` varchar(39) NOT NULL,
+  `time` int(11) NOT NULL,
+  KEY `ip` (`ip`),
+  KEY `time` (`time`)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4;
+
+-- --------------------------------------------------------
+
+--
+-- Table structure for table `bible_import_jobs`
+--
+
+CREATE TABLE IF NOT EXISTS `bible_import_jobs` (
+  `id` int(11) unsigned NOT NULL AUTO_INCREMENT,
+  `board` varchar(58) CHARACTER SET utf8 NOT NULL,
+  `run` int(11) unsigned DEFAULT NULL,
+  `status` varchar(16) NOT NULL,
+  `phase` varchar(16) NOT NULL,
+  `fresh` tinyint(1) NOT NULL DEFAULT '0',
+  `chapters_total` int(11) unsigned NOT NULL DEFAULT '0',
+  `chapters_done` int(11) unsigned NOT NULL DEFAULT '0',
+  `chapter` int(11) unsigned DEFAULT NULL,
+  `position` int(11) unsigned NOT NULL DEFAULT '0',
+  `message` text,
+  `username` varchar(30) DEFAULT NULL,
+  `created` int(11) NOT NULL,
+  `updated` int(11) NOT NULL,
+  PRIMARY KEY (`id`),
+  KEY `board` (`board`),
+  KEY `run` (`run`)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4;
+
+-- --------------------------------------------------------
+
+--
+-- Table structure for table `bible_import_runs`
+--
+
+CREATE TABLE IF NOT EXISTS `bible_import_runs` (
+  `id` int(11) unsigned NOT NULL AUTO_INCREMENT,
+  `username` varchar(30) DEFAULT NULL,
+  `created` int(11) NOT NULL,
+  PRIMARY KEY (`id`)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4;
+
 /*!40101 SET CHARACTER_SET_CLIENT=@OLD_CHARACTER_SET_CLIENT */;
 /*!40101 SET CHARACTER_SET_RESULTS=@OLD_CHARACTER_SET_RESULTS */;
 /*!40101 SET COLLATION_CONNECTION=@OLD_COLLATION_CONNECTION */;
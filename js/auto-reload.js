@@ -13,8 +13,20 @@
  * Usage:
  *   $config['additional_javascript'][] = 'js/jquery.min.js';
  *   //$config['additional_javascript'][] = 'js/titlebar-notifications.js';
+ *   //$config['additional_javascript'][] = 'js/live-updates.js';
  *   $config['additional_javascript'][] = 'js/auto-reload.js';
  *
+ * With js/live-updates.js loaded (and $config['live']['enabled']), new posts are pushed from
+ * live.php as soon as they are made and only the new posts are fetched. Every live event for
+ * the thread is re-triggered on the document as "live_update". Without it, the thread page is
+ * polled on a timer as before.
+ *
+ * Either way, replies that disappear are kept but marked as deleted, edited bodies (e.g. a public
+ * ban message) and deleted or spoilered files are swapped in, and the sticky/locked/cyclical icons
+ * follow the thread. Other scripts can listen for:
+ *   $(document).on('post_deleted', function(e, post) { ... });
+ *   $(document).on('post_updated', function(e, post, changes) { ... });  // changes: ['body', 'files', 'sticky', ...]
+ *
  * You must have boardlinks or else this script will not load.
  * Search for "$config['boards'] = array(" within your inc/config.php and add something similar to your instance-config.php.
  *
@@ -83,6 +95,16 @@ $(document).ready(function(){
 	
 
 	$('#auto_update_status').click(function() {
+		if (live) {
+			if ($("#auto_update_status").is(':checked')) {
+				live_subscribe();
+			} else {
+				LiveUpdates.unsubscribe('auto-reload');
+				$('#update_secs').text("");
+			}
+			return;
+		}
+
 		if($("#auto_update_status").is(':checked')) {
 			auto_update(poll_interval_mindelay);
 		} else {
@@ -139,36 +161,264 @@ $(document).ready(function(){
 		}
 	}
 	
+	// Append the replies that aren't on the page yet; returns how many were added
+	var insert_posts = function(posts) {
+		var loaded_posts = 0;
+		var elementsToAppend = [];
+		var elementsToTriggerNewpostEvent = [];
+		posts.each(function() {
+			var id = $(this).attr('id');
+			if($('#' + id).length == 0) {
+				if (!new_posts) {
+					first_new_post = this;
+				}
+				new_posts++;
+				loaded_posts++;
+				elementsToAppend.push($(this));
+				elementsToAppend.push($('<br class="clear">'));
+				elementsToTriggerNewpostEvent.push(this);
+			}
+		});
+		$('div.post:last').next().after(elementsToAppend);
+		recheck_activated();
+		elementsToTriggerNewpostEvent.forEach(function(ele){
+			$(document).trigger('new_post', ele);
+		});
+		time_loaded = Date.now(); // interop with watch.js
+
+		return loaded_posts;
+	};
+
+	var text_signature = function(element) {
+		return element.text().replace(/\s+/g, ' ').trim();
+	};
+
+	var files_signature = function(files) {
+		return files.find('.file').map(function() {
+			return $(this).find('img.deleted').length ? 'deleted' : text_signature($(this).find('.fileinfo .unimportant'));
+		}).get().join('|');
+	};
+
+	// The OP's files sit in front of it in the thread, a reply's inside it
+	var post_files = function(post) {
+		return post.hasClass('op') ? post.parent().children('.files') : post.children('.files');
+	};
+
+	// Swap in the parts of a post that changed on the server
+	var update_post = function(post, fresh) {
+		post = $(post);
+		fresh = $(fresh);
+		if (!post.length)
+			return;
+		var changes = [];
+
+		var body = post.children('.body');
+		var fresh_body = fresh.children('.body');
+		if (text_signature(body) != text_signature(fresh_body)) {
+			body.replaceWith(fresh_body);
+			changes.push('body');
+		}
+
+		var files = post_files(post);
+		var fresh_files = post_files(fresh);
+		if (files_signature(files) != files_signature(fresh_files)) {
+			if (files.length)
+				files.replaceWith(fresh_files);
+			else if (post.hasClass('op'))
+				post.before(fresh_files);
+			else
+				post.children('.intro, .nointro').first().after(fresh_files);
+			changes.push('files');
+		}
+
+		if (changes.length)
+			$(document).trigger('post_updated', [post[0], changes]);
+	};
+
+	// Deleted replies stay where they were, marked as such
+	var mark_deleted = function(post) {
+		post = $(post);
+		if (!post.length || post.hasClass('deleted'))
+			return;
+		post.addClass('deleted');
+		post.children('.intro, .nointro').first().append(' <span class="deleted-notice">' + _("(Deleted)") + '</span>');
+		$(document).trigger('post_deleted', post[0]);
+	};
+
+	// Mark replies that aren't in the list of ids still in the thread; a +50 page only knows its own range
+	var mark_missing = function(ids, oldest) {
+		$('div.thread > div.post.reply:not(.deleted)').each(function() {
+			var id = parseInt(this.id.replace('reply_', ''));
+			if (id >= (oldest || 0) && ids.indexOf(id) == -1)
+				mark_deleted(this);
+		});
+	};
+
+	var thread_icons = {
+		sticky: ['Sticky', 'fa-thumb-tack'],
+		locked: ['Locked', 'fa-lock'],
+		cyclical: ['Cyclical', 'fa-refresh']
+	};
+
+	// Show or hide the sticky/locked/cyclical icons next to the OP's number
+	var set_thread_state = function(state) {
+		var op = $('div.post.op').first();
+		var intro = op.children('.intro, .nointro').first();
+		var changes = [];
+
+		$.each(thread_icons, function(key, icon) {
+			if (state[key] === undefined)
+				return;
+			var current = intro.children('[title="' + icon[0] + '"]');
+			if (!!state[key] == (current.length > 0))
+				return;
+
+			if (state[key]) {
+				var after = intro.children('a.post_no, [title="Sticky"], [title="Locked"], [title="Bumplocked"], [title="Cyclical"]').last();
+				after.after($('<i class="fa ' + icon[1] + '"></i>').attr('title', icon[0]));
+			} else {
+				current.remove();
+			}
+			changes.push(key);
+		});
+
+		if (changes.length)
+			$(document).trigger('post_updated', [op[0], changes]);
+	};
+
+	// Bring the page in line with a freshly fetched copy of the thread page
+	var apply_page = function(data) {
+		data = $(data);
+		var fresh = data.find('div.post.reply');
+		var ids = fresh.map(function() { return parseInt(this.id.replace('reply_', '')); }).get();
+
+		mark_missing(ids, /\+50\.html$/.test(document.location.pathname) && ids.length ? Math.min.apply(null, ids) : 0);
+
+		fresh.each(function() {
+			update_post($('div.thread > #' + this.id), this);
+		});
+
+		var op = data.find('div.post.op').first();
+		if (op.length) {
+			update_post($('div.post.op').first(), op);
+			var intro = op.children('.intro, .nointro').first();
+			set_thread_state({
+				sticky: intro.children('[title="Sticky"]').length > 0,
+				locked: intro.children('[title="Locked"]').length > 0,
+				cyclical: intro.children('[title="Cyclical"]').length > 0
+			});
+		}
+
+		return insert_posts(fresh.filter(function() {
+			return $('#' + this.id).length == 0;
+		}));
+	};
+
+	// The same from a live.php delta
+	var apply_delta = function(delta) {
+		mark_missing(delta.ids);
+
+		delta.updated.forEach(function(post) {
+			var fresh = $('<div>').html(post.html).find('div.post').first();
+			update_post($('div.thread > #' + fresh.attr('id')), fresh);
+		});
+
+		set_thread_state(delta);
+
+		return insert_posts($(delta.posts.map(function(post) { return post.html; }).join('')).filter('div.post.reply'));
+	};
+
+	var thread_deleted = function() {
+		$('#update_secs').text(_("Thread deleted or pruned"));
+		$('#auto_update_status').prop('checked', false);
+		$('#auto_update_status').prop('disabled', true); // disable updates if thread is deleted
+	};
+
+	// Pushed updates from live.php, see js/live-updates.js
+	var live = typeof LiveUpdates != "undefined" && LiveUpdates.available;
+	var live_board = $('form[name="post"] input[name="board"]').val() || $('div.thread').first().data('board');
+	var live_thread = $('div.post.op').attr('id').replace('op_', '');
+	var live_fetching = false;
+	var live_pending = false;
+	var live_updated = {};
+
+	var last_post_id = function() {
+		var last = parseInt(live_thread);
+		$('div.post.reply').each(function() {
+			last = Math.max(last, parseInt(this.id.replace('reply_', '')) || 0);
+		});
+		return last;
+	};
+
+	// Fetch only the posts newer than the last one on the page
+	var live_fetch = function() {
+		if (live_fetching) {
+			live_pending = true;
+			return false;
+		}
+		live_fetching = true;
+		$('#update_secs').text(_("Updating..."));
+
+		var update = Object.keys(live_updated);
+		live_updated = {};
+
+		// Moderators need the mod controls, which only the thread page has
+		var request = inMod
+			? Promise.resolve($.ajax({ url: document.location })).then(apply_page)
+			: LiveUpdates.delta(live_board, live_thread, last_post_id(), update).then(apply_delta);
+
+		request.then(function(loaded_posts) {
+			$('#update_secs').text(loaded_posts ? fmt(_("Thread updated with {0} new post(s)"), [loaded_posts]) : _("Live"));
+		}, function(error) {
+			if (error.status == 404) {
+				LiveUpdates.unsubscribe('auto-reload');
+				thread_deleted();
+			} else {
+				$('#update_secs').text(_("Error: ") + (error.statusText || error.message));
+			}
+		}).then(function() {
+			live_fetching = false;
+			if (live_pending) {
+				live_pending = false;
+				live_fetch();
+			}
+		});
+
+		return false;
+	};
+
+	var live_subscribe = function() {
+		$('#update_secs').text(_("Live"));
+		LiveUpdates.subscribe('auto-reload', [live_board + '/' + live_thread], function(event) {
+			if (event.type == 'post' || event.type == 'reset') {
+				live_fetch();
+			} else if (event.type == 'update') {
+				live_updated[event.post] = true;
+				live_fetch();
+			} else if (event.type == 'delete' && event.post == live_thread) {
+				LiveUpdates.unsubscribe('auto-reload');
+				thread_deleted();
+			} else if (event.type == 'delete') {
+				mark_deleted($('div.thread > #reply_' + event.post));
+			} else if (event.data) {
+				set_thread_state(event.data);
+			}
+			$(document).trigger('live_update', [event]);
+		});
+	};
+
 	var poll = function(manualUpdate) {
+		if (live) {
+			return live_fetch();
+		}
+
 		stop_auto_update();
 		$('#update_secs').text(_("Updating..."));
 	
 		$.ajax({
 			url: document.location,
 			success: function(data) {
-				var loaded_posts = 0;	// the number of new posts loaded in this update
-				var elementsToAppend = [];
-				var elementsToTriggerNewpostEvent = [];
-				$(data).find('div.post.reply').each(function() {
-					var id = $(this).attr('id');
-					if($('#' + id).length == 0) {
-						if (!new_posts) {
-							first_new_post = this;
-						}
-						new_posts++;
-						loaded_posts++;
-						elementsToAppend.push($(this));
-						elementsToAppend.push($('<br class="clear">'));
-						elementsToTriggerNewpostEvent.push(this);
-					}
-				});
-				$('div.post:last').next().after(elementsToAppend);
-				recheck_activated();
-				elementsToTriggerNewpostEvent.forEach(function(ele){
-					$(document).trigger('new_post', ele);
-				});
-				time_loaded = Date.now(); // interop with watch.js
-				
+				var loaded_posts = apply_page(data);
 				
 				if ($('#auto_update_status').is(':checked')) {
 					// If there are no new posts, double the delay. Otherwise set it to the min.
@@ -198,9 +448,7 @@ $(document).ready(function(){
 			error: function(xhr, status_text, error_text) {
 				if (status_text == "error") {
 					if (error_text == "Not Found") {
-						$('#update_secs').text(_("Thread deleted or pruned"));
-						$('#auto_update_status').prop('checked', false);
-						$('#auto_update_status').prop('disabled', true); // disable updates if thread is deleted
+						thread_deleted();
 						return;
 					} else {
 						$('#update_secs').text("Error: "+error_text);
@@ -231,7 +479,7 @@ $(document).ready(function(){
 			end_of_page = false;
 			return;
 		} else {
-			if($("#auto_update_status").is(':checked') && timeDiff(poll_interval_mindelay)) {
+			if(!live && $("#auto_update_status").is(':checked') && timeDiff(poll_interval_mindelay)) {
 				poll(manualUpdate = true);
 			}
 			end_of_page = true;
@@ -240,7 +488,9 @@ $(document).ready(function(){
 
 	$('#update_thread').on('click', function() { poll(manualUpdate = true); return false; });
 
-	if($("#auto_update_status").is(':checked')) {
+	if (live) {
+		live_subscribe();
+	} else if($("#auto_update_status").is(':checked')) {
 		auto_update(poll_interval_delay);
 	}
 });
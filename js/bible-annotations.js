@@ -0,0 +1,407 @@
+/*
+ * bible-annotations.js - verse highlights and private notes
+ *
+ * Adds "Highlight" and "Add note" to the post menu of Bible verses. Annotations
+ * are keyed by osisID reference ("John.3.16") and kept in localStorage, so they
+ * follow the verse to any page it is shown on, including chapters loaded by
+ * bible-infinite-scroll.js. An Options tab lists every note and exports or
+ * imports them as JSON or Markdown.
+ *
+ * Usage:
+ *   $config['additional_javascript'][] = 'js/jquery.min.js';
+ *   $config['additional_javascript'][] = 'js/post-menu.js';
+ *   // $config['additional_javascript'][] = 'js/options.js';
+ *   $config['additional_javascript'][] = 'js/bible-annotations.js';
+ */
+
+(function() {
+    'use strict';
+
+    const BOOKS_URL = '/KJB/books.json';
+    const COLORS = {
+        yellow: 'Yellow',
+        green: 'Green',
+        blue: 'Blue',
+        pink: 'Pink'
+    };
+
+    let booksPromise = null;
+
+    /**
+     * Load the hosted books (osisID, short, testament, chapters) in canonical order
+     */
+    function loadBooks() {
+        if (!booksPromise) {
+            booksPromise = fetch(BOOKS_URL)
+                .then(response => {
+                    if (!response.ok) throw new Error(`Failed to load ${BOOKS_URL}: ${response.status}`);
+                    return response.json();
+                })
+                .then(data => data.books)
+                .catch(error => {
+                    booksPromise = null;
+                    throw error;
+                });
+        }
+        return booksPromise;
+    }
+
+    function getAnnotations() {
+        try {
+            return JSON.parse(localStorage.bible_annotations || '{}');
+        } catch (e) {
+            return {};
+        }
+    }
+
+    function setAnnotations(annotations) {
+        localStorage.bible_annotations = JSON.stringify(annotations);
+        $(document).trigger('bible_annotations_changed');
+    }
+
+    /**
+     * Change one verse's highlight or note; an annotation with neither is removed
+     */
+    function updateAnnotation(ref, changes) {
+        const annotations = getAnnotations();
+        const annotation = Object.assign({}, annotations[ref], changes, { updated: Date.now() });
+
+        if (!annotation.color) delete annotation.color;
+        if (!annotation.note) delete annotation.note;
+
+        if (annotation.color || annotation.note) {
+            annotations[ref] = annotation;
+        } else {
+            delete annotations[ref];
+        }
+        setAnnotations(annotations);
+    }
+
+    /**
+     * The osisID reference of a verse post ("Gen.1.4"), or null for anything else
+     */
+    function verseRef(post) {
+        const anchor = post.querySelector('a.post_no.verse, a.post_no.chapter');
+        const match = anchor && (anchor.getAttribute('href') || '').match(/\/([A-Za-z0-9]+)\/res\/(\d+)\.html#v(\d+)/);
+        return match ? `${match[1]}.${match[2]}.${match[3]}` : null;
+    }
+
+    function parseRef(ref) {
+        const [book, chapter, verse] = ref.split('.');
+        return { book: book, chapter: parseInt(chapter), verse: parseInt(verse) };
+    }
+
+    function verseUrl(ref) {
+        const { book, chapter, verse } = parseRef(ref);
+        return `/${book}/res/${chapter}.html#v${verse}`;
+    }
+
+    function editNote(ref) {
+        const annotation = getAnnotations()[ref] || {};
+        const note = prompt(`Note for ${ref.replace(/\.(\d+)\.(\d+)$/, ' $1:$2')} (leave empty to remove):`, annotation.note || '');
+        if (note !== null) {
+            updateAnnotation(ref, { note: note.trim() });
+        }
+    }
+
+    /**
+     * Show highlights and note markers on verse posts
+     */
+    function applyAnnotations(posts) {
+        const annotations = getAnnotations();
+
+        posts.forEach(post => {
+            const ref = verseRef(post);
+            if (!ref) return;
+            const annotation = annotations[ref] || {};
+
+            Object.keys(COLORS).forEach(color => {
+                post.classList.toggle(`bible-highlight-${color}`, annotation.color === color);
+            });
+
+            const intro = post.querySelector('.nointro');
+            let marker = post.querySelector('.bible-note-marker');
+            if (annotation.note && intro) {
+                if (!marker) {
+                    marker = document.createElement('a');
+                    marker.href = 'javascript:void(0)';
+                    marker.className = 'bible-note-marker';
+                    marker.textContent = '✎';
+                    marker.addEventListener('click', () => editNote(ref));
+                    intro.appendChild(marker);
+                }
+                marker.title = annotation.note;
+            } else if (marker) {
+                marker.remove();
+            }
+        });
+    }
+
+    function applyAll() {
+        applyAnnotations(Array.from(document.querySelectorAll('.post.bible')));
+    }
+
+    /**
+     * Post menu entries for Bible verses
+     */
+    function initMenu() {
+        const Menu = window.Menu;
+
+        const highlight = Menu.add_submenu('bible-annotate-highlight', _('Highlight'));
+        Object.keys(COLORS).forEach(color => {
+            highlight.add_item(`bible-annotate-color-${color}`, _(COLORS[color]));
+        });
+        highlight.add_item('bible-annotate-color-none', _('None'));
+        Menu.add_item('bible-annotate-note', _('Add note'));
+
+        Menu.onclick(function(e, $buf) {
+            const post = e.target.parentElement.parentElement;
+            const ref = verseRef(post);
+            const $items = $buf.find('#bible-annotate-highlight, #bible-annotate-note');
+
+            if (!ref) {
+                $items.addClass('hidden');
+                return;
+            }
+
+            const annotation = getAnnotations()[ref] || {};
+            if (annotation.note) {
+                $buf.find('#bible-annotate-note').text(_('Edit note'));
+            }
+
+            Object.keys(COLORS).concat('none').forEach(color => {
+                $buf.find(`#bible-annotate-color-${color}`).on('click', () => {
+                    updateAnnotation(ref, { color: color === 'none' ? null : color });
+                });
+            });
+            $buf.find('#bible-annotate-note').on('click', () => editNote(ref));
+        });
+    }
+
+    /**
+     * Human readable reference, e.g. "1 John 4:8"
+     */
+    function refTitle(books, ref) {
+        const { book, chapter, verse } = parseRef(ref);
+        const info = books.find(b => b.osisID === book);
+        return `${info ? info.short : book} ${chapter}:${verse}`;
+    }
+
+    /**
+     * Annotation references in canonical order
+     */
+    function sortedRefs(books, annotations) {
+        const order = new Map(books.map((book, i) => [book.osisID, i]));
+        return Object.keys(annotations).sort((a, b) => {
+            const x = parseRef(a);
+            const y = parseRef(b);
+            const bookX = order.has(x.book) ? order.get(x.book) : Infinity;
+            const bookY = order.has(y.book) ? order.get(y.book) : Infinity;
+            return (bookX - bookY) || (x.chapter - y.chapter) || (x.verse - y.verse);
+        });
+    }
+
+    function download(content, type, filename) {
+        const blob = new Blob([content], { type: type });
+        const link = document.createElement('a');
+        link.href = URL.createObjectURL(blob);
+        link.download = filename;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        setTimeout(() => URL.revokeObjectURL(link.href), 1000);
+    }
+
+    function exportJSON() {
+        const data = {
+            version: 1,
+            exported: new Date().toISOString(),
+            annotations: getAnnotations()
+        };
+        download(JSON.stringify(data, null, 2), 'application/json', `bible-notes-${new Date().toISOString().slice(0, 10)}.json`);
+    }
+
+    /**
+     * Export as Markdown with the text of each verse, from the chapter json
+     */
+    async function exportMarkdown() {
+        const books = await loadBooks().catch(() => []);
+        const annotations = getAnnotations();
+        const chapters = new Map();
+        const lines = ['# Bible notes', ''];
+
+        for (const ref of sortedRefs(books, annotations)) {
+            const { book, chapter, verse } = parseRef(ref);
+            const key = `${book}/${chapter}`;
+            if (!chapters.has(key)) {
+                chapters.set(key, await fetch(`/${key}.json`)
+                    .then(response => response.ok ? response.json() : null)
+                    .catch(() => null));
+            }
+
+            const data = chapters.get(key);
+            const text = data ? (data.verses.find(v => v.number === verse) || {}).text : null;
+            const annotation = annotations[ref];
+
+            lines.push(`## ${refTitle(books, ref)} (${ref})`, '');
+            if (text) lines.push(`> ${text}`, '');
+            if (annotation.color) lines.push(`Highlight: ${annotation.color}`, '');
+            if (annotation.note) lines.push(annotation.note, '');
+        }
+
+        download(lines.join('\n'), 'text/markdown', `bible-notes-${new Date().toISOString().slice(0, 10)}.md`);
+    }
+
+    /**
+     * Read annotations back from an exported Markdown file
+     */
+    function parseMarkdown(markdown) {
+        const annotations = {};
+        const sections = markdown.split(/^## /m).slice(1);
+
+        sections.forEach(section => {
+            const lines = section.split('\n');
+            const match = lines.shift().match(/\(([A-Za-z0-9]+\.\d+\.\d+)\)\s*$/);
+            if (!match) return;
+
+            const annotation = {};
+            const note = [];
+            lines.forEach(line => {
+                const color = line.match(/^Highlight: (\w+)\s*$/);
+                if (color && COLORS[color[1]]) {
+                    annotation.color = color[1];
+                } else if (!line.startsWith('>')) {
+                    note.push(line);
+                }
+            });
+            const text = note.join('\n').trim();
+            if (text) annotation.note = text;
+
+            if (annotation.color || annotation.note) {
+                annotations[match[1]] = annotation;
+            }
+        });
+
+        return annotations;
+    }
+
+    /**
+     * Import a JSON or Markdown export, keeping whichever copy of a verse's annotation is newer
+     */
+    function importFile(file) {
+        const reader = new FileReader();
+        reader.onload = () => {
+            let imported = null;
+            if (/\.(md|markdown)$/i.test(file.name)) {
+                imported = parseMarkdown(reader.result);
+            } else {
+                try {
+                    const data = JSON.parse(reader.result);
+                    imported = data && typeof data.annotations === 'object' ? data.annotations : null;
+                } catch (e) {
+                    imported = null;
+                }
+            }
+
+            if (!imported || !Object.keys(imported).length) {
+                alert(_('No Bible notes found in this file.'));
+                return;
+            }
+
+            const annotations = getAnnotations();
+            Object.keys(imported).forEach(ref => {
+                if (!/^[A-Za-z0-9]+\.\d+\.\d+$/.test(ref)) return;
+                const current = annotations[ref];
+                const incoming = imported[ref];
+                if (!current || (incoming.updated || 0) > (current.updated || 0)) {
+                    annotations[ref] = incoming;
+                }
+            });
+            setAnnotations(annotations);
+        };
+        reader.readAsText(file);
+    }
+
+    /**
+     * Render the Options panel tab
+     */
+    function renderOptionsTab(tab) {
+        const list = $('<div class="bible-notes-list"></div>').appendTo(tab.content);
+
+        const tools = $('<div></div>').appendTo(tab.content);
+        $('<button></button>').text(_('Export JSON')).on('click', exportJSON).appendTo(tools);
+        $('<button></button>').text(_('Export Markdown')).on('click', exportMarkdown).appendTo(tools);
+
+        const fileInput = $('<input type="file" accept="application/json,.json,text/markdown,.md">').hide().on('change', function() {
+            if (this.files.length) importFile(this.files[0]);
+            this.value = '';
+        });
+        $('<button></button>').text(_('Import')).on('click', () => fileInput.click()).appendTo(tools);
+        tools.append(fileInput);
+
+        $('<button></button>').text(_('Delete all')).on('click', () => {
+            if (confirm(_('Delete every highlight and note?'))) {
+                setAnnotations({});
+            }
+        }).appendTo(tools);
+
+        const render = () => {
+            loadBooks().catch(() => []).then(books => {
+                const annotations = getAnnotations();
+                const refs = sortedRefs(books, annotations);
+                list.empty();
+
+                if (!refs.length) {
+                    $('<p></p>').text(_('No highlights or notes yet. Use the menu next to a verse to add one.')).appendTo(list);
+                    return;
+                }
+
+                const ul = $('<ul class="bible-notes"></ul>').appendTo(list);
+                refs.forEach(ref => {
+                    const annotation = annotations[ref];
+                    const li = $('<li></li>').appendTo(ul);
+                    if (annotation.color) {
+                        $('<span class="bible-note-swatch"></span>').addClass(`bible-highlight-${annotation.color}`).appendTo(li);
+                    }
+                    $('<a></a>').attr('href', verseUrl(ref)).text(refTitle(books, ref)).appendTo(li);
+                    if (annotation.note) {
+                        $('<span class="bible-note-text"></span>').text(annotation.note).appendTo(li);
+                    }
+                    li.append(' ');
+                    $('<a href="javascript:void(0)"></a>').text(`[${_('Edit')}]`).on('click', () => editNote(ref)).appendTo(li);
+                    $('<a href="javascript:void(0)"></a>').text(`[${_('Delete')}]`).on('click', () => {
+                        updateAnnotation(ref, { color: null, note: null });
+                    }).appendTo(li);
+                });
+            });
+        };
+
+        render();
+        $(document).on('bible_annotations_changed', render);
+    }
+
+    // Chapters loaded by bible-infinite-scroll.js
+    document.addEventListener('bible_posts_inserted', e => {
+        applyAnnotations(e.detail.posts);
+    });
+
+    // Changes made here or in another tab
+    $(document).on('bible_annotations_changed', applyAll);
+    window.addEventListener('storage', e => {
+        if (e.key === 'bible_annotations') $(document).trigger('bible_annotations_changed');
+    });
+
+    // post-menu.js asks for items once the page is ready; only Bible pages need these
+    $(document).on('menu_ready', () => {
+        if (document.querySelector('.post.bible')) initMenu();
+    });
+
+    $(function() {
+        applyAll();
+
+        if (window.Options && Options.add_tab) {
+            renderOptionsTab(Options.add_tab('bible-notes', 'pencil', _('Notes')));
+        }
+    });
+
+})();
@@ -0,0 +1,174 @@
+/*
+ * bible-goto.js - "go to reference" box in the board list
+ *
+ * Accepts free-form references like "Gen 1:1", "genesis 1", "1john 4:8" or
+ * "Ps 119:105", suggests book names while typing, and jumps straight to the
+ * verse. Out-of-range chapters and verses are explained under the box.
+ *
+ * Usage:
+ *   $config['additional_javascript'][] = 'js/bible-reference.js';
+ *   $config['additional_javascript'][] = 'js/bible-goto.js';
+ */
+
+(function() {
+    'use strict';
+
+    let form = null;
+    let input = null;
+    let list = null;
+    let message = null;
+    let suggestions = [];
+    let selected = -1;
+
+    function showMessage(text) {
+        message.textContent = text;
+        message.style.display = text ? 'block' : 'none';
+    }
+
+    function closeSuggestions() {
+        suggestions = [];
+        selected = -1;
+        list.innerHTML = '';
+        list.style.display = 'none';
+    }
+
+    function renderSuggestions() {
+        list.innerHTML = '';
+        suggestions.forEach((suggestion, i) => {
+            const item = document.createElement('li');
+            item.textContent = suggestion.short;
+            item.className = i === selected ? 'selected' : '';
+            // mousedown so the input keeps focus
+            item.addEventListener('mousedown', event => {
+                event.preventDefault();
+                pick(i);
+            });
+            list.appendChild(item);
+        });
+        list.style.display = suggestions.length ? 'block' : 'none';
+    }
+
+    function pick(i) {
+        input.value = suggestions[i].value;
+        closeSuggestions();
+        input.focus();
+    }
+
+    /**
+     * Refresh suggestions while the book name is still being typed
+     */
+    async function onInput() {
+        showMessage('');
+        const text = input.value;
+
+        // Stop suggesting once the chapter has been typed after a complete book name
+        if (!text.trim() || /\d\s*:/.test(text)) {
+            closeSuggestions();
+            return;
+        }
+
+        try {
+            suggestions = await BibleReference.suggest(text, 8);
+        } catch (error) {
+            console.warn('Book suggestions unavailable:', error);
+            suggestions = [];
+        }
+
+        // Nothing to suggest if the only match is exactly what was typed
+        if (suggestions.length === 1 && suggestions[0].value.trim().toLowerCase() === text.trim().toLowerCase()) {
+            suggestions = [];
+        }
+
+        selected = -1;
+        renderSuggestions();
+    }
+
+    function onKeyDown(event) {
+        if (!suggestions.length) return;
+
+        if (event.key === 'ArrowDown' || event.key === 'ArrowUp') {
+            event.preventDefault();
+            const step = event.key === 'ArrowDown' ? 1 : -1;
+            selected = (selected + step + suggestions.length) % suggestions.length;
+            renderSuggestions();
+        } else if ((event.key === 'Enter' || event.key === 'Tab') && selected !== -1) {
+            event.preventDefault();
+            pick(selected);
+        } else if (event.key === 'Escape') {
+            closeSuggestions();
+        }
+    }
+
+    /**
+     * Resolve the reference and go there, or explain what's wrong
+     */
+    async function onSubmit(event) {
+        event.preventDefault();
+        closeSuggestions();
+
+        const text = input.value.trim();
+        if (!text) return;
+
+        let ref;
+        try {
+            ref = await BibleReference.parse(text);
+        } catch (error) {
+            console.error('Reference lookup failed:', error);
+            showMessage('Reference lookup is unavailable right now.');
+            return;
+        }
+
+        if (ref.error) {
+            showMessage(ref.error);
+            return;
+        }
+
+        showMessage('');
+        window.location.href = ref.url;
+    }
+
+    function init() {
+        if (!window.BibleReference) return;
+
+        const boardlist = document.querySelector('.boardlist');
+        if (!boardlist) return;
+
+        form = document.createElement('form');
+        form.className = 'bible-goto';
+        form.setAttribute('autocomplete', 'off');
+
+        input = document.createElement('input');
+        input.type = 'text';
+        input.name = 'reference';
+        input.placeholder = 'Go to verse, e.g. Ps 119:105';
+        input.setAttribute('aria-label', 'Go to Bible reference');
+
+        const button = document.createElement('button');
+        button.type = 'submit';
+        button.textContent = 'Go';
+
+        list = document.createElement('ul');
+        list.className = 'bible-goto-suggestions';
+        list.style.display = 'none';
+
+        message = document.createElement('div');
+        message.className = 'bible-goto-error';
+        message.style.display = 'none';
+
+        form.append(input, button, list, message);
+        boardlist.appendChild(form);
+
+        input.addEventListener('input', onInput);
+        input.addEventListener('keydown', onKeyDown);
+        input.addEventListener('blur', () => setTimeout(closeSuggestions, 100));
+        input.addEventListener('focus', () => BibleReference.load().catch(() => null));
+        form.addEventListener('submit', onSubmit);
+    }
+
+    if (document.readyState === 'loading') {
+        document.addEventListener('DOMContentLoaded', init);
+    } else {
+        init();
+    }
+
+})();
@@ -2,8 +2,11 @@
  * Bible Infinite Scroll - BIBLICALLY-ACCURATE SCROLLING
  *
  * Enables infinite horizontal scrolling across Bible books and chapters
- * Dynamically loads chapters as the user scrolls
+ * Dynamically loads chapters as the user scrolls, from /{osisID}/{chapter}.json
+ * with book metadata from /{osisID}/bible.json
  * Updates URL based on the currently visible chapter
+ * Keyboard: arrows move a column, PageUp/PageDown a chapter, [ ] a book,
+ * g goes to a reference, b bookmarks the selected verse (rebind in Options)
  */
 
 (function() {
@@ -11,7 +14,7 @@
 
     let thread = null;
     let boardURI = null;
-    let bibleNav = null;  // Bible navigation data scraped from page
+    let bibleNav = null;  // Chapter count and neighbouring books of boardURI, from bible.json
     let currentBook = null;  // Currently displayed book URI
 
     // Configuration
@@ -20,6 +23,8 @@
         loadThreshold: 2,  // Start loading when within this many columns of edge (want 2+ cols outside view)
         urlUpdateDelay: 250,  // Delay before updating URL (ms)
         sentryDistance: '200px',  // Distance for IntersectionObserver sentries
+        readCheckDelay: 2000,  // Delay before counting chapters visible on load as read (ms)
+        translationsUrl: '/bible/translations.json',  // Parallel translations imported from the dashboard
         debug: false  // Enable debug logging
     };
 
@@ -46,9 +51,39 @@
     const loadedChapters = new Set();
     const failedChapters = new Set();
     const loadedCrossBookChapters = new Set();  // Track cross-book chapters like "Exod:1", "Gen:50"
+    const readChapters = new Set();  // Chapters whose last verse has been seen, like "Gen:1"
     let minLoadedChapter = Infinity;
     let maxLoadedChapter = -Infinity;
 
+    // Parallel translation shown beside each verse
+    let parallelTranslation = null;  // Translation code, like "WEB"
+    let parallelTranslations = [];  // [{ code, name, books }] from config.translationsUrl
+    const parallelChapterCache = new Map();  // "WEB/Gen/1" => Promise of { verse: html }
+    let parallelTimer = null;
+
+    // Keyboard navigation; bindings can be changed in the Options panel and are kept in localStorage.bible_keys
+    const defaultKeys = {
+        columnLeft: 'ArrowLeft',
+        columnRight: 'ArrowRight',
+        chapterPrevious: 'PageUp',
+        chapterNext: 'PageDown',
+        bookPrevious: '[',
+        bookNext: ']',
+        gotoReference: 'g',
+        bookmarkVerse: 'b'
+    };
+    const keyDescriptions = {
+        columnLeft: 'Scroll one column left',
+        columnRight: 'Scroll one column right',
+        chapterPrevious: 'Previous chapter',
+        chapterNext: 'Next chapter',
+        bookPrevious: 'Previous book',
+        bookNext: 'Next book',
+        gotoReference: 'Go to a reference (e.g. "1 Cor 13:4")',
+        bookmarkVerse: 'Bookmark the selected verse'
+    };
+    let focusedPost = null;  // Verse last clicked or jumped to
+
     /**
      * Get the width of a single column (including gap)
      */
@@ -148,134 +183,77 @@
     }
 
     /**
-     * Scrape Bible navigation data from the page
+     * Fetch a book's metadata from /{osisID}/bible.json, once per book
+     * Resolves to { osisID, title, subtitle, chapters, previous, next, verses } or null
      */
-    function scrapeBibleNav() {
-        const nav = {
-            current: {
-                osisID: boardURI,
-                chapters: 1  // Default, will be updated
-            },
-            previous: null,
-            next: null
-        };
-
-        // Get max chapter from page navigation
-        const pageLinks = document.querySelectorAll('.pages a');
-        let maxChapter = 1;
-        pageLinks.forEach(link => {
-            const chapterNum = parseInt(link.textContent.trim());
-            if (!isNaN(chapterNum) && chapterNum > maxChapter) {
-                maxChapter = chapterNum;
-            }
-        });
-        nav.current.chapters = maxChapter;
-
-        // Get prev/next books from subtitle links
-        const subtitleLinks = document.querySelectorAll('.subtitle a');
-        subtitleLinks.forEach(link => {
-            const href = link.getAttribute('href');
-            if (!href) return;
-
-            const match = href.match(/^\/([A-Za-z0-9]+)\//);
-            if (!match) return;
-
-            const bookURI = match[1];
-            const text = link.textContent.trim();
+    async function fetchBookMetadata(bookURI) {
+        if (bookMetadataCache.has(bookURI)) {
+            return bookMetadataCache.get(bookURI);
+        }
 
-            // Check if this is a prev link (has <<) or next link (has >>)
-            if (text.includes('<<') || link.style.cssFloat === 'left') {
-                nav.previous = {
-                    osisID: bookURI,
-                    short: text.replace('<<', '').trim()
-                };
-            } else if (text.includes('>>') || link.style.cssFloat === 'right') {
-                nav.next = {
-                    osisID: bookURI,
-                    short: text.replace('>>', '').trim()
-                };
+        const url = `/${bookURI}/bible.json`;
+        try {
+            const response = await fetch(url);
+            if (!response.ok) {
+                console.warn(`Failed to fetch metadata from ${url}: ${response.status}`);
+                return null;
             }
-        });
 
-        console.log('Scraped Bible navigation:', nav);
-        return nav;
+            const data = await response.json();
+            const metadata = {
+                osisID: data.osisID,
+                title: `${data.url} - ${data.title}`,
+                subtitle: data.subtitle,
+                chapters: data.chapters,
+                previous: data.previous,
+                next: data.next,
+                verses: data.verses
+            };
+            bookMetadataCache.set(bookURI, metadata);
+            return metadata;
+        } catch (error) {
+            console.error(`Error fetching metadata for ${bookURI}:`, error);
+            return null;
+        }
     }
 
     /**
-     * Extract and cache book metadata from a document
+     * Fetch one chapter's verses from /{osisID}/{chapter}.json
      */
-    function extractBookMetadata(doc, bookURI) {
-        const metadata = {
-            osisID: bookURI,
-            title: '',
-            subtitle: '',
-            chapters: 1,
-            previous: null,
-            next: null
-        };
-
-        // Extract title
-        const h1 = doc.querySelector('header h1');
-        if (h1) {
-            metadata.title = h1.textContent.trim();
-        }
-
-        // Extract subtitle
-        const subtitleDiv = doc.querySelector('.subtitle');
-        if (subtitleDiv) {
-            // Get just the text node (without the links)
-            const textNode = Array.from(subtitleDiv.childNodes)
-                .find(node => node.nodeType === Node.TEXT_NODE);
-            if (textNode) {
-                metadata.subtitle = textNode.textContent.trim();
-            }
+    async function fetchChapterData(bookURI, chapterNum) {
+        const url = `/${bookURI}/${chapterNum}.json`;
+        const response = await fetch(url);
+        if (!response.ok) {
+            console.warn(`Chapter ${bookURI} ${chapterNum} not found (${response.status})`);
+            return null;
         }
+        return response.json();
+    }
 
-        // Get max chapter and prev/next from page
-        const pageLinks = doc.querySelectorAll('.pages a');
-        let maxChapter = 1;
-        pageLinks.forEach(link => {
-            const chapterNum = parseInt(link.textContent.trim());
-            if (!isNaN(chapterNum) && chapterNum > maxChapter) {
-                maxChapter = chapterNum;
-            }
-        });
-        metadata.chapters = maxChapter;
-
-        const subtitleLinks = doc.querySelectorAll('.subtitle a');
-        console.log(`Found ${subtitleLinks.length} subtitle links for ${bookURI}`);
-        subtitleLinks.forEach(link => {
-            const href = link.getAttribute('href');
-            if (!href) return;
-
-            const match = href.match(/^\/([A-Za-z0-9]+)\//);
-            if (!match) return;
-
-            const linkedBookURI = match[1];
-            const text = link.textContent.trim();
-            const styleAttr = link.getAttribute('style') || '';
-            const hasFloatLeft = styleAttr.includes('float') && styleAttr.includes('left');
-            const hasFloatRight = styleAttr.includes('float') && styleAttr.includes('right');
-
-            console.log(`  Link: text="${text}", href="${href}", style="${styleAttr}"`);
-
-            if (text.includes('<<') || hasFloatLeft) {
-                metadata.previous = {
-                    osisID: linkedBookURI,
-                    short: text.replace('<<', '').replace('«', '').trim()
-                };
-                console.log(`  -> Set as previous: ${metadata.previous.osisID} (${metadata.previous.short})`);
-            } else if (text.includes('>>') || hasFloatRight) {
-                metadata.next = {
-                    osisID: linkedBookURI,
-                    short: text.replace('>>', '').replace('»', '').trim()
-                };
-                console.log(`  -> Set as next: ${metadata.next.osisID} (${metadata.next.short})`);
-            }
+    /**
+     * Render chapter json as the same post markup the board pages use
+     * Posts from another book are marked with data-book
+     */
+    function renderChapter(data, crossBookURI) {
+        const bookAttr = crossBookURI ? ` data-book="${crossBookURI}"` : '';
+        const chapter = data.chapter;
+
+        let html = `<div class="post op bible" id="op_${data.thread}"${bookAttr}><p class="nointro"></p>` +
+            `<div class="body">${data.op}</div></div>`;
+
+        data.verses.forEach(verse => {
+            const link = `/${data.book}/res/${data.thread}.html#q${verse.id}`;
+            const numberClass = verse.number === 1 ? 'chapter' : 'verse';
+            const number = verse.number === 1 ? chapter : verse.number;
+
+            html += `<div class="post reply bible" id="reply_${verse.id}"${bookAttr}><p class="nointro">` +
+                `<input type="checkbox" class="bookmark" name="bookmark_${data.book}_${verse.id}" id="bookmark_${data.book}_${verse.id}" ` +
+                `data-post-id="${verse.id}" data-board-uri="${data.book}" data-post-link="${link}"/></p>` +
+                `<div class="body"><a class="post_no ${numberClass}" id="v${verse.number}" onclick="citeVerse(${chapter}, ${verse.number}, event)" ` +
+                `href="/${data.book}/res/${chapter}.html#v${verse.number}">${number}</a>${verse.html}</div></div>`;
         });
 
-        console.log(`Cached metadata for ${bookURI}:`, metadata);
-        return metadata;
+        return html;
     }
 
     /**
@@ -371,8 +349,13 @@
             // Clear and rebuild subtitle
             subtitleDiv.innerHTML = '';
 
-            // Add text
-            subtitleDiv.appendChild(document.createTextNode(metadata.subtitle));
+            // Add text, centered like the page template does
+            if (metadata.subtitle) {
+                const subtitleSpan = document.createElement('span');
+                subtitleSpan.setAttribute('style', 'position: absolute; left: 50%; transform: translateX(-50%);');
+                subtitleSpan.textContent = metadata.subtitle;
+                subtitleDiv.appendChild(subtitleSpan);
+            }
 
             // Add previous book link
             if (metadata.previous) {
@@ -493,7 +476,7 @@
     }
 
     /**
-     * Load a specific chapter and extract its posts
+     * Load a specific chapter and render its posts
      */
     async function loadChapter(chapterNum) {
         if (loadedChapters.has(chapterNum)) {
@@ -506,37 +489,17 @@
             return null;
         }
 
-        // Chapter 1 is at index.html, other chapters are at /N.html
-        const url = chapterNum === 1 ? `/${boardURI}/` : `/${boardURI}/${chapterNum}.html`;
-        console.log(`Fetching chapter ${chapterNum} from ${url}`);
+        console.log(`Fetching chapter ${chapterNum} of ${boardURI}`);
 
         try {
-            const response = await fetch(url);
-            if (!response.ok) {
-                console.warn(`Chapter ${chapterNum} not found (${response.status})`);
+            const data = await fetchChapterData(boardURI, chapterNum);
+            if (!data || data.verses.length === 0) {
+                console.warn(`No verses found in chapter ${chapterNum}`);
                 failedChapters.add(chapterNum);
                 return null;
             }
 
-            const html = await response.text();
-
-            // Parse the HTML to extract the posts
-            const parser = new DOMParser();
-            const doc = parser.parseFromString(html, 'text/html');
-
-            // Extract all Bible posts from the chapter
-            const posts = doc.querySelectorAll('.post.bible');
-            if (posts.length === 0) {
-                console.warn(`No posts found in chapter ${chapterNum}`);
-                failedChapters.add(chapterNum);
-                return null;
-            }
-
-            // Convert to HTML string
-            let postsHTML = '';
-            posts.forEach(post => {
-                postsHTML += post.outerHTML;
-            });
+            const postsHTML = renderChapter(data, null);
 
             // Mark as loaded
             loadedChapters.add(chapterNum);
@@ -633,8 +596,7 @@
                         const maxNextBookChapter = Math.max(...nextBookChapters);
                         console.log(`Continuing to load from ${bibleNav.next.osisID}, currently at chapter ${maxNextBookChapter}`);
 
-                        // Try to load next chapter in that book
-                        // We'll need the next book's max chapter count - for now just try loading
+                        // Try to load next chapter in that book; its bible.json says when to stop
                         crossBook = {
                             uri: bibleNav.next.osisID,
                             chapter: maxNextBookChapter + 1
@@ -655,203 +617,84 @@
                 try {
                     console.log(`Loading cross-book chapter: ${crossBook.uri} chapter ${crossBook.chapter}`);
 
-                    // Cache book metadata if not already cached - always fetch from index page
-                    if (!bookMetadataCache.has(crossBook.uri)) {
-                        console.log(`Fetching metadata for ${crossBook.uri} from index page`);
-                        const indexUrl = `/${crossBook.uri}/`;
-                        const indexResponse = await fetch(indexUrl);
-                        if (indexResponse.ok) {
-                            const indexHtml = await indexResponse.text();
-                            const parser = new DOMParser();
-                            const indexDoc = parser.parseFromString(indexHtml, 'text/html');
-                            const metadata = extractBookMetadata(indexDoc, crossBook.uri);
-                            bookMetadataCache.set(crossBook.uri, metadata);
-                        } else {
-                            console.warn(`Failed to fetch metadata from ${indexUrl}: ${indexResponse.status}`);
-                        }
-                    }
-
-                    // Fetch the cross-book chapter's HTML to extract posts
-                    const url = crossBook.chapter === 'last'
-                        ? `/${crossBook.uri}/`
-                        : `/${crossBook.uri}/res/${crossBook.chapter}.html`;
+                    const metadata = await fetchBookMetadata(crossBook.uri);
 
-                    const response = await fetch(url);
-                    if (!response.ok) {
-                        console.warn(`Failed to load ${url}: ${response.status}`);
-                        loading = false;
-                        return;
-                    }
-
-                    const html = await response.text();
-                    const parser = new DOMParser();
-                    const doc = parser.parseFromString(html, 'text/html');
-
-                    // If loading 'last' chapter, find the highest chapter number
+                    // 'last' means the final chapter of the previous book
                     let targetChapter = crossBook.chapter;
                     if (targetChapter === 'last') {
-                        const pageLinks = doc.querySelectorAll('.pages a');
-                        let maxChapter = 1;
-                        pageLinks.forEach(link => {
-                            const chapterNum = parseInt(link.textContent.trim());
-                            if (!isNaN(chapterNum) && chapterNum > maxChapter) {
-                                maxChapter = chapterNum;
-                            }
-                        });
-                        targetChapter = maxChapter;
-                        console.log(`Last chapter of ${crossBook.uri} is ${targetChapter}`);
-
-                        // Check if already loaded before fetching
-                        const crossBookKey = `${crossBook.uri}:${targetChapter}`;
-                        if (loadedCrossBookChapters.has(crossBookKey)) {
-                            console.log(`Already loaded ${crossBookKey}, skipping`);
+                        if (!metadata) {
                             loading = false;
                             return;
                         }
+                        targetChapter = metadata.chapters;
+                        console.log(`Last chapter of ${crossBook.uri} is ${targetChapter}`);
+                    } else if (metadata && targetChapter > metadata.chapters) {
+                        console.log(`${crossBook.uri} has no chapter ${targetChapter}`);
+                        loading = false;
+                        return;
+                    }
 
-                        // Now fetch that specific chapter
-                        const chapterUrl = `/${crossBook.uri}/res/${targetChapter}.html`;
-                        const chapterResponse = await fetch(chapterUrl);
-                        if (!chapterResponse.ok) {
-                            console.warn(`Failed to load ${chapterUrl}: ${chapterResponse.status}`);
-                            loading = false;
-                            return;
-                        }
-                        const chapterHtml = await chapterResponse.text();
-                        const chapterDoc = parser.parseFromString(chapterHtml, 'text/html');
+                    // Check if already loaded before fetching
+                    const crossBookKey = `${crossBook.uri}:${targetChapter}`;
+                    if (loadedCrossBookChapters.has(crossBookKey)) {
+                        console.log(`Already loaded ${crossBookKey}, skipping`);
+                        loading = false;
+                        return;
+                    }
 
-                        // Extract posts from this chapter
-                        const posts = chapterDoc.querySelectorAll('.post.bible');
-                        if (posts.length === 0) {
-                            console.warn(`No posts found in ${crossBook.uri} chapter ${targetChapter}`);
-                            loading = false;
-                            return;
-                        }
+                    const data = await fetchChapterData(crossBook.uri, targetChapter);
+                    if (!data || data.verses.length === 0) {
+                        console.warn(`No verses found in ${crossBook.uri} chapter ${targetChapter}`);
+                        loading = false;
+                        return;
+                    }
 
-                        let postsHTML = '';
-                        posts.forEach(post => {
-                            postsHTML += post.outerHTML;
-                        });
+                    const postsHTML = renderChapter(data, crossBook.uri);
 
-                        // Mark posts with book identifier before inserting
-                        const tempDiv = document.createElement('div');
-                        tempDiv.innerHTML = postsHTML;
-                        tempDiv.querySelectorAll('.post.bible').forEach(post => {
-                            post.setAttribute('data-book', crossBook.uri);
-                        });
-                        postsHTML = tempDiv.innerHTML;
+                    // Insert based on direction
+                    if (direction === 'before') {
+                        // Prepend to current view
+                        const firstPost = thread.querySelector('.post.bible');
+                        if (firstPost) {
+                            console.log(`Prepending ${crossBook.uri} chapter ${targetChapter}`);
 
-                        // Insert based on direction
-                        if (direction === 'before') {
-                            // Prepend to current view
-                            const firstPost = thread.querySelector('.post.bible');
-                            if (firstPost) {
-                                console.log(`Prepending ${crossBook.uri} chapter ${targetChapter}`);
+                            // Record scrollWidth before insertion
+                            const scrollWidthBefore = thread.scrollWidth;
 
-                                // Record scrollWidth before insertion
-                                const scrollWidthBefore = thread.scrollWidth;
+                            firstPost.insertAdjacentHTML('beforebegin', postsHTML);
 
-                                firstPost.insertAdjacentHTML('beforebegin', postsHTML);
+                            // Adjust scroll position to maintain view
+                            requestAnimationFrame(() => {
+                                if (!initialPreloadDone) {
+                                    // During initial preload, scroll to show current chapter
+                                    isAdjustingScroll = true;
+                                    scrollToChapter(currentChapter);
+                                    setTimeout(() => { isAdjustingScroll = false; }, 100);
+                                } else {
+                                    // Wait for columns to recalculate
+                                    requestAnimationFrame(() => {
+                                        const scrollWidthAfter = thread.scrollWidth;
+                                        const scrollWidthDifference = scrollWidthAfter - scrollWidthBefore;
 
-                                // Adjust scroll position to maintain view
-                                requestAnimationFrame(() => {
-                                    if (!initialPreloadDone) {
-                                        // During initial preload, scroll to show current chapter
                                         isAdjustingScroll = true;
-                                        scrollToChapter(currentChapter);
+                                        thread.scrollLeft += scrollWidthDifference;
                                         setTimeout(() => { isAdjustingScroll = false; }, 100);
-                                    } else {
-                                        // Wait for columns to recalculate
-                                        requestAnimationFrame(() => {
-                                            const scrollWidthAfter = thread.scrollWidth;
-                                            const scrollWidthDifference = scrollWidthAfter - scrollWidthBefore;
-
-                                            isAdjustingScroll = true;
-                                            thread.scrollLeft += scrollWidthDifference;
-                                            setTimeout(() => { isAdjustingScroll = false; }, 100);
-
-                                            console.log(`Adjusted scroll by ${scrollWidthDifference}px to maintain position after cross-book prepend`);
-                                        });
-                                    }
-                                });
-                            }
-                        } else {
-                            // Append to current view
-                            const lastPost = thread.querySelectorAll('.post.bible');
-                            if (lastPost.length > 0) {
-                                console.log(`Appending ${crossBook.uri} chapter ${targetChapter}`);
-                                lastPost[lastPost.length - 1].insertAdjacentHTML('afterend', postsHTML);
-                            }
-                        }
-                    } else {
-                        // Loading numbered chapter (not 'last')
-                        // Check if already loaded
-                        const crossBookKey = `${crossBook.uri}:${targetChapter}`;
-                        if (loadedCrossBookChapters.has(crossBookKey)) {
-                            console.log(`Already loaded ${crossBookKey}, skipping`);
-                            loading = false;
-                            return;
-                        }
 
-                        const posts = doc.querySelectorAll('.post.bible');
-                        if (posts.length === 0) {
-                            console.warn(`No posts found in ${crossBook.uri} chapter ${targetChapter}`);
-                            loading = false;
-                            return;
+                                        console.log(`Adjusted scroll by ${scrollWidthDifference}px to maintain position after cross-book prepend`);
+                                    });
+                                }
+                            });
                         }
-
-                        let postsHTML = '';
-                        posts.forEach(post => {
-                            postsHTML += post.outerHTML;
-                        });
-
-                        // Mark posts with book identifier before inserting
-                        const tempDiv = document.createElement('div');
-                        tempDiv.innerHTML = postsHTML;
-                        tempDiv.querySelectorAll('.post.bible').forEach(post => {
-                            post.setAttribute('data-book', crossBook.uri);
-                        });
-                        postsHTML = tempDiv.innerHTML;
-
-                        // Insert based on direction
-                        if (direction === 'before') {
-                            // Prepend to current view
-                            const firstPost = thread.querySelector('.post.bible');
-                            if (firstPost) {
-                                console.log(`Prepending ${crossBook.uri} chapter ${targetChapter}`);
-
-                                // Record scrollWidth before insertion
-                                const scrollWidthBefore = thread.scrollWidth;
-
-                                firstPost.insertAdjacentHTML('beforebegin', postsHTML);
-
-                                // Adjust scroll position to maintain view
-                                requestAnimationFrame(() => {
-                                    if (!initialPreloadDone) {
-                                        scrollToChapter(currentChapter);
-                                    } else {
-                                        // Wait for columns to recalculate
-                                        requestAnimationFrame(() => {
-                                            const scrollWidthAfter = thread.scrollWidth;
-                                            const scrollWidthDifference = scrollWidthAfter - scrollWidthBefore;
-                                            thread.scrollLeft += scrollWidthDifference;
-                                            console.log(`Adjusted scroll by ${scrollWidthDifference}px to maintain position after cross-book prepend`);
-                                        });
-                                    }
-                                });
-                            }
-                        } else {
-                            // Append to current view
-                            const lastPost = thread.querySelectorAll('.post.bible');
-                            if (lastPost.length > 0) {
-                                console.log(`Appending ${crossBook.uri} chapter ${targetChapter}`);
-                                lastPost[lastPost.length - 1].insertAdjacentHTML('afterend', postsHTML);
-                            }
+                    } else {
+                        // Append to current view
+                        const lastPost = thread.querySelectorAll('.post.bible');
+                        if (lastPost.length > 0) {
+                            console.log(`Appending ${crossBook.uri} chapter ${targetChapter}`);
+                            lastPost[lastPost.length - 1].insertAdjacentHTML('afterend', postsHTML);
                         }
                     }
 
                     // Mark this cross-book chapter as loaded
-                    const crossBookKey = `${crossBook.uri}:${targetChapter}`;
                     loadedCrossBookChapters.add(crossBookKey);
                     console.log(`Loaded cross-book chapter: ${crossBook.uri} ${targetChapter}`);
 
@@ -985,6 +828,56 @@
         return closestChapter;
     }
 
+    /**
+     * Find the last verse of every loaded chapter, in DOM order
+     * Returns an array of { book, chapter, post }
+     */
+    function getChapterEndPosts() {
+        const ends = [];
+        let current = null;
+
+        thread.querySelectorAll('.post.bible').forEach(post => {
+            // Skip OPs (book title / hidden chapter placeholders)
+            if (post.classList.contains('op')) return;
+
+            const chapter = getChapterFromPost(post);
+            if (chapter !== null) {
+                current = {
+                    book: post.getAttribute('data-book') || boardURI,
+                    chapter: chapter,
+                    post: post
+                };
+                ends.push(current);
+            } else if (current) {
+                current.post = post;
+            }
+        });
+
+        return ends;
+    }
+
+    /**
+     * Fire a bible_chapter_read event for each chapter whose last verse is in view
+     */
+    function markVisibleChaptersRead() {
+        const scrollLeft = thread.scrollLeft;
+        const viewportWidth = thread.clientWidth;
+
+        getChapterEndPosts().forEach(end => {
+            const key = `${end.book}:${end.chapter}`;
+            if (readChapters.has(key)) return;
+
+            const postLeft = end.post.offsetLeft;
+            const postRight = postLeft + end.post.offsetWidth;
+            if (postRight > scrollLeft && postLeft < scrollLeft + viewportWidth) {
+                readChapters.add(key);
+                document.dispatchEvent(new CustomEvent('bible_chapter_read', {
+                    detail: { book: end.book, chapter: end.chapter }
+                }));
+            }
+        });
+    }
+
     /**
      * Update the URL to reflect the current chapter and book
      */
@@ -1088,6 +981,7 @@
 
         urlUpdateTimer = setTimeout(function() {
             updateURL();
+            markVisibleChaptersRead();
         }, config.urlUpdateDelay);
     }
 
@@ -1125,10 +1019,385 @@
         console.warn(`Could not find chapter ${chapter} to scroll to`);
     }
 
+    /**
+     * Current key bindings, defaults overridden by the reader's choices
+     */
+    function getKeyBindings() {
+        let saved = {};
+        try {
+            saved = JSON.parse(localStorage.bible_keys || '{}');
+        } catch (e) {
+            console.warn('Ignoring invalid bible_keys setting');
+        }
+        return Object.assign({}, defaultKeys, saved);
+    }
+
+    function keyMatches(event, binding) {
+        if (!binding) return false;
+        return event.key === binding || (binding.length === 1 && event.key.toLowerCase() === binding.toLowerCase());
+    }
+
+    /**
+     * Mark a verse as the one keyboard actions apply to
+     */
+    function setFocusedPost(post) {
+        if (focusedPost) focusedPost.classList.remove('keyboard-focus');
+        focusedPost = post;
+        if (focusedPost) focusedPost.classList.add('keyboard-focus');
+    }
+
+    /**
+     * The focused verse if it is still in view, otherwise the first visible verse
+     */
+    function getFocusedVerse() {
+        const scrollLeft = thread.scrollLeft;
+        const viewportWidth = thread.clientWidth;
+        const inView = post => post.offsetLeft + post.offsetWidth > scrollLeft && post.offsetLeft < scrollLeft + viewportWidth;
+
+        if (focusedPost && thread.contains(focusedPost) && inView(focusedPost)) {
+            return focusedPost;
+        }
+
+        for (const post of thread.querySelectorAll('.post.bible')) {
+            if (post.querySelector('a.post_no.verse, a.post_no.chapter') && inView(post)) {
+                return post;
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Scroll so a loaded verse is at the left edge; returns false if it isn't loaded
+     */
+    function scrollToVerse(osisID, chapter, verse) {
+        const anchor = thread.querySelector(`a.post_no[href="/${osisID}/res/${chapter}.html#v${verse}"]`);
+        const post = anchor ? anchor.closest('.post.bible') : null;
+        if (!post) return false;
+
+        thread.scrollLeft = post.offsetLeft;
+        setFocusedPost(post);
+        return true;
+    }
+
+    /**
+     * Move by whole chapters, leaving the page when the chapter isn't loaded
+     */
+    function moveChapter(delta) {
+        const book = currentBook || boardURI;
+        const metadata = bookMetadataCache.get(book);
+        const maxChapter = metadata ? metadata.chapters : (bibleNav ? bibleNav.current.chapters : Infinity);
+        const target = currentChapter + delta;
+
+        if (target < 1 || target > maxChapter) {
+            moveBook(delta);
+            return;
+        }
+
+        if (book === boardURI && loadedChapters.has(target)) {
+            scrollToChapter(target);
+        } else {
+            window.location.href = `/${book}/res/${target}.html`;
+        }
+    }
+
+    /**
+     * Go to the previous (-1) or next (+1) book
+     */
+    function moveBook(delta) {
+        const metadata = bookMetadataCache.get(currentBook || boardURI) || (bibleNav && bibleNav.current.osisID === boardURI ? bibleNav : null);
+        const target = metadata ? (delta < 0 ? metadata.previous : metadata.next) : null;
+
+        if (target && target.osisID) {
+            window.location.href = `/${target.osisID}/`;
+        } else {
+            console.log(delta < 0 ? 'Already at the first book' : 'Already at the last book');
+        }
+    }
+
+    /**
+     * Ask for a reference and jump to it, scrolling in place when it's already loaded
+     */
+    async function gotoReference() {
+        const text = prompt('Go to reference (e.g. "1 Cor 13:4"):');
+        if (!text || !text.trim()) return;
+
+        if (!window.BibleReference) {
+            alert('Reference lookup is not available.');
+            return;
+        }
+
+        let ref;
+        try {
+            ref = await BibleReference.parse(text);
+        } catch (error) {
+            console.error('Reference lookup failed:', error);
+            alert('Reference lookup is not available right now.');
+            return;
+        }
+
+        if (ref.error) {
+            alert(ref.error);
+            return;
+        }
+
+        if (ref.chapter !== null && scrollToVerse(ref.osisID, ref.chapter, ref.verse || 1)) {
+            return;
+        }
+        window.location.href = ref.url;
+    }
+
+    /**
+     * Toggle the bookmark of the focused verse through bookmark.js
+     */
+    function bookmarkFocusedVerse() {
+        const post = getFocusedVerse();
+        const checkbox = post ? post.querySelector('input.bookmark') : null;
+        if (!checkbox) {
+            console.warn('No verse to bookmark');
+            return;
+        }
+
+        setFocusedPost(post);
+        checkbox.checked = !checkbox.checked;
+        checkbox.dispatchEvent(new Event('change', { bubbles: true }));
+    }
+
+    /**
+     * Handle navigation keys while reading
+     */
+    function onKeyDown(event) {
+        if (event.ctrlKey || event.metaKey || event.altKey || event.defaultPrevented) return;
+
+        const target = event.target;
+        if (target.isContentEditable || /^(INPUT|TEXTAREA|SELECT)$/.test(target.tagName)) return;
+
+        const keys = getKeyBindings();
+        const actions = {
+            columnLeft: () => thread.scrollBy({ left: -getColumnWidth(), behavior: 'smooth' }),
+            columnRight: () => thread.scrollBy({ left: getColumnWidth(), behavior: 'smooth' }),
+            chapterPrevious: () => moveChapter(-1),
+            chapterNext: () => moveChapter(1),
+            bookPrevious: () => moveBook(-1),
+            bookNext: () => moveBook(1),
+            gotoReference: gotoReference,
+            bookmarkVerse: bookmarkFocusedVerse
+        };
+
+        for (const action of Object.keys(actions)) {
+            if (keyMatches(event, keys[action])) {
+                event.preventDefault();
+                actions[action]();
+                return;
+            }
+        }
+    }
+
+    /**
+     * Options panel tab listing the shortcuts, with a field to rebind each one
+     */
+    function initKeyboardOptions() {
+        if (!window.Options || !Options.add_tab) return;
+
+        const tab = Options.add_tab('bible-keys', 'keyboard-o', 'Keyboard');
+        const container = document.createElement('div');
+        container.className = 'bible-keys-options';
+        container.innerHTML = '<p>Shortcuts for reading Bible books. Click a field and press a key to change it.</p>';
+
+        const table = document.createElement('table');
+        container.appendChild(table);
+
+        const render = () => {
+            const keys = getKeyBindings();
+            table.innerHTML = '';
+
+            Object.keys(defaultKeys).forEach(action => {
+                const row = table.insertRow();
+                row.insertCell().textContent = keyDescriptions[action];
+
+                const input = document.createElement('input');
+                input.type = 'text';
+                input.size = 10;
+                input.readOnly = true;
+                input.value = keys[action];
+                input.addEventListener('keydown', event => {
+                    if (event.key === 'Tab') return;
+                    event.preventDefault();
+
+                    const saved = JSON.parse(localStorage.bible_keys || '{}');
+                    saved[action] = event.key;
+                    localStorage.bible_keys = JSON.stringify(saved);
+                    input.value = event.key;
+                });
+                row.insertCell().appendChild(input);
+            });
+        };
+
+        const reset = document.createElement('button');
+        reset.textContent = 'Reset to defaults';
+        reset.addEventListener('click', () => {
+            delete localStorage.bible_keys;
+            render();
+        });
+        container.appendChild(reset);
+
+        render();
+        tab.content[0].appendChild(container);
+    }
+
+    /**
+     * Fetch one chapter of a parallel translation, once
+     */
+    function fetchParallelChapter(code, book, chapter) {
+        const key = `${code}/${book}/${chapter}`;
+
+        if (!parallelChapterCache.has(key)) {
+            parallelChapterCache.set(key, fetch(`/bible/${key}.json`)
+                .then(response => response.ok ? response.json() : null)
+                .then(data => data ? data.verses : {})
+                .catch(error => {
+                    console.warn(`Parallel chapter ${key} failed:`, error);
+                    parallelChapterCache.delete(key);
+                    return {};
+                }));
+        }
+
+        return parallelChapterCache.get(key);
+    }
+
+    /**
+     * Show the parallel translation beside every loaded verse, aligned by osisID
+     */
+    async function applyParallel() {
+        if (!parallelTranslation) {
+            thread.classList.remove('parallel');
+            thread.querySelectorAll('.parallel-verse').forEach(el => el.remove());
+            thread.querySelectorAll('.post.bible[data-parallel]').forEach(post => post.removeAttribute('data-parallel'));
+            return;
+        }
+
+        const code = parallelTranslation;
+        const translation = parallelTranslations.find(t => t.code === code);
+        thread.classList.add('parallel');
+
+        const posts = thread.querySelectorAll(`.post.bible:not([data-parallel="${code}"])`);
+        for (const post of posts) {
+            const anchor = post.querySelector('a.post_no.verse, a.post_no.chapter');
+            const body = post.querySelector('.body');
+            const match = anchor && (anchor.getAttribute('href') || '').match(/\/([A-Za-z0-9]+)\/res\/(\d+)\.html#v(\d+)/);
+            if (!match || !body) continue;
+
+            const [, book, chapter, verse] = match;
+            post.setAttribute('data-parallel', code);
+
+            // Keep the primary text in its own cell so the two translations sit side by side
+            let primary = body.querySelector(':scope > .primary-verse');
+            if (!primary) {
+                primary = document.createElement('div');
+                primary.className = 'primary-verse';
+                while (body.firstChild) primary.appendChild(body.firstChild);
+                body.appendChild(primary);
+            }
+
+            let secondary = body.querySelector(':scope > .parallel-verse');
+            if (!secondary) {
+                secondary = document.createElement('div');
+                secondary.className = 'parallel-verse';
+                body.appendChild(secondary);
+            }
+            secondary.setAttribute('data-translation', code);
+
+            const verses = translation && translation.books.includes(book)
+                ? await fetchParallelChapter(code, book, chapter)
+                : {};
+
+            // The reader may have switched translations while we waited
+            if (parallelTranslation !== code) return;
+            secondary.innerHTML = verses[verse] || '';
+        }
+    }
+
+    /**
+     * Switch the parallel translation ('' for none) and remember the choice
+     */
+    function setParallelTranslation(code) {
+        parallelTranslation = code || null;
+        if (parallelTranslation) {
+            localStorage.bible_parallel = parallelTranslation;
+        } else {
+            delete localStorage.bible_parallel;
+        }
+
+        thread.querySelectorAll('.post.bible[data-parallel]').forEach(post => post.removeAttribute('data-parallel'));
+        applyParallel();
+    }
+
+    /**
+     * Watch for posts inserted by infinite scroll, so they get parallel text
+     * (and anything listening to bible_posts_inserted can decorate them too)
+     */
+    function observeInsertedPosts() {
+        const observer = new MutationObserver(mutations => {
+            const posts = [];
+            mutations.forEach(mutation => {
+                mutation.addedNodes.forEach(node => {
+                    if (node.nodeType === Node.ELEMENT_NODE && node.classList.contains('post')) {
+                        posts.push(node);
+                    }
+                });
+            });
+            if (!posts.length) return;
+
+            document.dispatchEvent(new CustomEvent('bible_posts_inserted', { detail: { posts: posts } }));
+
+            if (parallelTranslation) {
+                clearTimeout(parallelTimer);
+                parallelTimer = setTimeout(applyParallel, 50);
+            }
+        });
+        observer.observe(thread, { childList: true, subtree: true });
+    }
+
+    /**
+     * Add the parallel translation picker above the thread if any translations are imported
+     */
+    async function initParallel() {
+        observeInsertedPosts();
+
+        try {
+            const response = await fetch(config.translationsUrl);
+            if (!response.ok) return;
+            parallelTranslations = (await response.json()).translations || [];
+        } catch (error) {
+            console.warn('Could not load parallel translations:', error);
+            return;
+        }
+        if (!parallelTranslations.length) return;
+
+        const toggle = document.createElement('div');
+        toggle.className = 'bible-parallel-toggle';
+
+        const label = document.createElement('label');
+        label.textContent = 'Parallel: ';
+        const select = document.createElement('select');
+        select.add(new Option('None', ''));
+        parallelTranslations.forEach(t => select.add(new Option(`${t.name} (${t.code})`, t.code)));
+        label.appendChild(select);
+        toggle.appendChild(label);
+        thread.parentNode.insertBefore(toggle, thread);
+
+        const saved = localStorage.bible_parallel;
+        if (saved && parallelTranslations.some(t => t.code === saved)) {
+            select.value = saved;
+            setParallelTranslation(saved);
+        }
+
+        select.addEventListener('change', () => setParallelTranslation(select.value));
+    }
+
     /**
      * Initialize infinite scroll
      */
-    function init() {
+    async function init() {
         // Only run on Bible boards
         thread = document.querySelector('.thread.bible');
         if (!thread) {
@@ -1142,13 +1411,16 @@
             return;
         }
 
-        // Scrape Bible navigation data from the page
-        bibleNav = scrapeBibleNav();
-
-        // Cache initial book metadata
+        // Chapter count and neighbouring books from /{osisID}/bible.json
         currentBook = boardURI;
-        const initialMetadata = extractBookMetadata(document, boardURI);
-        bookMetadataCache.set(boardURI, initialMetadata);
+        const metadata = await fetchBookMetadata(boardURI);
+        if (metadata) {
+            bibleNav = {
+                current: { osisID: boardURI, chapters: metadata.chapters },
+                previous: metadata.previous,
+                next: metadata.next
+            };
+        }
 
         // Get initial chapter from URL or DOM
         // Try URL patterns: /Book/res/123.html or /Book/123.html
@@ -1178,6 +1450,22 @@
         // Add scroll listener
         thread.addEventListener('scroll', onScroll);
 
+        // Parallel translation picker and side-by-side verses
+        initParallel();
+
+        // Keyboard navigation; clicking a verse makes it the target for "bookmark verse"
+        document.addEventListener('keydown', onKeyDown);
+        thread.addEventListener('click', event => {
+            const post = event.target.closest('.post.bible');
+            if (post && post.querySelector('a.post_no.verse, a.post_no.chapter')) setFocusedPost(post);
+        });
+
+        // Chapters that failed while the connection was down are worth another try
+        window.addEventListener('online', () => {
+            console.log(`Back online, retrying ${failedChapters.size} failed chapters`);
+            failedChapters.clear();
+        });
+
         // Initialize sentries for IntersectionObserver
         updateSentries();
         initSentryObserver();
@@ -1185,6 +1473,9 @@
         // Start polling scroll position every 100ms
         scrollPollInterval = setInterval(checkScrollPosition, 100);
 
+        // A chapter that fits on screen is read without any scrolling
+        setTimeout(markVisibleChaptersRead, config.readCheckDelay);
+
         console.log(`Bible infinite scroll initialized on ${boardURI}, chapter ${currentChapter}`);
 
         // Don't enable automatic loading until after initial preload completes
@@ -1274,8 +1565,10 @@
     // Initialize when DOM is ready
     if (document.readyState === 'loading') {
         document.addEventListener('DOMContentLoaded', init);
+        document.addEventListener('DOMContentLoaded', initKeyboardOptions);
     } else {
         init();
+        initKeyboardOptions();
     }
 
 })();
@@ -0,0 +1,380 @@
+/*
+ * bible-offline.js - opt-in offline reading of Bible books
+ *
+ * Adds an "Offline" tab to the Options panel where a reader can download
+ * single books or the whole canon. Chapter pages are stored with the Cache
+ * API and served by the /bible-sw.js service worker, so infinite scroll and
+ * verse previews keep working without a connection. Downloaded books are
+ * dropped and fetched again when the site's resource version changes.
+ *
+ * Usage:
+ *   $config['additional_javascript'][] = 'js/jquery.min.js';
+ *   $config['additional_javascript'][] = 'js/options.js';
+ *   $config['additional_javascript'][] = 'js/bible-offline.js';
+ */
+
+(function() {
+    'use strict';
+
+    const CACHE_NAME = 'bible-offline';  // Must match bible-sw.js
+    const WORKER_URL = '/bible-sw.js';
+    const BOOKS_URL = '/KJB/books.json';
+    const CONCURRENCY = 2;  // Parallel page downloads
+
+    if (!('serviceWorker' in navigator) || !('caches' in window)) {
+        return;
+    }
+
+    let books = [];
+    const progress = new Map();  // osisID => { done, total }
+    const queue = [];  // osisIDs waiting to download
+    let downloading = null;  // osisID currently downloading
+    let tab = null;
+
+    function getState() {
+        try {
+            return JSON.parse(localStorage.bible_offline || '{}');
+        } catch (e) {
+            return {};
+        }
+    }
+
+    function setState(state) {
+        localStorage.bible_offline = JSON.stringify(state);
+    }
+
+    /**
+     * The resource version of the current page, as passed to main.js
+     */
+    function resourceVersion() {
+        const script = document.querySelector('script[data-resource-version]');
+        return script ? script.dataset.resourceVersion : '0';
+    }
+
+    /**
+     * Every URL the board scripts fetch for a book: the index, board pages (one chapter each),
+     * chapter threads and their json
+     *
+     * @param {Object} book
+     * @param {number[]} chapters The book's chapter numbers, from its bible.json
+     */
+    function bookUrls(book, chapters) {
+        const urls = [`/${book.osisID}/`, `/${book.osisID}/index.html`, `/${book.osisID}/bible.json`];
+        chapters.forEach((chapter, index) => {
+            if (index > 0) urls.push(`/${book.osisID}/${index + 1}.html`);
+            urls.push(`/${book.osisID}/res/${chapter}.html`, `/${book.osisID}/${chapter}.json`);
+        });
+        return urls;
+    }
+
+    /**
+     * The chapters a book's board actually has, from its bible.json. The cached copy is used
+     * unless fresh is set; fetched copies are cached.
+     *
+     * @return {Promise<number[]|null>} null if there is no cached copy and fresh isn't set
+     */
+    async function bookChapters(cache, book, fresh) {
+        const url = `/${book.osisID}/bible.json`;
+        let response = fresh ? null : await cache.match(url);
+        if (!response) {
+            if (!fresh) return null;
+            response = await fetch(url, { cache: 'no-cache' });
+            if (!response.ok) throw new Error(`${url}: ${response.status}`);
+            await cache.put(url, response.clone());
+        }
+        const data = await response.json();
+        return Object.keys(data.verses || {}).map(Number).sort((a, b) => a - b);
+    }
+
+    /**
+     * How many URLs a book comes to, for the progress bars. Until its bible.json is saved the
+     * chapter count from books.json has to do.
+     */
+    async function bookTotal(cache, book) {
+        const chapters = await bookChapters(cache, book, false).catch(() => null);
+        return bookUrls(book, chapters || Array.from({ length: book.chapters }, (_, i) => i + 1)).length;
+    }
+
+    /**
+     * Stylesheets and scripts of this page, so cached chapters render offline
+     */
+    function shellUrls() {
+        const urls = [BOOKS_URL, '/KJB/'];
+        document.querySelectorAll('link[rel="stylesheet"][href], script[src]').forEach(el => {
+            const url = new URL(el.getAttribute('href') || el.getAttribute('src'), location.href);
+            if (url.origin === location.origin) urls.push(url.pathname + url.search);
+        });
+        return urls;
+    }
+
+    /**
+     * Count what is already cached for each book
+     */
+    async function refreshProgress() {
+        const cache = await caches.open(CACHE_NAME);
+        const keys = await cache.keys();
+        const counts = new Map();
+
+        keys.forEach(request => {
+            const match = new URL(request.url).pathname.match(/^\/([A-Za-z0-9]+)\//);
+            if (match) counts.set(match[1], (counts.get(match[1]) || 0) + 1);
+        });
+
+        for (const book of books) {
+            progress.set(book.osisID, { done: counts.get(book.osisID) || 0, total: await bookTotal(cache, book) });
+        }
+    }
+
+    /**
+     * Download every page of a book that is not cached yet
+     */
+    async function downloadBook(book) {
+        const cache = await caches.open(CACHE_NAME);
+        let chapters;
+        try {
+            chapters = await bookChapters(cache, book, true);
+        } catch (error) {
+            console.warn('Offline download failed:', error);
+            return;
+        }
+
+        const urls = bookUrls(book, chapters);
+        const state = progress.get(book.osisID) || { done: 0, total: urls.length };
+        state.total = urls.length;
+        state.done = 0;
+        progress.set(book.osisID, state);
+
+        let next = 0;
+        let failed = 0;
+        const worker = async () => {
+            while (next < urls.length) {
+                const url = urls[next++];
+                try {
+                    if (!await cache.match(url)) {
+                        const response = await fetch(url, { cache: 'no-cache' });
+                        if (!response.ok) throw new Error(`${url}: ${response.status}`);
+                        await cache.put(url, response);
+                    }
+                    state.done++;
+                } catch (error) {
+                    failed++;
+                    console.warn('Offline download failed:', error);
+                }
+                renderBook(book);
+            }
+        };
+
+        const workers = [];
+        for (let i = 0; i < CONCURRENCY; i++) workers.push(worker());
+        await Promise.all(workers);
+
+        const saved = getState();
+        saved.books = saved.books || {};
+        saved.books[book.osisID] = { version: resourceVersion(), complete: failed === 0 };
+        setState(saved);
+    }
+
+    /**
+     * Remove a book from the cache and from the download list
+     */
+    async function removeBook(osisID) {
+        const cache = await caches.open(CACHE_NAME);
+        const keys = await cache.keys();
+        await Promise.all(keys
+            .filter(request => new URL(request.url).pathname.startsWith(`/${osisID}/`))
+            .map(request => cache.delete(request)));
+
+        const state = getState();
+        if (state.books) delete state.books[osisID];
+        setState(state);
+
+        const entry = progress.get(osisID);
+        if (entry) entry.done = 0;
+    }
+
+    /**
+     * Work through the download queue one book at a time
+     */
+    async function processQueue() {
+        if (downloading || !queue.length) return;
+
+        const cache = await caches.open(CACHE_NAME);
+        await Promise.all(shellUrls().map(url => cache.add(url).catch(() => null)));
+
+        while (queue.length) {
+            downloading = queue.shift();
+            const book = books.find(b => b.osisID === downloading);
+            if (book) await downloadBook(book);
+            renderBook(book);
+        }
+        downloading = null;
+        renderSummary();
+    }
+
+    function enqueue(osisIDs) {
+        osisIDs.forEach(osisID => {
+            if (osisID !== downloading && queue.indexOf(osisID) === -1) queue.push(osisID);
+        });
+        renderSummary();
+        processQueue();
+    }
+
+    /**
+     * Drop and re-download books cached under an older resource version
+     */
+    async function invalidateStale() {
+        const state = getState();
+        const version = resourceVersion();
+        const stale = Object.keys(state.books || {}).filter(osisID => state.books[osisID].version !== version);
+
+        for (const osisID of stale) {
+            console.log(`Offline copy of ${osisID} is from resource version ${state.books[osisID].version}, refreshing`);
+            await removeBook(osisID);
+        }
+        if (stale.length && navigator.onLine) enqueue(stale);
+    }
+
+    async function enable() {
+        await navigator.serviceWorker.register(WORKER_URL, { scope: '/' });
+        if (navigator.storage && navigator.storage.persist) {
+            navigator.storage.persist();
+        }
+        const state = getState();
+        state.enabled = true;
+        setState(state);
+    }
+
+    async function disable() {
+        const registrations = await navigator.serviceWorker.getRegistrations();
+        await Promise.all(registrations
+            .filter(registration => registration.active && registration.active.scriptURL.endsWith(WORKER_URL))
+            .map(registration => registration.unregister()));
+        queue.length = 0;
+        await caches.delete(CACHE_NAME);
+        setState({ enabled: false });
+        await refreshProgress();
+    }
+
+    /**
+     * Update one book's row in the Options tab
+     */
+    function renderBook(book) {
+        if (!tab || !book) return;
+        const row = tab.content.find(`.bible-offline-book[data-book="${book.osisID}"]`);
+        const entry = progress.get(book.osisID) || { done: 0, total: book.chapters };
+        const complete = entry.done >= entry.total;
+
+        row.find('progress').attr({ max: entry.total, value: entry.done });
+        row.find('.bible-offline-status').text(
+            book.osisID === downloading ? `${entry.done}/${entry.total}` :
+            queue.indexOf(book.osisID) !== -1 ? _('queued') :
+            complete ? _('saved') :
+            entry.done ? `${entry.done}/${entry.total}` : ''
+        );
+        row.find('.bible-offline-download').toggle(!complete && book.osisID !== downloading);
+        row.find('.bible-offline-remove').toggle(entry.done > 0 && book.osisID !== downloading);
+    }
+
+    function renderSummary() {
+        if (!tab) return;
+        const enabled = !!getState().enabled;
+        let done = 0;
+        let total = 0;
+        progress.forEach(entry => {
+            done += entry.done;
+            total += entry.total;
+        });
+
+        tab.content.find('.bible-offline-enable').prop('checked', enabled);
+        tab.content.find('.bible-offline-controls').toggle(enabled);
+        tab.content.find('.bible-offline-summary').text(
+            `${done}/${total} ${_('pages saved')}` + (downloading ? ` — ${_('downloading')} ${downloading}` : '')
+        );
+        books.forEach(renderBook);
+    }
+
+    function buildTab() {
+        const content = $('<div class="bible-offline"></div>');
+
+        $('<label></label>')
+            .append($('<input type="checkbox" class="bible-offline-enable">').on('change', async function() {
+                if (this.checked) {
+                    await enable();
+                } else if (confirm(_('Turn off offline reading and delete every saved book?'))) {
+                    await disable();
+                } else {
+                    this.checked = true;
+                }
+                renderSummary();
+            }))
+            .append(' ' + _('Enable offline reading'))
+            .appendTo(content);
+
+        const controls = $('<div class="bible-offline-controls"></div>').appendTo(content);
+        $('<p class="bible-offline-summary"></p>').appendTo(controls);
+
+        $('<button></button>').text(_('Download whole Bible')).on('click', () => {
+            enqueue(books.map(book => book.osisID));
+        }).appendTo(controls);
+
+        const groups = { old: _('Old Testament'), apo: _('Apocrypha/Deuterocanon'), new: _('New Testament') };
+        Object.keys(groups).forEach(testament => {
+            const groupBooks = books.filter(book => book.testament === testament);
+            if (!groupBooks.length) return;
+
+            $('<h3></h3>').text(groups[testament] + ' ')
+                .append($('<a href="javascript:void(0)"></a>').text(`[${_('Download')}]`).on('click', () => {
+                    enqueue(groupBooks.map(book => book.osisID));
+                }))
+                .appendTo(controls);
+
+            const list = $('<ul class="bible-offline-books"></ul>').appendTo(controls);
+            groupBooks.forEach(book => {
+                $('<li class="bible-offline-book"></li>')
+                    .attr('data-book', book.osisID)
+                    .append($('<span class="bible-offline-name"></span>').text(book.short), ' ')
+                    .append('<progress value="0"></progress> ')
+                    .append('<span class="bible-offline-status"></span> ')
+                    .append($('<a href="javascript:void(0)" class="bible-offline-download"></a>').text(`[${_('Download')}]`)
+                        .on('click', () => enqueue([book.osisID])))
+                    .append($('<a href="javascript:void(0)" class="bible-offline-remove"></a>').text(`[${_('Remove')}]`)
+                        .on('click', async () => {
+                            await removeBook(book.osisID);
+                            renderSummary();
+                        }))
+                    .appendTo(list);
+            });
+        });
+
+        tab = Options.add_tab('bible-offline', 'download', _('Offline'), content);
+        renderSummary();
+    }
+
+    async function init() {
+        try {
+            const response = await fetch(BOOKS_URL);
+            if (!response.ok) throw new Error(`${BOOKS_URL}: ${response.status}`);
+            books = (await response.json()).books;
+        } catch (error) {
+            console.warn('Offline reading unavailable:', error);
+            return;
+        }
+
+        await refreshProgress();
+
+        if (window.Options && Options.add_tab) {
+            buildTab();
+        }
+
+        if (getState().enabled) {
+            // Keep the worker registered (and updated) on every visit
+            navigator.serviceWorker.register(WORKER_URL, { scope: '/' }).catch(error => {
+                console.warn('Service worker registration failed:', error);
+            });
+            await invalidateStale();
+        }
+    }
+
+    $(init);
+
+})();
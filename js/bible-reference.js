@@ -0,0 +1,214 @@
+/*
+ * bible-reference.js - resolve typed Bible references ("1 Cor 13:4") to URLs
+ *
+ * Uses /KJB/lookup.json, the same book lookup and verse counts markup() uses
+ * on the server, so a reference that links in a post also resolves here.
+ *
+ *   BibleReference.parse('1 Cor 13:4').then(ref => location.href = ref.url);
+ *   BibleReference.suggest('1jo 4').then(books => ...);  // [{ short: '1 John', value: '1 John 4', ... }]
+ *   BibleReference.load().then(data => BibleReference.reference(data, 'Rom', 8, '28-39'));
+ *       // { link: '/Rom/8/28', ref: 'Rom.8.28-Rom.8.39' }, as markup() links it
+ *   BibleReference.find(data, 'see 1 John 4:8');  // the references in a post, as findBibleReferences() finds them
+ *
+ * Usage:
+ *   $config['additional_javascript'][] = 'js/bible-reference.js';
+ */
+
+(function() {
+    'use strict';
+
+    const LOOKUP_URL = '/KJB/lookup.json';
+
+    // findBibleReferences() in inc/functions.php
+    const PATTERN = /(^|[\s(])((?:[1-3][ \t]?)?[A-Za-z]+(?:[ \t]+[A-Za-z]+(?:[ \t]+[A-Za-z]+)?)?)\.?[ \t]+(\d+)(?::(\d+(?:[-\u2013](?:\d+:)?\d+)?(?:,\d+(?:[-\u2013](?:\d+:)?\d+)?)*))?(?=[\s,.;)?!\r\n]|$)/gm;
+
+    let lookupPromise = null;
+
+    /**
+     * Load the book lookup ({ lookup: name => osisID, verseCounts: osisID => { chapters, verses } })
+     */
+    function load() {
+        if (!lookupPromise) {
+            lookupPromise = fetch(LOOKUP_URL)
+                .then(response => {
+                    if (!response.ok) throw new Error(`Failed to load ${LOOKUP_URL}: ${response.status}`);
+                    return response.json();
+                })
+                .catch(error => {
+                    lookupPromise = null;
+                    throw error;
+                });
+        }
+        return lookupPromise;
+    }
+
+    /**
+     * Find the osisID for a book name, normalized the same way as markup()
+     */
+    function resolveBook(data, name) {
+        const normalized = name.replace(/\.+$/, '').replace(/\s+/g, ' ').trim().toLowerCase();
+        const noSpace = name.replace(/[\s.]/g, '').toLowerCase();
+
+        return data.lookup[normalized] || data.lookup[noSpace] || null;
+    }
+
+    /**
+     * Parse "Book", "Book 3" or "Book 3:16" and validate it against the verse counts
+     * Resolves to { osisID, chapter, verse, url } or { error }
+     */
+    async function parse(text) {
+        const data = await load();
+        const match = String(text).match(/^\s*((?:[1-3]\s*)?[A-Za-z][A-Za-z. ]*?)\.?\s*(?:(\d+)(?:\s*:\s*(\d+))?)?\s*$/);
+        if (!match) {
+            return { error: `Not a reference: "${text}"` };
+        }
+
+        const osisID = resolveBook(data, match[1]);
+        if (!osisID || !data.verseCounts[osisID]) {
+            return { error: `Unknown book: "${match[1].trim()}"` };
+        }
+
+        const counts = data.verseCounts[osisID];
+        const chapter = match[2] ? parseInt(match[2]) : null;
+        const verse = match[3] ? parseInt(match[3]) : null;
+
+        if (chapter === null) {
+            return { osisID: osisID, chapter: null, verse: null, url: `/${osisID}/` };
+        }
+        if (chapter < 1 || chapter > counts.chapters) {
+            return { error: `${osisID} has ${counts.chapters} chapter${counts.chapters === 1 ? '' : 's'}` };
+        }
+        if (verse === null) {
+            return { osisID: osisID, chapter: chapter, verse: null, url: `/${osisID}/res/${chapter}.html` };
+        }
+
+        const verses = counts.verses[chapter];
+        if (verse < 1 || verse > verses) {
+            return { error: `${osisID} ${chapter} has ${verses} verse${verses === 1 ? '' : 's'}` };
+        }
+        return { osisID: osisID, chapter: chapter, verse: verse, url: `/${osisID}/res/${chapter}.html#v${verse}` };
+    }
+
+    /**
+     * Validate the chapter:verse part of a reference the way parseBibleReference() does on the server
+     * verseSpec is everything after the colon ("16", "28-39", "1-2:3", "1,4,6") or null for a whole chapter
+     * Returns { link, ref } as markup() puts them on a .bible-ref link, or null if invalid
+     */
+    function reference(data, osisID, chapter, verseSpec) {
+        const counts = data.verseCounts[osisID];
+        chapter = parseInt(chapter);
+        if (!counts || chapter < 1 || chapter > counts.chapters || !counts.verses[chapter]) {
+            return null;
+        }
+
+        if (!verseSpec) {
+            return { link: `/${osisID}/res/${chapter}.html`, ref: `${osisID}.${chapter}` };
+        }
+
+        const refs = [];
+        let link = null;
+
+        for (const segment of verseSpec.split(',')) {
+            const m = segment.trim().match(/^(\d+)(?:[-\u2013](?:(\d+):)?(\d+))?$/);
+            if (!m) return null;
+
+            const startVerse = parseInt(m[1]);
+            const endChapter = m[2] ? parseInt(m[2]) : chapter;
+            const endVerse = m[3] ? parseInt(m[3]) : startVerse;
+
+            if (startVerse < 1 || startVerse > counts.verses[chapter]) return null;
+            if (endChapter < chapter || !counts.verses[endChapter]) return null;
+            if (endVerse < 1 || endVerse > counts.verses[endChapter]) return null;
+            if (endChapter === chapter && endVerse < startVerse) return null;
+
+            const start = `${osisID}.${chapter}.${startVerse}`;
+            refs.push(endChapter === chapter && endVerse === startVerse ? start : `${start}-${osisID}.${endChapter}.${endVerse}`);
+
+            if (link === null) {
+                link = `/${osisID}/${chapter}/${startVerse}`;
+            }
+
+            // Later list items continue in the chapter the previous range ended in
+            chapter = endChapter;
+        }
+
+        return { link: link, ref: refs.join(' ') };
+    }
+
+    /**
+     * The references in a post body, as findBibleReferences() finds them on the server: a book
+     * number only goes with the word after it, and a reference without a verse needs a capitalised
+     * book name. Returns [{ index, match, prefix, leading, text, reference }] in order.
+     */
+    function find(data, body) {
+        const found = [];
+        const pattern = new RegExp(PATTERN.source, PATTERN.flags);
+        let m;
+        while ((m = pattern.exec(body)) !== null) {
+            const [match, prefix, bookName, chapter, verseSpec] = m;
+
+            // The book name may have picked up words before it ("read Isaiah 53"),
+            // so try the longest run of trailing words that names a book
+            const words = bookName.split(/([ \t]+)/);
+            let osisID = null;
+            let leading = '';
+            for (let i = 0; i < words.length; i += 2) {
+                const candidate = words.slice(i).join('');
+                osisID = resolveBook(data, candidate);
+                if (osisID) {
+                    leading = words.slice(0, i).join('');
+                    if (!verseSpec && !/^(?:[1-3][ \t]?)?[A-Z]/.test(candidate)) osisID = null;
+                    break;
+                }
+            }
+
+            const ref = osisID && data.verseCounts[osisID] ? reference(data, osisID, chapter, verseSpec || null) : null;
+            if (!ref) {
+                // Start again at the next word, which may be a numbered book ("see 1 John 4:8")
+                const start = m.index + prefix.length;
+                pattern.lastIndex = start + bookName.match(/^(?:[1-3][ \t]?)?[A-Za-z]+/)[0].length;
+                continue;
+            }
+
+            found.push({
+                index: m.index,
+                match: match,
+                prefix: prefix,
+                leading: leading,
+                text: match.slice(prefix.length + leading.length),
+                reference: ref
+            });
+        }
+        return found;
+    }
+
+    /**
+     * Suggest hosted books for the book part of a partly typed reference
+     * Resolves to [{ osisID, short, value }] where value is the text completed with that book
+     */
+    async function suggest(text, limit) {
+        const data = await load();
+        const match = String(text).match(/^\s*((?:[1-3]\s*)?[A-Za-z][A-Za-z. ]*?)\.?(\s*\d.*)?$/);
+        if (!match) return [];
+
+        const typed = match[1].replace(/[\s.]/g, '').toLowerCase();
+        const rest = match[2] ? ' ' + match[2].trim() : ' ';
+
+        return (data.books || [])
+            .filter(book =>
+                book.short.replace(/\s/g, '').toLowerCase().startsWith(typed) ||
+                book.osisID.toLowerCase().startsWith(typed))
+            .slice(0, limit || 8)
+            .map(book => ({ osisID: book.osisID, short: book.short, value: book.short + rest }));
+    }
+
+    window.BibleReference = {
+        load: load,
+        resolveBook: resolveBook,
+        parse: parse,
+        reference: reference,
+        find: find,
+        suggest: suggest
+    };
+
+})();
@@ -1,72 +1,161 @@
-function setBookmark(postLink, postId) {
-    fetch('/inc/bookmark.php', {
-        method: 'POST',
-        credentials: 'same-origin',
-        headers: {
-            'Content-Type': 'application/x-www-form-urlencoded',
-        },
-        body: 'action=set&post_id=' + encodeURIComponent(postId) + '&post_link=' + encodeURIComponent(postLink)
-    })
-    .then(response => response.json())
-    .then(data => {
-        if (data.success) {
-            // ALSO set with JS for iOS
-            var bookmarkData = JSON.stringify(data.bookmark);
-            document.cookie = 'vichan_bookmark=' + encodeURIComponent(bookmarkData) + 
-                            '; path=/; max-age=31536000; secure; samesite=lax';
-            
-            console.log('Bookmarked:', postLink);
-            var boardMatch = postLink.match(/\/([^\/]+)\//);
-            var boardUri = boardMatch ? boardMatch[1] : null;
-            updateBookmarkCheckboxes(postId, boardUri);
+/*
+ * bookmark.js - named bookmarks kept in the vichan_bookmarks cookie
+ *
+ * Checking a post's bookmark box asks for a name and adds it to the list,
+ * unchecking removes it. The homepage #bookmark-section lists every bookmark
+ * with jump/rename/delete controls. An old single vichan_bookmark cookie is
+ * migrated into the list automatically.
+ *
+ * Usage:
+ *   $config['additional_javascript'][] = 'js/bookmark.js';
+ */
+
+var BOOKMARK_COOKIE = 'vichan_bookmarks';
+var BOOKMARK_LEGACY_COOKIE = 'vichan_bookmark';
+
+function readBookmarkCookie(name) {
+    var match = document.cookie.match(new RegExp('(^| )' + name + '=([^;]+)'));
+    if (match) {
+        try {
+            return JSON.parse(decodeURIComponent(match[2]));
+        } catch(e) {
+            return null;
         }
-    })
-    .catch(error => console.error('Bookmark error:', error));
+    }
+    return null;
 }
 
-function deleteBookmark() {
-    fetch('/inc/bookmark.php', {
+function writeBookmarkCookie(bookmarks) {
+    // ALSO set with JS for iOS
+    if (bookmarks.length) {
+        document.cookie = BOOKMARK_COOKIE + '=' + encodeURIComponent(JSON.stringify(bookmarks)) +
+                        '; path=/; max-age=31536000; secure; samesite=lax';
+    } else {
+        document.cookie = BOOKMARK_COOKIE + '=; path=/; max-age=0; secure; samesite=lax';
+    }
+    document.cookie = BOOKMARK_LEGACY_COOKIE + '=; path=/; max-age=0; secure; samesite=lax';
+}
+
+function getBookmarkBoard(link) {
+    var boardMatch = link.match(/\/([^\/]+)\//);
+    return boardMatch ? boardMatch[1] : null;
+}
+
+function defaultBookmarkName(postLink, postId) {
+    var linkMatch = postLink.match(/\/([^\/]+)\/res\/(\d+)\.html/);
+    if (!linkMatch) {
+        return '#' + postId;
+    }
+    return linkMatch[1] + ' ' + linkMatch[2] + ' #' + postId;
+}
+
+/**
+ * All bookmarks, oldest first. Falls back to the legacy single bookmark.
+ */
+function getBookmarks() {
+    var bookmarks = readBookmarkCookie(BOOKMARK_COOKIE);
+    if (Array.isArray(bookmarks)) {
+        return bookmarks;
+    }
+
+    var legacy = readBookmarkCookie(BOOKMARK_LEGACY_COOKIE);
+    if (legacy && legacy.link) {
+        return [{
+            name: defaultBookmarkName(legacy.link, legacy.id),
+            link: legacy.link,
+            id: legacy.id,
+            timestamp: legacy.timestamp
+        }];
+    }
+    return [];
+}
+
+function findBookmark(postLink) {
+    return getBookmarks().find(function(b) { return b.link === postLink; }) || null;
+}
+
+function bookmarkRequest(params) {
+    var body = Object.keys(params).map(function(key) {
+        return key + '=' + encodeURIComponent(params[key]);
+    }).join('&');
+
+    return fetch('/inc/bookmark.php', {
         method: 'POST',
         credentials: 'same-origin',
         headers: {
             'Content-Type': 'application/x-www-form-urlencoded',
         },
-        body: 'action=delete'
+        body: body
     })
     .then(response => response.json())
     .then(data => {
-        if (data.success) {
-            // ALSO delete with JS
-            document.cookie = 'vichan_bookmark=; path=/; max-age=0; secure; samesite=lax';
-            
-            console.log('Removed bookmark');
-            updateBookmarkCheckboxes(null, null);
+        if (!data.success) {
+            throw new Error(data.error || 'Bookmark request failed');
         }
-    })
-    .catch(error => console.error('Bookmark error:', error));
+        writeBookmarkCookie(data.bookmarks);
+        updateBookmarkCheckboxes();
+        document.dispatchEvent(new CustomEvent('bookmarks_changed', { detail: data.bookmarks }));
+        if (data.dropped && data.dropped.length) {
+            alert('Your oldest bookmarks were removed to make room: ' + data.dropped.join(', '));
+        }
+        return data.bookmarks;
+    });
 }
 
-function getCookie(name) {
-    var match = document.cookie.match(new RegExp('(^| )' + name + '=([^;]+)'));
-    if (match) {
-        try {
-            return JSON.parse(decodeURIComponent(match[2]));
-        } catch(e) {
-            return null;
-        }
-    }
-    return null;
+/**
+ * Add a bookmark, or rename it if this post is already bookmarked.
+ */
+function setBookmark(postLink, postId, name) {
+    return bookmarkRequest({ action: 'set', post_id: postId, post_link: postLink, name: name || '' })
+        .then(bookmarks => {
+            console.log('Bookmarked:', postLink);
+            return bookmarks;
+        })
+        .catch(error => {
+            console.error('Bookmark error:', error);
+            alert(error.message);
+            updateBookmarkCheckboxes();
+        });
 }
 
-function updateBookmarkCheckboxes(bookmarkedPostId, bookmarkedBoardUri) {
+function renameBookmark(postLink, name) {
+    return bookmarkRequest({ action: 'rename', post_link: postLink, name: name })
+        .catch(error => console.error('Bookmark error:', error));
+}
+
+function deleteBookmark(postLink) {
+    return bookmarkRequest({ action: 'delete', post_link: postLink || '' })
+        .then(bookmarks => {
+            console.log('Removed bookmark', postLink);
+            return bookmarks;
+        })
+        .catch(error => console.error('Bookmark error:', error));
+}
+
+function updateBookmarkCheckboxes() {
+    var links = getBookmarks().map(function(b) { return b.link; });
     var checkboxes = document.querySelectorAll('.bookmark');
     checkboxes.forEach(function(checkbox) {
-        var postId = checkbox.getAttribute('data-post-id');
-        var boardUri = checkbox.getAttribute('data-board-uri');
-        checkbox.checked = (postId === bookmarkedPostId && boardUri === bookmarkedBoardUri);
+        checkbox.checked = links.indexOf(checkbox.getAttribute('data-post-link')) !== -1;
     });
 }
 
+/**
+ * Suggest a name for a post: "Gen 1:4" for verses, "board thread #id" otherwise.
+ */
+function suggestBookmarkName(checkbox) {
+    var postId = checkbox.getAttribute('data-post-id');
+    var postLink = checkbox.getAttribute('data-post-link');
+    var post = checkbox.closest('.post');
+    var verseLink = post ? post.querySelector('a.post_no.verse, a.post_no.chapter') : null;
+    var linkMatch = postLink.match(/\/([^\/]+)\/res\/(\d+)\.html/);
+
+    if (verseLink && linkMatch && /^v\d+$/.test(verseLink.id)) {
+        return linkMatch[1] + ' ' + linkMatch[2] + ':' + verseLink.id.substring(1);
+    }
+    return defaultBookmarkName(postLink, postId);
+}
+
 document.addEventListener('change', function(e) {
     if (e.target.classList.contains('bookmark')) {
         var postId = e.target.getAttribute('data-post-id');
@@ -79,37 +168,58 @@ document.addEventListener('change', function(e) {
         }
 
         if (e.target.checked) {
-            var currentBookmark = getCookie('vichan_bookmark');
-
-            if (currentBookmark && (currentBookmark.id !== postId || currentBookmark.link !== postLink)) {
-                if (confirm('Replace existing bookmark (>>>' + currentBookmark.link + ') with this post?')) {
-                    setBookmark(postLink, postId);
-                } else {
-                    e.target.checked = false;
-                }
-            } else {
-                setBookmark(postLink, postId);
+            var name = prompt('Name this bookmark:', suggestBookmarkName(e.target));
+            if (name === null) {
+                e.target.checked = false;
+                return;
             }
+            setBookmark(postLink, postId, name.trim());
         } else {
-            deleteBookmark();
+            deleteBookmark(postLink);
         }
     }
 });
 
-function displayBookmarkOnIndex() {
-    var bookmark = getCookie('vichan_bookmark');
+/**
+ * Fill in a bookmark's snippet with the text of the bookmarked post.
+ * Thread pages are fetched once and shared between bookmarks in the same thread.
+ */
+var bookmarkThreadCache = new Map();
 
-    if (bookmark) {
-        var boardMatch = bookmark.link.match(/\/([^\/]+)\//);
-        var boardUri = boardMatch ? boardMatch[1] : null;
-        updateBookmarkCheckboxes(bookmark.id, boardUri);
+function loadBookmarkSnippet(bookmark, target) {
+    var linkMatch = bookmark.link.match(/\/([^\/]+)\/res\/(\d+)\.html#[q]?(\d+)/);
+    if (!linkMatch) {
+        return;
     }
 
-    if (!window.location.pathname.match(/\/(index\.html)?$/)) {
-        return;
+    var url = '/' + linkMatch[1] + '/res/' + linkMatch[2] + '.html';
+    var postId = linkMatch[3];
+
+    if (!bookmarkThreadCache.has(url)) {
+        bookmarkThreadCache.set(url, fetch(url)
+            .then(response => response.text())
+            .then(html => new DOMParser().parseFromString(html, 'text/html')));
     }
 
-    if (!bookmark) {
+    bookmarkThreadCache.get(url)
+        .then(doc => {
+            var postElement = doc.getElementById('reply_' + postId) || doc.getElementById('op_' + postId);
+            var body = postElement ? postElement.querySelector('.body') : null;
+            if (!body) {
+                return;
+            }
+            var text = body.textContent.trim();
+            target.textContent = text.length > 160 ? text.substring(0, 160) + '…' : text;
+        })
+        .catch(error => console.error('Error fetching bookmark:', error));
+}
+
+function displayBookmarkOnIndex() {
+    var bookmarks = getBookmarks();
+
+    updateBookmarkCheckboxes();
+
+    if (!window.location.pathname.match(/\/(index\.html)?$/)) {
         return;
     }
 
@@ -120,74 +230,92 @@ function displayBookmarkOnIndex() {
         return;
     }
 
-    section.style.display = 'block';
+    if (!content.hasAttribute('data-empty-html')) {
+        content.setAttribute('data-empty-html', content.innerHTML);
+    }
 
-    var linkMatch = bookmark.link.match(/\/([^\/]+)\/res\/(\d+)\.html#[q]?(\d+)/);
-    if (!linkMatch) {
-        content.innerHTML = '<p><a href="' + bookmark.link + '">Go to bookmarked post</a></p>';
+    if (!bookmarks.length) {
+        content.innerHTML = content.getAttribute('data-empty-html');
         return;
     }
 
-    var boardUri = linkMatch[1];
-    var threadId = linkMatch[2];
-    var postId = linkMatch[3];
+    section.style.display = 'block';
 
     var boardsData = [];
     try {
         boardsData = JSON.parse(document.body.getAttribute('data-boards') || '[]');
     } catch(e) {}
 
-    var boardTitle = boardUri;
-    var board = boardsData.find(function(b) { return b.uri === boardUri; });
-    if (board) {
-        boardTitle = board.title;
-    }
-
-    var boardLink = '<li class="boardlinksurl"><a href="' + bookmark.link + '">' + boardTitle + '</a></li>';
+    var list = document.createElement('ul');
+    list.className = 'bookmark-list';
 
-    fetch('/' + boardUri + '/res/' + threadId + '.html')
-        .then(response => response.text())
-        .then(html => {
-            var parser = new DOMParser();
-            var doc = parser.parseFromString(html, 'text/html');
+    bookmarks.slice().sort(function(a, b) {
+        return (b.timestamp || 0) - (a.timestamp || 0);
+    }).forEach(function(bookmark) {
+        var boardUri = getBookmarkBoard(bookmark.link);
+        var board = boardsData.find(function(b) { return b.uri === boardUri; });
 
-            var postElement = doc.getElementById('reply_' + postId);
-            if (!postElement) {
-                postElement = doc.getElementById('op_' + postId);
-            }
+        var item = document.createElement('li');
+        item.className = 'bookmark-entry';
 
-            if (!postElement) {
-                content.innerHTML = '<ul style="margin:0.3em;">' + boardLink + '</ul><br>' +
-                                  '<p><a href="' + bookmark.link + '">Go to bookmarked post #' + postId + '</a></p>';
-                return;
-            }
+        var name = document.createElement('strong');
+        name.className = 'bookmark-name';
+        name.textContent = bookmark.name || defaultBookmarkName(bookmark.link, bookmark.id);
+        item.appendChild(name);
 
-            var clonedPost = postElement.cloneNode(true);
+        var boardLabel = document.createElement('span');
+        boardLabel.className = 'unimportant';
+        boardLabel.textContent = ' — ' + (board ? board.title : '/' + boardUri + '/') + ' ';
+        item.appendChild(boardLabel);
 
-            var repliesDiv = clonedPost.querySelector('.post.reply');
-            if (repliesDiv && clonedPost.classList.contains('op')) {
-                var replies = clonedPost.querySelectorAll('.post.reply');
-                replies.forEach(function(reply) {
-                    reply.remove();
-                });
+        var actions = [
+            ['Jump to', 'bookmark-jump', bookmark.link, null],
+            ['Rename', 'bookmark-rename', 'javascript:void(0)', function() {
+                var newName = prompt('Rename bookmark:', name.textContent);
+                if (newName && newName.trim()) {
+                    renameBookmark(bookmark.link, newName.trim());
+                }
+            }],
+            ['Delete', 'bookmark-delete', 'javascript:void(0)', function() {
+                if (confirm('Delete bookmark "' + name.textContent + '"?')) {
+                    deleteBookmark(bookmark.link);
+                }
+            }]
+        ];
+        actions.forEach(function(action) {
+            var link = document.createElement('a');
+            link.className = action[1];
+            link.href = action[2];
+            link.textContent = action[0];
+            if (action[3]) {
+                link.addEventListener('click', action[3]);
             }
+            item.appendChild(document.createTextNode('['));
+            item.appendChild(link);
+            item.appendChild(document.createTextNode('] '));
+        });
 
-            var checkbox = clonedPost.querySelector('.bookmark');
-            if (checkbox) {
-                checkbox.checked = true;
-            }
+        var snippet = document.createElement('div');
+        snippet.className = 'bookmark-snippet';
+        item.appendChild(snippet);
+        loadBookmarkSnippet(bookmark, snippet);
 
-            content.innerHTML = '<ul style="margin:0.3em;">' + boardLink + '</ul><br>';
-            content.appendChild(clonedPost);
-        })
-        .catch(error => {
-            console.error('Error fetching bookmark:', error);
-            content.innerHTML = '<ul style="margin:0.3em;">' + boardLink + '</ul>' +
-                              '<p><a href="' + bookmark.link + '">Go to bookmarked post</a></p>';
-        });
+        list.appendChild(item);
+    });
+
+    content.innerHTML = '';
+    content.appendChild(list);
 }
 
-document.addEventListener('DOMContentLoaded', displayBookmarkOnIndex);
+document.addEventListener('DOMContentLoaded', function() {
+    // Move an old single bookmark into the new list
+    if (!readBookmarkCookie(BOOKMARK_COOKIE) && readBookmarkCookie(BOOKMARK_LEGACY_COOKIE)) {
+        bookmarkRequest({ action: 'migrate' }).catch(error => console.error('Bookmark migration error:', error));
+    }
+    displayBookmarkOnIndex();
+});
+
+document.addEventListener('bookmarks_changed', displayBookmarkOnIndex);
 
 document.addEventListener('visibilitychange', function() {
     if (!document.hidden) {
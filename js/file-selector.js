@@ -58,10 +58,12 @@ function addFile(file) {
 
 	files.push(file);
 	addThumb(file);
+	$(document).trigger('file_selector_change', [files.slice()]);
 }
 
 function removeFile(file) {
 	files.splice(files.indexOf(file), 1);
+	$(document).trigger('file_selector_change', [files.slice()]);
 }
 
 function getThumbElement(file) {
@@ -102,6 +104,21 @@ $(document).on('ajax_before_post', function (e, formData) {
 	}
 });
 
+// files put back by other scripts (post-drafts.js)
+$(document).on('file_selector_restore', function (e, restored) {
+	for (var i=0; i<restored.length; i++) {
+		addFile(restored[i]);
+	}
+});
+
+$(document).on('file_selector_remove', function (e, removed) {
+	for (var i=0; i<removed.length; i++) {
+		if (files.indexOf(removed[i]) == -1) continue;
+		getThumbElement(removed[i]).remove();
+		removeFile(removed[i]);
+	}
+});
+
 // clear file queue and UI on success
 $(document).on('ajax_after_post', function () {
 	files = [];
@@ -0,0 +1,772 @@
+/*
+ * filter-engine.js - one store of filter rules for every script that hides things
+ *
+ * post-filter.js, hide-threads.js, hide-images.js, mod/recent-posts.js and the
+ * ukko theme used to keep their own localStorage lists (postFilter, hiddenthreads,
+ * hiddenimages, hiddenrecentposts, hiddenboards), each with its own clean-up.
+ * They now all keep rules here, in localStorage.filters, and ask the engine
+ * whether a post, thread, catalog tile or board matches. The old lists are
+ * migrated the first time this runs.
+ *
+ * A rule:
+ *   {
+ *       id: 'k3x9',
+ *       field: 'name',             // post, uid, name, trip, sub, com, flag, image, board,
+ *                                  // md5, filename, ext, width, height, size
+ *       matcher: 'substring',      // exact, regex, substring or wildcard (* and ?);
+ *                                  // min or max for width, height and size ('2 MB')
+ *       value: 'foo',
+ *       scope: 'board',            // global, board or thread
+ *       board: 'b', thread: '12',  // for board and thread scope
+ *       action: 'hide',            // hide, collapse or highlight
+ *       color: '#ffcc00',          // highlight colour, optional
+ *       pin: true,                 // list matched posts in the sidebar (post-filter.js)
+ *       notify: true,              // desktop notification when a matching post comes in
+ *       hideReplies: false,        // also collapse posts quoting a matched post
+ *       page: undefined,           // only on this active_page (e.g. 'ukko', 'recent')
+ *       expires: 1700000000,       // unix time, or null to keep it
+ *       created: 1690000000
+ *   }
+ *
+ *   FilterEngine.add({ field: 'name', value: 'foo' });
+ *   FilterEngine.match(FilterEngine.fromPost(post));   // [rule, ...]
+ *   FilterEngine.match(FilterEngine.fromJson('b', post)); // a post from res/12.json
+ *   FilterEngine.action(rules);                        // 'hide', 'collapse', 'highlight' or null
+ *   document.addEventListener('filters_changed', ...); // here or in another tab
+ *
+ * Usage:
+ *   $config['additional_javascript'][] = 'js/jquery.min.js';
+ *   $config['additional_javascript'][] = 'js/options.js';  // for the Filters tab
+ *   $config['additional_javascript'][] = 'js/filter-engine.js';
+ *   // before post-filter.js, hide-threads.js, hide-images.js and the ukko theme
+ */
+
+(function() {
+    'use strict';
+
+    const STORAGE_KEY = 'filters';
+    const VERSION = 1;
+    const DAY = 86400;
+
+    const FIELDS = {
+        post: 'Post',
+        uid: 'ID',
+        name: 'Name',
+        trip: 'Tripcode',
+        sub: 'Subject',
+        com: 'Comment',
+        flag: 'Flag',
+        image: 'Image',
+        board: 'Board',
+        md5: 'File hash',
+        filename: 'Filename',
+        ext: 'Extension',
+        width: 'Width',
+        height: 'Height',
+        size: 'File size'
+    };
+    const FILE_FIELDS = ['md5', 'filename', 'ext', 'width', 'height', 'size'];
+    const MATCHERS = ['exact', 'substring', 'wildcard', 'regex', 'min', 'max'];
+    const SCOPES = ['global', 'board', 'thread'];
+    // Strongest first: a post matched by several rules gets the first of these
+    const ACTIONS = ['hide', 'collapse', 'highlight'];
+    const COLOR = /^#[0-9a-f]{3}([0-9a-f]{3})?$/i;
+
+    const translate = text => (typeof _ === 'function' ? _(text) : text);
+
+    function now() {
+        return Math.floor(Date.now() / 1000);
+    }
+
+    // md5 is compared the way the JSON API gives it, base64
+    function hexToBase64(hex) {
+        return btoa(hex.match(/../g).map(byte => String.fromCharCode(parseInt(byte, 16))).join(''));
+    }
+
+    /**
+     * "500", "500 KB" or "2MB" in bytes (or pixels, without a unit)
+     */
+    function parseSize(value) {
+        const parts = String(value).trim().match(/^(\d+(?:\.\d+)?)\s*([kmg]?)i?b?$/i);
+        if (!parts) return NaN;
+        return parseFloat(parts[1]) * Math.pow(1024, ' kmg'.indexOf(parts[2].toLowerCase() || ' '));
+    }
+
+    function newId() {
+        return now().toString(36) + Math.random().toString(36).slice(2, 6);
+    }
+
+    /*
+     * Storage
+     */
+
+    let cache = null;
+
+    function emptyStore() {
+        return { version: VERSION, rules: [], lastPurge: now() };
+    }
+
+    function load() {
+        if (cache) return cache;
+
+        let store = null;
+        try {
+            store = JSON.parse(localStorage.getItem(STORAGE_KEY));
+        } catch (e) {
+            store = null;
+        }
+        if (!store || !Array.isArray(store.rules)) {
+            store = migrate(emptyStore());
+            save(store, true);
+        }
+
+        // Drop expired rules as they're read
+        const time = now();
+        const live = store.rules.filter(rule => !rule.expires || rule.expires > time);
+        if (live.length !== store.rules.length) {
+            store.rules = live;
+            save(store, true);
+        }
+
+        cache = store;
+        return store;
+    }
+
+    function save(store, quiet) {
+        cache = store;
+        localStorage.setItem(STORAGE_KEY, JSON.stringify(store));
+        if (!quiet) changed();
+    }
+
+    function changed() {
+        document.dispatchEvent(new CustomEvent('filters_changed'));
+    }
+
+    // Changes made in another tab
+    window.addEventListener('storage', e => {
+        if (e.key === STORAGE_KEY) {
+            cache = null;
+            changed();
+        }
+    });
+
+    /*
+     * Migration from the per-script lists
+     */
+
+    function readLegacy(key) {
+        const raw = localStorage.getItem(key);
+        if (raw === null) return null;
+        try {
+            return JSON.parse(raw);
+        } catch (e) {
+            return null;
+        }
+    }
+
+    function migrate(store) {
+        const rules = store.rules;
+        const push = rule => rules.push(normalize(rule));
+
+        // post-filter.js: general rules, and hidden posts/IDs per thread
+        const postFilter = readLegacy('postFilter');
+        if (postFilter) {
+            (postFilter.generalFilter || []).forEach(rule => {
+                // Plain name and trip rules matched exactly, the others as a word anywhere in the text
+                const exact = rule.type === 'name' || rule.type === 'trip';
+                push({
+                    field: rule.type,
+                    matcher: rule.regex || !exact ? 'regex' : 'exact',
+                    value: rule.regex || exact ? rule.value : `\\b${rule.value}\\b`,
+                    action: 'collapse'
+                });
+            });
+            Object.keys(postFilter.postFilter || {}).forEach(board => {
+                Object.keys(postFilter.postFilter[board]).forEach(thread => {
+                    postFilter.postFilter[board][thread].forEach(entry => {
+                        push({
+                            field: entry.uid !== undefined ? 'uid' : 'post',
+                            matcher: 'exact',
+                            value: entry.uid !== undefined ? entry.uid : entry.post,
+                            scope: 'thread',
+                            board: board,
+                            thread: thread,
+                            action: 'collapse',
+                            hideReplies: !!entry.hideReplies
+                        });
+                    });
+                });
+            });
+        }
+
+        // hide-threads.js: { board: { thread: hidden at } }, kept for a week
+        const hiddenThreads = readLegacy('hiddenthreads') || {};
+        Object.keys(hiddenThreads).forEach(board => {
+            Object.keys(hiddenThreads[board]).forEach(thread => {
+                push({
+                    field: 'post', matcher: 'exact', value: thread,
+                    scope: 'thread', board: board, thread: thread,
+                    action: 'collapse', expires: hiddenThreads[board][thread] + 7 * DAY
+                });
+            });
+        });
+
+        // hide-images.js: { board: { post: { ts, index: [file index] } } }, kept for a month
+        const hiddenImages = readLegacy('hiddenimages') || {};
+        Object.keys(hiddenImages).forEach(board => {
+            Object.keys(hiddenImages[board]).forEach(post => {
+                const entry = hiddenImages[board][post];
+                (entry.index || []).forEach(index => {
+                    push({
+                        field: 'image', matcher: 'exact', value: `${post}/${index}`,
+                        scope: 'board', board: board,
+                        action: 'hide', expires: entry.ts + 30 * DAY
+                    });
+                });
+            });
+        });
+
+        // mod/recent-posts.js: { board: { post: dismissed at } }, kept for a week
+        const hiddenRecent = readLegacy('hiddenrecentposts') || {};
+        Object.keys(hiddenRecent).forEach(board => {
+            Object.keys(hiddenRecent[board]).forEach(post => {
+                push({
+                    field: 'post', matcher: 'exact', value: post,
+                    scope: 'board', board: board, page: 'recent',
+                    action: 'hide', expires: hiddenRecent[board][post] + 7 * DAY
+                });
+            });
+        });
+
+        // ukko theme: { board: true }
+        const hiddenBoards = readLegacy('hiddenboards') || {};
+        Object.keys(hiddenBoards).forEach(board => {
+            if (hiddenBoards[board] === true) {
+                push({ field: 'board', matcher: 'exact', value: board, page: 'ukko', action: 'hide' });
+            }
+        });
+
+        ['postFilter', 'hiddenthreads', 'hiddenimages', 'hiddenrecentposts', 'hiddenboards']
+            .forEach(key => localStorage.removeItem(key));
+
+        return store;
+    }
+
+    /*
+     * Rules
+     */
+
+    function normalize(rule) {
+        const clean = {
+            id: rule.id || newId(),
+            field: FIELDS[rule.field] ? rule.field : 'com',
+            matcher: MATCHERS.indexOf(rule.matcher) !== -1 ? rule.matcher : 'exact',
+            value: String(rule.value === undefined ? '' : rule.value),
+            scope: SCOPES.indexOf(rule.scope) !== -1 ? rule.scope : 'global',
+            action: ACTIONS.indexOf(rule.action) !== -1 ? rule.action : 'hide',
+            expires: rule.expires ? Math.floor(rule.expires) : null,
+            created: rule.created || now()
+        };
+        if (clean.field === 'md5' && /^[0-9a-f]{32}$/i.test(clean.value)) clean.value = hexToBase64(clean.value);
+        if (clean.field === 'ext') clean.value = clean.value.replace(/^\./, '').toLowerCase();
+        if (clean.scope !== 'global') clean.board = String(rule.board);
+        if (clean.scope === 'thread') clean.thread = String(rule.thread);
+        if (rule.hideReplies) clean.hideReplies = true;
+        if (rule.page) clean.page = rule.page;
+        if (COLOR.test(rule.color || '')) clean.color = rule.color;
+        if (rule.pin) clean.pin = true;
+        if (rule.notify) clean.notify = true;
+
+        // Fields other scripts add to rules are kept as they are
+        Object.keys(rule).forEach(key => {
+            if (!(key in clean) && !['board', 'thread', 'hideReplies', 'page', 'color', 'pin', 'notify'].includes(key)) {
+                clean[key] = rule[key];
+            }
+        });
+        return clean;
+    }
+
+    // Two rules are the same if they'd match the same things the same way
+    function sameRule(a, b) {
+        return a.field === b.field && a.matcher === b.matcher && a.value === b.value &&
+            a.scope === b.scope && a.board === b.board && a.thread === b.thread &&
+            a.action === b.action && a.page === b.page &&
+            !!a.pin === !!b.pin && !!a.notify === !!b.notify;
+    }
+
+    function rules() {
+        return load().rules.slice();
+    }
+
+    /**
+     * Add a rule (filled in with defaults); an identical rule is returned instead of a duplicate
+     */
+    function add(rule) {
+        const store = load();
+        rule = normalize(rule);
+
+        const existing = store.rules.find(other => sameRule(other, rule));
+        if (existing) return existing;
+
+        store.rules.push(rule);
+        save(store);
+        return rule;
+    }
+
+    function remove(id) {
+        const store = load();
+        const before = store.rules.length;
+        store.rules = store.rules.filter(rule => rule.id !== id);
+        if (store.rules.length !== before) save(store);
+    }
+
+    function update(id, changes) {
+        const store = load();
+        const index = store.rules.findIndex(rule => rule.id === id);
+        if (index === -1) return null;
+        store.rules[index] = normalize(Object.assign({}, store.rules[index], changes, { id: id }));
+        save(store);
+        return store.rules[index];
+    }
+
+    /**
+     * Rules whose properties equal every property given, e.g. find({ field: 'post', board: 'b' })
+     */
+    function find(criteria) {
+        return rules().filter(rule => Object.keys(criteria).every(key => String(rule[key]) === String(criteria[key])));
+    }
+
+    function removeWhere(criteria) {
+        const ids = find(criteria).map(rule => rule.id);
+        if (!ids.length) return;
+        const store = load();
+        store.rules = store.rules.filter(rule => ids.indexOf(rule.id) === -1);
+        save(store);
+    }
+
+    function clear() {
+        save(emptyStore());
+    }
+
+    /*
+     * Matching
+     */
+
+    const patterns = new Map();
+
+    function compile(rule) {
+        const key = `${rule.matcher}:${rule.value}`;
+        if (patterns.has(key)) return patterns.get(key);
+
+        let pattern = null;
+        try {
+            if (rule.matcher === 'regex') {
+                // "/foo/i" keeps its flags; anything else is the pattern itself
+                const literal = rule.value.match(/^\/(.*)\/([gimsuy]*)$/);
+                pattern = literal ? new RegExp(literal[1], literal[2].replace('g', '')) : new RegExp(rule.value);
+            } else if (rule.matcher === 'wildcard') {
+                const source = rule.value.replace(/[.+^${}()|[\]\\]/g, '\\$&').replace(/\*/g, '.*').replace(/\?/g, '.');
+                pattern = new RegExp(`^${source}$`, 'i');
+            }
+        } catch (e) {
+            console.warn('Ignoring filter with a broken pattern:', rule.value);
+            pattern = /(?!)/;
+        }
+
+        patterns.set(key, pattern);
+        return pattern;
+    }
+
+    /**
+     * Whether one value (or any of a list of values) matches a rule's matcher and value
+     */
+    function test(rule, value) {
+        if (Array.isArray(value)) return value.some(v => test(rule, v));
+        if (value === undefined || value === null || value === '') return false;
+
+        switch (rule.matcher) {
+            case 'min':
+                return Number(value) >= parseSize(rule.value);
+            case 'max':
+                return Number(value) <= parseSize(rule.value);
+        }
+
+        value = String(value);
+        switch (rule.matcher) {
+            case 'exact':
+                return value === rule.value;
+            case 'substring':
+                return value.toLowerCase().indexOf(rule.value.toLowerCase()) !== -1;
+            default:
+                return compile(rule).test(value);
+        }
+    }
+
+    function inScope(rule, subject, page) {
+        if (rule.page && rule.page !== page) return false;
+        if (rule.scope === 'board' && String(subject.board) !== rule.board) return false;
+        if (rule.scope === 'thread' && (String(subject.board) !== rule.board || String(subject.thread) !== rule.thread)) return false;
+        return true;
+    }
+
+    /**
+     * Rules matching a subject: { board, thread, post, uid, name, trip, sub, com, flag, image }
+     *
+     * @param {Object} subject Field values, e.g. from fromPost() or fromTile()
+     * @param {string} [page] active_page, for rules limited to one kind of page
+     * @param {string[]} [fields] Only consider rules on these fields
+     */
+    function match(subject, page, fields) {
+        page = page || window.active_page;
+        return load().rules.filter(rule =>
+            (!fields || fields.indexOf(rule.field) !== -1) &&
+            inScope(rule, subject, page) &&
+            test(rule, subject[rule.field]));
+    }
+
+    /**
+     * The strongest action among matched rules, or null
+     */
+    function action(matched) {
+        for (const candidate of ACTIONS) {
+            if (matched.some(rule => rule.action === candidate)) return candidate;
+        }
+        return null;
+    }
+
+    /*
+     * Field values from the page
+     */
+
+    function text(element) {
+        return element ? element.textContent.replace(/\s+/g, ' ').trim() : '';
+    }
+
+    function nameText(element) {
+        if (!element) return '';
+        let s = '';
+        element.childNodes.forEach(node => {
+            if (node.nodeName === 'IMG') s += node.getAttribute('alt') || '';
+            if (node.nodeType === Node.TEXT_NODE) s += node.nodeValue;
+        });
+        return s.trim();
+    }
+
+    function extension(filename) {
+        const dot = filename.lastIndexOf('.');
+        return dot === -1 ? '' : filename.slice(dot + 1).toLowerCase();
+    }
+
+    /**
+     * File fields as lists, one entry per file, from objects shaped like the JSON API's
+     * (md5 in base64, filename without extension, ext with its dot, w, h, fsize)
+     */
+    function fileFields(files) {
+        const fields = { md5: [], filename: [], ext: [], width: [], height: [], size: [] };
+        files.forEach(file => {
+            const ext = (file.ext || '').replace(/^\./, '').toLowerCase();
+            if (file.md5) fields.md5.push(file.md5);
+            fields.filename.push(ext ? `${file.filename}.${ext}` : file.filename);
+            fields.ext.push(ext);
+            if (file.w) fields.width.push(file.w);
+            if (file.h) fields.height.push(file.h);
+            if (file.fsize !== undefined) fields.size.push(file.fsize);
+        });
+        return fields;
+    }
+
+    /**
+     * The same from the data- attributes on div.file (templates/post/fileinfo.html)
+     */
+    function fileFieldsFromPage(elements) {
+        return fileFields(Array.from(elements).filter(file => file.dataset.file).map(file => {
+            const name = file.dataset.filename || file.dataset.file;
+            const ext = extension(name) || extension(file.dataset.file);
+            return {
+                md5: file.dataset.md5 ? hexToBase64(file.dataset.md5) : null,
+                filename: ext && name.toLowerCase().endsWith(`.${ext}`) ? name.slice(0, -ext.length - 1) : name,
+                ext: ext,
+                w: parseInt(file.dataset.width) || null,
+                h: parseInt(file.dataset.height) || null,
+                fsize: parseInt(file.dataset.size)
+            };
+        }));
+    }
+
+    /**
+     * Field values of a post (div.post.op or div.post.reply) on index, thread and ukko pages
+     */
+    function fromPost(post) {
+        const thread = post.closest('.thread');
+        const id = post.id.replace(/^(reply|op)_/, '');
+        const intro = post.querySelector(':scope > .intro, :scope > .nointro');
+        const flag = post.querySelector('.flag');
+        // An OP's files come before it in the thread
+        const files = post.classList.contains('op') && thread
+            ? thread.querySelectorAll(':scope > .files > .file')
+            : post.querySelectorAll(':scope > .files > .file');
+
+        return Object.assign({
+            board: (thread && thread.dataset.board) || post.dataset.board || window.board_name,
+            thread: post.classList.contains('op') ? id : (thread ? thread.id.replace('thread_', '') : id),
+            post: id,
+            uid: text(post.querySelector('.poster_id')),
+            name: nameText(intro && intro.querySelector('.name')),
+            trip: text(intro && intro.querySelector('.trip')),
+            sub: text(intro && intro.querySelector('.subject')),
+            com: text(post.querySelector(':scope > .body')),
+            flag: flag ? flag.getAttribute('title') : ''
+        }, fileFieldsFromPage(files));
+    }
+
+    /**
+     * Field values of a catalog tile (div.mix), i.e. of the thread's OP
+     */
+    function fromTile(tile) {
+        const image = tile.querySelector('.thread-image');
+        const replies = tile.querySelector('.replies');
+        let com = '';
+        if (replies) {
+            const copy = replies.cloneNode(true);
+            copy.querySelectorAll('strong, .intro').forEach(node => node.remove());
+            com = text(copy);
+        }
+
+        let files = [];
+        try {
+            files = JSON.parse(tile.dataset.files || '[]');
+        } catch (e) {
+            files = [];
+        }
+
+        return Object.assign({
+            board: window.board_name,
+            thread: String(tile.dataset.id),
+            post: String(tile.dataset.id),
+            name: image ? image.dataset.name || '' : '',
+            sub: image ? image.dataset.subject || '' : '',
+            com: com
+        }, fileFields(files));
+    }
+
+    /**
+     * Field values of a post from the JSON API (res/12.json), where the comment is HTML
+     */
+    function fromJson(board, post) {
+        let com = '';
+        if (post.com) {
+            const doc = new DOMParser().parseFromString(post.com.replace(/<br\s*\/?>/gi, ' '), 'text/html');
+            com = text(doc.body);
+        }
+
+        const files = post.ext ? [post].concat(post.extra_files || []) : [];
+
+        return Object.assign({
+            board: board,
+            thread: String(post.resto || post.no),
+            post: String(post.no),
+            uid: post.id || '',
+            name: post.name || '',
+            trip: post.trip || '',
+            sub: post.sub || '',
+            com: com,
+            flag: post.country_name || ''
+        }, fileFields(files));
+    }
+
+    /*
+     * Clean-up: thread rules go once the thread is gone
+     */
+
+    async function purge() {
+        const store = load();
+        if (now() - (store.lastPurge || 0) < DAY) return;
+
+        store.lastPurge = now();
+        save(store, true);
+
+        const threads = {};
+        store.rules.forEach(rule => {
+            if (rule.scope === 'thread') threads[`${rule.board}/${rule.thread}`] = rule;
+        });
+
+        for (const key of Object.keys(threads)) {
+            const rule = threads[key];
+            try {
+                const response = await fetch(`${window.configRoot || '/'}${rule.board}/res/${rule.thread}.json`, { cache: 'no-store' });
+                if (response.status === 404) {
+                    removeWhere({ scope: 'thread', board: rule.board, thread: rule.thread });
+                }
+            } catch (e) {
+                // Offline or the like; try again tomorrow
+            }
+        }
+    }
+
+    /*
+     * Options panel
+     */
+
+    const EXPIRY = [
+        [0, 'never'],
+        [DAY, '1 day'],
+        [7 * DAY, '7 days'],
+        [30 * DAY, '30 days']
+    ];
+
+    function describeScope(rule) {
+        const where = rule.scope === 'global' ? translate('everywhere')
+            : rule.scope === 'board' ? `/${rule.board}/`
+            : `/${rule.board}/ #${rule.thread}`;
+        return rule.page ? `${where} (${rule.page})` : where;
+    }
+
+    function describeExpiry(rule) {
+        if (!rule.expires) return translate('never');
+        return new Date(rule.expires * 1000).toLocaleDateString();
+    }
+
+    function describeAction(rule) {
+        const parts = [translate(rule.action)];
+        if (rule.pin) parts.push(translate('pin'));
+        if (rule.notify) parts.push(translate('notify'));
+        return parts.join(', ');
+    }
+
+    function describeValue(rule) {
+        return rule.matcher === 'regex' ? `/${rule.value.replace(/^\/|\/[gimsuy]*$/g, '')}/` : rule.value;
+    }
+
+    function renderOptionsTab(tab) {
+        const board = window.board_name;
+
+        const form = $('<div class="filter-engine-form"></div>').appendTo(tab.content);
+        const field = $('<select name="field"></select>').appendTo(form);
+        ['name', 'trip', 'sub', 'com', 'flag', 'uid', 'board'].concat(FILE_FIELDS).forEach(key => {
+            $('<option></option>').val(key).text(translate(FIELDS[key])).appendTo(field);
+        });
+        const matcher = $('<select name="matcher"></select>').appendTo(form);
+        MATCHERS.forEach(key => $('<option></option>').val(key).text(translate(key)).appendTo(matcher));
+        const value = $('<input type="text" name="value">').attr('placeholder', translate('Text or pattern')).appendTo(form);
+        const scope = $('<select name="scope"></select>').appendTo(form);
+        $('<option value="global"></option>').text(translate('Everywhere')).appendTo(scope);
+        if (board) {
+            $('<option value="board"></option>').text(`/${board}/`).appendTo(scope);
+        }
+        const actionSelect = $('<select name="action"></select>').appendTo(form);
+        ACTIONS.forEach(key => $('<option></option>').val(key).text(translate(key)).appendTo(actionSelect));
+        const extras = $('<span class="filter-engine-extras"></span>').appendTo(form);
+        const color = $('<input type="color" name="color" value="#34345c">').attr('title', translate('Colour')).appendTo(extras);
+        const pin = $('<input type="checkbox" name="pin">');
+        $('<label></label>').append(pin, ' ', document.createTextNode(translate('Pin'))).appendTo(extras);
+        const notify = $('<input type="checkbox" name="notify">');
+        $('<label></label>').append(notify, ' ', document.createTextNode(translate('Notify'))).appendTo(extras);
+        actionSelect.on('change', () => extras.toggle(actionSelect.val() === 'highlight')).trigger('change');
+        const expiry = $('<select name="expiry"></select>').appendTo(form);
+        EXPIRY.forEach(entry => $('<option></option>').val(entry[0]).text(translate(entry[1])).appendTo(expiry));
+        const error = $('<div class="filter-engine-error"></div>').hide();
+
+        $('<button></button>').text(translate('Add')).on('click', () => {
+            const rule = {
+                field: field.val(),
+                matcher: matcher.val(),
+                value: value.val().trim(),
+                scope: scope.val(),
+                board: board,
+                action: actionSelect.val(),
+                expires: parseInt(expiry.val()) ? now() + parseInt(expiry.val()) : null
+            };
+            if (rule.action === 'highlight') {
+                rule.color = color.val();
+                rule.pin = pin.prop('checked');
+                rule.notify = notify.prop('checked');
+            }
+            if (!rule.value) return;
+            if (rule.matcher === 'regex' && compile(normalize(rule)).source === '(?!)') {
+                error.text(translate('That is not a valid regular expression.')).show();
+                return;
+            }
+            if ((rule.matcher === 'min' || rule.matcher === 'max') && isNaN(parseSize(rule.value))) {
+                error.text(translate('Give a number, or a size like 500 KB.')).show();
+                return;
+            }
+            error.hide();
+            // Asking needs the click that added the rule
+            if (rule.notify && typeof Notification !== 'undefined' && Notification.permission === 'default') {
+                Notification.requestPermission();
+            }
+            add(rule);
+            value.val('');
+        }).appendTo(form);
+        form.after(error);
+
+        const container = $('<div class="filter-engine-container"></div>').appendTo(tab.content);
+        const table = $('<table class="filter-engine-list"></table>').appendTo(container);
+
+        $('<button class="filter-engine-clear"></button>').text(translate('Clear all filters')).on('click', () => {
+            if (confirm(translate('This will clear all filtering rules including hidden posts, threads, images and boards.'))) {
+                clear();
+            }
+        }).appendTo(tab.content);
+
+        const render = () => {
+            table.empty();
+            const header = $('<tr></tr>').appendTo(table);
+            ['Field', 'Value', 'Where', 'Action', 'Expires', ''].forEach(title => {
+                $('<th></th>').text(title ? translate(title) : '').appendTo(header);
+            });
+
+            const list = rules();
+            if (!list.length) {
+                $('<tr><td colspan="6"></td></tr>').appendTo(table).find('td').text(translate('No filters.'));
+                return;
+            }
+
+            list.forEach(rule => {
+                const row = $('<tr></tr>').appendTo(table);
+                $('<td></td>').text(translate(FIELDS[rule.field]) + (rule.hideReplies ? ' +' : '')).appendTo(row);
+                $('<td class="filter-engine-value"></td>').text(describeValue(rule))
+                    .attr('title', `${translate(rule.matcher)}: ${rule.value}`).appendTo(row);
+                $('<td></td>').text(describeScope(rule)).appendTo(row);
+                $('<td></td>').text(describeAction(rule)).prepend(rule.color ?
+                    $('<span class="filter-engine-swatch"></span>').css('background-color', rule.color) : null).appendTo(row);
+                $('<td></td>').text(describeExpiry(rule)).appendTo(row);
+                $('<td></td>').append(
+                    $('<a href="javascript:void(0)">X</a>').attr('title', translate('Remove')).on('click', () => remove(rule.id))
+                ).appendTo(row);
+            });
+        };
+
+        render();
+        document.addEventListener('filters_changed', render);
+    }
+
+    window.FilterEngine = {
+        FIELDS: FIELDS,
+        FILE_FIELDS: FILE_FIELDS,
+        MATCHERS: MATCHERS,
+        SCOPES: SCOPES,
+        ACTIONS: ACTIONS,
+        rules: rules,
+        add: add,
+        remove: remove,
+        update: update,
+        find: find,
+        removeWhere: removeWhere,
+        clear: clear,
+        test: test,
+        match: match,
+        action: action,
+        fromPost: fromPost,
+        fromTile: fromTile,
+        fromJson: fromJson
+    };
+
+    $(function() {
+        if (window.Options && Options.add_tab && !Options.get_tab('filter')) {
+            renderOptionsTab(Options.add_tab('filter', 'list', translate('Filters')));
+        }
+        purge();
+    });
+
+})();
@@ -10,63 +10,40 @@
  *
  * Usage:
  *   $config['additional_javascript'][] = 'js/jquery.min.js';
+ *   $config['additional_javascript'][] = 'js/filter-engine.js';
  *   $config['additional_javascript'][] = 'js/hide-images.js';
  *
  */
 
 $(document).ready(function(){
-	$('<style type="text/css"> img.hidden{ opacity: 0.1; background: grey; border: 1px solid #000; } </style>').appendTo($('head'));
-	
-	if (!localStorage.hiddenimages)
-		localStorage.hiddenimages = '{}';
+	if (typeof FilterEngine == "undefined")
+		return;
 
-	// Load data from HTML5 localStorage
-	var hidden_data = JSON.parse(localStorage.hiddenimages);
+	$('<style type="text/css"> img.hidden{ opacity: 0.1; background: grey; border: 1px solid #000; } </style>').appendTo($('head'));
 
-	var store_data = function() {
-		localStorage.hiddenimages = JSON.stringify(hidden_data);
+	// A hidden image is an "image" filter rule with the value "post/file index", kept for 30 days
+	var image_rule = function(board, id, index) {
+		return {field: 'image', scope: 'board', board: board, value: id + '/' + index};
 	};
 
-	// Delete old hidden images (30+ days old)
-	for (var key in hidden_data) {
-		for (var id in hidden_data[key]) {
-			if (hidden_data[key][id] < Math.round(Date.now() / 1000) - 60 * 60 * 24 * 30) {
-				delete hidden_data[key][id];
-				store_data();
-			}
-		}
-	}
-
 	var handle_images = function() {
 		var index = $(this).parents('.file').index();
 		var img = this;
 		var fileinfo = $(this).parent().prev();
 		var id = $(this).parents('div.post, div[id^="thread_"]').attr('id').split('_')[1];
 		var board = $(this).parents('[id^="thread_"]').data("board");
-
-		if (!hidden_data[board]) {
-			hidden_data[board] = {}; // id : timestamp
-		}
 		
 		var replacement = $('<span>'+_('File')+' <small>(<a class="hide-image-link" href="javascript:void(0)">'+_('hide')+'</a>)</small>: </span>');
 				
 		replacement.find('a').click(function() {
-			if (hidden_data[board][id]) {
-				hidden_data[board][id]['ts'] = Math.round(Date.now() / 1000);
-				if (hidden_data[board][id]['index'].indexOf(index) === -1)
-					hidden_data[board][id]['index'].push(index);
-			} else {
-				hidden_data[board][id] = {ts: Math.round(Date.now() / 1000), index: [index]};
-			}
-			store_data();
+			FilterEngine.add($.extend(image_rule(board, id, index), {
+				matcher: 'exact',
+				action: 'hide',
+				expires: Math.round(Date.now() / 1000) + 60 * 60 * 24 * 30
+			}));
 			
 			var show_link = $('<a class="show-image-link" href="javascript:void(0)">'+_('show')+'</a>').click(function() {
-				var i = hidden_data[board][id]['index'].indexOf(index);
-				if (i > -1) hidden_data[board][id]['index'].splice(i,1);
-				
-				if (hidden_data[board][id]['index'].length === 0)
-					delete hidden_data[board][id];
-				store_data();
+				FilterEngine.removeWhere(image_rule(board, id, index));
 				
 				$(img)
 					.removeClass('hidden')
@@ -89,7 +66,7 @@ $(document).ready(function(){
 		
 		$(this).parent().prev().contents().first().replaceWith(replacement);
 		
-		if (hidden_data[board][id] && hidden_data[board][id]['index'].indexOf(index) !== -1)
+		if (FilterEngine.find(image_rule(board, id, index)).length)
 			$(this).parent().prev().find('.hide-image-link').click();
 	};
 
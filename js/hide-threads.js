@@ -8,6 +8,7 @@
  *
  * Usage:
  *   $config['additional_javascript'][] = 'js/jquery.min.js';
+ *   $config['additional_javascript'][] = 'js/filter-engine.js';
  *   $config['additional_javascript'][] = 'js/hide-threads.js';
  *
  */
@@ -15,26 +16,24 @@
 $(document).ready(function(){
 	if (active_page != "index" && active_page != "ukko")
 		return; // not index
-		
-	if (!localStorage.hiddenthreads)
-		localStorage.hiddenthreads = '{}';
-	
-	// Load data from HTML5 localStorage
-	var hidden_data = JSON.parse(localStorage.hiddenthreads);
-	
-	var store_data = function() {
-		localStorage.hiddenthreads = JSON.stringify(hidden_data);
+
+	if (typeof FilterEngine == "undefined")
+		return;
+
+	// Hidden threads are filter rules on the OP, so the catalog leaves them out too; kept for 7 days
+	var thread_rule = function(board, id) {
+		return {field: 'post', scope: 'thread', board: board, thread: id, value: id};
+	};
+	var is_hidden = function(board, id) {
+		return FilterEngine.find(thread_rule(board, id)).length > 0;
+	};
+	var set_hidden = function(board, id) {
+		FilterEngine.add($.extend(thread_rule(board, id), {
+			matcher: 'exact',
+			action: 'collapse',
+			expires: Math.round(Date.now() / 1000) + 60 * 60 * 24 * 7
+		}));
 	};
-	
-	// Delete old hidden threads (7+ days old)
-	for (var key in hidden_data) {
-		for (var id in hidden_data[key]) {
-			if (hidden_data[key][id] < Math.round(Date.now() / 1000) - 60 * 60 * 24 * 7) {
-				delete hidden_data[key][id];
-				store_data();
-			}
-		}
-	}
 
 	var fields_to_hide = 'div.file,div.post,div.video-container,video,iframe,img:not(.unanimated),canvas,p.fileinfo,a.hide-thread-link,div.new-posts,br';
 	
@@ -43,16 +42,11 @@ $(document).ready(function(){
 		var thread_container = $(this).parent();
 
 		var board = thread_container.data("board");
-
-		if (!hidden_data[board]) {
-			hidden_data[board] = {}; // id : timestamp
-		}
 	
 		$('<a class="hide-thread-link" style="float:left;margin-right:5px" href="javascript:void(0)">[–]</a><span> </span>')
 			.insertBefore(thread_container.find(':not(h2,h2 *):first'))
 			.click(function() {
-				hidden_data[board][id] = Math.round(Date.now() / 1000);
-				store_data();
+				set_hidden(board, id);
 				
 				thread_container.find(fields_to_hide).hide();
 				
@@ -65,8 +59,7 @@ $(document).ready(function(){
 				$('<a class="unhide-thread-link" style="float:left;margin-right:5px;margin-left:0px;" href="javascript:void(0)">[+]</a><span> </span>')
 					.insertBefore(hidden_div.find(':first'))
 					.click(function() {
-						delete hidden_data[board][id];
-						store_data();
+						FilterEngine.removeWhere(thread_rule(board, id));
 						thread_container.find(fields_to_hide).show();
 						thread_container.find(".hidden").hide();
 						$(this).remove();
@@ -75,7 +68,7 @@ $(document).ready(function(){
 				
 				hidden_div.insertAfter(thread_container.find(':not(h2,h2 *):first'));
 			});
-		if (hidden_data[board][id])
+		if (is_hidden(board, id))
 			thread_container.find('.hide-thread-link').click();
 	}
 
@@ -0,0 +1,226 @@
+/*
+ * live-updates.js - one shared connection to live.php for every script on the page
+ *
+ * Scripts subscribe to boards ("b") or threads ("b/12") and get each new post,
+ * edit, deletion and sticky/lock change a second or so after it happens. Uses
+ * Server-Sent Events and falls back to long-polling when the stream can't be
+ * opened (old browsers, proxies that buffer responses).
+ *
+ *   LiveUpdates.subscribe('my-script', ['b/12'], event => {
+ *       // event: { id, board, thread, post, type, data }
+ *       // type: 'thread', 'post', 'update', 'delete', 'lock', 'sticky', 'cycle' or 'reset'
+ *   });
+ *   LiveUpdates.delta('b', 12, 400, [398]).then(delta => ...);
+ *       // { sticky, locked, cyclical, posts: [{ id, html }], updated: [{ id, html }], ids: [reply ids] }
+ *
+ * A "reset" event means events were missed (the page was asleep for longer than
+ * $config['live']['event_lifetime']); subscribers should refetch what they show.
+ *
+ * Usage:
+ *   $config['additional_javascript'][] = 'js/live-updates.js';
+ *   // before js/auto-reload.js and js/watch.js
+ */
+
+(function() {
+    'use strict';
+
+    const EVENT_TYPES = ['thread', 'post', 'update', 'delete', 'lock', 'sticky', 'cycle', 'reset'];
+    const RETRY_MIN = 2000;
+    const RETRY_MAX = 60000;
+
+    // owner => { keys: Set, callback }
+    const subscribers = new Map();
+
+    let since = null;
+    let source = null;
+    let useStream = typeof EventSource !== 'undefined';
+    let pollController = null;
+    let retryDelay = RETRY_MIN;
+    let reconnectTimer = null;
+
+    function watchedKeys() {
+        const keys = new Set();
+        subscribers.forEach(subscriber => subscriber.keys.forEach(key => keys.add(key)));
+        return Array.from(keys).sort();
+    }
+
+    function dispatch(event) {
+        subscribers.forEach((subscriber, owner) => {
+            if (event.type !== 'reset' &&
+                !subscriber.keys.has(event.board) &&
+                !subscriber.keys.has(`${event.board}/${event.thread}`)) {
+                return;
+            }
+            try {
+                subscriber.callback(event);
+            } catch (error) {
+                console.error(`Live update handler "${owner}" failed:`, error);
+            }
+        });
+    }
+
+    function buildUrl(keys, params) {
+        const query = new URLSearchParams(Object.assign({ watch: keys.join(',') }, params));
+        return `${window.liveUpdatesUrl}?${query}`;
+    }
+
+    function disconnect() {
+        clearTimeout(reconnectTimer);
+        if (source) {
+            source.close();
+            source = null;
+        }
+        if (pollController) {
+            pollController.abort();
+            pollController = null;
+        }
+    }
+
+    /**
+     * Open the SSE stream; live.php ends it after a while and the browser reconnects on its own
+     */
+    function openStream(keys) {
+        const params = { stream: 1 };
+        if (since !== null) params.since = since;
+
+        let opened = false;
+        source = new EventSource(buildUrl(keys, params));
+
+        source.addEventListener('open', () => {
+            opened = true;
+            retryDelay = RETRY_MIN;
+        });
+
+        source.addEventListener('hello', message => {
+            since = JSON.parse(message.data).since;
+        });
+
+        EVENT_TYPES.forEach(type => {
+            source.addEventListener(type, message => {
+                since = parseInt(message.lastEventId);
+                const event = type === 'reset' ? { id: since, type: 'reset' } : JSON.parse(message.data);
+                dispatch(event);
+            });
+        });
+
+        source.addEventListener('error', () => {
+            // CONNECTING means the browser is already retrying; CLOSED means it gave up
+            if (source.readyState !== EventSource.CLOSED) return;
+
+            source.close();
+            source = null;
+            if (!opened) {
+                console.warn('Live updates: event stream unavailable, falling back to long-polling');
+                useStream = false;
+            }
+            scheduleReconnect();
+        });
+    }
+
+    /**
+     * Long-poll live.php until disconnected or the watched keys change
+     */
+    async function poll(keys) {
+        const controller = new AbortController();
+        pollController = controller;
+
+        while (pollController === controller) {
+            const params = since === null ? {} : { since: since, wait: 1 };
+
+            let response;
+            try {
+                response = await fetch(buildUrl(keys, params), { signal: controller.signal, cache: 'no-store' });
+                if (!response.ok) throw new Error(`live.php responded ${response.status}`);
+                response = await response.json();
+            } catch (error) {
+                if (controller.signal.aborted) return;
+                console.warn('Live updates: polling failed, retrying', error);
+                pollController = null;
+                scheduleReconnect();
+                return;
+            }
+
+            if (controller.signal.aborted) return;
+            retryDelay = RETRY_MIN;
+            since = response.since;
+            response.events.forEach(dispatch);
+        }
+    }
+
+    function connect() {
+        disconnect();
+
+        const keys = watchedKeys();
+        if (!keys.length) return;
+
+        if (useStream) {
+            openStream(keys);
+        } else {
+            poll(keys);
+        }
+    }
+
+    function scheduleReconnect() {
+        clearTimeout(reconnectTimer);
+        reconnectTimer = setTimeout(connect, retryDelay);
+        retryDelay = Math.min(retryDelay * 2, RETRY_MAX);
+    }
+
+    // Batch subscription changes made during the same tick into one reconnect
+    let connectQueued = false;
+    function queueConnect() {
+        if (connectQueued) return;
+        connectQueued = true;
+        setTimeout(() => {
+            connectQueued = false;
+            connect();
+        }, 0);
+    }
+
+    /**
+     * Receive events for the given keys; subscribing again with the same owner replaces its keys
+     *
+     * @param {string} owner Name of the subscribing script
+     * @param {string[]} keys Boards ("b") and threads ("b/12")
+     * @param {function(Object)} callback
+     */
+    function subscribe(owner, keys, callback) {
+        const previous = subscribers.get(owner);
+        const next = new Set(keys.map(String));
+        subscribers.set(owner, { keys: next, callback: callback });
+
+        if (!previous || previous.keys.size !== next.size || [...next].some(key => !previous.keys.has(key))) {
+            queueConnect();
+        }
+    }
+
+    function unsubscribe(owner) {
+        if (subscribers.delete(owner)) {
+            queueConnect();
+        }
+    }
+
+    /**
+     * Posts in a thread newer than `after` and the posts listed in `update`, rendered as on the
+     * thread page, plus the thread's state. Rejects with error.status === 404 when the thread is gone
+     */
+    async function delta(board, thread, after, update) {
+        const query = new URLSearchParams({ board: board, thread: thread, after: after });
+        if (update && update.length) query.set('update', update.join(','));
+        const response = await fetch(`${window.liveUpdatesUrl}?${query}`, { cache: 'no-store' });
+        if (!response.ok) {
+            const error = new Error(`live.php responded ${response.status}`);
+            error.status = response.status;
+            throw error;
+        }
+        return response.json();
+    }
+
+    window.LiveUpdates = {
+        available: !!window.liveUpdatesUrl,
+        subscribe: subscribe,
+        unsubscribe: unsubscribe,
+        delta: delta
+    };
+
+})();
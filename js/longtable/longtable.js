@@ -1,10 +1,20 @@
+/*
+ * data is either an array of rows, or a function(params, callback) for a remote source. A remote
+ * source is asked for a page of rows at a time as the table is scrolled, and does the sorting:
+ * params are {offset, limit, sort, reverse} (sort is a field name, or undefined for the source's
+ * own order), and it calls callback(rows, total), or callback(false) if it failed.
+ */
 $.fn.longtable = function(fields, options, data) {
   var elem = $(this).addClass("longtable");
 
+  var remote = typeof data === "function" ? data : null;
+  if (remote) data = [];
+
   var orig_data = data;
 
-  options.row_h    = options.row_h    || 22;
-  options.checkbox = options.checkbox || false;
+  options.row_h     = options.row_h     || 22;
+  options.checkbox  = options.checkbox  || false;
+  options.page_size = options.page_size || 100;
 
   var shown_rows = {};
 
@@ -13,6 +23,12 @@ $.fn.longtable = function(fields, options, data) {
 
   var filter = function() { return true; };
 
+  // Remote sources: rows loaded so far belong to this generation; a reload starts a new one
+  var generation = 0;
+  var loading = false;
+  var complete = false;
+  var total = 0;
+
   var lt = {
     _gen_field_td: function(field, id) {
       var el;
@@ -74,7 +90,27 @@ $.fn.longtable = function(fields, options, data) {
           sorted_by = field;
         }
       }
-      lt.sort_by(sorted_by, sorted_reverse);
+      if (remote) lt.reload();
+      else lt.sort_by(sorted_by, sorted_reverse);
+    },
+
+    _load_more: function() {
+      if (loading || complete) return;
+      loading = true;
+
+      var gen = generation;
+      remote({offset: data.length, limit: options.page_size, sort: sorted_by, reverse: sorted_reverse}, function(rows, count) {
+        if (gen !== generation) return; // Reloaded meanwhile
+        loading = false;
+        if (!rows) return; // Failed; scrolling tries again
+
+        data = data.concat(rows);
+        total = count;
+        complete = !rows.length || data.length >= count;
+
+        $(elem).height((data.length + 1) * options.row_h);
+        lt.update_viewport();
+      });
     },
 
     _apply_filter: function() {
@@ -85,7 +121,9 @@ $.fn.longtable = function(fields, options, data) {
     },
 
 
+    // Remote sources filter on their end; reload() when their filters change
     set_filter: function(f) {
+      if (remote) return lt.reload();
       filter = f;
       lt._reset_data();
       lt._apply_filter();
@@ -97,6 +135,8 @@ $.fn.longtable = function(fields, options, data) {
         sorted_by = field;
         sorted_reverse = reverse;       
 
+        if (remote) return lt.reload();
+
         var ord = fields[field].sort_fun || function(a,b) { return lt.sort_alphanum(a[field], b[field]); };
 
         data = data.sort(ord);
@@ -125,6 +165,9 @@ $.fn.longtable = function(fields, options, data) {
       for (var id = first; id <= last; id++) {
         if (!shown_rows[id]) lt._insert(id);
       }
+
+      // Load the next page before it is scrolled to
+      if (remote && last >= data.length - 1 - options.page_size / 2) lt._load_more();
     },
 
     update_data: function() {
@@ -138,6 +181,21 @@ $.fn.longtable = function(fields, options, data) {
       return data;
     },
 
+    // All the rows a remote source has, loaded or not
+    get_total: function() {
+      return remote ? total : data.length;
+    },
+
+    // Start over from the first page of a remote source
+    reload: function() {
+      generation++;
+      loading = false;
+      complete = false;
+      total = 0;
+      data = [];
+      lt.update_data();
+    },
+
     destroy: function() {
     },
 
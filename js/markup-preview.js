@@ -0,0 +1,317 @@
+/*
+ * markup-preview.js - see what a post will look like while writing it
+ *
+ * Adds a Preview toggle under the comment field of the post form and the quick
+ * reply. The body is rendered as you type with the same steps as markup() in
+ * inc/functions.php: the board's markup rules, code blocks, links, typographic
+ * dashes, >>123 quotes, greentext and Bible references, checked against the same
+ * book lookup and verse counts (bible-reference.js).
+ *
+ * Rules with PHP callbacks (dice rolls), wordfilters, and quotes of posts that are
+ * not on the page can only be done by the server; "Render on server" asks
+ * markup-preview.php for the exact result.
+ *
+ * Usage:
+ *   $config['additional_javascript'][] = 'js/jquery.min.js';
+ *   //$config['additional_javascript'][] = 'js/bible-reference.js';
+ *   $config['additional_javascript'][] = 'js/markup-preview.js';
+ */
+
+(function() {
+    'use strict';
+
+    const STORAGE_KEY = 'markupPreview';
+    const RENDER_DELAY = 150;
+
+    // $config defaults, for when markup-preview.php is disabled
+    const DEFAULTS = {
+        rules: [
+            ["'''(.+?)'''", '', '<strong>$1</strong>'],
+            ["''(.+?)''", '', '<em>$1</em>'],
+            ['\\*\\*(.+?)\\*\\*', '', '<span class="spoiler">$1</span>'],
+            ['^[ |\\t]*==(.+?)==[ |\\t]*$', 'm', '<span class="heading">$1</span>']
+        ],
+        code: false,
+        urls: true,
+        unicode: true,
+        strip_returns: true,
+        link_prefix: ''
+    };
+
+    const URL_PATTERN = /((?:https?:\/\/|ftp:\/\/|irc:\/\/)[^\s<>()"]+?(?:\([^\s<>()"]*?\)[^\s<>()"]*?)*)((?:\s|<|>|"|\.||\]|!|\?|,|&#44;|&quot;)*(?:[\s<>()"]|$))/g;
+    const CITE_PATTERN = /(^|[\s(])&gt;&gt;(\d+?)((?=[\s,.)?!])|$)/gm;
+    const CROSS_CITE_PATTERN = /(^|[\s(])&gt;&gt;&gt;\/([^\s/]+)\/(\d+)?((?=[\s,.)?!])|$)/gm;
+
+    // board => Promise of compiled settings
+    const settingsCache = {};
+
+    /**
+     * A PHP regex source as a JavaScript RegExp, or null if JavaScript can't read it
+     */
+    function compile(source, flags) {
+        // \x{2013} is PCRE only
+        source = source.replace(/\\x\{([0-9a-f]{1,4})\}/gi, (m, hex) => '\\u' + hex.padStart(4, '0'));
+        try {
+            return new RegExp(source, flags.replace('u', '') + 'g');
+        } catch (e) {
+            return null;
+        }
+    }
+
+    function prepare(settings) {
+        return {
+            rules: settings.rules
+                .map(rule => ({ pattern: compile(rule[0], rule[1]), replacement: rule[2] }))
+                .filter(rule => rule.pattern),
+            code: settings.code ? compile(settings.code[0], settings.code[1]) : null,
+            urls: settings.urls,
+            unicode: settings.unicode,
+            stripReturns: settings.strip_returns,
+            linkPrefix: settings.link_prefix
+        };
+    }
+
+    function loadSettings(board) {
+        if (!settingsCache[board]) {
+            settingsCache[board] = (async () => {
+                if (!window.markupPreviewUrl) return prepare(DEFAULTS);
+                try {
+                    const response = await fetch(`${window.markupPreviewUrl}?board=${encodeURIComponent(board)}`);
+                    if (!response.ok) throw new Error(`markup-preview.php responded ${response.status}`);
+                    return prepare(await response.json());
+                } catch (error) {
+                    console.warn('Markup preview: using the default rules', error);
+                    return prepare(DEFAULTS);
+                }
+            })();
+        }
+        return settingsCache[board];
+    }
+
+    let biblePromise = null;
+
+    function loadBible() {
+        if (!biblePromise) {
+            biblePromise = window.BibleReference ? BibleReference.load().catch(() => null) : Promise.resolve(null);
+        }
+        return biblePromise;
+    }
+
+    /*
+     * markup(), step by step
+     */
+
+    // utf8tohtml(): ENT_NOQUOTES
+    function escapeText(text) {
+        return text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+    }
+
+    // htmlspecialchars() with its default flags
+    function escapeAll(text) {
+        return escapeText(text).replace(/"/g, '&quot;').replace(/'/g, '&#039;');
+    }
+
+    function unicodify(body) {
+        return body
+            .split('...').join('&hellip;')
+            .split('&lt;--').join('&larr;')
+            .split('--&gt;').join('&rarr;')
+            .split('---').join('&mdash;')
+            .split('--').join('&ndash;');
+    }
+
+    /**
+     * Link to a post if it is on this page; markup() checks the database instead
+     */
+    function citeLink(id, text) {
+        const $post = $(`#reply_${id}, #op_${id}`).first();
+        const href = $post.find('.intro a.post_no').first().attr('href');
+        if (!href) {
+            return `<span class="markup-preview-unchecked" title="${escapeAll(_('Linked when posted, if the post exists'))}">${text}</span>`;
+        }
+        return `<a onclick="highlightReply('${id}', event);" href="${escapeAll(href)}">${text}</a>`;
+    }
+
+    function bibleLinks(body, bible) {
+        let html = '';
+        let last = 0;
+        BibleReference.find(bible, body).forEach(found => {
+            html += body.slice(last, found.index) + found.prefix + found.leading +
+                `<a class="bible-ref" href="${found.reference.link}" data-bible-ref="${found.reference.ref}">${escapeAll(found.text)}</a>`;
+            last = found.index + found.match.length;
+        });
+        return html + body.slice(last);
+    }
+
+    /**
+     * The HTML markup() would make of a post body
+     */
+    function render(text, settings, bible) {
+        let body = escapeText(text.replace(/\r/g, ''));
+
+        const codeBlocks = [];
+        if (settings.code) {
+            body = body.replace(settings.code, (...matches) => {
+                codeBlocks.push(matches);
+                return `<code ${codeBlocks.length - 1}>`;
+            });
+        }
+
+        settings.rules.forEach(rule => {
+            body = body.replace(rule.pattern, rule.replacement);
+        });
+
+        const urls = [];
+        if (settings.urls) {
+            body = body.replace(URL_PATTERN, (match, url, after) => {
+                urls.push(url);
+                return `<a href="${settings.linkPrefix}${url}" rel="nofollow" target="_blank">${url}</a>${after}`;
+            });
+        }
+
+        if (settings.unicode) {
+            body = unicodify(body);
+            urls.forEach(url => {
+                body = body.split(unicodify(url)).join(url);
+            });
+        }
+
+        body = body.replace(CITE_PATTERN, (match, prefix, id, after) => prefix + citeLink(id, `&gt;&gt;${id}`) + after);
+        body = body.replace(CROSS_CITE_PATTERN, (match, prefix, board, id, after) =>
+            `${prefix}<span class="markup-preview-unchecked" title="${escapeAll(_('Linked when posted, if the board and post exist'))}">&gt;&gt;&gt;/${board}/${id || ''}</span>${after}`);
+
+        if (bible) {
+            body = bibleLinks(body, bible);
+        }
+
+        body = body.replace(/^\s*&gt;.*$/gm, '<span class="quote">$&</span>');
+
+        if (settings.stripReturns) {
+            body = body.replace(/\s+$/, '');
+        }
+
+        body = body.replace(/\n/g, '<br/>');
+
+        codeBlocks.forEach((matches, id) => {
+            // Past the groups come the offset and the whole string
+            const hasLanguage = typeof matches[2] === 'string';
+            const code = hasLanguage ? matches[2] : matches[1];
+            const language = hasLanguage ? matches[1] : '';
+            const html = `<pre class='code lang-${language}'>` +
+                escapeAll(code).replace(/\n/g, '&#10;').replace(/\t/g, '&#9;') + '</pre>';
+            body = body.split(`<code ${id}>`).join(html);
+        });
+
+        return body;
+    }
+
+    /*
+     * The preview pane
+     */
+
+    function isOpen() {
+        return localStorage.getItem(STORAGE_KEY) === 'true';
+    }
+
+    function formBoard($form) {
+        return $form.find('input[name="board"]').val();
+    }
+
+    function setup($form) {
+        if (!$form.length || $form.find('.markup-preview').length) return;
+
+        const $body = $form.find('textarea[name="body"]');
+        if (!$body.length) return;
+
+        const $controls = $('<div class="markup-preview-controls"></div>');
+        $('<a href="javascript:void(0)" class="markup-preview-toggle"></a>').text(_('Preview')).appendTo($controls);
+        if (window.markupPreviewUrl) {
+            $controls.append(' ');
+            $('<a href="javascript:void(0)" class="markup-preview-server"></a>').text(_('Render on server')).appendTo($controls);
+        }
+
+        const $pane = $('<div class="markup-preview post reply"></div>')
+            .append('<div class="markup-preview-label"></div>', '<div class="body"></div>');
+
+        $body.after($controls, $pane);
+    }
+
+    async function update($form) {
+        const $pane = $form.find('.markup-preview');
+        if (!$pane.length) return;
+
+        $pane.toggle(isOpen());
+        $form.find('.markup-preview-server').toggle(isOpen());
+        if (!isOpen()) return;
+
+        const text = $form.find('textarea[name="body"]').val();
+        const [settings, bible] = await Promise.all([loadSettings(formBoard($form)), loadBible()]);
+
+        // Moderators' raw HTML goes through untouched
+        const html = $form.find('input[name="raw"]').is(':checked') ? text : render(text, settings, bible);
+
+        $pane.removeClass('markup-preview-server-render');
+        $pane.find('.markup-preview-label').text(_('Preview'));
+        $pane.find('.body').html(html);
+    }
+
+    function updateAll() {
+        $('form[name="post"]').each((index, form) => {
+            update($(form)).catch(error => console.error('Markup preview failed', error));
+        });
+    }
+
+    let renderTimer = null;
+
+    function queueUpdate() {
+        clearTimeout(renderTimer);
+        renderTimer = setTimeout(updateAll, RENDER_DELAY);
+    }
+
+    async function serverRender($form) {
+        const $pane = $form.find('.markup-preview');
+        const data = new FormData();
+        data.append('board', formBoard($form));
+        data.append('body', $form.find('textarea[name="body"]').val());
+        data.append('json_response', 1);
+
+        $pane.find('.markup-preview-label').text(_('Rendering…'));
+        try {
+            const response = await fetch(window.markupPreviewUrl, { method: 'POST', body: data });
+            const result = await response.json();
+            if (result.error) throw new Error(result.error);
+
+            $pane.addClass('markup-preview-server-render');
+            $pane.find('.markup-preview-label').text(_('As the server renders it'));
+            $pane.find('.body').html(result.html);
+        } catch (error) {
+            $pane.find('.markup-preview-label').text(fmt(_('Could not render on the server: {0}'), [error.message]));
+        }
+    }
+
+    $(document).on('click', '.markup-preview-toggle', () => {
+        localStorage.setItem(STORAGE_KEY, isOpen() ? 'false' : 'true');
+        updateAll();
+    });
+
+    $(document).on('click', '.markup-preview-server', function() {
+        serverRender($(this).closest('form'));
+    });
+
+    $(document).on('input change propertychange', 'form[name="post"] textarea[name="body"], form[name="post"] input[name="raw"]', queueUpdate);
+
+    // Citing a post sets the body without an input event
+    $(window).on('cite', queueUpdate);
+
+    $(window).on('quick-reply', () => {
+        setup($('#quick-reply'));
+        updateAll();
+    });
+
+    $(function() {
+        setup($('form[name="post"]:first'));
+        setup($('#quick-reply'));
+        updateAll();
+    });
+
+})();
@@ -7,7 +7,39 @@ var banlist_init = function(token, my_boards, inMod) {
 
   var time = function() { return Date.now()/1000|0; }
 
-  $.getJSON(inMod ? ("?/bans.json/"+token) : token, function(t) {
+  // The filters of the mod ban list, as bans.json takes them
+  var filters = function() {
+    var f = {};
+    $(".banlist-filters [data-filter]").each(function() {
+      var $this = $(this);
+      if ($this.is(":checkbox")) {
+        if ($this.prop("checked")) f[this.name] = 1;
+      }
+      else if ($this.val()) {
+        f[this.name] = $this.val();
+      }
+    });
+    return f;
+  };
+
+  // Moderators page through the bans on the server; the public list is small enough to load at once
+  var remote = function(params, callback) {
+    var query = $.extend(filters(), {offset: params.offset, limit: params.limit});
+    if (params.sort) {
+      query.sort = params.sort;
+      query.reverse = params.reverse ? 1 : 0;
+    }
+
+    $.getJSON("?/bans.json/"+token+"&"+$.param(query)).done(function(r) {
+      $("#ban_count").text(fmt(_("{0} bans"), [r.total]));
+      callback(r.bans, r.total);
+    }).fail(function() {
+      $("#ban_count").text(_("Could not load the bans"));
+      callback(false);
+    });
+  };
+
+  var init = function(t) {
     $("#banlist").on("new-row", function(e, drow, el) {
       var sel = selected[drow.id];
       if (sel) {
@@ -54,11 +86,11 @@ var banlist_init = function(token, my_boards, inMod) {
         if (f.board) return "/"+f.board+"/";
 	else return "<em>"+_("all")+"</em>";
       } },
-      created: {name: _("Set"), width: "100px", fmt: function(f) {
+      created: {name: _("Set"), width: "100px", sort_reverse: true, fmt: function(f) {
         return ago(f.created) + _(" ago"); // in AGO form
       } },
       // duration?
-      expires: {name: _("Expires"), width: "235px", fmt: function(f) {
+      expires: {name: _("Expires"), width: "235px", sort_reverse: true, fmt: function(f) {
 	if (!f.expires || f.expires == 0) return "<em>"+_("never")+"</em>";
   var formattedDate = strftime("%m/%d/%Y (%a) %H:%M:%S", new Date((f.expires|0)*1000), datelocale);
   return formattedDate + ((f.expires < time()) ? "" : " <small>"+_("in ")+until(f.expires|0)+"</small>");
@@ -121,23 +153,59 @@ var banlist_init = function(token, my_boards, inMod) {
       return true;
     };
 
-    $("#only_mine, #only_not_expired, #search").on("click input", function() {
+    if (inMod) {
+      // Don't act on bans that the new filters hide
+      var reload_timer;
+      $(".banlist-filters [data-filter]").on("input change", function() {
+        clearTimeout(reload_timer);
+        reload_timer = setTimeout(function() {
+          selected = {};
+          $("#select-all").prop("checked", false);
+          lt.reload();
+        }, 300);
+      });
+    }
+    else {
+      $("#only_mine, #only_not_expired, #search").on("click input", function() {
+        lt.set_filter(filter);
+      });
       lt.set_filter(filter);
-    });
-    lt.set_filter(filter);
+    }
 
     $(".banform").on("submit", function() { return false; });
 
+    var submit_selected = function(fields) {
+      $(".banform .hiddens").remove();
+      $.each(fields, function(name, value) {
+        $("<input type='hidden' class='hiddens'>").attr({name: name, value: value}).appendTo(".banform");
+      });
+      $.each(selected, function(e, on) {
+        if (on) $("<input type='hidden' name='ban_"+e+"' value='1' class='hiddens'>").appendTo(".banform");
+      });
+      $(".banform").off("submit").submit();
+    };
+
+    var count_selected = function() {
+      return $.grep($.map(selected, function(on) { return on; }), function(on) { return on; }).length;
+    };
+
     $("#unban").on("click", function() {
       if (confirm('Are you sure you want to unban the selected IPs?')) {
-        $(".banform .hiddens").remove();
-        $("<input type='hidden' name='unban' value='unban' class='hiddens'>").appendTo(".banform");
-    
-        $.each(selected, function(e) {
-          $("<input type='hidden' name='ban_"+e+"' value='unban' class='hiddens'>").appendTo(".banform");
-        });
-    
-        $(".banform").off("submit").submit();
+        submit_selected({unban: "unban"});
+      }
+    });
+
+    $(".banlist-bulk button[data-bulk]").on("click", function() {
+      var n = count_selected();
+      if (!n) {
+        alert(_("Select some bans first."));
+        return;
+      }
+      if (confirm(fmt(_("Change {0} selected bans?"), [n]))) {
+        // The sticky topbar takes these out of the form
+        var fields = {bulk: $(this).data("bulk")};
+        $(".banlist-bulk input").each(function() { fields[this.name] = $(this).val(); });
+        submit_selected(fields);
       }
     });
 
@@ -160,5 +228,8 @@ var banlist_init = function(token, my_boards, inMod) {
         }
       });
     }
-  });
+  };
+
+  if (inMod) init(remote);
+  else $.getJSON(token, init);
 }
@@ -6,35 +6,23 @@
  * Released under the WTFPL license
  * Copyright (c) 2014 sinuca <#55ch@rizon.net>
  *
- * Requires jquery
+ * Requires jquery and js/filter-engine.js
  * incomplete
  *
  */
 
 $(document).ready(function(){
 	
-	if (!localStorage.hiddenrecentposts)
-		localStorage.hiddenrecentposts = '{}';
+	if (typeof FilterEngine == "undefined")
+		return;
 
 	if (!localStorage.recentpostscount)
 		localStorage.recentpostscount = 25;
 
-	// Load data from HTML5 localStorage
-	var hidden_data = JSON.parse(localStorage.hiddenrecentposts);
-
-	var store_data_posts = function() {
-		localStorage.hiddenrecentposts = JSON.stringify(hidden_data);
-	}
-
-	// Delete old hidden posts (7+ days old)
-	for (var key in hidden_data) {
-		for (var id in hidden_data[key]) {
-			if (hidden_data[key][id] < Math.round(Date.now() / 1000) - 60 * 60 * 24 * 7) {
-				delete hidden_data[key][id];
-				store_data_posts();
-			}
-		}
-	}
+	// Dismissed posts are filter rules that only apply here, kept for 7 days
+	var dismiss_rule = function(board, id) {
+		return {field: 'post', scope: 'board', board: board, value: id, page: 'recent'};
+	};
 
 	var do_hide_posts = function() {
 		var data = $(this).attr('id');
@@ -43,29 +31,27 @@ $(document).ready(function(){
 		var post_container = $(this).parent();
 
 		var board = post_container.data("board");
-		
-		if (!hidden_data[board]) {
-			hidden_data[board] = {};
-		}
 
 		$('<a class="hide-post-link" href="javascript:void(0)"> Dismiss </a>')
 		.insertBefore(post_container.find('a.eita-link:first'))
 		.click(function(){
-			hidden_data[board][id] = Math.round(Date.now() / 1000);
-			store_data_posts();
+			FilterEngine.add($.extend(dismiss_rule(board, id), {
+				matcher: 'exact',
+				action: 'hide',
+				expires: Math.round(Date.now() / 1000) + 60 * 60 * 24 * 7
+			}));
 
 			post_container.closest('hr').hide();
 			post_container.children().hide();
 		});
-		if(hidden_data[board][id])
+		if(FilterEngine.find(dismiss_rule(board, id)).length)
 			post_container.find('a.hide-post-link').click();
 	}
 
 	$('a.eita-link').each(do_hide_posts);
 
 	$('#erase-local-data').click(function(){
-		hidden_data = {};
-		store_data_posts();
+		FilterEngine.removeWhere({page: 'recent'});
 		$(this).html('Loading...');
 		location.reload();
 	});
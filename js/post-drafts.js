@@ -0,0 +1,496 @@
+/*
+ * post-drafts.js - keep what you type in the post form and quick reply until it is posted
+ *
+ * The body, subject, name, embed and post options are saved per board and thread
+ * as you type, so a reload, a crash or a thread auto-navigating away doesn't lose
+ * them. Coming back to the page puts the draft back into an empty form, with an
+ * Undo. Attached files are kept too where the browser can store them (IndexedDB);
+ * otherwise the draft remembers their names so you know what to attach again.
+ *
+ * A draft is forgotten once ajax.js reports the post went through. Without
+ * ajax.js, sending the form marks the draft as submitted and the next page with
+ * a post form forgets it; the error page has none, so a rejected post keeps its
+ * draft. All pending drafts are listed in the Options panel.
+ *
+ * Usage:
+ *   $config['additional_javascript'][] = 'js/jquery.min.js';
+ *   //$config['additional_javascript'][] = 'js/ajax.js';
+ *   //$config['additional_javascript'][] = 'js/file-selector.js';
+ *   //$config['additional_javascript'][] = 'js/quick-reply.js';
+ *   $config['additional_javascript'][] = 'js/post-drafts.js';
+ */
+
+(function() {
+    'use strict';
+
+    const STORAGE_KEY = 'post_drafts';
+    const DB_NAME = 'post-drafts';
+    const DAY = 86400;
+    const LIFETIME = 30 * DAY;
+    const MAX_DRAFTS = 50;
+    // Attachments larger than this altogether are remembered by name only
+    const MAX_FILE_BYTES = 50 * 1024 * 1024;
+    const SAVE_DELAY = 500;
+    // A submitted draft still around after this long is taken to have failed to post
+    const SUBMIT_WINDOW = 10 * 60;
+    // Fields that are never worth keeping, or must not be
+    const SKIP_FIELDS = ['password', 'captcha_text', 'captcha_cookie', 'simple_spam', 'file_url', 'board', 'thread', 'page', 'mod'];
+    // A draft with none of these filled in is not worth restoring
+    const CONTENT_FIELDS = ['body', 'subject', 'embed'];
+
+    function now() {
+        return Math.floor(Date.now() / 1000);
+    }
+
+    /*
+     * Storage: { 'b/12': { board, thread, fields: { name: value }, files: [{ name, size }], kept, updated, submitted } }
+     * thread is null for a new thread on the board index; submitted is when the form was last sent
+     * without ajax.js, if it was. The files themselves live in IndexedDB.
+     */
+
+    function load() {
+        let drafts = null;
+        try {
+            drafts = JSON.parse(localStorage.getItem(STORAGE_KEY));
+        } catch (e) {
+            drafts = null;
+        }
+        return drafts && typeof drafts === 'object' ? drafts : {};
+    }
+
+    function store(drafts) {
+        const expired = now() - LIFETIME;
+        const keys = Object.keys(drafts).sort((a, b) => drafts[b].updated - drafts[a].updated);
+        keys.forEach((key, index) => {
+            if (index >= MAX_DRAFTS || drafts[key].updated < expired) {
+                delete drafts[key];
+                deleteFiles(key);
+            }
+        });
+
+        if (Object.keys(drafts).length) {
+            localStorage.setItem(STORAGE_KEY, JSON.stringify(drafts));
+        } else {
+            localStorage.removeItem(STORAGE_KEY);
+        }
+        $(document).trigger('post_drafts_changed');
+    }
+
+    function draftKey(board, thread) {
+        return `${board}/${thread || 'new'}`;
+    }
+
+    function draftUrl(draft) {
+        const root = window.inMod ? window.modRoot : window.configRoot;
+        return draft.thread ? `${root}${draft.board}/res/${draft.thread}.html` : `${root}${draft.board}/`;
+    }
+
+    /*
+     * Attachments, as [{ field, file }] per draft: field is the <input type="file"> they came
+     * from, or null for file-selector.js
+     */
+
+    let dbPromise = null;
+
+    function openDb() {
+        if (!dbPromise) {
+            dbPromise = new Promise((resolve, reject) => {
+                if (!window.indexedDB) {
+                    reject(new Error('IndexedDB is not available'));
+                    return;
+                }
+                const request = indexedDB.open(DB_NAME, 1);
+                request.onupgradeneeded = () => request.result.createObjectStore('files');
+                request.onsuccess = () => resolve(request.result);
+                request.onerror = () => reject(request.error);
+            });
+        }
+        return dbPromise;
+    }
+
+    async function fileStore(mode, action) {
+        const db = await openDb();
+        return new Promise((resolve, reject) => {
+            const transaction = db.transaction('files', mode);
+            const request = action(transaction.objectStore('files'));
+            transaction.oncomplete = () => resolve(request.result);
+            transaction.onerror = () => reject(transaction.error);
+            transaction.onabort = () => reject(transaction.error);
+        });
+    }
+
+    function saveFiles(key, attachments) {
+        return fileStore('readwrite', files => files.put(attachments, key));
+    }
+
+    function loadFiles(key) {
+        return fileStore('readonly', files => files.get(key)).then(attachments => attachments || []);
+    }
+
+    function deleteFiles(key) {
+        fileStore('readwrite', files => files.delete(key)).catch(() => {});
+    }
+
+    /*
+     * The form
+     */
+
+    // What file-selector.js currently has queued, when it is in use
+    let selectorFiles = [];
+
+    function usesFileSelector() {
+        return $('.dropzone').length > 0;
+    }
+
+    function formKey(form) {
+        const $form = $(form);
+        const board = $form.find('input[name="board"]').val();
+        if (!board) return null;
+        return draftKey(board, $form.find('input[name="thread"]').val());
+    }
+
+    function draftFields($form) {
+        return $form.find('input[type="text"], input[type="checkbox"], select, textarea')
+            .filter((index, input) => input.name && !SKIP_FIELDS.includes(input.name) && !$(input).closest('.captcha').length);
+    }
+
+    function readFields($form) {
+        const fields = {};
+        draftFields($form).each((index, input) => {
+            fields[input.name] = input.type === 'checkbox' ? input.checked : input.value;
+        });
+        return fields;
+    }
+
+    function writeFields($form, fields) {
+        draftFields($form).each((index, input) => {
+            if (!(input.name in fields)) return;
+            if (input.type === 'checkbox') {
+                input.checked = !!fields[input.name];
+            } else {
+                input.value = fields[input.name];
+            }
+        });
+    }
+
+    function readAttachments($form) {
+        if (usesFileSelector()) {
+            return selectorFiles.map(file => ({ field: null, file: file }));
+        }
+        const attachments = [];
+        $form.find('input[type="file"]').each((index, input) => {
+            Array.from(input.files || []).forEach(file => attachments.push({ field: input.name, file: file }));
+        });
+        return attachments;
+    }
+
+    /**
+     * Put files back; a plain file input only takes them where DataTransfer can build a FileList
+     */
+    function attach(attachments) {
+        if (usesFileSelector()) {
+            const files = attachments.map(attachment => attachment.file);
+            $(document).trigger('file_selector_restore', [files]);
+            return files.length;
+        }
+        if (typeof DataTransfer === 'undefined') return 0;
+
+        let attached = 0;
+        const $form = $('form[name="post"]:first');
+        attachments.forEach(attachment => {
+            const input = $form.find(`input[type="file"][name="${attachment.field}"]`)[0];
+            if (!input) return;
+            try {
+                const transfer = new DataTransfer();
+                transfer.items.add(attachment.file);
+                input.files = transfer.files;
+                attached++;
+            } catch (e) {
+                // Browsers without a writable FileList
+            }
+        });
+        return attached;
+    }
+
+    function detach(files) {
+        if (usesFileSelector()) {
+            $(document).trigger('file_selector_remove', [files]);
+        } else {
+            $('form[name="post"]:first input[type="file"]').val('');
+        }
+    }
+
+    function hasContent(fields, attachments) {
+        return attachments.length > 0 || CONTENT_FIELDS.some(name => fields[name] && fields[name].trim() !== '');
+    }
+
+    function save(form) {
+        const key = formKey(form);
+        if (!key) return;
+
+        const $form = $(form);
+        const fields = readFields($form);
+        const attachments = readAttachments($form);
+        const drafts = load();
+
+        if (!hasContent(fields, attachments)) {
+            if (drafts[key]) {
+                delete drafts[key];
+                deleteFiles(key);
+                store(drafts);
+            }
+            return;
+        }
+
+        const size = attachments.reduce((total, attachment) => total + attachment.file.size, 0);
+        const draft = {
+            board: key.slice(0, key.lastIndexOf('/')),
+            thread: $form.find('input[name="thread"]').val() || null,
+            fields: fields,
+            files: attachments.map(attachment => ({ name: attachment.file.name, size: attachment.file.size })),
+            kept: false,
+            updated: now()
+        };
+        drafts[key] = draft;
+        store(drafts);
+
+        if (!attachments.length || size > MAX_FILE_BYTES) {
+            deleteFiles(key);
+            return;
+        }
+        saveFiles(key, attachments).then(() => {
+            // Only if nothing newer was saved meanwhile
+            const current = load();
+            if (current[key] && current[key].updated === draft.updated) {
+                current[key].kept = true;
+                localStorage.setItem(STORAGE_KEY, JSON.stringify(current));
+            }
+        }).catch(error => console.warn('Could not keep the attached files with the draft', error));
+    }
+
+    let saveTimer = null;
+    let pendingForm = null;
+
+    function queueSave(form) {
+        pendingForm = form;
+        clearTimeout(saveTimer);
+        saveTimer = setTimeout(flush, SAVE_DELAY);
+    }
+
+    function flush() {
+        clearTimeout(saveTimer);
+        if (pendingForm) {
+            save(pendingForm);
+            pendingForm = null;
+        }
+    }
+
+    function forget(key) {
+        const drafts = load();
+        delete drafts[key];
+        deleteFiles(key);
+        store(drafts);
+    }
+
+    function markSubmitted(form) {
+        flush();
+        const key = formKey(form);
+        const drafts = load();
+        if (!key || !drafts[key]) return;
+        drafts[key].submitted = now();
+        store(drafts);
+    }
+
+    /**
+     * Settle drafts sent from the previous page: posted if this is a fresh page with a post form
+     * (where post.php sends you afterwards), kept if the browser went back to the form
+     *
+     * @param {boolean} posted
+     */
+    function settleSubmitted(posted) {
+        const drafts = load();
+        const since = now() - SUBMIT_WINDOW;
+        let changed = false;
+        Object.keys(drafts).forEach(key => {
+            if (!drafts[key].submitted) return;
+            if (posted && drafts[key].submitted >= since) {
+                delete drafts[key];
+                deleteFiles(key);
+            } else {
+                delete drafts[key].submitted;
+            }
+            changed = true;
+        });
+        if (changed) store(drafts);
+    }
+
+    function wentBack() {
+        const entries = window.performance && performance.getEntriesByType ? performance.getEntriesByType('navigation') : [];
+        return entries.length > 0 && entries[0].type === 'back_forward';
+    }
+
+    /*
+     * Restoring
+     */
+
+    function notice(draft, restoredFiles, undo) {
+        const $notice = $('<div class="post-drafts-notice"></div>');
+        $notice.append(document.createTextNode(_('Your unsent draft was restored.') + ' '));
+
+        const missing = draft.files.length - restoredFiles;
+        if (missing > 0) {
+            const names = draft.files.map(file => file.name).join(', ');
+            $('<span class="post-drafts-files"></span>')
+                .text(fmt(_('Attach again: {0}'), [names]) + ' ')
+                .appendTo($notice);
+        }
+
+        $('<a href="javascript:void(0)"></a>').text(_('Undo')).on('click', () => {
+            undo();
+            $notice.remove();
+        }).appendTo($notice);
+        $notice.append(' ');
+        $('<a href="javascript:void(0)"></a>').text(_('Dismiss')).on('click', () => $notice.remove()).appendTo($notice);
+
+        $notice.insertBefore('form[name="post"]:first');
+    }
+
+    async function restore() {
+        const $form = $('form[name="post"]:first');
+        const key = $form.length ? formKey($form) : null;
+        if (!key) return;
+
+        const draft = load()[key];
+        if (!draft) return;
+
+        // Leave alone whatever the browser itself kept in the form
+        const before = readFields($form);
+        if (hasContent(before, readAttachments($form))) return;
+
+        $('form[name="post"]').each((index, form) => writeFields($(form), draft.fields));
+        // For scripts that follow the body, like markup-preview.js
+        $('form[name="post"] textarea[name="body"]').trigger('change');
+
+        let attachments = [];
+        if (draft.kept) {
+            try {
+                attachments = await loadFiles(key);
+            } catch (e) {
+                attachments = [];
+            }
+        }
+        const attached = attach(attachments);
+        const files = attachments.map(attachment => attachment.file);
+
+        notice(draft, attached, () => {
+            $('form[name="post"]').each((index, form) => writeFields($(form), before));
+            detach(files);
+            forget(key);
+        });
+    }
+
+    /*
+     * Options panel
+     */
+
+    function renderOptionsTab(tab) {
+        $('<p></p>').text(_('Posts you started writing and have not sent yet.')).appendTo(tab.content);
+        const $list = $('<ul class="post-drafts-list"></ul>').appendTo(tab.content);
+
+        const render = () => {
+            const drafts = load();
+            const keys = Object.keys(drafts).sort((a, b) => drafts[b].updated - drafts[a].updated);
+            $list.empty();
+
+            if (!keys.length) {
+                $('<li class="post-drafts-empty"></li>').text(_('No drafts.')).appendTo($list);
+                return;
+            }
+
+            keys.forEach(key => {
+                const draft = drafts[key];
+                const $item = $('<li></li>').appendTo($list);
+                const label = draft.thread ? `/${draft.board}/ #${draft.thread}` : `/${draft.board}/ ${_('new thread')}`;
+                $('<a></a>').attr('href', draftUrl(draft)).text(label).appendTo($item);
+
+                const text = draft.fields.subject || draft.fields.body || draft.fields.embed || '';
+                $('<span class="post-drafts-excerpt"></span>')
+                    .text(text.length > 80 ? text.slice(0, 80) + '…' : text)
+                    .appendTo($item);
+
+                let details = new Date(draft.updated * 1000).toLocaleString();
+                if (draft.files.length) {
+                    details += ', ' + fmt(draft.kept ? _('{0} file(s)') : _('{0} file(s), not kept'), [draft.files.length]);
+                }
+                $('<span class="post-drafts-details"></span>').text(details).appendTo($item);
+
+                $('<a href="javascript:void(0)" class="post-drafts-delete"></a>').text(_('Delete')).on('click', () => {
+                    if (confirm(_('Delete this draft?'))) forget(key);
+                }).appendTo($item);
+            });
+        };
+
+        render();
+        $(document).on('post_drafts_changed', render);
+        window.addEventListener('storage', event => {
+            if (event.key === STORAGE_KEY) render();
+        });
+    }
+
+    /*
+     * Wiring
+     */
+
+    $(document).on('file_selector_change', (e, files) => {
+        selectorFiles = files;
+        const $form = $('form[name="post"]:first');
+        if ($form.length) queueSave($form[0]);
+    });
+
+    $(document).on('input change', 'form[name="post"] :input', function() {
+        if (this.form) queueSave(this.form);
+    });
+
+    // The quick reply is a copy of the form as it was first rendered
+    $(window).on('quick-reply', () => {
+        const $form = $('form[name="post"]:first');
+        if ($form.length) writeFields($('#quick-reply'), readFields($form));
+    });
+
+    $(document).on('ajax_after_post', () => {
+        clearTimeout(saveTimer);
+        pendingForm = null;
+        selectorFiles = [];
+        const key = formKey($('form[name="post"]:first'));
+        if (key) forget(key);
+        $('.post-drafts-notice').remove();
+    });
+
+    // ajax.js stops its own submits from getting here and reports them with ajax_after_post
+    $(document).on('submit', 'form[name="post"]', function() {
+        markSubmitted(this);
+    });
+
+    // Don't lose the last half second of typing
+    window.addEventListener('pagehide', flush);
+
+    // Back to the form from the error page, straight out of the page cache
+    window.addEventListener('pageshow', event => {
+        if (event.persisted) settleSubmitted(false);
+    });
+
+    $(function() {
+        if (wentBack()) {
+            settleSubmitted(false);
+        } else if ($('form[name="post"]').length) {
+            settleSubmitted(true);
+        }
+
+        restore().catch(error => console.warn('Could not restore the draft', error));
+
+        if (window.Options && Options.add_tab) {
+            renderOptionsTab(Options.add_tab('drafts', 'edit', _('Drafts')));
+        }
+    });
+
+})();
@@ -1,66 +1,60 @@
+/*
+ * post-filter.js - hide, collapse or highlight posts by ID, name, tripcode, subject, comment, flag or file
+ *
+ * Rules are kept by js/filter-engine.js, which also draws the Filters tab in
+ * Options; this script applies them to posts and catalog tiles and adds the
+ * hide/filter entries to the post menu.
+ *
+ * Highlight rules can also pin matching posts to a sidebar list and show a
+ * desktop notification when a matching post comes in, either on this page
+ * (js/auto-reload.js) or in a watched thread or board (js/watch.js). Each post
+ * is notified about once, whichever tab sees it first.
+ *
+ * Usage:
+ *   $config['additional_javascript'][] = 'js/jquery.min.js';
+ *   $config['additional_javascript'][] = 'js/options.js';
+ *   $config['additional_javascript'][] = 'js/filter-engine.js';
+ *   $config['additional_javascript'][] = 'js/post-menu.js';
+ *   $config['additional_javascript'][] = 'js/post-filter.js';
+ */
+
 if (active_page === 'thread' || active_page === 'index' || active_page === 'catalog' || active_page === 'ukko') {
 	$(document).on('menu_ready', function () {
 		'use strict';
-		
-		// returns blacklist object from storage
-		function getList() {
-			return JSON.parse(localStorage.postFilter);
-		}
-
-		// stores blacklist into storage and reruns the filter
-		function setList(blacklist) {
-			localStorage.postFilter = JSON.stringify(blacklist);
-			$(document).trigger('filter_page');
-		}
 
-		// unit: seconds
-		function timestamp() {
-			return Math.floor((new Date()).getTime() / 1000);
-		}
+		var Filters = window.FilterEngine;
+		var NOTIFIED_KEY = 'filterNotified';
+		var NOTIFIED_LIFETIME = 7 * 86400;
 
-		function initList(list, boardId, threadId) {
-			if (typeof list.postFilter[boardId] == 'undefined') {
-				list.postFilter[boardId] = {};
-				list.nextPurge[boardId] = {};
-			}
-			if (typeof list.postFilter[boardId][threadId] == 'undefined') {
-				list.postFilter[boardId][threadId] = [];
-			}
-			list.nextPurge[boardId][threadId] = {timestamp: timestamp(), interval: 86400};  // 86400 seconds == 1 day
+		// rule hiding one post or ID in one thread, dropped once the thread is pruned
+		function threadRule(field, boardId, threadId, value, hideReplies) {
+			return {
+				field: field,
+				matcher: 'exact',
+				value: value,
+				scope: 'thread',
+				board: boardId,
+				thread: threadId,
+				action: 'collapse',
+				hideReplies: hideReplies
+			};
 		}
 
 		function addFilter(type, value, useRegex) {
-			var list = getList();
-			var filter = list.generalFilter;
-			var obj = {
-				type: type,
+			Filters.add({
+				field: type,
+				matcher: useRegex ? 'regex' : 'exact',
 				value: value,
-				regex: useRegex
-			};
-
-			for (var i=0; i<filter.length; i++) {
-				if (filter[i].type == type && filter[i].value == value && filter[i].regex == useRegex)
-					return;
-			}
-
-			filter.push(obj);
-			setList(list);
-			drawFilterList();
+				action: 'collapse'
+			});
 		}
 
-		function removeFilter(type, value, useRegex) {
-			var list = getList();
-			var filter = list.generalFilter;
-
-			for (var i=0; i<filter.length; i++) {
-				if (filter[i].type == type && filter[i].value == value && filter[i].regex == useRegex) {
-					filter.splice(i, 1);
-					break;
-				}
-			}
-
-			setList(list);
-			drawFilterList();
+		// removes every rule on this field that matches the value, whatever its matcher
+		function removeFilter(type, value) {
+			$.each(Filters.rules(), function () {
+				if (this.field == type && this.scope != 'thread' && Filters.test(this, value))
+					Filters.remove(this.id);
+			});
 		}
 
 		function nameSpanToString(el) {
@@ -79,88 +73,18 @@ if (active_page === 'thread' || active_page === 'index' || active_page === 'cata
 		var blacklist = {
 			add: {
 				post: function (boardId, threadId, postId, hideReplies) {
-					var list = getList();
-					var filter = list.postFilter;
-
-					initList(list, boardId, threadId);
-
-					for (var i in filter[boardId][threadId]) {
-						if (filter[boardId][threadId][i].post == postId) return;
-					}
-					filter[boardId][threadId].push({
-						post: postId,
-						hideReplies: hideReplies
-					});
-					setList(list);
+					Filters.add(threadRule('post', boardId, threadId, postId, hideReplies));
 				},
 				uid: function (boardId, threadId, uniqueId, hideReplies) {
-					var list = getList();
-					var filter = list.postFilter;
-
-					initList(list, boardId, threadId);
-
-					for (var i in filter[boardId][threadId]) {
-						if (filter[boardId][threadId][i].uid == uniqueId) return;
-					}
-					filter[boardId][threadId].push({
-						uid: uniqueId,
-						hideReplies: hideReplies
-					});
-					setList(list);
+					Filters.add(threadRule('uid', boardId, threadId, uniqueId, hideReplies));
 				}
 			},
 			remove: {
 				post: function (boardId, threadId, postId) {
-					var list = getList();
-					var filter = list.postFilter;
-
-					// thread already pruned
-					if (typeof filter[boardId] == 'undefined' || typeof filter[boardId][threadId] == 'undefined')
-						return;
-
-					for (var i=0; i<filter[boardId][threadId].length; i++) {
-						if (filter[boardId][threadId][i].post == postId) {
-							filter[boardId][threadId].splice(i, 1);
-							break;
-						}
-					}
-
-					if ($.isEmptyObject(filter[boardId][threadId])) {
-						delete filter[boardId][threadId];
-						delete list.nextPurge[boardId][threadId];
-
-						if ($.isEmptyObject(filter[boardId])) {
-							delete filter[boardId];
-							delete list.nextPurge[boardId];
-						}
-					}
-					setList(list);
+					Filters.removeWhere({field: 'post', scope: 'thread', board: boardId, thread: threadId, value: postId});
 				},
 				uid: function (boardId, threadId, uniqueId) {
-					var list = getList();
-					var filter = list.postFilter;
-
-					// thread already pruned
-					if (typeof filter[boardId] == 'undefined' || typeof filter[boardId][threadId] == 'undefined')
-						return;
-
-					for (var i=0; i<filter[boardId][threadId].length; i++) {
-						if (filter[boardId][threadId][i].uid == uniqueId) {
-							filter[boardId][threadId].splice(i, 1);
-							break;
-						}
-					}
-
-					if ($.isEmptyObject(filter[boardId][threadId])) {
-						delete filter[boardId][threadId];
-						delete list.nextPurge[boardId][threadId];
-
-						if ($.isEmptyObject(filter[boardId])) {
-							delete filter[boardId];
-							delete list.nextPurge[boardId];
-						}
-					}
-					setList(list);
+					Filters.removeWhere({field: 'uid', scope: 'thread', board: boardId, thread: threadId, value: uniqueId});
 				}
 			}
 		};
@@ -198,6 +122,146 @@ if (active_page === 'thread' || active_page === 'index' || active_page === 'cata
 			}
 		}
 
+		/*
+		 *  "hide" rules take the post (or, on index pages, the whole thread) off the page;
+		 *  on a thread page the OP is only collapsed
+		 */
+		function apply(ele, action, color) {
+			var $ele = $(ele);
+			var $target = ($ele.hasClass('op') && active_page != 'thread') ? $ele.parent() : $ele;
+			var remove = action == 'hide' && !($ele.hasClass('op') && active_page == 'thread');
+
+			$ele.toggleClass('filter-highlight', action == 'highlight');
+			$ele.css('outline-color', action == 'highlight' && color ? color : '');
+			$target.toggleClass('filter-hidden', remove);
+
+			if (action == 'hide' || action == 'collapse') {
+				hide(ele);
+			} else if ($ele.data('hidden')) {
+				show(ele);
+			}
+		}
+
+		// colour of the first highlight rule that has one
+		function highlightColor(rules) {
+			for (var i = 0; i < rules.length; i++) {
+				if (rules[i].action == 'highlight' && rules[i].color)
+					return rules[i].color;
+			}
+			return null;
+		}
+
+		function postUrl(boardId, threadId, postId) {
+			return modRoot + boardId + '/res/' + threadId + '.html#' + postId;
+		}
+
+		/*
+		 *  sidebar listing the posts matched by "pin" rules: on this page, and those
+		 *  that came in from watched threads while it was open
+		 */
+		var pins = {
+			page: {},  // board/post => entry, rebuilt on every filterPage()
+			watched: {},  // board/post => entry, kept until the page is left
+			collapsed: localStorage.filterPinsCollapsed == 'true',
+
+			entry: function (subject, color) {
+				return {
+					board: subject.board,
+					thread: subject.thread,
+					post: subject.post,
+					text: (subject.sub || subject.com || subject.name || '').substr(0, 80),
+					color: color
+				};
+			},
+			render: function () {
+				var self = this;
+				var entries = $.extend({}, this.watched, this.page);
+				var keys = Object.keys(entries);
+				var $sidebar = $('#filter-pins');
+
+				if (!keys.length) {
+					$sidebar.remove();
+					return;
+				}
+
+				if (!$sidebar.length) {
+					$sidebar = $('<div id="filter-pins"><div class="filter-pins-title"></div><ul></ul></div>').appendTo(document.body);
+					$sidebar.find('.filter-pins-title').click(function () {
+						self.collapsed = !self.collapsed;
+						localStorage.filterPinsCollapsed = self.collapsed;
+						self.render();
+					});
+				}
+
+				$sidebar.toggleClass('collapsed', this.collapsed);
+				$sidebar.find('.filter-pins-title').text(_('Pinned') + ' (' + keys.length + ')');
+
+				var $list = $sidebar.children('ul').empty();
+				$.each(keys, function () {
+					var pin = entries[this];
+					var onPage = $('#reply_' + pin.post + ', #op_' + pin.post).filter(function () {
+						return $(this).closest('.thread').data('board') == pin.board;
+					}).first();
+
+					$('<a></a>')
+						.attr('href', onPage.length ? '#' + pin.post : postUrl(pin.board, pin.thread, pin.post))
+						.text('/' + pin.board + '/ >>' + pin.post)
+						.click(function (e) {
+							if (!onPage.length)
+								return;
+							e.preventDefault();
+							onPage[0].scrollIntoView({block: 'center'});
+						})
+						.appendTo($('<li></li>').css('border-left-color', pin.color || '').appendTo($list))
+						.after($('<span class="filter-pins-text"></span>').text(pin.text));
+				});
+			}
+		};
+
+		/*
+		 *  desktop notifications for posts matched by "notify" rules; the posts already
+		 *  notified about are remembered so other tabs and reloads don't repeat them
+		 */
+		function notified() {
+			var list = {};
+			try {
+				list = JSON.parse(localStorage.getItem(NOTIFIED_KEY)) || {};
+			} catch (e) {}
+
+			var now = Math.floor(Date.now() / 1000);
+			$.each(list, function (key, time) {
+				if (time < now - NOTIFIED_LIFETIME)
+					delete list[key];
+			});
+			return list;
+		}
+
+		function notify(subject, rules, time) {
+			rules = $.grep(rules, function (rule) {
+				// only posts made after the rule was
+				return rule.notify && (!time || time >= rule.created);
+			});
+			if (!rules.length || typeof Notification == 'undefined' || Notification.permission != 'granted')
+				return;
+
+			var key = subject.board + '/' + subject.post;
+			var list = notified();
+			if (list[key])
+				return;
+			list[key] = Math.floor(Date.now() / 1000);
+			localStorage.setItem(NOTIFIED_KEY, JSON.stringify(list));
+
+			var notification = new Notification('/' + subject.board + '/ >>' + subject.post + (subject.sub ? ' ' + subject.sub : ''), {
+				body: subject.com.substr(0, 200) || (subject.name + ' ' + subject.trip).trim(),
+				tag: key
+			});
+			notification.onclick = function () {
+				window.focus();
+				window.location.href = postUrl(subject.board, subject.thread, subject.post);
+				notification.close();
+			};
+		}
+
 		/* 
 		 *  create filter menu when the button is clicked
 		 */
@@ -206,6 +270,7 @@ if (active_page === 'thread' || active_page === 'index' || active_page === 'cata
 			var submenu;
 			Menu.add_item('filter-menu-hide', _('Hide post'));
 			Menu.add_item('filter-menu-unhide', _('Unhide post'));
+			Menu.add_item('filter-menu-image', _('Filter this image'), _('Hide posts with this file everywhere'));
 
 			submenu = Menu.add_submenu('filter-menu-add', _('Add filter'));
 				submenu.add_item('filter-add-post-plus', _('Post +'), _('Hide post and all replies'));
@@ -218,6 +283,7 @@ if (active_page === 'thread' || active_page === 'index' || active_page === 'cata
 				submenu.add_item('filter-remove-id', _('ID'));
 				submenu.add_item('filter-remove-name', _('Name'));
 				submenu.add_item('filter-remove-trip', _('Tripcode'));
+				submenu.add_item('filter-remove-image', _('Image'));
 
 			Menu.onclick(function (e, $buffer) {
 				var ele = e.target.parentElement.parentElement;
@@ -229,6 +295,7 @@ if (active_page === 'thread' || active_page === 'index' || active_page === 'cata
 				if (pageData.hasUID) {
 					var postUid = $ele.find('.poster_id').text();
 				}
+				var postHashes = Filters.fromPost(ele).md5;
 
 				var postName;
 				var postTrip = '';
@@ -298,7 +365,7 @@ if (active_page === 'thread' || active_page === 'index' || active_page === 'cata
 					$buffer.find('#filter-remove-name').addClass('hidden');
 				} else if (!pageData.forcedAnon) {
 					$buffer.find('#filter-remove-name').click(function () {
-						removeFilter('name', postName, false);
+						removeFilter('name', postName);
 					});
 
 					$buffer.find('#filter-add-name').addClass('hidden');
@@ -317,7 +384,7 @@ if (active_page === 'thread' || active_page === 'index' || active_page === 'cata
 					$buffer.find('#filter-remove-trip').addClass('hidden');
 				} else if (!pageData.forcedAnon && postTrip !== '') {
 					$buffer.find('#filter-remove-trip').click(function () {
-						removeFilter('trip', postTrip, false);
+						removeFilter('trip', postTrip);
 					});
 
 					$buffer.find('#filter-add-trip').addClass('hidden');
@@ -327,6 +394,26 @@ if (active_page === 'thread' || active_page === 'index' || active_page === 'cata
 					$buffer.find('#filter-add-trip').addClass('hidden');
 				}
 
+				//  file hash
+				if (postHashes.length && !$ele.data('hiddenByFile')) {
+					$buffer.find('#filter-menu-image').click(function () {
+						$.each(postHashes, function () {
+							addFilter('md5', this, false);
+						});
+					});
+					$buffer.find('#filter-remove-image').addClass('hidden');
+				} else if (postHashes.length) {
+					$buffer.find('#filter-remove-image').click(function () {
+						$.each(postHashes, function () {
+							removeFilter('md5', this);
+						});
+					});
+					$buffer.find('#filter-menu-image').addClass('hidden');
+				} else {
+					$buffer.find('#filter-menu-image').addClass('hidden');
+					$buffer.find('#filter-remove-image').addClass('hidden');
+				}
+
 				/*  hide sub menus if all items are hidden
 				 */
 				if (!$buffer.find('#filter-menu-remove > ul').children().not('.hidden').length) {
@@ -365,210 +452,86 @@ if (active_page === 'thread' || active_page === 'index' || active_page === 'cata
 		}
 
 		/*
-		 *  determine whether the reply post should be hidden
+		 *  determine whether the post should be hidden, collapsed or highlighted
 		 *   - applies to all posts on page load or filtering rule change
 		 *   - apply to new posts on thread updates
 		 *   - must explicitly set the state of each attributes because filter will reapply to all posts after filtering rule change
 		 */
 		function filter(post, threadId, pageData) {
 			var $post = $(post);
+			var subject = Filters.fromPost(post);
+			var rules = Filters.match(subject);
+			var action = Filters.action(rules);
 
-			var list = getList();
-			var postId = $post.find('.post_no').not('[id]').text();
-			var name, trip, uid, subject, comment, flag;
-			var i, length, array, rule, pattern;  // temp variables
-
-			var boardId	      = $post.data('board');
-			if (!boardId) boardId = $post.parents('.thread').data('board');
-
-			var localList   = pageData.localList;
-			var noReplyList = pageData.noReplyList;
-			var hasUID      = pageData.hasUID;
-			var forcedAnon  = pageData.forcedAnon;
-
-			var hasTrip = ($post.find('.trip').length > 0);
-			var hasSub = ($post.find('.subject').length > 0);
-			var hasFlag = ($post.find('.flag').length > 0);
-
-			$post.data('hidden', false);
-			$post.data('hiddenByUid', false);
-			$post.data('hiddenByPost', false);
-			$post.data('hiddenByName', false);
-			$post.data('hiddenByTrip', false);
-			$post.data('hiddenBySubject', false);
-			$post.data('hiddenByComment', false);
-			$post.data('hiddenByFlag', false);
-
-			// add post with matched UID to localList
-			if (hasUID &&
-				typeof list.postFilter[boardId] != 'undefined' &&
-				typeof list.postFilter[boardId][threadId] != 'undefined') {
-				uid = $post.find('.poster_id').text();
-				array = list.postFilter[boardId][threadId];
-
-				for (i=0; i<array.length; i++) {
-					if (array[i].uid == uid) {
-						$post.data('hiddenByUid', true);
-						localList.push(postId);
-						if (array[i].hideReplies) noReplyList.push(postId);
-						break;
-					}
-				}
-			}
+			var matched = function (field) {
+				return rules.some(function (rule) { return rule.field == field; });
+			};
 
-			// match localList
-			if (localList.length) {
-				if ($.inArray(postId, localList) != -1) {
-					if ($post.data('hiddenByUid') !== true) $post.data('hiddenByPost', true);
-					hide(post);
-				}
+			$post.data('filterRules', rules);
+			$post.data('hiddenByUid', matched('uid'));
+			$post.data('hiddenByPost', matched('post'));
+			$post.data('hiddenByName', matched('name'));
+			$post.data('hiddenByTrip', matched('trip'));
+			$post.data('hiddenBySubject', matched('sub'));
+			$post.data('hiddenByComment', matched('com'));
+			$post.data('hiddenByFlag', matched('flag'));
+			$post.data('hiddenByFile', Filters.FILE_FIELDS.some(matched));
+
+			// posts hidden with "+" rules take their replies with them
+			if (rules.some(function (rule) { return rule.hideReplies; })) {
+				pageData.noReplyList.push(subject.post);
 			}
 
-			// matches generalFilter
-			if (!forcedAnon)
-				name = (typeof $post.find('.name').contents()[0] == 'undefined') ? '' : nameSpanToString($post.find('.name')[0]);
-			if (!forcedAnon && hasTrip)
-				trip = $post.find('.trip').text();
-			if (hasSub)
-				subject = $post.find('.subject').text();
-
-			array = $post.find('.body').contents().filter(function () {if ($(this).text() !== '') return true;}).toArray();
-			array = $.map(array, function (ele) {
-				return $(ele).text().trim();
-			});
-			comment = array.join(' ');
-
-			if (hasFlag)
-				flag = $post.find('.flag').attr('title')
-
-			for (i = 0, length = list.generalFilter.length; i < length; i++) {
-				rule = list.generalFilter[i];
-
-				if (rule.regex) {
-					pattern = new RegExp(rule.value);
-					switch (rule.type) {
-						case 'name':
-							if (!forcedAnon && pattern.test(name)) {
-								$post.data('hiddenByName', true);
-								hide(post);
-							}
-							break;
-						case 'trip':
-							if (!forcedAnon && hasTrip && pattern.test(trip)) {
-								$post.data('hiddenByTrip', true);
-								hide(post);
-							}
-							break;
-						case 'sub':
-							if (hasSub && pattern.test(subject)) {
-								$post.data('hiddenBySubject', true);
-								hide(post);
-							}
-							break;
-						case 'com':
-							if (pattern.test(comment)) {
-								$post.data('hiddenByComment', true);
-								hide(post);
-							}
-							break;
-						case 'flag':
-							if (hasFlag && pattern.test(flag)) {
-								$post.data('hiddenByFlag', true);
-								hide(post);
-							}
-							break;
-					}
-				} else {
-					switch (rule.type) {
-						case 'name':
-							if (!forcedAnon && rule.value == name) {
-								$post.data('hiddenByName', true);
-								hide(post);
-							}
-							break;
-						case 'trip':
-							if (!forcedAnon && hasTrip && rule.value == trip) {
-								$post.data('hiddenByTrip', true);
-								hide(post);
-							}
-							break;
-						case 'sub':
-							pattern = new RegExp('\\b'+ rule.value+ '\\b');
-							if (hasSub && pattern.test(subject)) {
-								$post.data('hiddenBySubject', true);
-								hide(post);
-							}
-							break;
-						case 'com':
-							pattern = new RegExp('\\b'+ rule.value+ '\\b');
-							if (pattern.test(comment)) {
-								$post.data('hiddenByComment', true);
-								hide(post);
-							}
-							break;
-						case 'flag':
-							pattern = new RegExp('\\b'+ rule.value+ '\\b');
-							if (hasFlag && pattern.test(flag)) {
-								$post.data('hiddenByFlag', true);
-								hide(post);
-							}
-							break;
+			// check for link to filtered posts
+			if (action != 'hide' && action != 'collapse') {
+				$post.find('.body a').not('[rel="nofollow"]').each(function () {
+					var replyId = $(this).text().match(/^>>(\d+)$/);
+
+					if (replyId && $.inArray(replyId[1], pageData.noReplyList) != -1) {
+						action = 'collapse';
 					}
-				}
+				});
 			}
 
-			// check for link to filtered posts
-			$post.find('.body a').not('[rel="nofollow"]').each(function () {
-				var replyId = $(this).text().match(/^>>(\d+)$/);
+			apply(post, action, highlightColor(rules));
 
-				if (!replyId)
-					return;
+			if (action != 'hide' && rules.some(function (rule) { return rule.pin; })) {
+				pins.page[subject.board + '/' + subject.post] = pins.entry(subject, highlightColor(rules));
+			}
 
-				replyId = replyId[1];
-				if ($.inArray(replyId, noReplyList) != -1) {
-					hide(post);
-				}
-			});
+			return subject;
+		}
 
-			// post didn't match any filters
-			if (!$post.data('hidden')) {
-				show(post);
-			}
+		/*
+		 *  catalog tiles stand for their thread's OP; collapsed threads are left out like hidden ones
+		 */
+		function filterTile(tile) {
+			var rules = Filters.match(Filters.fromTile(tile));
+			var action = Filters.action(rules);
+
+			$(tile).toggleClass('filter-hidden', action == 'hide' || action == 'collapse');
+			$(tile).toggleClass('filter-highlight', action == 'highlight');
+			$(tile).find('.thread').css('outline-color', action == 'highlight' ? highlightColor(rules) || '' : '');
 		}
 
 		/*  (re)runs the filter on the entire page
 		 */
 		 function filterPage(pageData) {
-			var list = getList();
-
 			if (active_page != 'catalog') {
 
-				// empty the local and no-reply list
-				pageData.localList = [];
+				// empty the no-reply list
 				pageData.noReplyList = [];
+				pins.page = {};
 
 				$('.thread').each(function () {
 					var $thread = $(this);
 					// disregard the hidden threads constructed by post-hover.js
-					if ($thread.css('display') == 'none')
+					if ($thread.css('display') == 'none' && !$thread.hasClass('filter-hidden'))
 						return;
 
 					var threadId = $thread.attr('id').replace('thread_', '');
-					var boardId = $thread.data('board');
 					var op = $thread.children('.op')[0];
-					var i, array;  // temp variables
 
-					// add posts to localList and noReplyList
-					if (typeof list.postFilter[boardId] != 'undefined' && typeof list.postFilter[boardId][threadId] != 'undefined') {
-						array = list.postFilter[boardId][threadId];
-						for (i=0; i<array.length; i++) {
-							if ( typeof array[i].post == 'undefined')
-								continue;
-
-							pageData.localList.push(array[i].post);
-							if (array[i].hideReplies) pageData.noReplyList.push(array[i].post);
-						}
-					}
 					// run filter on OP
 					filter(op, threadId, pageData);
 					quickToggle(op, threadId, pageData);
@@ -582,253 +545,37 @@ if (active_page === 'thread' || active_page === 'index' || active_page === 'cata
 
 				});
 			} else {
-				var postFilter = list.postFilter[pageData.boardId];
-				var $collection = $('.mix');
-
-				if ($.isEmptyObject(postFilter))
-					return;
-
-				// for each thread that has filtering rules
-				// check if filter contains thread OP and remove the thread from catalog
-				$.each(postFilter, function (key, thread) {
-					var threadId = key;
-					$.each(thread, function () {
-						if (this.post == threadId) {
-							$collection.filter('[data-id='+ threadId +']').remove();
-						}
-					});
+				$('.mix').each(function () {
+					filterTile(this);
 				});
 			}
+			pins.render();
 		 }
 
-		function initStyle() {
-			var $ele, cssStyle, cssString;
-
-			$ele = $('<div>').addClass('post reply').hide().appendTo('body');
-			cssStyle = $ele.css(['background-color', 'border-color']);
-			cssStyle.hoverBg = $('body').css('background-color');
-			$ele.remove();
-
-			cssString = '\n/*** Generated by post-filter ***/\n' +
-				'#filter-control input[type=text] {width: 130px;}' +
-				'#filter-control input[type=checkbox] {vertical-align: middle;}' +
-				'#filter-control #clear {float: right;}\n' +
-				'#filter-container {margin-top: 20px; border: 1px solid; height: 270px; overflow: auto;}\n' +
-				'#filter-list {width: 100%; border-collapse: collapse;}\n' +
-				'#filter-list th {text-align: center; height: 20px; font-size: 14px; border-bottom: 1px solid;}\n' +
-				'#filter-list th:nth-child(1) {text-align: center; width: 70px;}\n' +
-				'#filter-list th:nth-child(2) {text-align: left;}\n' +
-				'#filter-list th:nth-child(3) {text-align: center; width: 58px;}\n' +
-				'#filter-list tr:not(#header) {height: 22px;}\n' +
-				'#filter-list tr:nth-child(even) {background-color:rgba(255, 255, 255, 0.5);}\n' +
-				'#filter-list td:nth-child(1) {text-align: center; width: 70px;}\n' +
-				'#filter-list td:nth-child(3) {text-align: center; width: 58px;}\n' +
-				'#confirm {text-align: right; margin-bottom: -18px; padding-top: 2px; font-size: 14px; color: #FF0000;}';
-
-			if (!$('style.generated-css').length) $('<style class="generated-css">').appendTo('head');
-			$('style.generated-css').html($('style.generated-css').html() + cssString);
-		}
-
-		function drawFilterList() {
-			var list = getList().generalFilter;
-			var $ele = $('#filter-list');
-			var $row, i, length, obj, val;
-
-			var typeName = {
-				name: 'name',
-				trip: 'tripcode',
-				sub: 'subject',
-				com: 'comment',
-				flag: 'flag'
-			};
-
-			$ele.empty();
-
-			$ele.append('<tr id="header"><th>Type</th><th>Content</th><th>Remove</th></tr>');
-			for (i = 0, length = list.length; i < length; i++) {
-				obj = list[i];
-
-				// display formatting
-				val = (obj.regex) ? '/'+ obj.value +'/' : obj.value;
-
-				$row = $('<tr>');
-				$row.append(
-					'<td>'+ typeName[obj.type] +'</td>',
-					'<td>'+ val +'</td>',
-					$('<td>').append(
-						$('<a>').html('X')
-							.addClass('del-btn')
-							.attr('href', '#')
-							.data('type', obj.type)
-							.data('val', obj.value)
-							.data('useRegex', obj.regex)
-					)
-				);
-				$ele.append($row);
-			}
-		}
-
-		function initOptionsPanel() {
-			if (window.Options && !Options.get_tab('filter')) {
-				Options.add_tab('filter', 'list', _('Filters'));
-				Options.extend_tab('filter',
-					'<div id="filter-control">' +
-						'<select>' +
-							'<option value="name">'+_('Name')+'</option>' +
-							'<option value="trip">'+_('Tripcode')+'</option>' +
-							'<option value="sub">'+_('Subject')+'</option>' +
-							'<option value="com">'+_('Comment')+'</option>' +
-							'<option value="flag">'+_('Flag')+'</option>' +
-						'</select>' +
-						'<input type="text">' +
-						'<input type="checkbox">' +
-						'regex ' +
-						'<button id="set-filter">'+_('Add')+'</button>' +
-						'<button id="clear">'+_('Clear all filters')+'</button>' +
-						'<div id="confirm" class="hidden">' +
-							_('This will clear all filtering rules including hidden posts.')+' <a id="confirm-y" href="#">'+_('yes')+'</a> | <a id="confirm-n" href="#">'+_('no')+'</a>' +
-						'</div>' +
-					'</div>' +
-					'<div id="filter-container"><table id="filter-list"></table></div>'
-				);
-				drawFilterList();
-
-				// control buttons
-				$('#filter-control').on('click', '#set-filter', function () {
-					var type = $('#filter-control select option:selected').val();
-					var value = $('#filter-control input[type=text]').val();
-					var useRegex = $('#filter-control input[type=checkbox]').prop('checked');
-
-					//clear the input form
-					$('#filter-control input[type=text]').val('');
-
-					addFilter(type, value, useRegex);
-					drawFilterList();
-				});
-				$('#filter-control').on('click', '#clear', function () {
-					$('#filter-control #clear').addClass('hidden');
-					$('#filter-control #confirm').removeClass('hidden');
-				});
-				$('#filter-control').on('click', '#confirm-y', function (e) {
-					e.preventDefault();
-
-					$('#filter-control #clear').removeClass('hidden');
-					$('#filter-control #confirm').addClass('hidden');
-					setList({
-						generalFilter: [],
-						postFilter: {},
-						nextPurge: {},
-						lastPurge: timestamp()
-					});
-					drawFilterList();
-				});
-				$('#filter-control').on('click', '#confirm-n', function (e) {
-					e.preventDefault();
-
-					$('#filter-control #clear').removeClass('hidden');
-					$('#filter-control #confirm').addClass('hidden');
-				});
-
-
-				// remove button
-				$('#filter-list').on('click', '.del-btn', function (e) {
-					e.preventDefault();
-
-					var $ele = $(e.target);
-					var type = $ele.data('type');
-					var val = $ele.data('val');
-					var useRegex = $ele.data('useRegex');
-
-					removeFilter(type, val, useRegex);
-				});
-			}
-		}
-
-		/* 
-		 *  clear out pruned threads
-		 */
-		function purge() {
-			var list = getList();
-			var board, thread, boardId, threadId;
-			var deferred;
-			var requestArray = [];
-
-			var successHandler = function (boardId, threadId) {
-				return function () {
-					// thread still alive, keep it in the list and increase the time between checks.
-					var list = getList();
-					var thread = list.nextPurge[boardId][threadId];
-
-					thread.timestamp = timestamp();
-					thread.interval = Math.floor(thread.interval * 1.5);
-					setList(list);
-				};
-			};
-			var errorHandler = function (boardId, threadId) {
-				return function (xhr) {
-					if (xhr.status == 404) {
-						var list = getList();
-
-						delete list.nextPurge[boardId][threadId];
-						delete list.postFilter[boardId][threadId];
-						if ($.isEmptyObject(list.nextPurge[boardId])) delete list.nextPurge[boardId];
-						if ($.isEmptyObject(list.postFilter[boardId])) delete list.postFilter[boardId];
-						setList(list);
-					}
-				};
-			};
-
-			if ((timestamp() - list.lastPurge) < 86400)  // less than 1 day
-				return;
-			
-			for (boardId in list.nextPurge) {
-				board = list.nextPurge[boardId];
-				for (threadId in board) {
-					thread = board[threadId];
-					if (timestamp() > (thread.timestamp + thread.interval)) {
-						// check if thread is pruned
-						deferred = $.ajax({
-							cache: false,
-							url: '/'+ boardId +'/res/'+ threadId +'.json',
-							success: successHandler(boardId, threadId),
-							error: errorHandler(boardId, threadId)
-						});
-						requestArray.push(deferred);
-					}
-				}
-			}
-
-			// when all requests complete
-			$.when.apply($, requestArray).always(function () {
-				var list = getList();
-				list.lastPurge = timestamp();
-				setList(list);
-			});
-		}
-
 		function init() {
-			if (typeof localStorage.postFilter === 'undefined') {
-				localStorage.postFilter = JSON.stringify({
-					generalFilter: [],
-					postFilter: {},
-					nextPurge: {},
-					lastPurge: timestamp()
-				});
+			if (!Filters) {
+				console.warn('post-filter.js needs js/filter-engine.js');
+				return;
 			}
 
 			var pageData = {
 				boardId: board_name,  // get the id from the global variable
-				localList: [],  // all the blacklisted post IDs or UIDs that apply to the current page
 				noReplyList: [],  // any posts that replies to the contents of this list shall be hidden
+				newest: {},  // highest post number per board on page load; posts above it are new
 				hasUID: (document.getElementsByClassName('poster_id').length > 0),
 				forcedAnon: ($('th:contains(Name)').length === 0)  // tests by looking for the Name label on the reply form
 			};
 
-			initStyle();
-			initOptionsPanel();
 			initPostMenu(pageData);
 			filterPage(pageData);
 
+			$('.post').each(function () {
+				var boardId = $(this).closest('.thread').data('board') || board_name;
+				var id = parseInt(this.id.replace(/^(reply|op)_/, ''));
+				if (!(pageData.newest[boardId] >= id))
+					pageData.newest[boardId] = id;
+			});
+
 			// on new posts
 			$(document).on('new_post', function (e, post) {
 				var threadId;
@@ -840,11 +587,39 @@ if (active_page === 'thread' || active_page === 'index' || active_page === 'cata
 					post = $(post).children('.op')[0];
 				}
 
-				filter(post, threadId, pageData);
+				var subject = filter(post, threadId, pageData);
 				quickToggle(post, threadId, pageData);
+
+				// older posts loaded by expand.js and the like aren't news
+				if (parseInt(subject.post) > (pageData.newest[subject.board] || 0)) {
+					pageData.newest[subject.board] = parseInt(subject.post);
+					if ($(post).data('filterRules').length && !$(post).data('hidden')) {
+						var time = Date.parse($(post).find('.intro time').first().attr('datetime'));
+						notify(subject, $(post).data('filterRules'), time ? Math.floor(time / 1000) : null);
+					}
+				}
+				pins.render();
 			});
 
-			$(document).on('filter_page', function () {
+			// new posts in watched threads and boards, see watch.js
+			$(document).on('watched_posts', function (e, boardId, posts) {
+				$.each(posts, function () {
+					var subject = Filters.fromJson(boardId, this);
+					var rules = Filters.match(subject, 'thread');
+					var action = Filters.action(rules);
+					if (action == 'hide' || action == 'collapse')
+						return;
+
+					if (rules.some(function (rule) { return rule.pin; })) {
+						pins.watched[boardId + '/' + subject.post] = pins.entry(subject, highlightColor(rules));
+					}
+					notify(subject, rules, this.time);
+				});
+				pins.render();
+			});
+
+			// rules changed here, in the Options panel or in another tab
+			$(document).on('filter_page filters_changed', function () {
 				filterPage(pageData);
 			});
 
@@ -858,9 +633,6 @@ if (active_page === 'thread' || active_page === 'index' || active_page === 'cata
 					}
 				});
 			}
-
-			// clear out the old threads
-			purge();
 		}
 		init();
 	});
@@ -104,7 +104,13 @@ function buildMenu(e) {
 
 function addButton(post) {
 	var $ele = $(post);
-	$ele.find('input.delete').after(
+
+	//  nothing to show, e.g. a board none of the menu scripts apply to
+	if ($.isEmptyObject(mainMenu.items))
+		return;
+
+	//  Bible verses have no delete checkbox, the button goes after the bookmark instead
+	$ele.find($ele.hasClass('bible') ? 'input.bookmark' : 'input.delete').after(
 		$('<a>', {href: '#', class: 'post-btn', title: 'Post menu'}).text('▶')
 	);
 }
@@ -170,6 +176,10 @@ cssString =
 if (!$('style.generated-css').length) $('<style class="generated-css">').appendTo('head');
 $('style.generated-css').html($('style.generated-css').html() + cssString);
 
+/*  Let other scripts add their items before deciding which posts get a button
+ */
+$(document).trigger('menu_ready');
+
 /*  Add buttons
  */
 $('.reply:not(.hidden), .thread>.op').each(function () {
@@ -207,5 +217,11 @@ $(document).on('new_post', function (e, post) {
 	addButton(post);
 });
 
-$(document).trigger('menu_ready');
+// on chapters loaded by bible-infinite-scroll.js
+document.addEventListener('bible_posts_inserted', function (e) {
+	e.detail.posts.forEach(function (post) {
+		if ($(post).hasClass('reply'))
+			addButton(post);
+	});
+});
 });
@@ -7,6 +7,8 @@
  * - Mobile: tap to preview, tap outside to dismiss, tap again to follow
  * - Cross-board links require double-tap on mobile
  * - Same-thread links keep default behavior (highlightReply)
+ * - Bible references (a.bible-ref) preview every verse in the reference,
+ *   including ranges, cross-chapter ranges, lists and whole chapters
  */
 
 (function() {
@@ -14,6 +16,7 @@
 
     let currentPreview = null;
     let previewCache = new Map();
+    let chapterCache = new Map();
     let tapTimeout = null;
     const isMobile = /Android|webOS|iPhone|iPad|iPod|BlackBerry|IEMobile|Opera Mini/i.test(navigator.userAgent);
 
@@ -129,6 +132,115 @@
         }
     }
 
+    /**
+     * Fetch a Bible chapter's json (/{osisID}/{chapter}.json) once and share it between previews
+     */
+    function fetchChapter(book, chapter) {
+        const url = `/${book}/${chapter}.json`;
+
+        if (!chapterCache.has(url)) {
+            chapterCache.set(url, fetch(url)
+                .then(response => response.ok ? response.json() : null)
+                .catch(error => {
+                    chapterCache.delete(url);
+                    console.error('Error fetching chapter preview:', error);
+                    return null;
+                }));
+        }
+
+        return chapterCache.get(url);
+    }
+
+    /**
+     * Parse a data-bible-ref value ("Rom.8.28-Rom.8.39", "Ps.23.1 Ps.23.4", "Isa.53")
+     * into ranges of {book, chapter, verse}; a whole chapter has verse null
+     */
+    function parseBibleRef(ref) {
+        return ref.trim().split(/\s+/).map(part => {
+            const [from, to] = part.split('-').map(osisRef => {
+                const [book, chapter, verse] = osisRef.split('.');
+                return { book: book, chapter: parseInt(chapter), verse: verse ? parseInt(verse) : null };
+            });
+            return { from: from, to: to || from };
+        }).filter(range => range.from.book && range.from.chapter);
+    }
+
+    /**
+     * Collect the verses of one range from its chapters' json
+     */
+    async function fetchBibleRange(range) {
+        const verses = [];
+
+        for (let chapter = range.from.chapter; chapter <= range.to.chapter; chapter++) {
+            const data = await fetchChapter(range.from.book, chapter);
+            if (!data) continue;
+
+            data.verses.forEach(verse => {
+                if (range.from.verse !== null && chapter === range.from.chapter && verse.number < range.from.verse) return;
+                if (range.to.verse !== null && chapter === range.to.chapter && verse.number > range.to.verse) return;
+
+                verses.push({ chapter: chapter, verse: verse.number, html: verse.html.trim() });
+            });
+        }
+
+        return verses;
+    }
+
+    /**
+     * Build preview HTML for every verse in a Bible reference
+     */
+    async function fetchBibleReference(link) {
+        const ref = link.dataset.bibleRef;
+        const cacheKey = `bible:${ref}`;
+
+        if (previewCache.has(cacheKey)) {
+            return previewCache.get(cacheKey);
+        }
+
+        try {
+            let html = '';
+            let lastChapter = null;
+
+            for (const range of parseBibleRef(ref)) {
+                const verses = await fetchBibleRange(range);
+                verses.forEach(verse => {
+                    // Label the first verse of each new chapter with chapter:verse
+                    const label = verse.chapter !== lastChapter ? `${verse.chapter}:${verse.verse}` : verse.verse;
+                    lastChapter = verse.chapter;
+                    html += `<span class="bible-ref-verse"><sup>${label}</sup> ${verse.html}</span> `;
+                });
+            }
+
+            if (!html) return null;
+
+            const title = document.createElement('div');
+            title.className = 'bible-ref-title';
+            title.textContent = link.textContent;
+
+            const result = `<div class="post reply bible-ref-preview">${title.outerHTML}<div class="body">${html}</div></div>`;
+            previewCache.set(cacheKey, result);
+            return result;
+
+        } catch (error) {
+            console.error('Error fetching verse preview:', error);
+            return null;
+        }
+    }
+
+    /**
+     * Fetch the preview for any supported link
+     */
+    function fetchPreview(link) {
+        if (link.dataset.bibleRef) {
+            return fetchBibleReference(link);
+        }
+
+        const info = parseLinkInfo(link);
+        if (!info) return Promise.resolve(null);
+
+        return fetchPost(info.board, info.thread, info.post);
+    }
+
     /**
      * Show preview popup
      */
@@ -201,7 +313,7 @@
      */
     function onOutsideClick(e) {
         if (currentPreview && !currentPreview.contains(e.target) &&
-            !e.target.closest('a[onclick*="citeReply"]')) {
+            !e.target.closest('a[onclick*="citeReply"], a.bible-ref')) {
             hidePreview();
         }
     }
@@ -215,10 +327,7 @@
         const link = e.currentTarget;
         if (isSameThreadLink(link)) return;
 
-        const info = parseLinkInfo(link);
-        if (!info) return;
-
-        fetchPost(info.board, info.thread, info.post).then(postHTML => {
+        fetchPreview(link).then(postHTML => {
             if (postHTML && link.matches(':hover')) {
                 showPreview(link, postHTML);
             }
@@ -234,8 +343,7 @@
         const link = e.currentTarget;
         if (isSameThreadLink(link)) return;  // Let default behavior work
 
-        const info = parseLinkInfo(link);
-        if (!info) return;
+        if (!link.dataset.bibleRef && !parseLinkInfo(link)) return;
 
         // If preview is already showing for this link, follow it
         if (currentPreview && link.dataset.previewShown === 'true') {
@@ -246,7 +354,7 @@
         e.preventDefault();
         e.stopPropagation();
 
-        fetchPost(info.board, info.thread, info.post).then(postHTML => {
+        fetchPreview(link).then(postHTML => {
             if (postHTML) {
                 showPreview(link, postHTML);
                 link.dataset.previewShown = 'true';
@@ -262,28 +370,37 @@
     }
 
     /**
-     * Initialize preview system on quote links
+     * Initialize preview system on quote links and Bible references
      */
-    function initializePreviewLinks() {
+    function initializePreviewLinks(root) {
         // Find all quote links
-        const quoteLinks = document.querySelectorAll('a[onclick*="citeReply"]');
+        const quoteLinks = (root || document).querySelectorAll('a[onclick*="citeReply"], a.bible-ref[data-bible-ref]');
 
         quoteLinks.forEach(link => {
             // Skip same-thread links
             if (isSameThreadLink(link)) return;
 
-            // Desktop: hover
-            link.addEventListener('mouseenter', onLinkHover);
-            link.addEventListener('mouseleave', hidePreview);
-
-            // Mobile: tap
-            link.addEventListener('click', onLinkTap);
+            attachPreview(link);
         });
     }
 
+    function attachPreview(link) {
+        // Desktop: hover
+        link.addEventListener('mouseenter', onLinkHover);
+        link.addEventListener('mouseleave', hidePreview);
+
+        // Mobile: tap
+        link.addEventListener('click', onLinkTap);
+    }
+
+    // For links other scripts draw outside posts, e.g. ">>>/b/123" in reply-notifications.js
+    window.PostPreview = {
+        attach: attachPreview
+    };
+
     // Initialize on page load
     if (document.readyState === 'loading') {
-        document.addEventListener('DOMContentLoaded', initializePreviewLinks);
+        document.addEventListener('DOMContentLoaded', () => initializePreviewLinks());
     } else {
         initializePreviewLinks();
     }
@@ -291,14 +408,7 @@
     // Re-initialize when new posts are added (for AJAX/auto-reload)
     if (typeof $ !== 'undefined') {
         $(document).on('new_post', function(e, post) {
-            const links = post.querySelectorAll('a[onclick*="citeReply"]');
-            links.forEach(link => {
-                if (!isSameThreadLink(link)) {
-                    link.addEventListener('mouseenter', onLinkHover);
-                    link.addEventListener('mouseleave', hidePreview);
-                    link.addEventListener('click', onLinkTap);
-                }
-            });
+            initializePreviewLinks(post);
         });
     }
 
@@ -0,0 +1,551 @@
+/*
+ * profile-sync.js - carry settings, watched threads and filters between devices
+ *
+ * Everything other scripts keep in localStorage (watch_js, favorites, filters,
+ * own_posts, formatText_rules, board_stylesheets, user_css, user_js, ...) is the
+ * user's profile. The Profile tab in Options exports it as one signed JSON file
+ * and imports it back, and can keep it synced through profile-sync.php:
+ *
+ *   - The passphrase the user picks is stretched (PBKDF2) into an AES-GCM key, an
+ *     HMAC key and the id the profile is stored under. It never leaves the browser,
+ *     and the server only ever sees the encrypted profile.
+ *   - Each key remembers when it last changed on this device. Merging, on import or
+ *     sync, keeps whichever copy of a key changed last; removed keys are remembered
+ *     for a while so the removal carries over too.
+ *   - Exports are signed with the HMAC key when sync is on, or carry a SHA-256
+ *     checksum otherwise, so a damaged or edited file is refused.
+ *
+ * Usage:
+ *   $config['profile_sync']['enabled'] = true;  // for the server side, optional
+ *   $config['additional_javascript'][] = 'js/jquery.min.js';
+ *   $config['additional_javascript'][] = 'js/options.js';
+ *   $config['additional_javascript'][] = 'js/profile-sync.js';
+ */
+
+(function() {
+    'use strict';
+
+    const FORMAT = 'vichan-profile';
+    const VERSION = 1;
+    const META_KEY = 'profile_meta';
+    const SYNC_KEY = 'profile_sync';
+    // State that belongs to this device or this page, not to the user
+    const EXCLUDED = [META_KEY, SYNC_KEY, 'password', 'body', 'filterNotified', 'quickReplyPosition', 'bible_offline', 'watch', 'post_drafts'];
+    const MAX_VALUE = 256 * 1024;
+    const TOMBSTONE_LIFETIME = 90 * 86400 * 1000;
+    const ITERATIONS = 200000;
+    const AUTO_SYNC_INTERVAL = 5 * 60 * 1000;
+    const LEAVING_SYNC_INTERVAL = 30 * 1000;
+
+    const encoder = new TextEncoder();
+    const decoder = new TextDecoder();
+
+    /*
+     * Change tracking
+     */
+
+    // FNV-1a, only to notice that a value changed
+    function fingerprint(value) {
+        let hash = 0x811c9dc5;
+        for (let i = 0; i < value.length; i++) {
+            hash ^= value.charCodeAt(i);
+            hash = Math.imul(hash, 0x01000193);
+        }
+        return (hash >>> 0).toString(36) + value.length.toString(36);
+    }
+
+    function readJSON(key) {
+        try {
+            return JSON.parse(localStorage.getItem(key));
+        } catch (e) {
+            return null;
+        }
+    }
+
+    function profileKeys() {
+        const keys = [];
+        for (let i = 0; i < localStorage.length; i++) {
+            const key = localStorage.key(i);
+            if (EXCLUDED.indexOf(key) === -1 && localStorage.getItem(key).length <= MAX_VALUE) {
+                keys.push(key);
+            }
+        }
+        return keys;
+    }
+
+    /**
+     * Bring the per-key change times up to date: { key: { hash, modified } }, hash null once removed
+     */
+    function track() {
+        const stored = readJSON(META_KEY);
+        const meta = stored || {};
+        const time = Date.now();
+        let dirty = !stored;
+
+        profileKeys().forEach(key => {
+            const hash = fingerprint(localStorage.getItem(key));
+            if (!meta[key] || meta[key].hash !== hash) {
+                // The first time round nobody knows how old a value is, so any synced copy beats it
+                meta[key] = { hash: hash, modified: stored ? time : 0 };
+                dirty = true;
+            }
+        });
+
+        Object.keys(meta).forEach(key => {
+            if (meta[key].hash !== null && localStorage.getItem(key) === null) {
+                meta[key] = { hash: null, modified: time };
+                dirty = true;
+            } else if (meta[key].hash === null && meta[key].modified < time - TOMBSTONE_LIFETIME) {
+                delete meta[key];
+                dirty = true;
+            }
+        });
+
+        if (dirty) localStorage.setItem(META_KEY, JSON.stringify(meta));
+        return meta;
+    }
+
+    /**
+     * The whole profile: { key: { value, modified } }, value null for removed keys
+     */
+    function snapshot() {
+        const meta = track();
+        const entries = {};
+        Object.keys(meta).forEach(key => {
+            const value = localStorage.getItem(key);
+            if (value !== null && value.length > MAX_VALUE) return;
+            entries[key] = { value: value, modified: meta[key].modified };
+        });
+        return entries;
+    }
+
+    /**
+     * Take every entry that changed later than this device's copy (or at the same time)
+     *
+     * @return {string[]} The keys that changed here
+     */
+    function merge(entries) {
+        const meta = track();
+        const changed = [];
+
+        Object.keys(entries).forEach(key => {
+            const incoming = entries[key];
+            if (EXCLUDED.indexOf(key) !== -1 || !incoming || typeof incoming.modified !== 'number') return;
+            if (incoming.value !== null && typeof incoming.value !== 'string') return;
+            if (meta[key] && meta[key].modified > incoming.modified) return;
+
+            if (localStorage.getItem(key) !== incoming.value) {
+                if (incoming.value === null) {
+                    localStorage.removeItem(key);
+                } else {
+                    localStorage.setItem(key, incoming.value);
+                }
+                changed.push(key);
+            }
+            meta[key] = { hash: incoming.value === null ? null : fingerprint(incoming.value), modified: incoming.modified };
+        });
+
+        localStorage.setItem(META_KEY, JSON.stringify(meta));
+        return changed;
+    }
+
+    /*
+     * Crypto
+     */
+
+    function toBase64(bytes) {
+        bytes = new Uint8Array(bytes);
+        let binary = '';
+        for (let i = 0; i < bytes.length; i += 0x8000) {
+            binary += String.fromCharCode.apply(null, bytes.subarray(i, i + 0x8000));
+        }
+        return btoa(binary);
+    }
+
+    function fromBase64(text) {
+        const binary = atob(text);
+        const bytes = new Uint8Array(binary.length);
+        for (let i = 0; i < binary.length; i++) bytes[i] = binary.charCodeAt(i);
+        return bytes;
+    }
+
+    function toHex(bytes) {
+        return Array.from(bytes, byte => byte.toString(16).padStart(2, '0')).join('');
+    }
+
+    // JSON with object keys in a fixed order, for signing
+    function canonical(value) {
+        if (Array.isArray(value)) return `[${value.map(canonical).join(',')}]`;
+        if (value && typeof value === 'object') {
+            return `{${Object.keys(value).sort().map(key => `${JSON.stringify(key)}:${canonical(value[key])}`).join(',')}}`;
+        }
+        return JSON.stringify(value);
+    }
+
+    /**
+     * Stretch a passphrase into what sync needs; slow on purpose
+     */
+    async function deriveSettings(passphrase) {
+        const material = await crypto.subtle.importKey('raw', encoder.encode(passphrase), 'PBKDF2', false, ['deriveBits']);
+        const bits = new Uint8Array(await crypto.subtle.deriveBits({
+            name: 'PBKDF2',
+            hash: 'SHA-256',
+            salt: encoder.encode(`${FORMAT}:${location.host}`),
+            iterations: ITERATIONS
+        }, material, 768));
+
+        return {
+            id: toHex(bits.subarray(64)),
+            encryptionKey: toBase64(bits.subarray(0, 32)),
+            signingKey: toBase64(bits.subarray(32, 64)),
+            revision: 0,
+            synced: null
+        };
+    }
+
+    async function importKeys(settings) {
+        return {
+            encryption: await crypto.subtle.importKey('raw', fromBase64(settings.encryptionKey), 'AES-GCM', false, ['encrypt', 'decrypt']),
+            signing: await crypto.subtle.importKey('raw', fromBase64(settings.signingKey), { name: 'HMAC', hash: 'SHA-256' }, false, ['sign', 'verify'])
+        };
+    }
+
+    async function encrypt(key, data) {
+        const iv = crypto.getRandomValues(new Uint8Array(12));
+        const sealed = new Uint8Array(await crypto.subtle.encrypt({ name: 'AES-GCM', iv: iv }, key, encoder.encode(JSON.stringify(data))));
+        const bytes = new Uint8Array(iv.length + sealed.length);
+        bytes.set(iv);
+        bytes.set(sealed, iv.length);
+        return toBase64(bytes);
+    }
+
+    async function decrypt(key, text) {
+        const bytes = fromBase64(text);
+        const plain = await crypto.subtle.decrypt({ name: 'AES-GCM', iv: bytes.subarray(0, 12) }, key, bytes.subarray(12));
+        return JSON.parse(decoder.decode(plain));
+    }
+
+    /*
+     * Export and import
+     */
+
+    function syncSettings() {
+        const settings = readJSON(SYNC_KEY);
+        return settings && settings.id ? settings : null;
+    }
+
+    function saveSyncSettings(settings) {
+        if (settings) {
+            localStorage.setItem(SYNC_KEY, JSON.stringify(settings));
+        } else {
+            localStorage.removeItem(SYNC_KEY);
+        }
+    }
+
+    async function signature(profile) {
+        const bytes = encoder.encode(canonical(profile));
+        const settings = syncSettings();
+        if (settings) {
+            const keys = await importKeys(settings);
+            return {
+                algorithm: 'HMAC-SHA-256',
+                signer: settings.id.slice(0, 8),
+                value: toBase64(await crypto.subtle.sign('HMAC', keys.signing, bytes))
+            };
+        }
+        return {
+            algorithm: 'SHA-256',
+            value: toBase64(await crypto.subtle.digest('SHA-256', bytes))
+        };
+    }
+
+    function download(content, type, filename) {
+        const blob = new Blob([content], { type: type });
+        const link = document.createElement('a');
+        link.href = URL.createObjectURL(blob);
+        link.download = filename;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        setTimeout(() => URL.revokeObjectURL(link.href), 1000);
+    }
+
+    async function exportProfile() {
+        const profile = {
+            format: FORMAT,
+            version: VERSION,
+            site: location.host,
+            exported: new Date().toISOString(),
+            entries: snapshot()
+        };
+        profile.signature = await signature(profile);
+        download(JSON.stringify(profile, null, 2), 'application/json', `profile-${location.host}-${new Date().toISOString().slice(0, 10)}.json`);
+    }
+
+    /**
+     * Check an imported profile's signature: true, false, or null when it can't be checked here
+     */
+    async function verify(profile) {
+        const signed = Object.assign({}, profile);
+        const claimed = signed.signature;
+        delete signed.signature;
+        if (!claimed || !claimed.value) return false;
+
+        const bytes = encoder.encode(canonical(signed));
+        if (claimed.algorithm === 'SHA-256') {
+            return toBase64(await crypto.subtle.digest('SHA-256', bytes)) === claimed.value;
+        }
+        if (claimed.algorithm === 'HMAC-SHA-256') {
+            const settings = syncSettings();
+            if (!settings || settings.id.slice(0, 8) !== claimed.signer) return null;
+            const keys = await importKeys(settings);
+            return crypto.subtle.verify('HMAC', keys.signing, fromBase64(claimed.value), bytes);
+        }
+        return false;
+    }
+
+    async function importProfile(file, report) {
+        let profile = null;
+        try {
+            profile = JSON.parse(await file.text());
+        } catch (e) {
+            profile = null;
+        }
+        if (!profile || profile.format !== FORMAT || typeof profile.entries !== 'object') {
+            report(_('This is not a profile export.'), true);
+            return;
+        }
+
+        const verified = await verify(profile);
+        if (verified === false) {
+            report(_('This profile was changed or damaged after it was exported, so it was not imported.'), true);
+            return;
+        }
+        if (verified === null && !confirm(_('This profile was signed with a sync passphrase that is not set up here, so it can\'t be checked. Import it anyway?'))) {
+            return;
+        }
+
+        // Someone else's export could carry scripts; make sure they're wanted
+        const userJs = profile.entries.user_js;
+        if (userJs && userJs.value && userJs.value !== localStorage.getItem('user_js') &&
+            !confirm(_('This profile contains custom JavaScript, which will run on every page. Only continue if you exported it yourself. Import it?'))) {
+            delete profile.entries.user_js;
+        }
+
+        const changed = merge(profile.entries);
+        report(changed.length ? _('Imported %d settings.').replace('%d', changed.length) : _('Nothing new to import.'));
+        if (changed.length) showReloadNotice();
+    }
+
+    /*
+     * Server sync
+     */
+
+    async function request(settings, data) {
+        const options = { cache: 'no-store' };
+        let url = window.profileSyncUrl;
+        if (data) {
+            options.method = 'POST';
+            options.body = new URLSearchParams(Object.assign({ id: settings.id }, data));
+        } else {
+            url += `?id=${settings.id}`;
+        }
+
+        const response = await fetch(url, options);
+        const body = await response.json().catch(() => ({}));
+        if (!response.ok && response.status !== 404 && response.status !== 409) {
+            throw new Error(body.error || `profile-sync.php responded ${response.status}`);
+        }
+        return { status: response.status, body: body };
+    }
+
+    let syncing = null;
+
+    /**
+     * Merge the server's copy in, then send back the result if it differs; retried if another
+     * device synced in between
+     *
+     * @return {Promise<string[]>} Keys changed here
+     */
+    function sync() {
+        if (!syncing) {
+            syncing = doSync().finally(() => {
+                syncing = null;
+            });
+        }
+        return syncing;
+    }
+
+    async function doSync() {
+        const settings = syncSettings();
+        if (!settings || !window.profileSyncUrl) return [];
+        const keys = await importKeys(settings);
+        const changed = [];
+
+        for (let attempt = 0; attempt < 3; attempt++) {
+            const remote = (await request(settings)).body;
+            let remoteEntries = null;
+            if (remote.data) {
+                try {
+                    remoteEntries = (await decrypt(keys.encryption, remote.data)).entries;
+                } catch (e) {
+                    throw new Error(_('The synced profile could not be decrypted.'));
+                }
+                merge(remoteEntries).forEach(key => changed.push(key));
+            }
+
+            const local = snapshot();
+            settings.synced = Date.now();
+            if (remoteEntries && canonical(local) === canonical(remoteEntries)) {
+                settings.revision = remote.revision;
+                saveSyncSettings(settings);
+                return changed;
+            }
+
+            const data = await encrypt(keys.encryption, { format: FORMAT, version: VERSION, entries: local });
+            const result = await request(settings, { revision: remote.revision || 0, data: data });
+            if (result.status === 409) continue;
+
+            settings.revision = result.body.revision;
+            saveSyncSettings(settings);
+            return changed;
+        }
+
+        throw new Error(_('Another device kept syncing at the same time; try again.'));
+    }
+
+    function autoSync(interval) {
+        const settings = syncSettings();
+        if (!settings || (settings.synced && Date.now() - settings.synced < interval)) return;
+
+        sync().then(changed => {
+            if (changed.length) showReloadNotice();
+            $(document).trigger('profile_synced', [changed]);
+        }).catch(error => console.warn('Profile sync failed:', error));
+    }
+
+    /*
+     * Interface
+     */
+
+    function showReloadNotice() {
+        if (document.getElementById('profile-sync-notice')) return;
+        const notice = $('<div id="profile-sync-notice"></div>')
+            .text(_('Your settings were updated from another device or an import. '))
+            .appendTo(document.body);
+        $('<a href="javascript:void(0)"></a>').text(_('Reload')).on('click', () => location.reload()).appendTo(notice);
+        notice.append(' ');
+        $('<a href="javascript:void(0)"></a>').text(_('Dismiss')).on('click', () => notice.remove()).appendTo(notice);
+    }
+
+    function renderOptionsTab(tab) {
+        const status = $('<p class="profile-sync-status"></p>').hide();
+        const report = (message, isError) => {
+            status.text(message).toggleClass('profile-sync-error', !!isError).show();
+        };
+
+        $('<h3></h3>').text(_('Export and import')).appendTo(tab.content);
+        $('<p></p>').text(_('Your settings, watched threads, favorites, filters and custom CSS/JS, as one file.')).appendTo(tab.content);
+        const tools = $('<div></div>').appendTo(tab.content);
+        $('<button></button>').text(_('Export profile')).on('click', () => {
+            exportProfile().catch(error => report(error.message, true));
+        }).appendTo(tools);
+        const fileInput = $('<input type="file" accept="application/json,.json">').hide().on('change', function() {
+            if (this.files.length) importProfile(this.files[0], report).catch(error => report(error.message, true));
+            this.value = '';
+        });
+        $('<button></button>').text(_('Import profile')).on('click', () => fileInput.click()).appendTo(tools);
+        tools.append(fileInput);
+
+        $('<h3></h3>').text(_('Sync between devices')).appendTo(tab.content);
+        const syncSection = $('<div class="profile-sync"></div>').appendTo(tab.content);
+        tab.content.append(status);
+
+        const render = () => {
+            syncSection.empty();
+            const settings = syncSettings();
+
+            if (!window.profileSyncUrl) {
+                $('<p></p>').text(_('Sync is not available on this site.')).appendTo(syncSection);
+                return;
+            }
+
+            if (!settings) {
+                $('<p></p>').text(_('Pick a long passphrase and enter the same one on your other devices. It never leaves this device: the server only keeps an encrypted copy, and nobody can recover it for you.')).appendTo(syncSection);
+                const passphrase = $('<input type="password" autocomplete="new-password">').attr('placeholder', _('Passphrase')).appendTo(syncSection);
+                $('<button></button>').text(_('Turn on sync')).on('click', async function() {
+                    const value = passphrase.val();
+                    if (value.length < 12) {
+                        report(_('Use a passphrase of at least 12 characters.'), true);
+                        return;
+                    }
+                    $(this).prop('disabled', true);
+                    report(_('Setting up sync...'));
+                    try {
+                        saveSyncSettings(await deriveSettings(value));
+                        const changed = await sync();
+                        report(_('Sync is on.'));
+                        if (changed.length) showReloadNotice();
+                    } catch (error) {
+                        report(error.message, true);
+                    }
+                    render();
+                }).appendTo(syncSection);
+                return;
+            }
+
+            $('<p></p>').text(settings.synced
+                ? _('Last synced: %s').replace('%s', new Date(settings.synced).toLocaleString())
+                : _('Not synced yet.')).appendTo(syncSection);
+
+            $('<button></button>').text(_('Sync now')).on('click', function() {
+                $(this).prop('disabled', true);
+                sync().then(changed => {
+                    report(changed.length ? _('Synced; %d settings changed here.').replace('%d', changed.length) : _('Synced.'));
+                    if (changed.length) showReloadNotice();
+                }).catch(error => report(error.message, true)).then(render);
+            }).appendTo(syncSection);
+
+            $('<button></button>').text(_('Turn off sync')).on('click', () => {
+                saveSyncSettings(null);
+                report(_('Sync is off on this device. Your other devices keep syncing.'));
+                render();
+            }).appendTo(syncSection);
+
+            $('<button></button>').text(_('Delete synced copy')).on('click', () => {
+                if (!confirm(_('Delete the copy of your profile on the server? Your devices keep their own settings.'))) return;
+                request(settings, { delete: 1 }).then(() => {
+                    saveSyncSettings(null);
+                    report(_('The synced copy was deleted and sync is off.'));
+                }).catch(error => report(error.message, true)).then(render);
+            }).appendTo(syncSection);
+        };
+
+        render();
+        $(document).on('profile_synced', render);
+    }
+
+    window.ProfileSync = {
+        snapshot: snapshot,
+        merge: merge,
+        sync: sync
+    };
+
+    $(function() {
+        if (!window.crypto || !crypto.subtle) {
+            console.warn('profile-sync.js needs a secure (https) page');
+            return;
+        }
+
+        if (window.Options && Options.add_tab) {
+            renderOptionsTab(Options.add_tab('profile', 'user', _('Profile')));
+        }
+
+        autoSync(AUTO_SYNC_INTERVAL);
+        // Send changes off when leaving the page
+        document.addEventListener('visibilitychange', () => {
+            if (document.visibilityState === 'hidden') autoSync(LEAVING_SYNC_INTERVAL);
+        });
+    });
+
+})();
@@ -0,0 +1,461 @@
+/*
+ * reading-plan.js - Bible reading plans with daily progress tracking
+ *
+ * Lets a reader pick a plan (whole Bible in a year, NT in 90 days or a custom
+ * list of chapter ranges), shows today's reading on the homepage next to the
+ * bookmarks and marks chapters read as bible-infinite-scroll.js reports them.
+ * Progress is kept in localStorage and can be exported/imported as JSON.
+ *
+ * Usage:
+ *   $config['additional_javascript'][] = 'js/jquery.min.js';
+ *   $config['additional_javascript'][] = 'js/bible-infinite-scroll.js';
+ *   // $config['additional_javascript'][] = 'js/options.js';
+ *   $config['additional_javascript'][] = 'js/reading-plan.js';
+ */
+
+(function() {
+    'use strict';
+
+    const BOOKS_URL = '/KJB/books.json';
+    const DAY = 24 * 60 * 60 * 1000;
+
+    const PLANS = {
+        'bible-year': {
+            name: 'Whole Bible in a year',
+            days: 365,
+            filter: book => book.testament === 'old' || book.testament === 'new'
+        },
+        'canon-year': {
+            name: 'Whole Bible with Apocrypha in a year',
+            days: 365,
+            filter: book => true
+        },
+        'nt-90': {
+            name: 'New Testament in 90 days',
+            days: 90,
+            filter: book => book.testament === 'new'
+        },
+        'custom': {
+            name: 'Custom',
+            days: 30,
+            filter: null
+        }
+    };
+
+    let booksPromise = null;
+
+    /**
+     * Load the hosted books (osisID, short, testament, chapters) in canonical order
+     */
+    function loadBooks() {
+        if (!booksPromise) {
+            const cached = sessionStorage.reading_plan_books;
+            if (cached) {
+                booksPromise = Promise.resolve(JSON.parse(cached));
+            } else {
+                booksPromise = fetch(BOOKS_URL)
+                    .then(response => {
+                        if (!response.ok) throw new Error(`Failed to load ${BOOKS_URL}: ${response.status}`);
+                        return response.json();
+                    })
+                    .then(data => {
+                        sessionStorage.reading_plan_books = JSON.stringify(data.books);
+                        return data.books;
+                    });
+            }
+        }
+        return booksPromise;
+    }
+
+    function getPlan() {
+        try {
+            return JSON.parse(localStorage.reading_plan || 'null');
+        } catch (e) {
+            return null;
+        }
+    }
+
+    function setPlan(plan) {
+        if (plan) {
+            localStorage.reading_plan = JSON.stringify(plan);
+        } else {
+            delete localStorage.reading_plan;
+        }
+        $(document).trigger('reading_plan_changed');
+    }
+
+    function getProgress() {
+        try {
+            return JSON.parse(localStorage.reading_progress || '{}');
+        } catch (e) {
+            return {};
+        }
+    }
+
+    function setProgress(progress) {
+        localStorage.reading_progress = JSON.stringify(progress);
+        $(document).trigger('reading_plan_changed');
+    }
+
+    function markRead(book, chapter, read) {
+        const progress = getProgress();
+        const key = `${book}:${chapter}`;
+        if (read === false) {
+            delete progress[key];
+        } else if (!progress[key]) {
+            progress[key] = Date.now();
+        } else {
+            return;
+        }
+        setProgress(progress);
+    }
+
+    /**
+     * Resolve a book name typed by the user ("1 John", "1john", "Ps", "Psalms")
+     */
+    function findBook(books, name) {
+        const normalized = name.toLowerCase().replace(/\./g, '').replace(/\s+/g, ' ').trim();
+        const noSpace = normalized.replace(/ /g, '');
+        return books.find(book =>
+            book.osisID.toLowerCase() === noSpace ||
+            book.short.toLowerCase() === normalized ||
+            book.short.toLowerCase().replace(/ /g, '') === noSpace
+        ) || null;
+    }
+
+    /**
+     * Parse a custom plan like "Gen 1-11; Ps 23; Matt; John/3-5"
+     * Returns { chapters: [{book, short, chapter}], errors: [string] }
+     */
+    function parseCustomPlan(books, spec) {
+        const chapters = [];
+        const errors = [];
+
+        spec.split(/[;\n]+/).forEach(part => {
+            part = part.trim();
+            if (!part) return;
+
+            const match = part.match(/^(\d?\s*[A-Za-z][A-Za-z. ]*?)(?:[\s\/]*(\d+)(?:\s*-\s*(\d+))?)?$/);
+            const book = match ? findBook(books, match[1]) : null;
+            if (!book) {
+                errors.push(`Unknown book: ${part}`);
+                return;
+            }
+
+            const first = match[2] ? parseInt(match[2]) : 1;
+            const last = match[3] ? parseInt(match[3]) : (match[2] ? first : book.chapters);
+            if (first < 1 || last > book.chapters || first > last) {
+                errors.push(`${book.short} has chapters 1-${book.chapters}: ${part}`);
+                return;
+            }
+
+            for (let chapter = first; chapter <= last; chapter++) {
+                chapters.push({ book: book.osisID, short: book.short, chapter: chapter });
+            }
+        });
+
+        return { chapters: chapters, errors: errors };
+    }
+
+    /**
+     * Expand a plan into its ordered chapter list
+     */
+    function planChapters(books, plan) {
+        if (plan.id === 'custom') {
+            return parseCustomPlan(books, plan.custom || '').chapters;
+        }
+
+        const chapters = [];
+        books.filter(PLANS[plan.id].filter).forEach(book => {
+            for (let chapter = 1; chapter <= book.chapters; chapter++) {
+                chapters.push({ book: book.osisID, short: book.short, chapter: chapter });
+            }
+        });
+        return chapters;
+    }
+
+    /**
+     * The chapters assigned to a day (0-based), spread evenly across the plan
+     */
+    function chaptersForDay(chapters, days, day) {
+        const from = Math.floor(day * chapters.length / days);
+        const to = Math.floor((day + 1) * chapters.length / days);
+        return chapters.slice(from, to);
+    }
+
+    function parseDate(str) {
+        const parts = str.split('-').map(n => parseInt(n));
+        return new Date(parts[0], parts[1] - 1, parts[2]);
+    }
+
+    function formatDate(date) {
+        const pad = n => (n < 10 ? '0' : '') + n;
+        return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+    }
+
+    function todayIndex(plan) {
+        const now = new Date();
+        const today = new Date(now.getFullYear(), now.getMonth(), now.getDate());
+        return Math.round((today - parseDate(plan.start)) / DAY);
+    }
+
+    function chapterLink(entry) {
+        return $('<a></a>')
+            .attr('href', `/${entry.book}/res/${entry.chapter}.html`)
+            .text(`${entry.short} ${entry.chapter}`);
+    }
+
+    /**
+     * Build the plan picker (plan, length, custom ranges, start date)
+     */
+    function buildPicker(books, onDone) {
+        const current = getPlan() || { id: 'bible-year', days: PLANS['bible-year'].days, custom: '' };
+        const picker = $('<div class="reading-plan-picker"></div>');
+
+        const select = $('<select></select>');
+        Object.keys(PLANS).forEach(id => {
+            $('<option></option>').val(id).text(PLANS[id].name).appendTo(select);
+        });
+        select.val(current.id);
+
+        const days = $('<input type="number" min="1" max="3650" size="4">').val(current.days);
+        const custom = $('<textarea rows="3" cols="40" placeholder="Gen 1-11; Ps 23; Matt; John 3-5"></textarea>')
+            .val(current.custom || '');
+        const start = $('<input type="date">').val(current.start || formatDate(new Date()));
+        const errors = $('<div class="reading-plan-errors"></div>');
+
+        const customRow = $('<div></div>').append(custom);
+        const toggleCustom = () => customRow.toggle(select.val() === 'custom');
+        select.on('change', () => {
+            days.val(PLANS[select.val()].days);
+            toggleCustom();
+        });
+        toggleCustom();
+
+        const save = $('<button></button>').text('Start plan').on('click', e => {
+            e.preventDefault();
+            const plan = {
+                id: select.val(),
+                days: Math.max(1, parseInt(days.val()) || PLANS[select.val()].days),
+                custom: custom.val(),
+                start: start.val() || formatDate(new Date())
+            };
+
+            if (plan.id === 'custom') {
+                const parsed = parseCustomPlan(books, plan.custom);
+                if (parsed.errors.length || !parsed.chapters.length) {
+                    errors.text(parsed.errors.join('; ') || 'Enter at least one book or chapter range.');
+                    return;
+                }
+            }
+
+            setPlan(plan);
+            if (onDone) onDone();
+        });
+
+        picker
+            .append($('<div></div>').append('Plan: ', select))
+            .append(customRow)
+            .append($('<div></div>').append('Days: ', days, ' Starting: ', start))
+            .append(errors)
+            .append(save);
+
+        return picker;
+    }
+
+    /**
+     * Build today's reading with progress for the current plan
+     */
+    function buildToday(books, plan) {
+        const progress = getProgress();
+        const chapters = planChapters(books, plan);
+        const isRead = entry => !!progress[`${entry.book}:${entry.chapter}`];
+        const box = $('<div class="reading-plan-today"></div>');
+
+        const day = todayIndex(plan);
+        const done = chapters.filter(isRead).length;
+        const percent = chapters.length ? Math.floor(100 * done / chapters.length) : 0;
+
+        const header = $('<p></p>').appendTo(box);
+        if (day < 0) {
+            header.text(`${PLANS[plan.id].name} starts on ${plan.start}.`);
+        } else if (done === chapters.length) {
+            header.text(`${PLANS[plan.id].name}: plan complete!`);
+        } else {
+            header.text(`${PLANS[plan.id].name} — day ${Math.min(day, plan.days - 1) + 1} of ${plan.days}`);
+        }
+
+        if (day >= 0 && day < plan.days) {
+            const list = $('<ul class="reading-plan-list"></ul>').appendTo(box);
+            chaptersForDay(chapters, plan.days, day).forEach(entry => {
+                const checkbox = $('<input type="checkbox">')
+                    .prop('checked', isRead(entry))
+                    .on('change', function() {
+                        markRead(entry.book, entry.chapter, this.checked);
+                    });
+                $('<li></li>').append(checkbox, ' ', chapterLink(entry)).appendTo(list);
+            });
+        }
+
+        // Chapters from earlier days that are still unread
+        const pastEnd = Math.floor(Math.min(Math.max(day, 0), plan.days) * chapters.length / plan.days);
+        const behind = chapters.slice(0, pastEnd).filter(entry => !isRead(entry));
+        if (behind.length) {
+            $('<p class="unimportant"></p>')
+                .append(`Behind by ${behind.length} chapter${behind.length === 1 ? '' : 's'} — next: `, chapterLink(behind[0]))
+                .appendTo(box);
+        }
+
+        $('<div class="reading-plan-progress"></div>')
+            .append($('<progress></progress>').attr({ max: chapters.length, value: done }))
+            .append(` ${done}/${chapters.length} chapters (${percent}%)`)
+            .appendTo(box);
+
+        return box;
+    }
+
+    /**
+     * Export plan and progress as a JSON download
+     */
+    function exportProgress() {
+        const data = {
+            version: 1,
+            exported: new Date().toISOString(),
+            plan: getPlan(),
+            progress: getProgress()
+        };
+        const blob = new Blob([JSON.stringify(data, null, 2)], { type: 'application/json' });
+        const link = document.createElement('a');
+        link.href = URL.createObjectURL(blob);
+        link.download = `reading-plan-${formatDate(new Date())}.json`;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        setTimeout(() => URL.revokeObjectURL(link.href), 1000);
+    }
+
+    /**
+     * Import plan and progress from a JSON file, merging progress with what is already here
+     */
+    function importProgress(file) {
+        const reader = new FileReader();
+        reader.onload = () => {
+            let data;
+            try {
+                data = JSON.parse(reader.result);
+            } catch (e) {
+                alert('Not a valid reading plan export.');
+                return;
+            }
+            if (!data || typeof data.progress !== 'object') {
+                alert('Not a valid reading plan export.');
+                return;
+            }
+
+            const progress = getProgress();
+            Object.keys(data.progress).forEach(key => {
+                if (/^[A-Za-z0-9]+:\d+$/.test(key) && !progress[key]) {
+                    progress[key] = data.progress[key];
+                }
+            });
+            if (data.plan && PLANS[data.plan.id]) {
+                localStorage.reading_plan = JSON.stringify(data.plan);
+            }
+            setProgress(progress);
+        };
+        reader.readAsText(file);
+    }
+
+    /**
+     * Render the homepage section next to the bookmarks
+     */
+    function renderHomepage() {
+        const content = $('#reading-plan-content');
+        if (!content.length) return;
+
+        loadBooks().then(books => {
+            const plan = getPlan();
+            content.empty();
+
+            if (!plan) {
+                $('<p></p>').text('Pick a plan to get a daily reading:').appendTo(content);
+                content.append(buildPicker(books));
+                return;
+            }
+
+            content.append(buildToday(books, plan));
+            $('<a href="javascript:void(0)"></a>').text('[Change plan]').on('click', () => {
+                content.empty().append(buildPicker(books, renderHomepage));
+            }).appendTo(content);
+        }).catch(error => {
+            console.error('Reading plan error:', error);
+            content.html('<p style="text-align:center;">Reading plans are unavailable right now.</p>');
+        });
+    }
+
+    /**
+     * Render the Options panel tab
+     */
+    function renderOptionsTab(tab) {
+        const container = $('<div class="reading-plan-options"></div>').appendTo(tab.content);
+
+        const render = () => {
+            loadBooks().then(books => {
+                const plan = getPlan();
+                container.empty();
+
+                if (plan) {
+                    container.append(buildToday(books, plan));
+                }
+                container.append($('<h3></h3>').text(plan ? 'Change plan' : 'Start a plan'));
+                container.append(buildPicker(books));
+
+                const tools = $('<div></div>').appendTo(container);
+                $('<button></button>').text('Export progress').on('click', exportProgress).appendTo(tools);
+
+                const fileInput = $('<input type="file" accept="application/json,.json">').hide().on('change', function() {
+                    if (this.files.length) importProgress(this.files[0]);
+                });
+                $('<button></button>').text('Import progress').on('click', () => fileInput.click()).appendTo(tools);
+                tools.append(fileInput);
+
+                $('<button></button>').text('Stop plan').on('click', () => {
+                    if (confirm('Stop following this plan? Your chapter progress is kept.')) {
+                        setPlan(null);
+                    }
+                }).appendTo(tools);
+                $('<button></button>').text('Reset progress').on('click', () => {
+                    if (confirm('Erase all chapter progress?')) {
+                        setProgress({});
+                    }
+                }).appendTo(tools);
+            }).catch(error => {
+                console.error('Reading plan error:', error);
+                container.text('Reading plans are unavailable right now.');
+            });
+        };
+
+        render();
+        $(document).on('reading_plan_changed', render);
+    }
+
+    // Chapters reported read by bible-infinite-scroll.js
+    document.addEventListener('bible_chapter_read', e => {
+        markRead(e.detail.book, e.detail.chapter);
+    });
+
+    $(document).on('reading_plan_changed', renderHomepage);
+
+    $(function() {
+        renderHomepage();
+
+        if (window.Options && Options.add_tab) {
+            renderOptionsTab(Options.add_tab('reading-plan', 'book', 'Reading plan'));
+        }
+    });
+
+    document.addEventListener('visibilitychange', () => {
+        if (!document.hidden) renderHomepage();
+    });
+
+})();
@@ -0,0 +1,419 @@
+/*
+ * reply-notifications.js - find replies to your posts on every board
+ *
+ * show-own-posts.js marks your posts with "(You)"; this keeps an eye on every thread
+ * you posted in (learned when you post, or when a page shows one of your posts) and
+ * collects the replies that quote you. A bell in the board list counts the unread
+ * ones and opens a list of them, with post previews on hover (post-preview.js). New
+ * replies also count in the page title (titlebar-notifications.js) and can show a
+ * desktop notification.
+ *
+ * Threads are checked through their JSON, whenever live.php reports a new post in
+ * them (live-updates.js) or every couple of minutes without it. Replies in threads
+ * watch.js already fetches are picked up from there.
+ *
+ * Usage:
+ *   $config['api']['enabled'] = true;
+ *   $config['additional_javascript'][] = 'js/jquery.min.js';
+ *   $config['additional_javascript'][] = 'js/show-own-posts.js';
+ *   //$config['additional_javascript'][] = 'js/titlebar-notifications.js';
+ *   //$config['additional_javascript'][] = 'js/live-updates.js';
+ *   //$config['additional_javascript'][] = 'js/post-preview.js';
+ *   $config['additional_javascript'][] = 'js/reply-notifications.js';
+ */
+
+(function() {
+    'use strict';
+
+    const STORAGE_KEY = 'reply_notifications';
+    const DAY = 86400;
+    // Threads you last posted in longer ago than this stop being checked
+    const THREAD_LIFETIME = 14 * DAY;
+    const MAX_REPLIES = 200;
+    const POLL_INTERVAL = 2 * 60 * 1000;
+    const POLL_SPACING = 2000;
+
+    function now() {
+        return Math.floor(Date.now() / 1000);
+    }
+
+    /*
+     * Storage: { threads: { 'b/12': { since, touched } }, replies: { 'b/34': reply } }
+     */
+
+    function load() {
+        let store = null;
+        try {
+            store = JSON.parse(localStorage.getItem(STORAGE_KEY));
+        } catch (e) {
+            store = null;
+        }
+        if (!store || typeof store.threads !== 'object' || typeof store.replies !== 'object') {
+            store = { threads: {}, replies: {} };
+        }
+        return store;
+    }
+
+    function save(store) {
+        // Oldest read replies go first when there are too many
+        const keys = Object.keys(store.replies).sort((a, b) =>
+            (store.replies[a].read - store.replies[b].read) || (store.replies[b].time - store.replies[a].time));
+        keys.slice(MAX_REPLIES).forEach(key => delete store.replies[key]);
+
+        localStorage.setItem(STORAGE_KEY, JSON.stringify(store));
+        changed();
+    }
+
+    function ownPosts(board) {
+        let posts = {};
+        try {
+            posts = JSON.parse(localStorage.own_posts || '{}');
+        } catch (e) {
+            posts = {};
+        }
+        return (posts[board] || []).map(String);
+    }
+
+    /**
+     * Keep checking a thread for replies to posts after `since`
+     */
+    function track(board, thread, since) {
+        const store = load();
+        const key = `${board}/${thread}`;
+        const current = store.threads[key];
+        store.threads[key] = {
+            since: current ? Math.min(current.since, since) : since,
+            touched: now()
+        };
+        save(store);
+        subscribe();
+    }
+
+    function threadPath(board, thread) {
+        return `${board}/res/${thread}.html`;
+    }
+
+    /*
+     * Finding replies
+     */
+
+    function quotedIds(com) {
+        const ids = [];
+        const re = /&gt;&gt;(\d+)/g;
+        let match;
+        while ((match = re.exec(com || ''))) ids.push(match[1]);
+        return ids;
+    }
+
+    function excerpt(post) {
+        const doc = new DOMParser().parseFromString((post.com || '').replace(/<br\s*\/?>/gi, ' '), 'text/html');
+        return doc.body.textContent.replace(/\s+/g, ' ').trim().substr(0, 140);
+    }
+
+    /**
+     * Add the replies to your posts among posts from the JSON API; returns the new ones
+     */
+    function collect(board, posts) {
+        const own = ownPosts(board);
+        if (!own.length) return [];
+
+        const store = load();
+        const added = [];
+        let dirty = false;
+        posts.forEach(post => {
+            const key = `${board}/${post.no}`;
+            if (store.replies[key] || own.indexOf(String(post.no)) !== -1) return;
+
+            const quotes = quotedIds(post.com).filter(id => own.indexOf(id) !== -1);
+            if (!quotes.length) return;
+
+            store.replies[key] = {
+                board: board,
+                thread: String(post.resto || post.no),
+                post: String(post.no),
+                quotes: quotes,
+                name: post.name || '',
+                excerpt: excerpt(post),
+                time: post.time,
+                read: onPage(board, post.no) ? 1 : 0
+            };
+            dirty = true;
+            if (!store.replies[key].read) added.push(store.replies[key]);
+        });
+
+        if (dirty) save(store);
+        added.forEach(notify);
+        return added;
+    }
+
+    async function check(key) {
+        const store = load();
+        const thread = store.threads[key];
+        if (!thread) return;
+
+        const [board, id] = key.split('/');
+        let json;
+        try {
+            const response = await fetch(`${window.configRoot}${board}/res/${id}.json`, { cache: 'no-store' });
+            if (response.status === 404) {
+                const current = load();
+                delete current.threads[key];
+                save(current);
+                subscribe();
+                return;
+            }
+            if (!response.ok) return;
+            json = await response.json();
+        } catch (e) {
+            return;
+        }
+
+        const posts = (json.posts || []).filter(post => post.no > thread.since);
+        collect(board, posts);
+
+        if (posts.length) {
+            const current = load();
+            if (current.threads[key]) {
+                current.threads[key].since = posts[posts.length - 1].no;
+                save(current);
+            }
+        }
+    }
+
+    let pollTimers = [];
+
+    function checkAll() {
+        pollTimers.forEach(clearTimeout);
+        pollTimers = [];
+
+        const store = load();
+        let dropped = false;
+        Object.keys(store.threads).forEach(key => {
+            if (store.threads[key].touched < now() - THREAD_LIFETIME) {
+                delete store.threads[key];
+                dropped = true;
+            }
+        });
+        if (dropped) save(store);
+
+        Object.keys(store.threads).forEach((key, i) => {
+            pollTimers.push(setTimeout(() => check(key), i * POLL_SPACING));
+        });
+    }
+
+    const live = !!(window.LiveUpdates && LiveUpdates.available);
+    const liveTimers = {};
+
+    function subscribe() {
+        if (!live) return;
+        LiveUpdates.subscribe('reply-notifications', Object.keys(load().threads), event => {
+            if (event.type === 'reset') {
+                checkAll();
+            } else if (event.type === 'post') {
+                // Several posts in a row only need one fetch
+                const key = `${event.board}/${event.thread}`;
+                clearTimeout(liveTimers[key]);
+                liveTimers[key] = setTimeout(() => check(key), 1000);
+            }
+        });
+    }
+
+    /*
+     * Read state
+     */
+
+    function onPage(board, post) {
+        return $(`#reply_${post}, #op_${post}`).filter(function() {
+            return $(this).closest('.thread').data('board') == board;
+        }).length > 0;
+    }
+
+    function unread() {
+        const store = load();
+        return Object.keys(store.replies)
+            .map(key => store.replies[key])
+            .filter(reply => !reply.read)
+            .sort((a, b) => b.time - a.time);
+    }
+
+    function markRead(replies) {
+        const store = load();
+        let dirty = false;
+        replies.forEach(reply => {
+            const stored = store.replies[`${reply.board}/${reply.post}`];
+            if (stored && !stored.read) {
+                stored.read = 1;
+                dirty = true;
+            }
+        });
+        if (dirty) save(store);
+    }
+
+    // Replies shown on this page have been seen
+    function markShownRead() {
+        markRead(unread().filter(reply => onPage(reply.board, reply.post)));
+    }
+
+    /*
+     * Notifications
+     */
+
+    function replyUrl(reply) {
+        return `${window.modRoot}${threadPath(reply.board, reply.thread)}#${reply.post}`;
+    }
+
+    function notify(reply) {
+        if (typeof Notification === 'undefined' || Notification.permission !== 'granted') return;
+        if (document.visibilityState === 'visible' && document.hasFocus()) return;
+
+        const notification = new Notification(`${_('Reply to you')} /${reply.board}/ >>${reply.post}`, {
+            body: reply.excerpt,
+            tag: `reply-${reply.board}-${reply.post}`
+        });
+        notification.onclick = () => {
+            window.focus();
+            markRead([reply]);
+            location.href = replyUrl(reply);
+            notification.close();
+        };
+    }
+
+    function changed() {
+        $(document).trigger('reply_notifications_changed');
+    }
+
+    /*
+     * Board list badge and dropdown
+     */
+
+    function renderBadge() {
+        const boardlist = $('.boardlist').first();
+        if (!boardlist.length) return;
+
+        let badge = $('#reply-notifications');
+        if (!badge.length) {
+            badge = $('<span id="reply-notifications"><a href="javascript:void(0)" class="reply-notifications-toggle"><i class="fa fa-bell"></i> <span class="reply-notifications-count"></span></a></span>')
+                .attr('title', _('Replies to you'))
+                .appendTo(boardlist);
+            badge.find('.reply-notifications-toggle').on('click', e => {
+                e.stopPropagation();
+                if ($('#reply-notifications-menu').length) {
+                    closeMenu();
+                } else {
+                    openMenu(badge);
+                }
+            });
+        }
+
+        const count = unread().length;
+        badge.toggleClass('has-unread', count > 0);
+        badge.find('.reply-notifications-count').text(count || '');
+        if ($('#reply-notifications-menu').length) renderMenu($('#reply-notifications-menu'));
+    }
+
+    function closeMenu() {
+        $('#reply-notifications-menu').remove();
+        $(document).off('click.reply-notifications');
+    }
+
+    function openMenu(badge) {
+        const menu = $('<div id="reply-notifications-menu" class="boardlist"></div>').appendTo(badge);
+        renderMenu(menu);
+        $(document).on('click.reply-notifications', e => {
+            if (!$(e.target).closest('#reply-notifications-menu').length) closeMenu();
+        });
+    }
+
+    function renderMenu(menu) {
+        menu.empty();
+        const replies = unread();
+
+        const controls = $('<div class="reply-notifications-controls"></div>').appendTo(menu);
+        if (replies.length) {
+            $('<a href="javascript:void(0)"></a>').text(_('Mark all read')).on('click', () => markRead(replies)).appendTo(controls);
+        }
+        if (typeof Notification !== 'undefined' && Notification.permission === 'default') {
+            $('<a href="javascript:void(0)"></a>').text(_('Desktop notifications')).on('click', function() {
+                Notification.requestPermission().then(() => renderMenu(menu));
+            }).appendTo(controls);
+        }
+
+        if (!replies.length) {
+            $('<div class="reply-notifications-empty"></div>').text(_('No unread replies.')).appendTo(menu);
+            return;
+        }
+
+        replies.forEach(reply => {
+            const item = $('<div class="reply-notifications-item"></div>').appendTo(menu);
+            // ">>>/b/34" so post-preview.js treats it as a link to another board
+            const link = $('<a></a>')
+                .attr('href', replyUrl(reply))
+                .text(`>>>/${reply.board}/${reply.post}`)
+                .on('click', () => markRead([reply]))
+                .appendTo(item);
+            if (window.PostPreview) PostPreview.attach(link[0]);
+
+            $('<span class="reply-notifications-quotes"></span>')
+                .text(` → ${reply.quotes.map(id => `>>${id}`).join(' ')}`)
+                .appendTo(item);
+            $('<div class="reply-notifications-excerpt"></div>').text(reply.excerpt).appendTo(item);
+        });
+    }
+
+    /*
+     * Learning which threads to check
+     */
+
+    function trackFromPage() {
+        $('.thread[data-board]').each(function() {
+            const board = String($(this).data('board'));
+            const own = ownPosts(board);
+            if (!own.length) return;
+
+            const ids = $(this).find('.post').map(function() {
+                return this.id.replace(/^(reply|op)_/, '');
+            }).get();
+            if (!ids.some(id => own.indexOf(id) !== -1)) return;
+
+            const thread = this.id.replace('thread_', '');
+            if (!load().threads[`${board}/${thread}`]) {
+                // Replies already on the page have been seen
+                track(board, thread, Math.max.apply(null, ids.map(Number)));
+            }
+        });
+    }
+
+    $(document).on('ajax_after_post', (e, response) => {
+        const form = $('form[name="post"]').first();
+        const board = form.find('input[name="board"]').val();
+        const thread = form.find('input[name="thread"]').val() || response.id;
+        if (board && response.id) track(board, thread, parseInt(response.id));
+    });
+
+    // watch.js has the posts already
+    $(document).on('watched_posts', (e, board, posts) => collect(board, posts));
+
+    $(document).on('new_post', markShownRead);
+    $(document).on('reply_notifications_changed', renderBadge);
+    window.addEventListener('storage', e => {
+        if (e.key === STORAGE_KEY) changed();
+    });
+
+    if (typeof add_title_collector !== 'undefined') {
+        add_title_collector(() => unread().length);
+        $(document).on('reply_notifications_changed', () => {
+            if (typeof update_title !== 'undefined') update_title();
+        });
+    }
+
+    $(function() {
+        trackFromPage();
+        markShownRead();
+        renderBadge();
+
+        subscribe();
+        checkAll();
+        if (!live) setInterval(checkAll, POLL_INTERVAL);
+    });
+
+})();
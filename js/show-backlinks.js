@@ -63,4 +63,21 @@ onReady(function() {
 			$(post).parent().find('div.post.reply').each(showBackLinks);
 		}
 	});
+
+	// auto-reload.js: strike out backlinks from deleted replies
+	$(document).on('post_deleted', function(e, post) {
+		let reply_id = $(post).attr('id').replace(/(^reply_)|(^op_)/, '');
+		$('a.mentioned-' + reply_id).addClass('deleted');
+	});
+
+	// auto-reload.js: an edited body may quote different posts
+	$(document).on('post_updated', function(e, post, changes) {
+		if (changes.indexOf('body') == -1) {
+			return;
+		}
+
+		let reply_id = $(post).attr('id').replace(/(^reply_)|(^op_)/, '');
+		$('a.mentioned-' + reply_id).remove();
+		showBackLinks.call(post);
+	});
 });
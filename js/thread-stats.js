@@ -27,7 +27,7 @@ $(document).ready(function(){
 	delete el;
 	function update_thread_stats(){
 		var op = $('#thread_'+ thread_id +' > div.post.op:not(.post-hover):not(.inline)').first();
-		var replies = $('#thread_'+ thread_id +' > div.post.reply:not(.post-hover):not(.inline)');
+		var replies = $('#thread_'+ thread_id +' > div.post.reply:not(.post-hover):not(.inline):not(.deleted)');
 		// post count
 		$('#thread_stats_posts').text(replies.length);
 		// image count
@@ -112,5 +112,7 @@ $(document).ready(function(){
 		update_thread_stats();
 		$('#update_thread').click(update_thread_stats);
 		$(document).on('new_post',update_thread_stats);
+		// auto-reload.js: replies marked as deleted, files removed or spoilered
+		$(document).on('post_deleted post_updated',update_thread_stats);
 });
 }
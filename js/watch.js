@@ -5,16 +5,34 @@
  * Released under the MIT license
  * Copyright (c) 2014 Marcin Łabanowski <marcin@6irc.net>
  *
+ * Watched threads are kept once, in localStorage.watch_js, and shown both in the board list
+ * and in the [ watchlist ] panel (which used to be js/thread-watcher.js; its list is moved over
+ * the first time this runs). Each thread shows its unread posts and the unread replies to your
+ * own posts (js/show-own-posts.js), is marked once it 404s, and the panel lists the most
+ * recently active first. Other scripts can use:
+ *
+ *   Watcher.watch('b', 12, { subject: 'Hello', url: '/b/res/12.html' });
+ *   Watcher.unwatch('b', 12);
+ *   Watcher.is_watched('b', 12);
+ *   Watcher.threads();  // [{ board, thread, subject, url, unread, you, dead, activity }], most recent first
+ *   $(document).on('watch_changed', ...);
+ *
  * Usage:
  *   $config['api']['enabled'] = true;
  *   $config['additional_javascript'][] = 'js/jquery.min.js';
  *   $config['additional_javascript'][] = 'js/mobile-style.js';
  *   //$config['additional_javascript'][] = 'js/titlebar-notifications.js';
+ *   //$config['additional_javascript'][] = 'js/live-updates.js';
  *   //$config['additional_javascript'][] = 'js/auto-reload.js';
  *   //$config['additional_javascript'][] = 'js/hide-threads.js';
  *   //$config['additional_javascript'][] = 'js/compact-boardlist.js';
  *   $config['additional_javascript'][] = 'js/watch.js';
- *              
+ *
+ * With js/live-updates.js, watched boards and threads are checked once on page load and then
+ * only when live.php reports activity in them, instead of refetching every json in a loop.
+ *
+ * New posts in watched threads (and, when js/post-filter.js has pin or notify rules for
+ * them, in watched boards) are passed on as a "watched_posts" event: (board, [posts]).
  */
 
 $(function(){
@@ -39,14 +57,93 @@ $(function(){
 
   var updating_suspended = false;
 
+  // Watched threads used to be stored as the time they were last read, with their urls in a
+  // separate "slugs" object; they are now { seen, url, subject, activity, dead }
+  var migrate = function(storage) {
+    var changed = false;
+    for (var b in storage) {
+      var bc = storage[b];
+      for (var t in bc.threads || {}) {
+        if (typeof bc.threads[t] == "number") {
+          bc.threads[t] = { seen: bc.threads[t], url: bc.slugs && bc.slugs[t] };
+          changed = true;
+        }
+      }
+      if (bc.slugs) {
+        delete bc.slugs;
+        changed = true;
+      }
+    }
+
+    // thread-watcher.js: [[board, "thread_12" or subject, post count, url], ...]
+    if (localStorage.watchlist !== undefined) {
+      var list = [];
+      try { list = JSON.parse(localStorage.watchlist); } catch (e) {}
+      $.each(list, function() {
+        var id = this[3] && this[3].match(/\/res\/(\d+)/);
+        if (!this[0] || !id) return;
+        var bc = storage[this[0]] = storage[this[0]] || {};
+        bc.threads = bc.threads || {};
+        if (!bc.threads[id[1]]) {
+          bc.threads[id[1]] = {
+            seen: Date.now(),
+            url: this[3],
+            subject: /^thread_/.test(this[1]) ? undefined : this[1]
+          };
+        }
+      });
+      delete localStorage.watchlist;
+      changed = true;
+    }
+
+    if (changed) localStorage.watch_js = JSON.stringify(storage);
+    return storage;
+  };
+
   var storage = function() {
     var storage = JSON.parse(localStorage.watch_js !== undefined ? localStorage.watch_js : "{}");
     delete storage.undefined; // fix for some bug
-    return storage;
+    return migrate(storage);
   };
 
   var storage_save = function(s) {
     localStorage.watch_js = JSON.stringify(s);
+    if (live) live_subscribe();
+    $(document).trigger('watch_changed');
+  };
+
+  var thread_url = function(board, tid, thread) {
+    return (thread && thread.url) || (modRoot+board+"/res/"+tid+".html");
+  };
+
+  // Store what was learned about a thread, only writing when something changed
+  var update_thread = function(board, tid, changes) {
+    var st = storage();
+    var thread = st[board] && st[board].threads && st[board].threads[tid];
+    if (!thread) return;
+
+    var changed = false;
+    for (var key in changes) {
+      if (changes[key] !== undefined && thread[key] !== changes[key]) {
+        thread[key] = changes[key];
+        changed = true;
+      }
+    }
+    if (changed) storage_save(st);
+  };
+
+  // show-own-posts.js keeps the posts you made
+  var own_posts = function(board) {
+    var posts = JSON.parse(localStorage.own_posts || '{}');
+    return $.map(posts[board] || [], String);
+  };
+
+  var replies_to_own = function(com, own) {
+    var re = /&gt;&gt;(\d+)/g, m;
+    while ((m = re.exec(com || ""))) {
+      if ($.inArray(m[1], own) != -1) return true;
+    }
+    return false;
   };
 
   var osize = function(o) {
@@ -89,42 +186,77 @@ $(function(){
     storage_save(st);
     return bc.watched;
   };
-  var toggle_threadwatched = function(board, thread) {
+  var watch = function(board, thread, info) {
+    var st = storage();
+    var bc = st[board] || {};
+    bc.threads = bc.threads || {};
+    bc.threads[thread] = $.extend({ seen: Date.now() }, bc.threads[thread], info || {});
+    st[board] = bc;
+    storage_save(st);
+  };
+  var unwatch = function(board, thread) {
     var st = storage();
     var bc = st[board] || {};
-    if (is_threadwatched(bc, thread)) {
-      delete bc.threads[thread];
+    if (!is_threadwatched(bc, thread)) return;
+    delete bc.threads[thread];
+    if (status[board] && status[board].threads) delete status[board].threads[thread];
+    storage_save(st);
+  };
+  var toggle_threadwatched = function(board, thread, info) {
+    if (is_threadwatched(storage()[board], thread)) {
+      unwatch(board, thread);
     }
     else {
-      bc.threads = bc.threads || {};
-      bc.threads[thread] = Date.now();
+      watch(board, thread, info);
+    }
+    return is_threadwatched(storage()[board], thread);
+  };
+
+  // Subject, or the start of the comment, of a thread on the page
+  var thread_subject = function(op) {
+    var subject = $(op).find('.subject').first().text().trim();
+    return (subject || $(op).children('.body').text().trim()).substring(0, 40) || undefined;
+  };
 
-      bc.slugs = bc.slugs || {};
-      bc.slugs[thread] = document.location.pathname + document.location.search;
+  // Watched threads across boards, most recently active first
+  var watched_threads = function() {
+    var st = storage();
+    var list = [];
+    for (var b in st) {
+      for (var t in st[b].threads || {}) {
+        var thread = st[b].threads[t];
+        var counts = status[b] && status[b].threads;
+        var yous = status[b] && status[b].you;
+        list.push({
+          board: b,
+          thread: t,
+          subject: thread.subject,
+          url: thread_url(b, t, thread),
+          unread: counts && counts[t] > 0 ? counts[t] : 0,
+          you: yous && yous[t] || 0,
+          dead: !!thread.dead || (counts && counts[t] == -404) || false,
+          activity: thread.activity || thread.seen / 1000
+        });
+      }
     }
-    st[board] = bc;
-    storage_save(st);
-    return is_threadwatched(bc, thread);
+    return list.sort(function(a, b) { return b.activity - a.activity; });
+  };
+
+  var unread_label = function(thread) {
+    if (thread.dead) return "<i class='fa fa-ban-circle' title='"+_("404")+"'></i>";
+    return "(" + thread.unread + (thread.you ? ", <span class='watch-you'>" + thread.you + " " + _("(You)") + "</span>" : "") + ")";
   };
   var construct_watchlist_for = function(board, variant) {
     var list = $("<div class='boardlist top cb-menu watch-menu'></div>");
     list.attr("data-board", board);
 
-    if (storage()[board] && storage()[board].threads)
-    for (var tid in storage()[board].threads) {
-      var newposts = "(0)";
-      if (status && status[board] && status[board].threads && status[board].threads[tid]) {
-        if (status[board].threads[tid] == -404) {
-          newposts = "<i class='fa fa-ban-circle'></i>";
-        }
-        else {
-          newposts = "("+status[board].threads[tid]+")";
-        }
-      }
+    $.each($.grep(watched_threads(), function(thread) { return thread.board == board; }), function() {
+      var tid = this.thread;
+      var newposts = unread_label(this);
 
       var tag;
       if (variant == 'desktop') {
-        tag = $("<a href='"+((storage()[board].slugs && storage()[board].slugs[tid]) || (modRoot+board+"/res/"+tid+".html"))+"'><span>#"+tid+"</span><span class='cb-uri watch-remove'>"+newposts+"</span>");
+        tag = $("<a href='"+this.url+"'><span>#"+tid+"</span><span class='cb-uri watch-remove'>"+newposts+"</span>");
 	tag.find(".watch-remove").mouseenter(function() {
           this.oldval = $(this).html();
           $(this).css("min-width", $(this).width());
@@ -135,11 +267,13 @@ $(function(){
         })
       }
       else if (variant == 'mobile') {
-        tag = $("<a href='"+((storage()[board].slugs && storage()[board].slugs[tid]) || (modRoot+board+"/res/"+tid+".html"))+"'><span>#"+tid+"</span><span class='cb-uri'>"+newposts+"</span>"
+        tag = $("<a href='"+this.url+"'><span>#"+tid+"</span><span class='cb-uri'>"+newposts+"</span>"
                +"<span class='cb-uri watch-remove'><i class='fa fa-minus'></i></span>");	
       }
 
       tag.attr('data-thread', tid)
+        .attr('title', this.subject || '')
+        .toggleClass("watch-dead", this.dead)
         .addClass("cb-menuitem")
         .appendTo(list)
         .find(".watch-remove")
@@ -151,11 +285,98 @@ $(function(){
 	  $(this).parent().remove();
           return false;
         });
-    }
+    });
     return list;
   };
 
+  // The [ watchlist ] panel, formerly thread-watcher.js
+  var render_panel = function() {
+    var panel = $('#watchlist');
+    if (!panel.length) return;
+
+    panel.children('.watchlist-inner').remove();
+    $.each(watched_threads(), function() {
+      var row = $("<div class='watchlist-inner'></div>")
+        .attr('data-board', this.board)
+        .attr('data-thread', this.thread)
+        .toggleClass('watchlist-dead', this.dead)
+        .appendTo(panel);
+      $("<span></span>").text("/"+this.board+"/ - ").appendTo(row)
+        .append($("<a></a>").attr('href', this.url).text(this.subject || _("Thread #")+this.thread))
+        .append(" " + unread_label(this) + " ");
+      $("<a class='watchlist-remove' href='javascript:void(0)'>X</a>").attr('title', _("Stop watching this thread")).appendTo(row);
+    });
+    if (!panel.children('.watchlist-inner').length) {
+      $("<div class='watchlist-inner'></div>").text(_("No watched threads.")).appendTo(panel);
+    }
+  };
+
+  var init_panel = function() {
+    if (!(active_page == 'thread' || active_page == 'index' || active_page == 'catalog' || active_page == 'ukko')) return;
+
+    $('.boardlist').first().append(' <span>[ <a class="watchlist-toggle" href="javascript:void(0)">'+_('watchlist')+'</a> ]</span>');
+
+    var menuStyle = getComputedStyle($('.boardlist')[0]);
+    $("<div id='watchlist'><div class='watchlist-controls'>"+
+        "<span><a id='clearList' href='javascript:void(0)'>["+_('Clear List')+"]</a></span>&nbsp;"+
+        "<span><a id='clearGhosts' href='javascript:void(0)'>["+_('Clear 404s')+"]</a></span>"+
+      "</div></div>")
+      .css("background-color", menuStyle.backgroundColor)
+      .css("border", menuStyle.borderBottomWidth+" "+menuStyle.borderBottomStyle+" "+menuStyle.borderBottomColor)
+      .insertBefore((active_page == 'ukko') ? 'hr:first' : (active_page == 'catalog') ? 'body>span:first' : 'form[name="post"]');
+
+    $('.watchlist-toggle').on('click', function() {
+      $('#watchlist').toggle();
+    });
+    $(document).on('click', '.watchlist-remove', function() {
+      var row = $(this).parent();
+      unwatch(row.attr('data-board'), row.attr('data-thread'));
+      update_pinned();
+    });
+    $('#clearList').on('click', function() {
+      if (!confirm(_('Stop watching every thread?'))) return;
+      var st = storage();
+      for (var b in st) st[b].threads = {};
+      status = {};
+      storage_save(st);
+      update_pinned();
+    });
+    $('#clearGhosts').on('click', function() {
+      $.each(watched_threads(), function() {
+        if (this.dead) unwatch(this.board, this.thread);
+      });
+      update_pinned();
+    });
+
+    // [Watch] after every OP's number on index pages, as thread-watcher.js had
+    if (active_page == 'index' || active_page == 'ukko') {
+      var add_links = function(ops) {
+        $(ops).find('>.intro>.post_no:odd').each(function() {
+          var op = $(this).closest('.op');
+          var board = op.parent().data('board');
+          var tid = op.attr('id').replace('op_', '');
+          $('<a class="watchThread" href="javascript:void(0)"></a>')
+            .text('['+(is_threadwatched(storage()[board], tid) ? _('Unwatch') : _('Watch'))+']')
+            .insertAfter(this)
+            .on('click', function() {
+              var watched = toggle_threadwatched(board, tid, {
+                url: op.find('>.intro a:not(.watchThread)').filter(function() { return /\/res\//.test($(this).attr('href')); }).last().attr('href'),
+                subject: thread_subject(op)
+              });
+              $(this).text('['+(watched ? _('Unwatch') : _('Watch'))+']');
+              update_pinned();
+            });
+        });
+      };
+      add_links($('.op'));
+      $(document).on('new_post', function(e, post) {
+        if (!$(post).is('.reply')) add_links($(post).find('.op').addBack('.op'));
+      });
+    }
+  };
+
   var update_pinned = function() {
+    render_panel();
     if (updating_suspended) return;
 
     if (typeof update_title != "undefined") update_title();
@@ -198,14 +419,15 @@ $(function(){
 	  link.attr("data-board", i);
 
           if (status && status[i] && status[i].threads) {
-	    var new_posts = 0;
+	    var new_posts = 0, you = 0;
             for (var tid in status[i].threads) {
               if (status[i].threads[tid] > 0) {
 	        new_posts += status[i].threads[tid];
+	        you += (status[i].you && status[i].you[tid]) || 0;
 	      }
 	    }
 	    if (new_posts > 0) {
-              link.html(link.html() + " (" + new_posts + ")");
+              link.html(link.html() + " (" + new_posts + (you ? ", <span class='watch-you'>" + you + " " + _("(You)") + "</span>" : "") + ")");
 	    }
           }
 
@@ -242,6 +464,42 @@ $(function(){
       construct_watchlist_for(board, "mobile").css("float", "left").insertBefore(where);
     }
   };
+  var fetch_board_json = function(i) {
+    var r = $.getJSON(configRoot+i+"/threads.json", function(j, x, r) {
+      handle_board_json(r.board, j);
+    });
+    r.board = i;
+  };
+  var fetch_thread_json = function(i, j) {
+    var r = $.getJSON(configRoot+i+"/res/"+j+".json", function(k, x, r) {
+      handle_thread_json(r.board, r.thread, k);
+    }).error(function(r) {
+      if(r.status == 404) handle_thread_404(r.board, r.thread);
+    });
+
+    r.board = i;
+    r.thread = j;
+  };
+
+  // Only worth the extra fetches on watched boards if post-filter.js has rules to check them against
+  var wants_posts = function(board) {
+    if (typeof FilterEngine == "undefined") return false;
+    return FilterEngine.rules().some(function(rule) {
+      return (rule.pin || rule.notify) && (rule.scope == 'global' || rule.board == board);
+    });
+  };
+  var emit_posts = function(board, posts, after) {
+    var fresh = $.grep(posts || [], function(post) {
+      return post.time > after;
+    });
+    if (fresh.length) $(document).trigger('watched_posts', [board, fresh]);
+  };
+  var fetch_thread_posts = function(board, thread, after) {
+    $.getJSON(configRoot+board+"/res/"+thread+".json", function(json) {
+      emit_posts(board, json.posts, after);
+    });
+  };
+
   var fetch_jsons = function() {
     if (window_active) check_scroll();
 
@@ -254,26 +512,17 @@ $(function(){
       if (st[i].watched) {
 	(function(i) {
           setTimeout(function() {
-            var r = $.getJSON(configRoot+i+"/threads.json", function(j, x, r) {
-              handle_board_json(r.board, j);
-            });
-            r.board = i;
+            fetch_board_json(i);
           }, sched);
           sched += sched_diff;
 	})(i);
       }
       else if (st[i].threads) {
         for (var j in st[i].threads) {
+          if (st[i].threads[j].dead) continue;
           (function(i,j) {
             setTimeout(function() {
-              var r = $.getJSON(configRoot+i+"/res/"+j+".json", function(k, x, r) {
-	        handle_thread_json(r.board, r.thread, k);
-              }).error(function(r) {
-	        if(r.status == 404) handle_thread_404(r.board, r.thread);
-	      });
-	    
-	      r.board = i;
-	      r.thread = j;
+              fetch_thread_json(i, j);
             }, sched);
           })(i,j);
           sched += sched_diff;
@@ -281,7 +530,55 @@ $(function(){
       }
     }
 
-    setTimeout(fetch_jsons, sched + sched_diff);
+    // live.php tells us when to look again
+    if (!live) setTimeout(fetch_jsons, sched + sched_diff);
+  };
+
+  // Pushed updates from live.php, see js/live-updates.js
+  var live = typeof LiveUpdates != "undefined" && LiveUpdates.available;
+  var live_timers = {};
+
+  // Several events for one board or thread in a row only need one fetch
+  var live_refetch = function(key, fetch) {
+    clearTimeout(live_timers[key]);
+    live_timers[key] = setTimeout(function() {
+      delete live_timers[key];
+      fetch();
+    }, 1000);
+  };
+
+  var live_subscribe = function() {
+    var st = storage();
+    var keys = [];
+    for (var i in st) {
+      if (st[i].watched) {
+        keys.push(i);
+      }
+      else if (st[i].threads) {
+        for (var j in st[i].threads) {
+          if (!st[i].threads[j].dead) keys.push(i + '/' + j);
+        }
+      }
+    }
+
+    LiveUpdates.subscribe('watch', keys, function(event) {
+      var bc = storage()[event.board] || {};
+
+      if (event.type == 'reset') {
+        fetch_jsons();
+      }
+      else if (bc.watched) {
+        live_refetch(event.board, function() { fetch_board_json(event.board); });
+      }
+      else if (is_threadwatched(bc, event.thread)) {
+        if (event.type == 'delete' && event.post == event.thread) {
+          handle_thread_404(event.board, event.thread);
+        }
+        else if (event.type == 'post' || event.type == 'delete') {
+          live_refetch(event.board + '/' + event.thread, function() { fetch_thread_json(event.board, event.thread); });
+        }
+      }
+    });
   };
 
   var handle_board_json = function(board, json) {
@@ -289,25 +586,24 @@ $(function(){
 
     var new_threads = 0;
 
-    var hidden_data = {};
-    if (localStorage.hiddenthreads) {
-      hidden_data = JSON.parse(localStorage.hiddenthreads);
-    }
+    // threads bumped since the last check get their new posts looked at
+    var checked = status && status[board] && status[board].checked;
+    var newest = checked || 0;
 
     for (var i in json) {
       for (var j in json[i].threads) {
         var thread = json[i].threads[j];
 
-	if (hidden_data[board]) { // hide threads integration
-	  var cont = false;
-	  for (var k in hidden_data[board]) {
-	    if (parseInt(k) == thread.no) {
-	      cont = true;
-	      break;
-	    }
-	  }
-	  if (cont) continue;
+	// hidden and collapsed threads don't count (hide-threads.js, post-filter.js)
+	if (typeof FilterEngine != "undefined") {
+	  var action = FilterEngine.action(FilterEngine.match({board: board, thread: thread.no, post: thread.no}, 'index', ['post']));
+	  if (action == 'hide' || action == 'collapse') continue;
+	}
+
+	if (checked && thread.last_modified > checked && wants_posts(board)) {
+	  fetch_thread_posts(board, thread.no, checked);
 	}
+	newest = Math.max(newest, thread.last_modified);
 
 	if (thread.last_modified > storage()[board].watched / 1000) {
 	  last_thread = thread.no;
@@ -319,6 +615,7 @@ $(function(){
 
     status = status || {};
     status[board] = status[board] || {};
+    status[board].checked = newest;
     if (status[board].last_thread != last_thread || status[board].new_threads != new_threads) {
       status[board].last_thread = last_thread;
       status[board].new_threads = new_threads;
@@ -326,21 +623,37 @@ $(function(){
     }
   };
   var handle_thread_json = function(board, threadid, json) {
-    var new_posts = 0;
+    var thread = is_threadwatched(storage()[board], threadid);
+    if (!thread || !json.posts || !json.posts.length) return;
+
+    var seen = thread.seen / 1000;
+    var own = own_posts(board);
+    var new_posts = 0, you = 0;
     for (var i in json.posts) {
       var post = json.posts[i];
 
-      if (post.time > storage()[board].threads[threadid] / 1000) {
+      if (post.time > seen) {
 	new_posts++;
+	if (replies_to_own(post.com, own)) you++;
       }
     } 
 
+    emit_posts(board, json.posts, seen);
+
+    var op = json.posts[0];
+    update_thread(board, threadid, {
+      activity: json.posts[json.posts.length - 1].time,
+      subject: thread.subject || (op.sub || $('<div>').html((op.com || '').replace(/<br\s*\/?>/g, ' ')).text()).substring(0, 40) || undefined
+    });
+
     status = status || {};
     status[board] = status[board] || {};
     status[board].threads = status[board].threads || {};
+    status[board].you = status[board].you || {};
 
-    if (status[board].threads[threadid] != new_posts) {
+    if (status[board].threads[threadid] != new_posts || status[board].you[threadid] != you) {
       status[board].threads[threadid] = new_posts;
+      status[board].you[threadid] = you;
       update_pinned();
     }
   };
@@ -348,6 +661,8 @@ $(function(){
     status = status || {};
     status[board] = status[board] || {};
     status[board].threads = status[board].threads || {};
+    // Remembered, so it isn't fetched again
+    update_thread(board, threadid, { dead: true });
     if (status[board].threads[threadid] != -404) {
       status[board].threads[threadid] = -404; //notify 404
       update_pinned();
@@ -362,7 +677,10 @@ $(function(){
     
     $('hr:first').before('<div id="watch-thread" style="text-align:right"><a class="unimportant" href="javascript:void(0)">-</a></div>');
     $('#watch-thread a').html(is_threadwatched(boardconfig, thread) ? _("Stop watching this thread") : _("Watch this thread")).click(function() {
-      $(this).html(toggle_threadwatched(board, thread) ? _("Stop watching this thread") : _("Watch this thread"));
+      $(this).html(toggle_threadwatched(board, thread, {
+        url: document.location.pathname + document.location.search,
+        subject: thread_subject($('.op').first())
+      }) ? _("Stop watching this thread") : _("Watch this thread"));
       update_pinned();
     });
   }
@@ -406,10 +724,8 @@ $(function(){
       if (!status[bid].threads) continue;
 
       for (var tid in status[bid].threads) {
-	if(status[bid].threads[tid] && check_post(this, $('[data-board="'+bid+'"]#thread_'+tid))) {
-	  var st = storage();
-	  st[bid].threads[tid] = time_loaded;
-	  storage_save(st);
+	if(status[bid].threads[tid] > 0 && check_post(this, $('[data-board="'+bid+'"]#thread_'+tid))) {
+	  update_thread(bid, tid, { seen: time_loaded });
 	  refresh = true;
 	}
       }
@@ -420,7 +736,8 @@ $(function(){
   $(window).scroll(function() { 
     var refresh = check_scroll();
     if (refresh) {
-      //fetch_jsons();
+      // Without live updates the next round of fetch_jsons() picks this up
+      if (live) live_refetch('scroll', fetch_jsons);
       refresh = false;
     }
   });
@@ -449,6 +766,31 @@ $(function(){
     return sum;
   });
 
+  window.Watcher = {
+    watch: function(board, thread, info) {
+      watch(board, String(thread), info);
+      update_pinned();
+    },
+    unwatch: function(board, thread) {
+      unwatch(board, String(thread));
+      update_pinned();
+    },
+    is_watched: function(board, thread) {
+      return !!is_threadwatched(storage()[board], String(thread));
+    },
+    threads: watched_threads
+  };
+
+  // Watching or unwatching in another tab
+  $(window).on('storage', function(e) {
+    if (e.originalEvent.key == 'watch_js') {
+      if (live) live_subscribe();
+      update_pinned();
+    }
+  });
+
+  init_panel();
   update_pinned();
   fetch_jsons();
+  if (live) live_subscribe();
 });
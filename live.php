@@ -0,0 +1,200 @@
+<?php
+	/*
+	 * live.php - push thread updates to open pages
+	 *
+	 *   live.php?watch=b/12,c&since=345         events since 345 as JSON (add &wait=1 to long-poll)
+	 *   live.php?watch=b/12,c&stream=1          the same as a Server-Sent Events stream
+	 *   live.php?board=b&thread=12&after=400    posts in thread 12 newer than 400, rendered, plus thread state
+	 *   ...&after=400&update=12,398             the same, plus posts 12 and 398 rendered again
+	 *
+	 * Keys in "watch" are a board ("c") or one of its threads ("b/12"). Leaving out "since" returns
+	 * no events, only the id to continue from. SSE clients resume with Last-Event-ID.
+	 */
+
+	require 'inc/bootstrap.php';
+
+	if (!$config['live']['enabled']) {
+		http_response_code(404);
+		die(_('Live updates are disabled'));
+	}
+
+	/**
+	 * Send a JSON response and stop
+	 */
+	function live_json($data, $status = 200) {
+		http_response_code($status);
+		header('Content-Type: application/json; charset=utf-8');
+		header('Cache-Control: no-cache');
+		echo json_encode($data);
+		exit;
+	}
+
+	/**
+	 * Parse "b/12,c" into a list of keys, dropping anything that isn't one
+	 */
+	function live_watch_keys($watch) {
+		$keys = [];
+		foreach (explode(',', $watch) as $key) {
+			$key = trim($key);
+			if (preg_match('/^[\w.+-]{1,58}(\/\d+)?$/', $key))
+				$keys[$key] = true;
+		}
+		return array_slice(array_keys($keys), 0, 200);
+	}
+
+	/**
+	 * The "reset" event tells the client it missed events that have since been pruned
+	 */
+	function live_missed_events($since) {
+		if (!$since)
+			return false;
+		$first = live_first_event_id();
+		return $since > live_last_event_id() || ($first && $since < $first - 1);
+	}
+
+	// Thread delta: new posts after a given id, rendered the same way as the thread page
+	if (isset($_GET['board'], $_GET['thread'], $_GET['after'])) {
+		if (!is_string($_GET['board']) || !openBoard($_GET['board']))
+			live_json(['error' => $config['error']['noboard']], 404);
+
+		$thread = (int)$_GET['thread'];
+		$after = (int)$_GET['after'];
+
+		$query = prepare(sprintf("SELECT `id`, `sticky`, `locked`, `cycle` FROM ``posts_%s`` WHERE `id` = :id AND `thread` IS NULL", $board['uri']));
+		$query->bindValue(':id', $thread, PDO::PARAM_INT);
+		$query->execute() or error(db_error($query));
+		if (!$op = $query->fetch(PDO::FETCH_ASSOC))
+			live_json(['error' => $config['error']['nonexistant'], 'deleted' => true], 404);
+
+		$query = prepare(sprintf("SELECT * FROM ``posts_%s`` WHERE `thread` = :thread AND `id` > :after ORDER BY `id`", $board['uri']));
+		$query->bindValue(':thread', $thread, PDO::PARAM_INT);
+		$query->bindValue(':after', $after, PDO::PARAM_INT);
+		$query->execute() or error(db_error($query));
+
+		$posts = [];
+		while ($post = $query->fetch(PDO::FETCH_ASSOC)) {
+			$post = new Post($post, $config['root']);
+			$posts[] = [
+				'id' => (int)$post->id,
+				'html' => $post->build()
+			];
+		}
+
+		// Edited posts, rendered again; the OP comes back as a whole (empty) thread
+		$updated = [];
+		$update = isset($_GET['update']) && is_string($_GET['update']) ? array_slice(array_filter(array_map('intval', explode(',', $_GET['update']))), 0, 100) : [];
+		if (!empty($update)) {
+			$query = prepare(sprintf("SELECT * FROM ``posts_%s`` WHERE (`id` = :thread AND `thread` IS NULL) OR (`thread` = :thread AND `id` IN (" . implode(', ', $update) . "))", $board['uri']));
+			$query->bindValue(':thread', $thread, PDO::PARAM_INT);
+			$query->execute() or error(db_error($query));
+
+			while ($post = $query->fetch(PDO::FETCH_ASSOC)) {
+				if (!in_array((int)$post['id'], $update))
+					continue;
+				$post = $post['thread'] ? new Post($post, $config['root']) : new Thread($post, $config['root']);
+				$updated[] = [
+					'id' => (int)$post->id,
+					'html' => $post->build()
+				];
+			}
+		}
+
+		// Every reply still in the thread, so clients can tell which ones were deleted
+		$query = prepare(sprintf("SELECT `id` FROM ``posts_%s`` WHERE `thread` = :thread ORDER BY `id`", $board['uri']));
+		$query->bindValue(':thread', $thread, PDO::PARAM_INT);
+		$query->execute() or error(db_error($query));
+
+		live_json([
+			'board' => $board['uri'],
+			'thread' => $thread,
+			'sticky' => (bool)$op['sticky'],
+			'locked' => (bool)$op['locked'],
+			'cyclical' => (bool)$op['cycle'],
+			'posts' => $posts,
+			'updated' => $updated,
+			'ids' => array_map('intval', $query->fetchAll(PDO::FETCH_COLUMN))
+		]);
+	}
+
+	$watch = live_watch_keys(isset($_GET['watch']) && is_string($_GET['watch']) ? $_GET['watch'] : '');
+	if (empty($watch))
+		live_json(['error' => _('Nothing to watch')], 400);
+
+	$stream = isset($_GET['stream']) ||
+		(isset($_SERVER['HTTP_ACCEPT']) && strpos($_SERVER['HTTP_ACCEPT'], 'text/event-stream') !== false);
+
+	if (isset($_SERVER['HTTP_LAST_EVENT_ID']) && ctype_digit($_SERVER['HTTP_LAST_EVENT_ID']))
+		$since = (int)$_SERVER['HTTP_LAST_EVENT_ID'];
+	elseif (isset($_GET['since']) && ctype_digit((string)$_GET['since']))
+		$since = (int)$_GET['since'];
+	else
+		$since = null;
+
+	$timeout = max(1, (int)$config['live']['timeout']);
+	$interval = max(1, (int)$config['live']['poll_interval']);
+	@set_time_limit($timeout + 10);
+
+	// Don't hold the session lock (if any) while waiting
+	if (session_status() == PHP_SESSION_ACTIVE)
+		session_write_close();
+
+	if (!$stream) {
+		if ($since === null)
+			live_json(['events' => [], 'since' => live_last_event_id()]);
+
+		if (live_missed_events($since))
+			live_json(['events' => [['id' => live_last_event_id(), 'type' => 'reset']], 'since' => live_last_event_id()]);
+
+		$until = time() + (isset($_GET['wait']) ? $timeout : 0);
+		do {
+			// Events for other threads on the same boards are skipped, so continue from the last one looked at
+			$events = live_events_since($since, $watch, $since);
+			if (!empty($events) || time() >= $until)
+				break;
+			sleep($interval);
+		} while (!connection_aborted());
+
+		live_json(['events' => $events, 'since' => $since]);
+	}
+
+	header('Content-Type: text/event-stream; charset=utf-8');
+	header('Cache-Control: no-cache');
+	header('X-Accel-Buffering: no');
+
+	while (ob_get_level())
+		ob_end_flush();
+
+	$send = function($id, $type, $data) {
+		echo "id: {$id}\n";
+		echo "event: {$type}\n";
+		echo 'data: ' . json_encode($data) . "\n\n";
+		flush();
+	};
+
+	echo 'retry: ' . ($interval * 1000) . "\n\n";
+
+	if ($since === null) {
+		$since = live_last_event_id();
+		$send($since, 'hello', ['since' => $since]);
+	} elseif (live_missed_events($since)) {
+		$since = live_last_event_id();
+		$send($since, 'reset', ['since' => $since]);
+	}
+
+	$until = time() + $timeout;
+	$ping = time();
+	while (time() < $until && !connection_aborted()) {
+		foreach (live_events_since($since, $watch, $since) as $event) {
+			$send($event['id'], $event['type'], $event);
+			$ping = time();
+		}
+
+		// A comment line now and then keeps proxies from closing an idle stream
+		if (time() - $ping >= 15) {
+			echo ": ping\n\n";
+			flush();
+			$ping = time();
+		}
+
+		sleep($interval);
+	}
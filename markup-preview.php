@@ -0,0 +1,96 @@
+<?php
+	/*
+	 * markup-preview.php - post markup for js/markup-preview.js
+	 *
+	 *   GET  markup-preview.php?board=b                  { rules, code, urls, unicode, strip_returns, link_prefix }
+	 *                                                    the board's markup settings, for rendering in the browser
+	 *   POST markup-preview.php board=b&body=...         { html } rendered by markup() as post.php would, or { error }
+	 */
+
+	require 'inc/bootstrap.php';
+
+	/**
+	 * Send a JSON response and stop
+	 */
+	function markup_preview_json($data, $status = 200) {
+		http_response_code($status);
+		header('Content-Type: application/json; charset=utf-8');
+		header('Cache-Control: no-cache');
+		echo json_encode($data);
+		exit;
+	}
+
+	/**
+	 * A "/pattern/flags" regex as [source, flags] for JavaScript's RegExp, or false when it uses
+	 * other delimiters or flags JavaScript doesn't have
+	 */
+	function markup_preview_regex($pattern) {
+		if (!is_string($pattern) || !preg_match('@^/(.*)/([imsu]*)$@s', $pattern, $m))
+			return false;
+		return [$m[1], $m[2]];
+	}
+
+	if (!$config['markup_preview']['enabled'])
+		markup_preview_json(['error' => _('Markup preview is disabled')], 404);
+
+	if (!isset($_REQUEST['board']) || !is_string($_REQUEST['board']) || !openBoard($_REQUEST['board']))
+		markup_preview_json(['error' => _('Invalid board')], 400);
+
+	if ($_SERVER['REQUEST_METHOD'] !== 'POST') {
+		$rules = [];
+		foreach ($config['markup'] as $markup) {
+			// Callbacks only run here; the browser leaves their text alone
+			if (!is_string($markup[1]) || !($regex = markup_preview_regex($markup[0])))
+				continue;
+			// \1 and ${1} back-references as JavaScript's $1
+			$rules[] = [$regex[0], $regex[1], preg_replace_callback('/\\\\(\d+)|\$\{(\d+)\}/', function($m) {
+				return '$' . (isset($m[2]) ? $m[2] : $m[1]);
+			}, $markup[1])];
+		}
+
+		markup_preview_json([
+			'rules' => $rules,
+			'code' => $config['markup_code'] ? markup_preview_regex($config['markup_code']) : false,
+			'urls' => (bool)$config['markup_urls'],
+			'unicode' => (bool)$config['auto_unicode'],
+			'strip_returns' => (bool)$config['strip_superfluous_returns'],
+			'link_prefix' => $config['link_prefix']
+		]);
+	}
+
+	if (!isset($_POST['body']) || !is_string($_POST['body']))
+		markup_preview_json(['error' => _('Nothing to preview')], 400);
+
+	// Flood control, as in search.php
+	$requests_per_minutes = $config['markup_preview']['requests_per_minutes'];
+
+	$query = prepare('SELECT COUNT(*) FROM ``markup_preview_requests`` WHERE `ip` = :ip AND `time` > :time');
+	$query->bindValue(':ip', $_SERVER['REMOTE_ADDR']);
+	$query->bindValue(':time', time() - $requests_per_minutes[1] * 60, PDO::PARAM_INT);
+	$query->execute() or error(db_error($query));
+	if ($query->fetchColumn() >= $requests_per_minutes[0])
+		markup_preview_json(['error' => _('Wait a while before previewing again, please.')], 429);
+
+	$query = prepare('INSERT INTO ``markup_preview_requests`` (`ip`, `time`) VALUES (:ip, :time)');
+	$query->bindValue(':ip', $_SERVER['REMOTE_ADDR']);
+	$query->bindValue(':time', time(), PDO::PARAM_INT);
+	$query->execute() or error(db_error($query));
+
+	$query = prepare('DELETE FROM ``markup_preview_requests`` WHERE `time` <= :time');
+	$query->bindValue(':time', time() - $requests_per_minutes[1] * 60, PDO::PARAM_INT);
+	$query->execute() or error(db_error($query));
+
+	$body = $_POST['body'];
+	if (mb_strlen($body) > $config['max_body'])
+		markup_preview_json(['error' => $config['error']['toolong_body']], 400);
+
+	// markup() calls error() for too many links or cites; have it answer in JSON too
+	$_POST['json_response'] = true;
+
+	if ($config['strip_combining_chars'])
+		$body = strip_combining_chars($body);
+	wordfilters($body);
+	$body = escape_markup_modifiers($body);
+	markup($body);
+
+	markup_preview_json(['html' => $body]);
@@ -67,6 +67,14 @@ $pages = [
 	'/bible-post-replies'			=> 'secure_POST bible_post_replies',
 	'/bible-post-book'			=> 'secure_POST bible_post_book',
 	'/bible-delete-book'			=> 'secure_POST bible_delete_book',
+	'/bible-import'				=> 'secure_POST bible_import',	// queue, pause, resume, cancel or retry a book import
+	'/bible-import/(\d+)'			=> 'bible_import_status',	// progress of an import, as JSON
+	'/bible-canon'				=> 'secure_POST bible_canon',	// import many books at once
+	'/bible-canon/status'			=> 'bible_canon_status',	// every book's status and the latest run, as JSON
+	'/bible-verify/(\%b)'			=> 'secure_POST bible_verify',	// compare a board with the source, repair chapters
+	'/bible-translations'			=> 'secure_POST bible_translations',
+	'/bible-translation-import'		=> 'secure_POST bible_translation_import',
+	'/bible-translation-delete'		=> 'secure_POST bible_translation_delete',
 
 	// h2o toggle lock on all non-bible boards
 	'/lock_all'   => 'secure_POST lock_all',
@@ -75,7 +83,8 @@ $pages = [
 	'/rebuild'				=> 'secure_POST rebuild',	// rebuild static files
 	'/rebuild-fast'				=> 'secure_POST rebuild_fast',  // rebuild user boards only
 	'/rebuild-all'				=> 'secure_POST rebuild_all',   // rebuild everything including bible boards
-	'/reports'				=> 'reports',			// report queue
+	'/reports'				=> 'secure_POST reports',	// report queue
+	'/reports.json'				=> 'reports_json',		// new and older reports for the queue, as JSON
 	'/reports/(\d+)/dismiss(&all|&post)?'		=> 'secure report_dismiss',	// dismiss a report
 
 	'/IP/([\w.:]+)'				=> 'secure_POST ip',		// view ip address
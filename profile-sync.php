@@ -0,0 +1,119 @@
+<?php
+	/*
+	 * profile-sync.php - encrypted user profiles for js/profile-sync.js
+	 *
+	 *   GET  profile-sync.php?id=<64 hex>                    { revision, data } or 404
+	 *   POST profile-sync.php id=...&revision=3&data=...     store revision 4 if 3 is still current,
+	 *                                                        else 409 with the current { revision, data }
+	 *   POST profile-sync.php id=...&delete=1                forget the profile
+	 *
+	 * The id and the data both come from the user's passphrase on their own device; the data is
+	 * encrypted there and is never looked into here.
+	 */
+
+	require 'inc/bootstrap.php';
+
+	/**
+	 * Send a JSON response and stop
+	 */
+	function profile_sync_json($data, $status = 200) {
+		http_response_code($status);
+		header('Content-Type: application/json; charset=utf-8');
+		header('Cache-Control: no-cache');
+		echo json_encode($data);
+		exit;
+	}
+
+	/**
+	 * The stored profile as [revision, data], or false
+	 */
+	function profile_sync_fetch($id) {
+		$query = prepare('SELECT `revision`, `data` FROM ``profile_sync`` WHERE `id` = :id');
+		$query->bindValue(':id', $id);
+		$query->execute() or error(db_error($query));
+		$row = $query->fetch(PDO::FETCH_ASSOC);
+		return $row ? ['revision' => (int)$row['revision'], 'data' => $row['data']] : false;
+	}
+
+	if (!$config['profile_sync']['enabled'])
+		profile_sync_json(['error' => _('Profile sync is disabled')], 404);
+
+	$id = isset($_REQUEST['id']) && is_string($_REQUEST['id']) ? strtolower($_REQUEST['id']) : '';
+	if (!preg_match('/^[0-9a-f]{64}$/', $id))
+		profile_sync_json(['error' => _('Invalid profile id')], 400);
+
+	// Flood control, as in search.php
+	$requests_per_minutes = $config['profile_sync']['requests_per_minutes'];
+
+	$query = prepare('SELECT COUNT(*) FROM ``profile_sync_requests`` WHERE `ip` = :ip AND `time` > :time');
+	$query->bindValue(':ip', $_SERVER['REMOTE_ADDR']);
+	$query->bindValue(':time', time() - $requests_per_minutes[1] * 60, PDO::PARAM_INT);
+	$query->execute() or error(db_error($query));
+	if ($query->fetchColumn() >= $requests_per_minutes[0])
+		profile_sync_json(['error' => _('Wait a while before syncing again, please.')], 429);
+
+	$query = prepare('INSERT INTO ``profile_sync_requests`` (`ip`, `time`) VALUES (:ip, :time)');
+	$query->bindValue(':ip', $_SERVER['REMOTE_ADDR']);
+	$query->bindValue(':time', time(), PDO::PARAM_INT);
+	$query->execute() or error(db_error($query));
+
+	$query = prepare('DELETE FROM ``profile_sync_requests`` WHERE `time` <= :time');
+	$query->bindValue(':time', time() - $requests_per_minutes[1] * 60, PDO::PARAM_INT);
+	$query->execute() or error(db_error($query));
+
+	if ($_SERVER['REQUEST_METHOD'] !== 'POST') {
+		if (!$profile = profile_sync_fetch($id))
+			profile_sync_json(['revision' => 0], 404);
+		profile_sync_json($profile);
+	}
+
+	if (isset($_POST['delete'])) {
+		$query = prepare('DELETE FROM ``profile_sync`` WHERE `id` = :id');
+		$query->bindValue(':id', $id);
+		$query->execute() or error(db_error($query));
+		profile_sync_json(['revision' => 0]);
+	}
+
+	if (!isset($_POST['data'], $_POST['revision']) || !is_string($_POST['data']) || !ctype_digit((string)$_POST['revision']))
+		profile_sync_json(['error' => _('Missing profile data')], 400);
+
+	if (strlen($_POST['data']) > $config['profile_sync']['max_size'])
+		profile_sync_json(['error' => _('Your profile is too large to sync')], 413);
+
+	$revision = (int)$_POST['revision'];
+
+	// Only write over the revision the client merged with; otherwise it has to merge again
+	if ($revision === 0) {
+		// Each new id is new storage, so one address only gets a few
+		if (!profile_sync_fetch($id)) {
+			$query = prepare('SELECT COUNT(*) FROM ``profile_sync`` WHERE `ip` = :ip');
+			$query->bindValue(':ip', $_SERVER['REMOTE_ADDR']);
+			$query->execute() or error(db_error($query));
+			if ($query->fetchColumn() >= $config['profile_sync']['max_per_ip'])
+				profile_sync_json(['error' => _('Too many profiles are synced from your address already')], 429);
+		}
+
+		$query = prepare('INSERT IGNORE INTO ``profile_sync`` (`id`, `ip`, `data`, `revision`, `time`) VALUES (:id, :ip, :data, 1, :time)');
+		$query->bindValue(':ip', $_SERVER['REMOTE_ADDR']);
+	} else {
+		$query = prepare('UPDATE ``profile_sync`` SET `data` = :data, `revision` = `revision` + 1, `time` = :time WHERE `id` = :id AND `revision` = :revision');
+		$query->bindValue(':revision', $revision, PDO::PARAM_INT);
+	}
+	$query->bindValue(':id', $id);
+	$query->bindValue(':data', $_POST['data']);
+	$query->bindValue(':time', time(), PDO::PARAM_INT);
+	$query->execute() or error(db_error($query));
+
+	if (!$query->rowCount()) {
+		$current = profile_sync_fetch($id);
+		profile_sync_json($current ? $current : ['revision' => 0], 409);
+	}
+
+	// Prune now and then rather than on every sync
+	if (mt_rand(0, 49) == 0) {
+		$query = prepare('DELETE FROM ``profile_sync`` WHERE `time` < :time');
+		$query->bindValue(':time', time() - $config['profile_sync']['lifetime'], PDO::PARAM_INT);
+		$query->execute() or error(db_error($query));
+	}
+
+	profile_sync_json(['revision' => $revision + 1]);
@@ -115,6 +115,24 @@
 					$post['file'] = $config['root'] . $config['image_deleted'];
 				}
 
+				// File properties for the filters in js/filter-engine.js, named as in the JSON API
+				$post['file_data'] = array();
+				if (isset($post['files']) && $post['files']) {
+					foreach (json_decode($post['files']) as $file) {
+						if (!$file || $file->file == 'deleted')
+							continue;
+						$hash = isset($file->hash) && $file->hash ? $file->hash : $post['filehash'];
+						$post['file_data'][] = array(
+							'md5' => $hash ? base64_encode(hex2bin($hash)) : null,
+							'filename' => pathinfo($config['show_filename'] && isset($file->filename) ? $file->filename : $file->file, PATHINFO_FILENAME),
+							'ext' => strrchr($file->file, '.'),
+							'w' => isset($file->width) ? (int)$file->width : null,
+							'h' => isset($file->height) ? (int)$file->height : null,
+							'fsize' => (int)$file->size
+						);
+					}
+				}
+
 				if (empty($post['image_count'])) $post['image_count'] = 0;
 				$post['pubdate'] = date('r', $post['time']);
 				$recent_posts[] = $post;
@@ -5,19 +5,27 @@ var cache = new Array(),
 	loading = false,
 	ukkotimer = false;
 
-if (localStorage.hiddenboards === undefined) {
-	localStorage.hiddenboards = "{}";
-}
-
-// Load data from HTML5 localStorage
-var hiddenboards = JSON.parse(localStorage.hiddenboards);
-                
-var storeboards = function() {
-        localStorage.hiddenboards = JSON.stringify(hiddenboards);
+// Hidden boards are filter rules (js/filter-engine.js) that only apply here
+var board_rule = function(board) {
+	return {field: 'board', value: board, page: 'ukko'};
+};
+
+var is_board_hidden = function(board) {
+	return typeof FilterEngine != "undefined" && FilterEngine.find(board_rule(board)).length > 0;
+};
+
+var set_board_hidden = function(board, hidden) {
+	if (hidden)
+		FilterEngine.add($.extend(board_rule(board), {matcher: 'exact', action: 'hide'}));
+	else
+		FilterEngine.removeWhere(board_rule(board));
 };
 
 $(document).ready(function() {
 	var addukkohide = function() {
+		if (typeof FilterEngine == "undefined")
+			return;
+
 		var ukkohide = $('<a href="javascript:void(0);" class="unimportant ukkohide"></a>');
 		var board = $(this).next().data("board");
 		var hr = $("<hr />");
@@ -25,7 +33,7 @@ $(document).ready(function() {
 		$(this).append(ukkohide);
 		$(this).append(hr);
 
-		if (hiddenboards[board] !== true) {
+		if (!is_board_hidden(board)) {
 			ukkohide.html(_("(hide threads from this board)"));
 			hr.hide();
 		}
@@ -34,8 +42,9 @@ $(document).ready(function() {
 			$(this).next().hide();
 		}
 		ukkohide.click(function() {
-			hiddenboards[board] = (hiddenboards[board] !== true);
-			if (hiddenboards[board] !== true) {
+			var hidden = !is_board_hidden(board);
+			set_board_hidden(board, hidden);
+			if (!hidden) {
                         	$('[data-board="'+board+'"]:not([data-cached="yes"])').show().prev().
 					find('.ukkohide').html(_("(hide threads from this board)")).
 					parent().find('hr').hide();
@@ -45,7 +54,6 @@ $(document).ready(function() {
 					find('.ukkohide').html(_("(show threads from this board)"))
 					.parent().find('hr').show();
                 	}
-			storeboards();
 			return false;
 		});
 
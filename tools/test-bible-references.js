@@ -0,0 +1,30 @@
+#!/usr/bin/env node
+/*
+ * test-bible-references.js - check BibleReference.find() (js/bible-reference.js) against
+ * tools/fixtures/bible-references.json, the cases test-bible-references.php checks on the server
+ *
+ *   node tools/test-bible-references.js
+ */
+
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+const root = path.join(__dirname, '..');
+const fixture = JSON.parse(fs.readFileSync(path.join(__dirname, 'fixtures/bible-references.json'), 'utf8'));
+
+const sandbox = { window: {} };
+vm.runInNewContext(fs.readFileSync(path.join(root, 'js/bible-reference.js'), 'utf8'), sandbox);
+const BibleReference = sandbox.window.BibleReference;
+
+let failed = 0;
+fixture.cases.forEach(test => {
+    const refs = BibleReference.find(fixture, test.body).map(found => found.reference.ref);
+    const ok = JSON.stringify(refs) === JSON.stringify(test.refs);
+    if (!ok) failed++;
+    console.log(`${ok ? 'ok  ' : 'FAIL'} ${JSON.stringify(test.body)} => ${JSON.stringify(refs)}` +
+        (ok ? '' : `, expected ${JSON.stringify(test.refs)}`));
+});
+
+console.log(failed ? `${failed} of ${fixture.cases.length} failed` : `All ${fixture.cases.length} passed`);
+process.exit(failed ? 1 : 0);
@@ -0,0 +1,29 @@
+#!/usr/bin/php
+<?php
+/*
+ * test-bible-references.php - check findBibleReferences() against tools/fixtures/bible-references.json,
+ * the cases test-bible-references.js checks in the browser's markup preview
+ *
+ *   php tools/test-bible-references.php
+ */
+
+require dirname(__FILE__) . '/inc/cli.php';
+
+$fixture = json_decode(file_get_contents(dirname(__FILE__) . '/fixtures/bible-references.json'), true);
+
+$failed = 0;
+foreach ($fixture['cases'] as $test) {
+	$refs = array();
+	foreach (findBibleReferences($test['body'], $fixture['lookup'], $fixture['verseCounts']) as $found) {
+		$refs[] = $found['reference']['ref'];
+	}
+
+	$ok = $refs === $test['refs'];
+	if (!$ok)
+		$failed++;
+	echo ($ok ? 'ok   ' : 'FAIL ') . json_encode($test['body']) . ' => ' . json_encode($refs) .
+		($ok ? '' : ', expected ' . json_encode($test['refs'])) . "\n";
+}
+
+echo $failed ? "$failed of " . count($fixture['cases']) . " failed\n" : 'All ' . count($fixture['cases']) . " passed\n";
+exit($failed ? 1 : 0);
@@ -1,6 +1,6 @@
 #!/usr/bin/php
 <?php
-/* worker.php - part of advanced build vichan feature */
+/* worker.php - part of advanced build vichan feature, also runs Bible book imports */
 
 require dirname(__FILE__) . '/inc/cli.php';
 require_once 'inc/controller.php';
@@ -15,7 +15,8 @@ function after_open_board() { global $config;
 
 echo "Hello world!\n";
 
-$queue = get_queue('generate');
+$queue = Queues::get_queue($config, 'generate');
+$import_queue = Queues::get_queue($config, 'bible-import');
 
 while (true) {
   $q = $queue->pop(2);
@@ -27,5 +28,20 @@ while (true) {
 
     echo "done!\n";
   }
-  if (!$q) usleep(20000); // 0.02s
+
+  // A few seconds of one import at a time, then back in the queue if there's more to do
+  $imports = $import_queue->pop(1);
+  foreach ($imports as $id) {
+    echo "Working on Bible import job $id... ";
+
+    if (bible_import_step((int)$id)) {
+      $import_queue->push($id);
+      echo "to be continued.\n";
+    } else {
+      $job = bible_import_job((int)$id);
+      echo ($job ? $job['status'] : 'gone') . ".\n";
+    }
+  }
+
+  if (!$q && !$imports) usleep(20000); // 0.02s
 }